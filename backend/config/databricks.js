@@ -84,6 +84,156 @@ export const getEnvironment = (envId) => {
   };
 };
 
+// Get the SQL warehouse used for Statement Execution API calls in an environment
+// Priority: 1) environment config, 2) DATABRICKS_WAREHOUSE_ID, 3) global settings
+export const getWarehouseId = (envId) => {
+  const envWarehouse = config.environments[envId]?.warehouseId;
+  return envWarehouse || process.env.DATABRICKS_WAREHOUSE_ID || config.settings?.warehouseId || null;
+};
+
+// Get the users allowed to approve agreements in an environment (lowercased emails)
+// Priority: 1) AGREEMENT_APPROVERS_<ENV_ID> env var (AGREEMENT_APPROVERS for 'current'),
+// 2) environment config, 3) settings.approvers[envId]
+export const getApprovers = (envId) => {
+  const envVarName = `AGREEMENT_APPROVERS_${envId.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const fromEnvVar = process.env[envVarName] || (envId === 'current' ? process.env.AGREEMENT_APPROVERS : null);
+  const approvers = fromEnvVar
+    ? fromEnvVar.split(',')
+    : config.environments[envId]?.approvers || config.settings?.approvers?.[envId] || [];
+  return approvers.map(a => a.trim().toLowerCase()).filter(Boolean);
+};
+
+// Get storage settings for app-owned data (agreements, etc.)
+export const getStorageSettings = () => {
+  const settings = config.settings?.storage || {};
+  return {
+    backend: process.env.STORAGE_BACKEND || settings.backend || 'file',
+    dataDir: process.env.STORAGE_DATA_DIR || settings.dataDir || path.join(__dirname, '..', '.data'),
+    environment: process.env.STORAGE_ENVIRONMENT || settings.environment || 'current',
+    catalog: process.env.STORAGE_CATALOG || settings.catalog || 'main',
+    schema: process.env.STORAGE_SCHEMA || settings.schema || 'default',
+    tablePrefix: settings.tablePrefix || 'compliance_',
+  };
+};
+
+// Get who Databricks API calls made while serving a request act as
+// Priority: 1) DATABRICKS_AUTH_POLICY env var, 2) settings.auth.policy
+// 'user' - the caller's forwarded token; 'service-principal' - the app's service principal
+export const getAuthSettings = () => {
+  const settings = config.settings?.auth || {};
+  return {
+    policy: process.env.DATABRICKS_AUTH_POLICY || settings.policy || 'user',
+  };
+};
+
+// Get how asset inventories are built
+// Priority: 1) INVENTORY_MODE env var, 2) settings.inventory.mode
+// 'api' - crawl the Unity Catalog list endpoints catalog by catalog (within a request budget,
+// see getCrawlSettings); 'information_schema' - query system.information_schema on the
+// environment's SQL warehouse, covering the whole metastore
+// incremental - (INVENTORY_INCREMENTAL) re-list only catalogs/schemas/tables whose updated_at
+// changed since the previous scan, with a full scan every fullScanIntervalHours (INVENTORY_FULL_SCAN_HOURS)
+export const getInventorySettings = () => {
+  const settings = config.settings?.inventory || {};
+  return {
+    mode: process.env.INVENTORY_MODE || settings.mode || 'api',
+    incremental: (process.env.INVENTORY_INCREMENTAL ?? String(settings.incremental ?? false)) === 'true',
+    fullScanIntervalHours: parseFloat(process.env.INVENTORY_FULL_SCAN_HOURS || settings.fullScanIntervalHours || '24'),
+  };
+};
+
+// Get how Unity Catalog list calls page through results
+// Priority: 1) UC_PAGE_SIZE / UC_MAX_LIST_ITEMS env vars, 2) settings.pagination
+// pageSize - max_results asked for per page (the API may return fewer)
+// maxItems - items one list call collects before it stops and reports the list as truncated
+export const getPaginationSettings = () => {
+  const settings = config.settings?.pagination || {};
+  return {
+    pageSize: parseInt(process.env.UC_PAGE_SIZE || settings.pageSize || '1000'),
+    maxItems: parseInt(process.env.UC_MAX_LIST_ITEMS || settings.maxItems || '100000'),
+  };
+};
+
+// Get how asset crawls (inventories built from the list endpoints) spend API requests
+// Priority: 1) CRAWL_* env vars, 2) settings.crawl
+// requestsPerMinute - the most Databricks API requests a crawl makes in any minute (lowered
+// automatically while the workspace rate-limits, and raised back afterwards)
+// passRequests - requests one pass spends before it checkpoints and publishes the inventory
+// resume - keep crawling in the background, pass after pass, until every catalog is covered
+export const getCrawlSettings = () => {
+  const settings = config.settings?.crawl || {};
+  const requestsPerMinute = parseInt(process.env.CRAWL_REQUESTS_PER_MINUTE || settings.requestsPerMinute || '180');
+  return {
+    requestsPerMinute,
+    passRequests: parseInt(process.env.CRAWL_PASS_REQUESTS || settings.passRequests || String(requestsPerMinute)),
+    resume: (process.env.CRAWL_RESUME ?? String(settings.resume ?? true)) === 'true',
+  };
+};
+
+// Get the bounds and persistence of the Databricks results cache
+// Priority: 1) CACHE_* env vars, 2) settings.cache
+// maxEntries - per-object results (schemas, tables, columns, ...) kept before the least recently
+// used are evicted; maxInventories - the same for asset inventories and their metadata
+// staleHours - how long an expired inventory is still served while it's refreshed
+// persist - write the app's own inventories to persistFile and load them on start
+export const getCacheSettings = () => {
+  const settings = config.settings?.cache || {};
+  return {
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || settings.maxEntries || '10000'),
+    maxInventories: parseInt(process.env.CACHE_MAX_INVENTORIES || settings.maxInventories || '100'),
+    staleHours: parseFloat(process.env.CACHE_STALE_HOURS || settings.staleHours || '24'),
+    persist: (process.env.CACHE_PERSIST ?? String(settings.persist ?? false)) === 'true',
+    persistFile: path.resolve(path.join(__dirname, '..'),
+      process.env.CACHE_PERSIST_FILE || settings.persistFile || path.join(getStorageSettings().dataDir, 'asset_cache.json')),
+  };
+};
+
+// Get the OAuth M2M (service principal) credentials for an environment, or null when there are none
+// Priority: 1) DATABRICKS_CLIENT_ID_<ENV_ID> / DATABRICKS_CLIENT_SECRET_<ENV_ID> env vars,
+// 2) servicePrincipal on the environment config - the secret from clientSecretEnv (an env var name)
+//    or clientSecretFile (a file holding only the secret), never inline,
+// 3) DATABRICKS_CLIENT_ID / DATABRICKS_CLIENT_SECRET (set by Databricks Apps for its own workspace)
+export const getServicePrincipalCredentials = (envId) => {
+  const suffix = envId.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const envVarId = process.env[`DATABRICKS_CLIENT_ID_${suffix}`];
+  const envVarSecret = process.env[`DATABRICKS_CLIENT_SECRET_${suffix}`];
+  if (envVarId && envVarSecret) {
+    return { clientId: envVarId, clientSecret: envVarSecret, source: 'env-var' };
+  }
+
+  const configured = config.environments[envId]?.servicePrincipal;
+  if (configured?.clientId) {
+    let clientSecret = configured.clientSecretEnv ? process.env[configured.clientSecretEnv] : null;
+    if (!clientSecret && configured.clientSecretFile) {
+      const secretPath = path.resolve(path.join(__dirname, '..'), configured.clientSecretFile);
+      clientSecret = fs.existsSync(secretPath) ? fs.readFileSync(secretPath, 'utf8').trim() : null;
+    }
+    if (clientSecret) {
+      return { clientId: configured.clientId, clientSecret, source: 'config' };
+    }
+  }
+
+  if (process.env.DATABRICKS_CLIENT_ID && process.env.DATABRICKS_CLIENT_SECRET) {
+    return { clientId: process.env.DATABRICKS_CLIENT_ID, clientSecret: process.env.DATABRICKS_CLIENT_SECRET, source: 'global' };
+  }
+  return null;
+};
+
+// Get the key used to sign agreement files this app publishes (optional)
+// Priority: 1) AGREEMENT_SIGNING_KEY (PEM) or AGREEMENT_SIGNING_KEY_FILE env vars, 2) settings.signing
+export const getSigningSettings = () => {
+  const settings = config.settings?.signing || {};
+  const keyFile = process.env.AGREEMENT_SIGNING_KEY_FILE || settings.privateKeyFile;
+  let privateKey = process.env.AGREEMENT_SIGNING_KEY || null;
+  if (!privateKey && keyFile) {
+    privateKey = fs.readFileSync(path.resolve(path.join(__dirname, '..'), keyFile), 'utf8');
+  }
+  return {
+    privateKey,
+    provider: process.env.AGREEMENT_SIGNING_PROVIDER || settings.provider || process.env.DATABRICKS_APP_NAME || 'local',
+  };
+};
+
 // Extract user token from request headers (Databricks Apps authorization)
 export const getUserToken = (req) => {
   // Get token from X-Forwarded-Access-Token header (Databricks Apps)
@@ -0,0 +1,77 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Immutable revision log for agreements
+// Every create/update/restore/delete appends a revision holding a full snapshot of the
+// agreement, who made the change, when and why. Revisions are never modified; only the most
+// recent MAX_REVISIONS_PER_AGREEMENT of each agreement are kept.
+let revisions = [];
+const collection = createPersistentCollection('agreement_revisions');
+
+const MAX_REVISIONS_PER_AGREEMENT = parseInt(process.env.AGREEMENT_REVISIONS_KEPT || '100');
+
+export const initAgreementRevisions = async () => {
+  try {
+    revisions = await collection.load();
+    console.log(`📜 Loaded ${revisions.length} agreement revision(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load agreement revisions from storage:', error.message);
+  }
+};
+
+export const getRevisions = (agreementId) =>
+  revisions
+    .filter(r => r.agreementId === agreementId)
+    .sort((a, b) => a.revision - b.revision);
+
+export const getRevision = (agreementId, revision) =>
+  revisions.find(r => r.agreementId === agreementId && r.revision === Number(revision));
+
+export const getLatestRevision = (agreementId) => {
+  const agreementRevisions = getRevisions(agreementId);
+  return agreementRevisions[agreementRevisions.length - 1] || null;
+};
+
+// Revisions of all agreements made between two ISO timestamps (inclusive), oldest first
+export const getRevisionsBetween = (from, to) =>
+  revisions
+    .filter(r => r.changedAt >= from && r.changedAt <= to)
+    .sort((a, b) => a.changedAt.localeCompare(b.changedAt));
+
+// Append a revision for an agreement snapshot
+// meta: { action, changedBy, reason, restoredFrom }
+export const recordRevision = (agreement, meta = {}) => {
+  const latest = getLatestRevision(agreement.id);
+  const revisionNumber = latest ? latest.revision + 1 : 1;
+
+  const revision = {
+    id: `${agreement.id}:r${revisionNumber}`,
+    agreementId: agreement.id,
+    revision: revisionNumber,
+    action: meta.action || 'update',
+    changedBy: meta.changedBy || 'system',
+    changedAt: new Date().toISOString(),
+    reason: meta.reason || null,
+    restoredFrom: meta.restoredFrom ?? null,
+    snapshot: JSON.parse(JSON.stringify(agreement)),
+  };
+
+  revisions.push(revision);
+  collection.save(revision);
+
+  // Drop the agreement's oldest revisions beyond the limit (numbering carries on)
+  collection.prune(revisions, {
+    max: MAX_REVISIONS_PER_AGREEMENT,
+    canPrune: r => r.agreementId === agreement.id,
+    timestampOf: r => r.changedAt,
+  });
+  return revision;
+};
+
+export default {
+  initAgreementRevisions,
+  getRevisions,
+  getRevision,
+  getLatestRevision,
+  getRevisionsBetween,
+  recordRevision,
+};
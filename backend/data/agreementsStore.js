@@ -1,11 +1,39 @@
-// In-memory store for agreements (not from Databricks)
+import { createPersistentCollection } from './storage/persistentCollection.js';
+import { recordRevision, getLatestRevision } from './agreementRevisions.js';
+
+// Agreements are served from memory and written through to durable storage
+// (see data/storage). initAgreementsStore() must run before the server accepts requests,
+// after initAgreementRevisions() so every agreement can be given a baseline revision.
 let agreements = [];
+const collection = createPersistentCollection('agreements');
+
+export const initAgreementsStore = async () => {
+  try {
+    agreements = await collection.load();
+    console.log(`📚 Loaded ${agreements.length} agreement(s) from storage`);
+
+    // Agreements created before revision history existed start with a baseline revision
+    agreements
+      .filter(a => !getLatestRevision(a.id))
+      .forEach(a => recordRevision(a, { action: 'baseline', reason: 'Existing agreement at start of revision history' }));
+  } catch (error) {
+    console.error('❌ Failed to load agreements from storage:', error.message);
+    console.error('   Continuing with an empty store - changes may not be persisted until storage is fixed.');
+  }
+};
+
+// Resolves once all pending agreement writes have reached storage
+export const flushAgreementsStore = () => collection.flush();
 
 export const getAllAgreements = () => agreements;
 
 export const getAgreementById = (id) => agreements.find(a => a.id === id);
 
-export const addAgreement = (agreementData) => {
+// Only active agreements are validated and enforced (see services/agreementLifecycle.js)
+export const getActiveAgreements = () => agreements.filter(a => a.status === 'active');
+
+// meta: { changedBy, reason } recorded in the agreement's revision log
+export const addAgreement = (agreementData, meta = {}) => {
   // Check for duplicates based on shares
   const shareName = agreementData.shares?.[0];
   if (shareName) {
@@ -22,21 +50,28 @@ export const addAgreement = (agreementData) => {
         ...agreementData,
         updatedAt: new Date().toISOString(),
       };
+      collection.save(agreements[existingIndex]);
+      recordRevision(agreements[existingIndex], { ...meta, action: 'update' });
       return agreements[existingIndex];
     }
   }
   
   const newAgreement = {
     id: `agreement-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    status: 'draft',
+    statusHistory: [],
+    approvals: [],
     ...agreementData,
     createdAt: agreementData.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
   agreements.push(newAgreement);
+  collection.save(newAgreement);
+  recordRevision(newAgreement, { ...meta, action: 'create' });
   return newAgreement;
 };
 
-export const updateAgreement = (id, updates) => {
+export const updateAgreement = (id, updates, meta = {}) => {
   const index = agreements.findIndex(a => a.id === id);
   if (index !== -1) {
     agreements[index] = {
@@ -44,15 +79,32 @@ export const updateAgreement = (id, updates) => {
       ...updates,
       updatedAt: new Date().toISOString(),
     };
+    collection.save(agreements[index]);
+    recordRevision(agreements[index], { action: 'update', ...meta });
+    return agreements[index];
+  }
+  return null;
+};
+
+// Record the renewal notice on an agreement. The notice is bookkeeping, not a change to the
+// terms, so it neither bumps updatedAt (which plans and enforcement runs check for changes)
+// nor adds a revision.
+export const setAgreementExpiryNotice = (id, expiryNotice) => {
+  const index = agreements.findIndex(a => a.id === id);
+  if (index !== -1) {
+    agreements[index] = { ...agreements[index], expiryNotice };
+    collection.save(agreements[index]);
     return agreements[index];
   }
   return null;
 };
 
-export const deleteAgreement = (id) => {
+export const deleteAgreement = (id, meta = {}) => {
   const index = agreements.findIndex(a => a.id === id);
   if (index !== -1) {
-    agreements.splice(index, 1);
+    const [removed] = agreements.splice(index, 1);
+    recordRevision(removed, { ...meta, action: 'delete' });
+    collection.remove(id);
     return true;
   }
   return false;
@@ -0,0 +1,51 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Compliance snapshots - compliance of one environment at one point in time, taken after
+// every scan (see services/complianceSnapshots.js). Snapshots are never modified; those older
+// than RETENTION_DAYS, or beyond the newest MAX_SNAPSHOTS_PER_ENV of an environment, are dropped.
+let snapshots = [];
+const collection = createPersistentCollection('compliance_snapshots');
+
+const RETENTION_DAYS = parseInt(process.env.COMPLIANCE_SNAPSHOTS_RETENTION_DAYS || '365');
+const MAX_SNAPSHOTS_PER_ENV = parseInt(process.env.COMPLIANCE_SNAPSHOTS_KEPT || '5000');
+
+export const initComplianceSnapshotsStore = async () => {
+  try {
+    snapshots = await collection.load();
+    console.log(`📈 Loaded ${snapshots.length} compliance snapshot(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load compliance snapshots from storage:', error.message);
+  }
+};
+
+// filters: { environmentId, from, to } (ISO timestamps, inclusive); oldest first
+export const getSnapshots = ({ environmentId, from, to } = {}) =>
+  snapshots
+    .filter(s =>
+      (!environmentId || s.environmentId === environmentId) &&
+      (!from || s.takenAt >= from) &&
+      (!to || s.takenAt <= to)
+    )
+    .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+
+export const addSnapshot = (snapshotData) => {
+  const snapshot = {
+    id: `snapshot-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    ...snapshotData,
+    takenAt: new Date().toISOString(),
+  };
+  snapshots.push(snapshot);
+  collection.save(snapshot);
+
+  // Drop expired snapshots of every environment, and this environment's beyond the limit
+  collection.prune(snapshots, {
+    olderThan: new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    timestampOf: s => s.takenAt,
+  });
+  collection.prune(snapshots, {
+    max: MAX_SNAPSHOTS_PER_ENV,
+    canPrune: s => s.environmentId === snapshot.environmentId,
+    timestampOf: s => s.takenAt,
+  });
+  return snapshot;
+};
@@ -0,0 +1,52 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Progress of asset crawls per environment and identity (cache partition) - which catalogs the
+// current cycle has scanned or skipped, and where a catalog that was cut short resumes (see
+// services/assetCrawler.js). Only the app's own checkpoints are persisted; user checkpoints are
+// kept in memory for USER_CHECKPOINT_TTL after their last update.
+let checkpoints = [];
+const USER_CHECKPOINT_TTL = 60 * 60 * 1000;
+const collection = createPersistentCollection('crawl_checkpoints');
+
+export const initCrawlCheckpointsStore = async () => {
+  try {
+    checkpoints = await collection.load();
+    console.log(`🧭 Loaded ${checkpoints.length} crawl checkpoint(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load crawl checkpoints from storage:', error.message);
+  }
+};
+
+export const getCrawlCheckpoint = (environmentId, partition) =>
+  checkpoints.find(c => c.environmentId === environmentId && c.partition === partition);
+
+export const saveCrawlCheckpoint = (checkpointData) => {
+  const checkpoint = {
+    ...checkpointData,
+    id: checkpointData.id || `crawl-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    updatedAt: new Date().toISOString(),
+  };
+  const index = checkpoints.findIndex(c => c.id === checkpoint.id);
+  if (index !== -1) {
+    checkpoints[index] = checkpoint;
+  } else {
+    checkpoints.push(checkpoint);
+  }
+  if (checkpoint.partition === 'app') {
+    collection.save(checkpoint);
+  }
+  // Forget user checkpoints that haven't moved on for a while
+  checkpoints = checkpoints.filter(c => c.partition === 'app' || Date.now() - Date.parse(c.updatedAt) < USER_CHECKPOINT_TTL);
+  return checkpoint;
+};
+
+// Have every crawl of an environment scan a catalog again in its current cycle (its cached
+// results were cleared)
+export const resetCrawlCatalog = (environmentId, catalog) => {
+  checkpoints
+    .filter(c => c.environmentId === environmentId && c.catalogs[catalog])
+    .forEach(c => saveCrawlCheckpoint({
+      ...c,
+      catalogs: { ...c.catalogs, [catalog]: { ...c.catalogs[catalog], cycle: null, nextSchema: null } },
+    }));
+};
@@ -0,0 +1,66 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Enforcement plans - reviewable tag change sets computed before enforcement writes anything
+// (see services/enforcementPlans.js). Applied, failed, stale and discarded plans are kept as a
+// record; only the most recent MAX_CLOSED_PLANS of them.
+let plans = [];
+const collection = createPersistentCollection('enforcement_plans');
+
+const MAX_CLOSED_PLANS = parseInt(process.env.ENFORCEMENT_PLANS_KEPT || '200');
+
+// Plans that can still be applied (or are being applied) are never dropped
+const OPEN_STATUSES = ['planned', 'applying', 'interrupted'];
+
+export const initEnforcementPlansStore = async () => {
+  try {
+    plans = await collection.load();
+    console.log(`📋 Loaded ${plans.length} enforcement plan(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load enforcement plans from storage:', error.message);
+  }
+};
+
+// filters: { status, agreementId }
+export const getPlans = ({ status, agreementId } = {}) =>
+  plans.filter(p =>
+    (!status || p.status === status) &&
+    (!agreementId || p.source?.agreementId === agreementId)
+  );
+
+export const getPlanById = (id) => plans.find(p => p.id === id);
+
+export const addPlan = (planData) => {
+  const plan = {
+    id: `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    status: 'planned',
+    statusHistory: [],
+    ...planData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  plans.push(plan);
+  collection.save(plan);
+
+  // Drop the oldest closed plans beyond the limit
+  collection.prune(plans, {
+    max: MAX_CLOSED_PLANS,
+    canPrune: p => !OPEN_STATUSES.includes(p.status),
+    timestampOf: p => p.updatedAt,
+  });
+  return plan;
+};
+
+export const updatePlan = (id, updates) => {
+  const index = plans.findIndex(p => p.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  plans[index] = {
+    ...plans[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  collection.save(plans[index]);
+  return plans[index];
+};
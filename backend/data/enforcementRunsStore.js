@@ -0,0 +1,73 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Enforcement runs - progress of enforcing an agreement share by share, saved after every batch
+// so an interrupted run can be resumed (see services/complianceEnforcement.js). Only the most
+// recent MAX_FINISHED_RUNS finished runs are kept; running and interrupted ones always are.
+let runs = [];
+const collection = createPersistentCollection('enforcement_runs');
+
+const MAX_FINISHED_RUNS = parseInt(process.env.ENFORCEMENT_RUNS_KEPT || '200');
+
+export const initEnforcementRunsStore = async () => {
+  try {
+    runs = await collection.load();
+    console.log(`🔒 Loaded ${runs.length} enforcement run(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load enforcement runs from storage:', error.message);
+  }
+};
+
+// filters: { status, agreementId, environmentId }
+export const getRuns = ({ status, agreementId, environmentId } = {}) =>
+  runs.filter(r =>
+    (!status || r.status === status) &&
+    (!agreementId || r.agreementId === agreementId) &&
+    (!environmentId || r.environmentId === environmentId)
+  );
+
+export const getRunById = (id) => runs.find(r => r.id === id);
+
+export const addRun = (runData) => {
+  const run = {
+    id: `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    status: 'running',
+    ...runData,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  runs.push(run);
+  collection.save(run);
+
+  // Drop the oldest finished runs beyond the limit
+  collection.prune(runs, {
+    max: MAX_FINISHED_RUNS,
+    canPrune: r => !['running', 'interrupted'].includes(r.status),
+    timestampOf: r => r.finishedAt || r.startedAt,
+  });
+  return run;
+};
+
+export const updateRun = (id, updates) => {
+  const index = runs.findIndex(r => r.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  runs[index] = {
+    ...runs[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  collection.save(runs[index]);
+  return runs[index];
+};
+
+export const deleteRun = (id) => {
+  const index = runs.findIndex(r => r.id === id);
+  if (index === -1) {
+    return false;
+  }
+  runs.splice(index, 1);
+  collection.remove(id);
+  return true;
+};
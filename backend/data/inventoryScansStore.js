@@ -0,0 +1,47 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Inventory scans that found changes - assets added, removed or modified since the previous scan
+// of the same environment and identity (see services/inventoryChanges.js). Only the most recent
+// MAX_SCANS are kept.
+let scans = [];
+const collection = createPersistentCollection('inventory_scans');
+
+const MAX_SCANS = parseInt(process.env.INVENTORY_SCANS_KEPT || '200');
+
+export const initInventoryScansStore = async () => {
+  try {
+    scans = await collection.load();
+    console.log(`🔎 Loaded ${scans.length} inventory scan(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load inventory scans from storage:', error.message);
+  }
+};
+
+// filters: { environmentId, partition, since } (since: ISO timestamp, inclusive); newest first
+export const getInventoryScans = ({ environmentId, partition, since } = {}) =>
+  scans
+    .filter(s =>
+      (!environmentId || s.environmentId === environmentId) &&
+      (!partition || s.partition === partition) &&
+      (!since || s.scannedAt >= since)
+    )
+    .sort((a, b) => b.scannedAt.localeCompare(a.scannedAt));
+
+export const getInventoryScanById = (id) => scans.find(s => s.id === id);
+
+export const addInventoryScan = (scanData) => {
+  const scan = {
+    id: `scan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    ...scanData,
+    scannedAt: new Date().toISOString(),
+  };
+  scans.push(scan);
+  collection.save(scan);
+
+  // Drop the oldest scans beyond the limit
+  scans.sort((a, b) => a.scannedAt.localeCompare(b.scannedAt));
+  while (scans.length > MAX_SCANS) {
+    collection.remove(scans.shift().id);
+  }
+  return scan;
+};
@@ -0,0 +1,85 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Background jobs - long operations (enforce-all, bulk ingestion, asset scans) with per-item
+// progress (see services/jobQueue.js). Only the most recent MAX_FINISHED_JOBS finished jobs are
+// kept; queued and running ones always are.
+let jobs = [];
+const collection = createPersistentCollection('jobs');
+
+const MAX_FINISHED_JOBS = parseInt(process.env.JOBS_KEPT || '200');
+
+// Progress is saved at most this often while a job runs
+const PROGRESS_SAVE_INTERVAL_MS = parseInt(process.env.JOB_PROGRESS_SAVE_INTERVAL_MS || '5000');
+
+const isFinished = (job) => !['queued', 'running'].includes(job.status);
+
+export const initJobsStore = async () => {
+  try {
+    jobs = await collection.load();
+    console.log(`⚙️  Loaded ${jobs.length} job(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load jobs from storage:', error.message);
+  }
+};
+
+// filters: { status, type, environmentId }
+export const getJobs = ({ status, type, environmentId } = {}) =>
+  jobs.filter(j =>
+    (!status || j.status === status) &&
+    (!type || j.type === type) &&
+    (!environmentId || j.environmentId === environmentId)
+  );
+
+export const getJobById = (id) => jobs.find(j => j.id === id);
+
+export const addJob = (jobData) => {
+  const job = {
+    id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    status: 'queued',
+    ...jobData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  jobs.push(job);
+  collection.save(job);
+
+  // Drop the oldest finished jobs beyond the limit
+  collection.prune(jobs, {
+    max: MAX_FINISHED_JOBS,
+    canPrune: isFinished,
+    timestampOf: j => j.finishedAt || j.createdAt,
+  });
+  return job;
+};
+
+const applyUpdates = (id, updates) => {
+  const index = jobs.findIndex(j => j.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  jobs[index] = {
+    ...jobs[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  return jobs[index];
+};
+
+export const updateJob = (id, updates) => {
+  const job = applyUpdates(id, updates);
+  if (job) {
+    collection.save(job);
+  }
+  return job;
+};
+
+// Progress of a running job: updated in memory at once, saved at most every
+// PROGRESS_SAVE_INTERVAL_MS (and with the job's next updateJob)
+export const updateJobProgress = (id, updates) => {
+  const job = applyUpdates(id, updates);
+  if (job) {
+    collection.saveLater(job, PROGRESS_SAVE_INTERVAL_MS);
+  }
+  return job;
+};
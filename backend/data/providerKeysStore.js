@@ -0,0 +1,56 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Registry of trusted provider public keys used to verify signed agreement files
+// Keys are identified by their fingerprint (see services/agreementSigning.js) and belong to one
+// provider (its Delta Sharing provider name), whose shares they may sign for. Revoked keys
+// are kept so files signed with them are reported as unverified rather than unknown.
+let providerKeys = [];
+const collection = createPersistentCollection('provider_keys');
+
+export const initProviderKeysStore = async () => {
+  try {
+    providerKeys = await collection.load();
+    console.log(`🔏 Loaded ${providerKeys.length} provider key(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load provider keys from storage:', error.message);
+  }
+};
+
+export const getProviderKeys = (provider = null) =>
+  provider ? providerKeys.filter(k => k.provider === provider) : providerKeys;
+
+export const getProviderKey = (keyId) => providerKeys.find(k => k.id === keyId);
+
+// keyData: { id, provider, shares (the shares the key may sign for; empty: any of the provider's), publicKey, algorithm }
+export const addProviderKey = (keyData, addedBy = 'unknown') => {
+  const existing = getProviderKey(keyData.id);
+  if (existing) {
+    return existing;
+  }
+
+  const providerKey = {
+    ...keyData,
+    addedBy,
+    addedAt: new Date().toISOString(),
+    revokedAt: null,
+    revokedBy: null,
+  };
+  providerKeys.push(providerKey);
+  collection.save(providerKey);
+  return providerKey;
+};
+
+export const revokeProviderKey = (keyId, revokedBy = 'unknown') => {
+  const index = providerKeys.findIndex(k => k.id === keyId);
+  if (index === -1) {
+    return null;
+  }
+
+  providerKeys[index] = {
+    ...providerKeys[index],
+    revokedAt: new Date().toISOString(),
+    revokedBy,
+  };
+  collection.save(providerKeys[index]);
+  return providerKeys[index];
+};
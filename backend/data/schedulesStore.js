@@ -0,0 +1,63 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Compliance schedules - cron schedules that rescan, revalidate and optionally enforce
+// (see services/complianceSchedules.js); their runs are kept as background jobs
+let schedules = [];
+const collection = createPersistentCollection('compliance_schedules');
+
+export const initSchedulesStore = async () => {
+  try {
+    schedules = await collection.load();
+    console.log(`⏰ Loaded ${schedules.length} compliance schedule(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load compliance schedules from storage:', error.message);
+  }
+};
+
+// filters: { environmentId, agreementId, enabled }
+export const getSchedules = ({ environmentId, agreementId, enabled } = {}) =>
+  schedules.filter(s =>
+    (!environmentId || s.environmentId === environmentId) &&
+    (!agreementId || s.agreementId === agreementId) &&
+    (enabled === undefined || s.enabled === enabled)
+  );
+
+export const getScheduleById = (id) => schedules.find(s => s.id === id);
+
+export const addSchedule = (scheduleData) => {
+  const schedule = {
+    id: `schedule-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    enabled: true,
+    ...scheduleData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  schedules.push(schedule);
+  collection.save(schedule);
+  return schedule;
+};
+
+export const updateSchedule = (id, updates) => {
+  const index = schedules.findIndex(s => s.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  schedules[index] = {
+    ...schedules[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  collection.save(schedules[index]);
+  return schedules[index];
+};
+
+export const deleteSchedule = (id) => {
+  const index = schedules.findIndex(s => s.id === id);
+  if (index === -1) {
+    return false;
+  }
+  schedules.splice(index, 1);
+  collection.remove(id);
+  return true;
+};
@@ -0,0 +1,133 @@
+// Unity Catalog Delta table storage backend
+// Each collection is a Delta table (<catalog>.<schema>.<prefix><collection>) holding one row
+// per record with the record serialized as JSON. Every write is a single MERGE/DELETE
+// statement, so it is atomic, and every app instance pointed at the same table sees the same data.
+
+import { sqlWarehouse } from '../../services/databricksClient.js';
+import { getCurrentSchemaVersion, migrateRecords } from './migrations.js';
+
+const LAYOUT_PROPERTY = 'compliance.storage.layoutVersion';
+
+// Table layout migrations (DDL), applied in order on startup
+const layoutMigrations = [
+  {
+    version: 1,
+    description: 'Create record table',
+    statements: (table) => [
+      `CREATE TABLE IF NOT EXISTS ${table} (
+        id STRING NOT NULL,
+        payload STRING,
+        schema_version INT,
+        updated_at TIMESTAMP
+      ) USING DELTA`,
+    ],
+  },
+];
+
+// Records deleted per statement by removeMany
+const REMOVE_BATCH_SIZE = 100;
+
+const quoteIdentifier = (name) => `\`${name.replace(/`/g, '``')}\``;
+
+export const createDeltaTableBackend = ({ environment, catalog, schema, tablePrefix }) => {
+  const tableFor = (collection) =>
+    [catalog, schema, `${tablePrefix}${collection}`].map(quoteIdentifier).join('.');
+
+  const getLayoutVersion = async (table) => {
+    try {
+      const rows = await sqlWarehouse.query(environment, `SHOW TBLPROPERTIES ${table} ('${LAYOUT_PROPERTY}')`);
+      const value = parseInt(rows[0]?.value);
+      return Number.isNaN(value) ? 0 : value;
+    } catch (error) {
+      // Table does not exist yet
+      return 0;
+    }
+  };
+
+  const migrateLayout = async (collection) => {
+    const table = tableFor(collection);
+    const currentVersion = await getLayoutVersion(table);
+    const pending = layoutMigrations.filter(m => m.version > currentVersion);
+
+    for (const migration of pending) {
+      console.log(`🔄 Migrating ${table} layout to v${migration.version}: ${migration.description}`);
+      for (const statement of migration.statements(table)) {
+        await sqlWarehouse.executeStatement(environment, statement);
+      }
+      await sqlWarehouse.executeStatement(
+        environment,
+        `ALTER TABLE ${table} SET TBLPROPERTIES ('${LAYOUT_PROPERTY}' = '${migration.version}')`
+      );
+    }
+  };
+
+  const upsertRow = async (collection, record) => {
+    await sqlWarehouse.executeStatement(
+      environment,
+      `MERGE INTO ${tableFor(collection)} AS target
+       USING (SELECT :id AS id, :payload AS payload, :schema_version AS schema_version, current_timestamp() AS updated_at) AS source
+       ON target.id = source.id
+       WHEN MATCHED THEN UPDATE SET *
+       WHEN NOT MATCHED THEN INSERT *`,
+      [
+        { name: 'id', value: record.id },
+        { name: 'payload', value: JSON.stringify(record) },
+        { name: 'schema_version', value: getCurrentSchemaVersion(collection), type: 'INT' },
+      ]
+    );
+  };
+
+  return {
+    name: 'delta',
+
+    async init() {
+      console.log(`💾 Delta table storage initialized in ${catalog}.${schema} (environment: ${environment})`);
+    },
+
+    async load(collection) {
+      await migrateLayout(collection);
+
+      const rows = await sqlWarehouse.query(
+        environment,
+        `SELECT id, payload, schema_version FROM ${tableFor(collection)}`
+      );
+
+      const records = [];
+      for (const row of rows) {
+        const fromVersion = parseInt(row.schema_version) || 0;
+        const { records: [record], migrated } = migrateRecords(collection, [JSON.parse(row.payload)], fromVersion);
+        if (migrated) {
+          await upsertRow(collection, record);
+        }
+        records.push(record);
+      }
+
+      return records;
+    },
+
+    async upsert(collection, record) {
+      await upsertRow(collection, record);
+    },
+
+    async remove(collection, id) {
+      await sqlWarehouse.executeStatement(
+        environment,
+        `DELETE FROM ${tableFor(collection)} WHERE id = :id`,
+        [{ name: 'id', value: id }]
+      );
+    },
+
+    async removeMany(collection, ids) {
+      for (let start = 0; start < ids.length; start += REMOVE_BATCH_SIZE) {
+        const batch = ids.slice(start, start + REMOVE_BATCH_SIZE);
+        await sqlWarehouse.executeStatement(
+          environment,
+          `DELETE FROM ${tableFor(collection)} WHERE id IN (${batch.map((_, i) => `:id${i}`).join(', ')})`,
+          batch.map((id, i) => ({ name: `id${i}`, value: id }))
+        );
+      }
+    },
+  };
+};
+
+export default createDeltaTableBackend;
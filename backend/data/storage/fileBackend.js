@@ -0,0 +1,87 @@
+// Embedded file storage backend
+// Each collection is a single JSON document ({ schemaVersion, records }) in the data dir.
+// Writes go to a temp file which is fsynced and renamed over the original, so a crash
+// mid-write never leaves a truncated collection behind.
+
+import fs from 'fs';
+import path from 'path';
+import { getCurrentSchemaVersion, migrateRecords } from './migrations.js';
+
+export const createFileBackend = ({ dataDir }) => {
+  // In-memory copy of each collection, keyed by record id
+  const collections = new Map();
+
+  const filePathFor = (collection) => path.join(dataDir, `${collection}.json`);
+
+  const writeAtomically = (collection) => {
+    const filePath = filePathFor(collection);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const document = {
+      schemaVersion: getCurrentSchemaVersion(collection),
+      updatedAt: new Date().toISOString(),
+      records: Array.from(collections.get(collection).values()),
+    };
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(document, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const ensureLoaded = (collection) => {
+    if (!collections.has(collection)) {
+      throw new Error(`Collection ${collection} has not been loaded`);
+    }
+  };
+
+  return {
+    name: 'file',
+
+    async init() {
+      fs.mkdirSync(dataDir, { recursive: true });
+      console.log(`💾 File storage initialized at ${dataDir}`);
+    },
+
+    async load(collection) {
+      const filePath = filePathFor(collection);
+      let document = { schemaVersion: getCurrentSchemaVersion(collection), records: [] };
+
+      if (fs.existsSync(filePath)) {
+        document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+
+      const { records, migrated } = migrateRecords(collection, document.records || [], document.schemaVersion || 0);
+      collections.set(collection, new Map(records.map(r => [r.id, r])));
+
+      if (migrated) {
+        writeAtomically(collection);
+      }
+
+      return records;
+    },
+
+    async upsert(collection, record) {
+      ensureLoaded(collection);
+      collections.get(collection).set(record.id, record);
+      writeAtomically(collection);
+    },
+
+    async remove(collection, id) {
+      ensureLoaded(collection);
+      collections.get(collection).delete(id);
+      writeAtomically(collection);
+    },
+
+    async removeMany(collection, ids) {
+      ensureLoaded(collection);
+      ids.forEach(id => collections.get(collection).delete(id));
+      writeAtomically(collection);
+    },
+  };
+};
+
+export default createFileBackend;
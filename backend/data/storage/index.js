@@ -0,0 +1,45 @@
+// Pluggable storage for app-owned data
+// Backend is selected with STORAGE_BACKEND (or settings.storage.backend):
+// - 'file': JSON documents in a local data dir (default, single instance)
+// - 'delta': Delta tables in Unity Catalog via a SQL warehouse (shared by every instance)
+
+import { getStorageSettings } from '../../config/databricks.js';
+import { createFileBackend } from './fileBackend.js';
+import { createDeltaTableBackend } from './deltaTableBackend.js';
+import { configureStorage, getStorageHealth } from './persistentCollection.js';
+
+let backend = null;
+let initPromise = null;
+
+const createBackend = (settings) => {
+  switch (settings.backend) {
+    case 'file':
+      return createFileBackend(settings);
+    case 'delta':
+      return createDeltaTableBackend(settings);
+    default:
+      throw new Error(`Unknown storage backend: ${settings.backend} (expected 'file' or 'delta')`);
+  }
+};
+
+// Initialize the configured backend (idempotent)
+export const initStorage = () => {
+  if (!initPromise) {
+    backend = createBackend(getStorageSettings());
+    initPromise = backend.init();
+  }
+  return initPromise;
+};
+
+export const getStorageBackendName = () => backend?.name || null;
+
+export { getStorageHealth };
+
+// Collections (see persistentCollection.js) persist through the backend initialized here
+configureStorage({ init: initStorage, backend: () => backend });
+
+export default {
+  initStorage,
+  getStorageBackendName,
+  getStorageHealth,
+};
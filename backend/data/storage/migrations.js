@@ -0,0 +1,96 @@
+// Record-level schema migrations for persisted collections
+// Each collection has an ordered list of migrations; a record stored at
+// schema version N is upgraded by running every migration with version > N.
+// Storage backends call migrateRecords() on load and write back anything that changed.
+
+const migrations = {
+  agreements: [
+    {
+      version: 1,
+      description: 'Normalize list fields on agreements created before durable storage',
+      up: (record) => ({
+        ...record,
+        environments: record.environments || [],
+        shares: record.shares || [],
+        requiredTags: record.requiredTags || [],
+        assetScopes: record.assetScopes || [],
+        parsedRequirements: record.parsedRequirements || [],
+        createdAt: record.createdAt || new Date().toISOString(),
+        updatedAt: record.updatedAt || record.createdAt || new Date().toISOString(),
+      }),
+    },
+    {
+      version: 2,
+      description: 'Add lifecycle status (agreements created before approvals were live, so start active)',
+      up: (record) => ({
+        ...record,
+        status: record.status || 'active',
+        statusHistory: record.statusHistory || [],
+        approvals: record.approvals || [],
+      }),
+    },
+    {
+      version: 3,
+      description: 'Add effective, expiry and renewal notice dates',
+      up: (record) => ({
+        ...record,
+        effectiveDate: record.effectiveDate || null,
+        expiryDate: record.expiryDate || null,
+        renewalNoticeDate: record.renewalNoticeDate || null,
+      }),
+    },
+    {
+      version: 4,
+      description: 'Add column-level requirements',
+      up: (record) => ({
+        ...record,
+        columnRequirements: record.columnRequirements || [],
+      }),
+    },
+    {
+      version: 5,
+      description: 'Add requirement rules (composed and conditional tag rules)',
+      up: (record) => ({
+        ...record,
+        rules: record.rules || [],
+      }),
+    },
+    {
+      version: 6,
+      description: 'Add requirement scope pattern',
+      up: (record) => ({
+        ...record,
+        scope: record.scope || 'all',
+      }),
+    },
+  ],
+};
+
+// Latest schema version for a collection (0 when it has no migrations)
+export const getCurrentSchemaVersion = (collection) => {
+  const list = migrations[collection] || [];
+  return list.length > 0 ? list[list.length - 1].version : 0;
+};
+
+// Upgrade records from fromVersion to the current schema version
+export const migrateRecords = (collection, records, fromVersion = 0) => {
+  const pending = (migrations[collection] || []).filter(m => m.version > fromVersion);
+
+  if (pending.length === 0) {
+    return { records, migrated: false };
+  }
+
+  console.log(`🔄 Migrating ${records.length} ${collection} record(s) from v${fromVersion} to v${pending[pending.length - 1].version}`);
+  pending.forEach(m => console.log(`   v${m.version}: ${m.description}`));
+
+  const migrated = records.map(record =>
+    pending.reduce((acc, migration) => migration.up(acc), record)
+  );
+
+  return { records: migrated, migrated: true };
+};
+
+export default {
+  getCurrentSchemaVersion,
+  migrateRecords,
+};
@@ -0,0 +1,155 @@
+// Named collections of records persisted through the storage backend
+// The backend is configured by index.js (see configureStorage). This module imports nothing, so
+// stores can use it from anywhere - including modules the delta backend itself imports, such as
+// the Databricks client - without an import cycle.
+
+let storage = null;
+
+// Writes that failed, per collection: record id -> { error, failedAt }. A record stays listed
+// until a later write of it succeeds, as until then memory and storage disagree about it.
+const failedWrites = new Map();
+
+// Set how collections reach the backend: { init() - initializes it (idempotent), backend() }
+export const configureStorage = (provider) => {
+  storage = provider;
+};
+
+const configuredStorage = () => {
+  if (!storage) {
+    throw new Error('No storage backend configured (see data/storage/index.js)');
+  }
+  return storage;
+};
+
+// Collections with writes that failed - reported by GET /health
+export const getStorageHealth = () => {
+  const failedCollections = [...failedWrites]
+    .filter(([, failures]) => failures.size > 0)
+    .map(([name, failures]) => {
+      const latest = [...failures.values()].sort((a, b) => b.failedAt.localeCompare(a.failedAt))[0];
+      return { name, failedRecords: [...failures.keys()], lastError: latest.error, lastFailedAt: latest.failedAt };
+    });
+  return { healthy: failedCollections.length === 0, failedCollections };
+};
+
+// A named collection of records ({ id, ... }) persisted through the active backend.
+// Writes are queued so they reach the backend in the order they were made. A write that fails
+// is logged and marks the collection unhealthy (see getStorageHealth) until the record is
+// written again successfully.
+export const createPersistentCollection = (name) => {
+  let writeQueue = Promise.resolve();
+  const failures = new Map();
+  failedWrites.set(name, failures);
+
+  // Records waiting for a deferred write (saveLater): id -> latest version
+  const deferred = new Map();
+  let deferredTimer = null;
+
+  const enqueue = (operation, ids, description) => {
+    writeQueue = writeQueue
+      .then(operation)
+      .then(
+        () => ids.forEach(id => failures.delete(id)),
+        error => {
+          console.error(`❌ Failed to persist ${description} in ${name}:`, error.message);
+          const failedAt = new Date().toISOString();
+          ids.forEach(id => failures.set(id, { error: error.message, failedAt }));
+        }
+      );
+    return writeQueue;
+  };
+
+  const save = (record) => {
+    deferred.delete(record.id);
+    return enqueue(() => configuredStorage().backend().upsert(name, record), [record.id], `record ${record.id}`);
+  };
+
+  const writeDeferred = () => {
+    clearTimeout(deferredTimer);
+    deferredTimer = null;
+    [...deferred.values()].forEach(save);
+  };
+
+  const removeMany = (ids) => {
+    if (ids.length === 0) {
+      return writeQueue;
+    }
+    ids.forEach(id => deferred.delete(id));
+    const backend = () => configuredStorage().backend();
+    return enqueue(
+      async () => {
+        if (backend().removeMany) {
+          await backend().removeMany(name, ids);
+        } else {
+          for (const id of ids) await backend().remove(name, id);
+        }
+      },
+      ids,
+      ids.length === 1 ? `removal of ${ids[0]}` : `removal of ${ids.length} records`
+    );
+  };
+
+  return {
+    name,
+
+    async load() {
+      await configuredStorage().init();
+      return configuredStorage().backend().load(name);
+    },
+
+    save,
+
+    // Save a record within delayMs, writing only its latest version if it changes again
+    // meanwhile - for frequent updates (such as progress) that may be lost in a crash. A save()
+    // or removal of the record replaces the pending write.
+    saveLater(record, delayMs) {
+      deferred.set(record.id, record);
+      if (!deferredTimer) {
+        deferredTimer = setTimeout(writeDeferred, delayMs);
+        deferredTimer.unref?.();
+      }
+    },
+
+    remove(id) {
+      return removeMany([id]);
+    },
+
+    removeMany,
+
+    // Retention: drop the records canPrune allows dropping that are older than olderThan (ISO
+    // timestamp) or beyond the newest max, by timestampOf. records is the store's array and is
+    // changed in place; the dropped records are removed from storage and returned.
+    prune(records, { max = Infinity, olderThan = null, canPrune = () => true, timestampOf }) {
+      // Newest first; of records with the same timestamp the one added last counts as newer
+      const prunable = records
+        .filter(canPrune)
+        .sort((a, b) => (timestampOf(a) || '').localeCompare(timestampOf(b) || ''))
+        .reverse();
+      const dropped = prunable.filter((record, index) =>
+        index >= max || (olderThan && (timestampOf(record) || '') < olderThan)
+      );
+      if (dropped.length === 0) {
+        return [];
+      }
+
+      const droppedIds = new Set(dropped.map(r => r.id));
+      for (let index = records.length - 1; index >= 0; index--) {
+        if (droppedIds.has(records[index].id)) records.splice(index, 1);
+      }
+      removeMany([...droppedIds]);
+      return dropped;
+    },
+
+    // Resolves once every queued write - and any deferred one, written now - has been attempted
+    flush() {
+      writeDeferred();
+      return writeQueue;
+    },
+  };
+};
+
+export default {
+  configureStorage,
+  getStorageHealth,
+  createPersistentCollection,
+};
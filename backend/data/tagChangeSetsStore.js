@@ -0,0 +1,59 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Tag change sets - before/after snapshots of every tag write, grouped per operation
+// (see services/tagChangeSets.js) so a bad change can be rolled back. Only the most recent
+// MAX_CHANGE_SETS are kept.
+let changeSets = [];
+const collection = createPersistentCollection('tag_change_sets');
+
+const MAX_CHANGE_SETS = parseInt(process.env.TAG_CHANGE_SETS_KEPT || '500');
+
+export const initTagChangeSetsStore = async () => {
+  try {
+    changeSets = await collection.load();
+    console.log(`🕘 Loaded ${changeSets.length} tag change set(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load tag change sets from storage:', error.message);
+  }
+};
+
+// filters: { status, sourceType, environmentId }
+export const getChangeSets = ({ status, sourceType, environmentId } = {}) =>
+  changeSets.filter(c =>
+    (!status || c.status === status) &&
+    (!sourceType || c.source?.type === sourceType) &&
+    (!environmentId || c.environmentId === environmentId)
+  );
+
+export const getChangeSetById = (id) => changeSets.find(c => c.id === id);
+
+export const addChangeSet = (changeSetData) => {
+  const changeSet = {
+    id: `changeset-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    status: 'applied',
+    ...changeSetData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  changeSets.push(changeSet);
+  collection.save(changeSet);
+
+  // Drop the oldest change sets beyond the limit - they can no longer be rolled back
+  collection.prune(changeSets, { max: MAX_CHANGE_SETS, timestampOf: c => c.createdAt });
+  return changeSet;
+};
+
+export const updateChangeSet = (id, updates) => {
+  const index = changeSets.findIndex(c => c.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  changeSets[index] = {
+    ...changeSets[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  collection.save(changeSets[index]);
+  return changeSets[index];
+};
@@ -0,0 +1,54 @@
+import { createPersistentCollection } from './storage/persistentCollection.js';
+
+// Compliance waivers - accepted violations of an agreement requirement on one asset
+// Waivers are never deleted: rejected, revoked and expired waivers stay as an audit trail.
+let waivers = [];
+const collection = createPersistentCollection('waivers');
+
+export const initWaiversStore = async () => {
+  try {
+    waivers = await collection.load();
+    console.log(`🛡️  Loaded ${waivers.length} waiver(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load waivers from storage:', error.message);
+  }
+};
+
+// filters: { status, assetId, agreementId }
+export const getWaivers = ({ status, assetId, agreementId } = {}) =>
+  waivers.filter(w =>
+    (!status || w.status === status) &&
+    (!assetId || w.assetId === assetId) &&
+    (!agreementId || w.agreementId === agreementId)
+  );
+
+export const getWaiverById = (id) => waivers.find(w => w.id === id);
+
+export const addWaiver = (waiverData) => {
+  const waiver = {
+    id: `waiver-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    status: 'pending',
+    statusHistory: [],
+    ...waiverData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  waivers.push(waiver);
+  collection.save(waiver);
+  return waiver;
+};
+
+export const updateWaiver = (id, updates) => {
+  const index = waivers.findIndex(w => w.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  waivers[index] = {
+    ...waivers[index],
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  collection.save(waivers[index]);
+  return waivers[index];
+};
@@ -3,19 +3,108 @@ import {
   getAllAgreements, 
   getAgreementById, 
   addAgreement, 
+  updateAgreement,
   deleteAgreement 
 } from '../data/agreementsStore.js';
+import { getRevisions, getRevision, getLatestRevision } from '../data/agreementRevisions.js';
+import { diffAgreements } from '../services/agreementDiff.js';
+import {
+  AGREEMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  getAgreementApprovers,
+  canApprove,
+  isEditable,
+  buildStatusChange,
+  statusAfterEdit,
+  transitionAgreement,
+  approveAgreement,
+  rejectAgreement,
+} from '../services/agreementLifecycle.js';
+import { normalizeAgreementDates, getExpiryStatus, isPastExpiry } from '../services/agreementExpiry.js';
+import { clearValidationCache } from './validation.js';
+import {
+  AGREEMENT_FILE_EXTENSIONS,
+  getAgreementFileFormat,
+  isStructuredFormat,
+  parseAgreementSpec,
+  serializeAgreementSpec,
+  validateColumnRequirements,
+} from '../services/agreementSpec.js';
+import { buildTagRequirements, validateRequirements } from '../services/requirementRules.js';
+import { validateScope } from '../services/scopeMatcher.js';
+import { SIGNATURE_EXTENSION, signAgreementContent, verifyAgreementSignature } from '../services/agreementSigning.js';
 import { parseAgreement } from '../services/aiParserStub.js';
-import { enforceAgreement, enforceAllAgreements } from '../services/complianceEnforcement.js';
-import { createDatabricksClient } from '../services/databricksClient.js';
+import {
+  enforceAgreement,
+  getEnforceableAgreement,
+  startEnforcementRun,
+} from '../services/complianceEnforcement.js';
+import { createDatabricksClient, deltaSharing } from '../services/databricksClient.js';
+import { enqueueJob, registerJobType } from '../services/jobQueue.js';
 import { clearRegistry } from '../data/sharesRegistry.js';
 
 const router = express.Router();
 
+// Who made a change and why, recorded in the agreement's revision log
+const changeMeta = (req, defaultReason = null) => ({
+  changedBy: req.databricksUser?.email || 'unknown',
+  reason: req.body?.changeReason || req.query?.changeReason || defaultReason,
+});
+
+// Agreements ingested from a provider need review before they are enforced
+const ingestedStatus = (shareName, actor) => {
+  const existing = getAllAgreements().find(a => a.shares?.includes(shareName) && a.source === 'ingested');
+  return buildStatusChange(existing, 'pending_review', {
+    actor,
+    comment: 'Ingested from provider share - review required',
+  });
+};
+
+// Agreement created from a provider's agreement file (result of readAgreementFromVolume)
+const ingestedAgreementData = (environment, shareName, result, actor) => ({
+  name: `${shareName} - Provider Agreement`,
+  description: `Ingested from consumed share: ${shareName}`,
+  content: result.parsed.content || result.content,
+  environments: [environment],
+  shares: [shareName],
+  requiredTags: result.parsed.requiredTags || [],
+  rules: result.parsed.rules,
+  scope: result.parsed.scope || 'all',
+  columnRequirements: result.parsed.columnRequirements,
+  retentionYears: result.parsed.retentionYears,
+  disseminationRules: result.parsed.disseminationRules,
+  effectiveDate: result.parsed.effectiveDate,
+  expiryDate: result.parsed.expiryDate,
+  renewalNoticeDate: result.parsed.renewalNoticeDate,
+  source: 'ingested',
+  sourceFile: result.filePath,
+  sourceFormat: result.format,
+  signatureVerification: result.signatureVerification,
+  ingestedAt: new Date().toISOString(),
+  ...ingestedStatus(shareName, actor),
+  parsedRequirements: buildTagRequirements(result.parsed.requiredTags, result.parsed.rules, 'Required tags from provider agreement', result.parsed.scope),
+});
+
+// Read agreement files as raw text - signatures are checked against the exact bytes
+const RAW_FILE_OPTIONS = { responseType: 'text', transformResponse: [data => data] };
+
 // Cache for volume loading (to prevent excessive API calls)
-let volumeLoadCache = { data: [], timestamp: 0 };
+let volumeLoadCache = { data: [], errors: [], timestamp: 0 };
 const VOLUME_CACHE_TTL = 2 * 60 * 1000; // 2 minutes
 
+// Agreement files ending in _agreement (optionally timestamped) with a supported extension
+const AGREEMENT_FILE_PATTERN = /_agreement(_\d+)?\.(ya?ml|json|txt)$/i;
+
+// Parse an agreement file in any supported format into agreement fields
+// Structured (YAML/JSON) files throw with validationErrors when they don't match the schema
+function parseAgreementFile(content, fileName) {
+  const format = getAgreementFileFormat(fileName);
+  if (isStructuredFormat(format)) {
+    return { format, ...parseAgreementSpec(content, format, fileName) };
+  }
+  return { format: 'text', columnRequirements: [], rules: [], ...parseAgreementContent(content) };
+}
+
 // Helper function to load ALL agreements from the central volume
 async function loadAllAgreementsFromVolume(envId) {
   // Check cache first
@@ -36,17 +125,22 @@ async function loadAllAgreementsFromVolume(envId) {
     try {
       // List all files in the agreements volume
       const response = await client.get(`/api/2.0/fs/directories${volumePath}`);
-      const files = response.data?.contents?.filter(f => f.name.endsWith('.txt')) || [];
+      // Structured files first so they win over a legacy .txt file for the same share
+      const formatRank = (f) => (isStructuredFormat(getAgreementFileFormat(f.name)) ? 0 : 1);
+      const files = (response.data?.contents?.filter(f => getAgreementFileFormat(f.name)) || [])
+        .sort((a, b) => formatRank(a) - formatRank(b));
       
       if (files.length === 0) {
         console.log('   No agreement files found in volume');
-        volumeLoadCache = { data: [], timestamp: Date.now() };
+        volumeLoadCache = { data: [], errors: [], timestamp: Date.now() };
         return [];
       }
       
       console.log(`   Found ${files.length} agreement file(s) in volume`);
       
       const agreements = [];
+      const errors = [];
+      const loadedShares = new Set();
       
       // Read each agreement file (limit to first 20 to avoid overload)
       const filesToRead = files.slice(0, 20);
@@ -59,54 +153,66 @@ async function loadAllAgreementsFromVolume(envId) {
           const filePath = `${volumePath}/${file.name}`;
           console.log(`   📥 Reading: ${file.name}`);
           
-          const fileResponse = await client.get(`/api/2.0/fs/files${filePath}`);
+          const fileResponse = await client.get(`/api/2.0/fs/files${filePath}`, RAW_FILE_OPTIONS);
           const content = fileResponse.data;
           
           // Parse the agreement content
-          const parsed = parseAgreementContent(content);
+          const parsed = parseAgreementFile(content, file.name);
           
-          // Extract share name from filename (e.g., "my_share_agreement.txt" -> "my_share")
-          const shareName = file.name.replace(/_agreement\.txt$/, '');
+          // Structured files name their shares; otherwise extract the share name
+          // from the filename (e.g., "my_share_agreement.txt" -> "my_share")
+          const shares = parsed.shares?.length > 0 ? parsed.shares : [file.name.replace(AGREEMENT_FILE_PATTERN, '')];
+          if (shares.every(share => loadedShares.has(share))) {
+            console.log(`   ⏭️  Skipping ${file.name}: already loaded from a structured agreement file`);
+            continue;
+          }
+          shares.forEach(share => loadedShares.add(share));
+          const shareName = shares[0];
           
           const agreementData = {
             name: parsed.name || `${shareName} - Agreement`,
             description: parsed.description || `Loaded from volume: ${file.name}`,
-            content,
+            content: parsed.content || content,
             environments: [envId],
-            shares: [shareName],
+            shares,
             requiredTags: parsed.requiredTags || [],
+            rules: parsed.rules,
+            scope: parsed.scope || 'all',
+            columnRequirements: parsed.columnRequirements,
             retentionYears: parsed.retentionYears,
             disseminationRules: parsed.disseminationRules,
+            effectiveDate: parsed.effectiveDate,
+            expiryDate: parsed.expiryDate,
+            renewalNoticeDate: parsed.renewalNoticeDate,
             source: 'volume',
             sourceFile: filePath,
+            sourceFormat: parsed.format,
             loadedAt: new Date().toISOString(),
-            parsedRequirements: parsed.requiredTags.length > 0 ? [{
-              requiredTags: parsed.requiredTags.reduce((acc, tag) => {
-                acc[tag.key] = tag.value;
-                return acc;
-              }, {}),
-              scope: 'all',
-              severity: 'critical',
-              reason: 'Required tags from agreement',
-            }] : [],
+            parsedRequirements: buildTagRequirements(parsed.requiredTags, parsed.rules, 'Required tags from agreement', parsed.scope),
           };
           
           agreements.push(agreementData);
         } catch (error) {
           console.warn(`   ⚠️  Failed to read ${file.name}:`, error.message);
+          (error.validationErrors || []).forEach(e => console.warn(`      - ${e}`));
+          errors.push({
+            file: file.name,
+            message: error.message,
+            errors: error.validationErrors || [],
+          });
         }
       }
       
       console.log(`✅ Loaded ${agreements.length} agreement(s) from volume`);
       
       // Cache the results
-      volumeLoadCache = { data: agreements, timestamp: Date.now() };
+      volumeLoadCache = { data: agreements, errors, timestamp: Date.now() };
       
       return agreements;
     } catch (error) {
       if (error.response?.status === 404) {
         console.log('   Agreements volume not found (this is normal if not set up yet)');
-        volumeLoadCache = { data: [], timestamp: Date.now() };
+        volumeLoadCache = { data: [], errors: [], timestamp: Date.now() };
         return [];
       }
       throw error;
@@ -118,6 +224,7 @@ async function loadAllAgreementsFromVolume(envId) {
 }
 
 // Helper function to read agreement from consumed share volume
+// Looks for <share>_agreement.yaml / .yml / .json before the legacy .txt file
 async function readAgreementFromVolume(envId, shareName) {
   try {
     const client = await createDatabricksClient(envId);
@@ -125,45 +232,81 @@ async function readAgreementFromVolume(envId, shareName) {
     const catalogName = 'main'; // Central location for all agreements
     const schemaName = 'default';
     const volumePath = `/Volumes/${catalogName}/${schemaName}/${volumeName}`;
+    const candidates = AGREEMENT_FILE_EXTENSIONS.map(ext => `${shareName}_agreement${ext}`);
     
-    try {
-      // Look for agreement file for this specific share
-      const fileName = `${shareName}_agreement.txt`;
+    for (const fileName of candidates) {
       const filePath = `${volumePath}/${fileName}`;
+      let content;
       
-      console.log(`📥 Reading agreement for ${shareName} from: ${filePath}`);
-      
-      const fileResponse = await client.get(`/api/2.0/fs/files${filePath}`);
-      const content = fileResponse.data;
-      
-      // Parse the agreement content
-      const parsed = parseAgreementContent(content);
-      
-      return {
-        found: true,
-        filePath,
-        fileName,
-        content,
-        parsed,
-      };
-    } catch (readError) {
-      // File not found for this specific share
-      if (readError.response?.status === 404) {
+      try {
+        const fileResponse = await client.get(`/api/2.0/fs/files${filePath}`, RAW_FILE_OPTIONS);
+        content = fileResponse.data;
+      } catch (readError) {
+        // File not found in this format - try the next one
+        if (readError.response?.status === 404) {
+          continue;
+        }
+        
+        // Other errors (volume not accessible, etc.)
         return {
           found: false,
-          message: `No agreement file found for share: ${shareName}`,
+          message: 'Agreement volume does not exist or is not accessible',
           volumePath,
-          expectedFile: fileName,
         };
       }
       
-      // Other errors (volume not accessible, etc.)
-      return {
-        found: false,
-        message: 'Agreement volume does not exist or is not accessible',
-        volumePath,
-      };
+      console.log(`📥 Reading agreement for ${shareName} from: ${filePath}`);
+      
+      // Detached signature next to the file (optional)
+      let signatureFile = null;
+      try {
+        const signatureResponse = await client.get(`/api/2.0/fs/files${filePath}${SIGNATURE_EXTENSION}`, RAW_FILE_OPTIONS);
+        signatureFile = signatureResponse.data;
+      } catch (signatureError) {
+        if (signatureError.response?.status !== 404) {
+          console.warn(`⚠️  Could not read signature for ${fileName}:`, signatureError.message);
+        }
+      }
+      // The key has to belong to the provider the share comes from
+      const provider = signatureFile ? await deltaSharing.getShareProvider(envId, shareName) : null;
+      const signatureVerification = verifyAgreementSignature(content, signatureFile, { shareName, provider });
+      if (['tampered', 'mismatch'].includes(signatureVerification.status)) {
+        console.warn(`🚨 Agreement file ${fileName} failed signature verification: ${signatureVerification.reason}`);
+      }
+      
+      try {
+        // Parse the agreement content
+        const parsed = parseAgreementFile(content, fileName);
+        
+        return {
+          found: true,
+          filePath,
+          fileName,
+          format: parsed.format,
+          content,
+          parsed,
+          signatureVerification,
+        };
+      } catch (parseError) {
+        return {
+          found: true,
+          invalid: true,
+          filePath,
+          fileName,
+          message: parseError.message,
+          validationErrors: parseError.validationErrors || [],
+          signatureVerification,
+        };
+      }
     }
+    
+    // No agreement file for this specific share
+    return {
+      found: false,
+      message: `No agreement file found for share: ${shareName}`,
+      volumePath,
+      expectedFile: candidates,
+    };
   } catch (error) {
     console.error(`Error reading agreement from volume:`, error.message);
     return {
@@ -180,10 +323,16 @@ function parseAgreementContent(content) {
     name: '',
     description: '',
     retentionYears: '',
+    effectiveDate: null,
+    expiryDate: null,
+    renewalNoticeDate: null,
     requiredTags: [],
     disseminationRules: '',
   };
   
+  // Dates are written as YYYY-MM-DD ("Not specified" when absent)
+  const parseDate = (line) => line.match(/(\d{4}-\d{2}-\d{2})/)?.[1] || null;
+  
   let inTagsSection = false;
   let inDisseminationSection = false;
   
@@ -195,6 +344,12 @@ function parseAgreementContent(content) {
     } else if (line.startsWith('Retention Period:')) {
       const match = line.match(/(\d+)\s*years?/i);
       if (match) parsed.retentionYears = match[1];
+    } else if (line.startsWith('Effective Date:')) {
+      parsed.effectiveDate = parseDate(line);
+    } else if (line.startsWith('Expiry Date:')) {
+      parsed.expiryDate = parseDate(line);
+    } else if (line.startsWith('Renewal Notice Date:')) {
+      parsed.renewalNoticeDate = parseDate(line);
     } else if (line.includes('## Required Tags')) {
       inTagsSection = true;
       inDisseminationSection = false;
@@ -228,44 +383,14 @@ async function saveAgreementToVolume(envId, shareName, agreementData) {
     const volumeName = 'agreements';
     const catalogName = 'main'; // Central location for all agreements
     const schemaName = 'default';
-    const fileName = `${agreementData.name.replace(/[^a-z0-9_]/gi, '_').toLowerCase()}_agreement_${Date.now()}.txt`;
+    const fileName = `${agreementData.name.replace(/[^a-z0-9_]/gi, '_').toLowerCase()}_agreement_${Date.now()}.yaml`;
     const volumePath = `/Volumes/${catalogName}/${schemaName}/${volumeName}/${fileName}`;
     
-    // Generate agreement content as structured text
-    const tagsList = agreementData.requiredTags
-      .filter(t => t.key && t.value)
-      .map(tag => `  - ${tag.key}: ${tag.value}`)
-      .join('\n') || '  None specified';
-    
-    const agreementContent = `# Data Sharing Agreement: ${agreementData.name}
-# Created: ${new Date().toISOString()}
-# 
-# This file should be included in the Delta Share to communicate
-# compliance requirements to data consumers.
-# ========================================================================
-
-## Agreement Details
-Name: ${agreementData.name}
-Description: ${agreementData.description || 'N/A'}
-Retention Period: ${agreementData.retentionYears ? agreementData.retentionYears + ' years' : 'Not specified'}
-
-## Required Tags
-The following tags MUST be applied to all tables in this share
-and any derivative tables:
-${tagsList}
-
-## Dissemination Rules
-${agreementData.disseminationRules || 'Not specified'}
-
-## Full Agreement Text
-${agreementData.content}
-
-## Instructions for Consumers
-1. Review the required tags above
-2. Apply these tags (or your organization's equivalent) to all consumed tables
-3. Ensure all derivative tables maintain these tags
-4. Comply with retention and dissemination rules
-`;
+    // Generate the versioned agreement spec (see services/agreementSpec.js)
+    const agreementContent = serializeAgreementSpec({
+      ...agreementData,
+      shares: agreementData.shares?.length > 0 ? agreementData.shares : [shareName],
+    });
     
     try {
       // Upload file to volume using Files API
@@ -285,9 +410,25 @@ ${agreementData.content}
       
       console.log(`✅ Agreement successfully saved to ${volumePath}`);
       
+      // Detached signature so consumers can check the file came from us unchanged
+      const signature = signAgreementContent(agreementContent);
+      if (signature) {
+        await client.put(
+          `/api/2.0/fs/files${volumePath}${SIGNATURE_EXTENSION}`,
+          JSON.stringify(signature, null, 2),
+          {
+            headers: {
+              'Content-Type': 'text/plain',
+            }
+          }
+        );
+        console.log(`🔏 Agreement signed with key ${signature.keyId}`);
+      }
+      
       return {
         volumePath,
         content: agreementContent,
+        signature: signature ? { keyId: signature.keyId, contentHash: signature.contentHash } : null,
         instructions: `File saved to ${volumePath}. Include this volume in your Delta Share.`,
       };
     } catch (uploadError) {
@@ -331,7 +472,15 @@ router.get('/', async (req, res) => {
         
         if (!alreadyExists) {
           console.log(`   ➕ Adding volume agreement for ${volShareName}`);
-          addAgreement(volAgreement);
+          // Anyone who can write to the volume can publish a file there, so agreements loaded from it
+          // are reviewed like any other before they're enforced (unless already past their expiry date)
+          const expired = isPastExpiry(volAgreement);
+          addAgreement({
+            ...volAgreement,
+            ...buildStatusChange(null, expired ? 'expired' : 'pending_review', {
+              comment: expired ? `Published on agreements volume, expired on ${volAgreement.expiryDate}` : 'Published on agreements volume',
+            }),
+          }, { changedBy: 'system', reason: 'Loaded from agreements volume' });
         }
       });
       
@@ -339,15 +488,90 @@ router.get('/', async (req, res) => {
       console.log(`✅ Volume agreements loaded (${volumeAgreements.length} found)`);
     }
     
-    // Return all agreements from in-memory store
+    // Return all agreements from in-memory store (optionally filtered by ?status=)
+    const { status } = req.query;
     const allAgreements = getAllAgreements();
-    res.json(allAgreements);
+    res.json(status ? allAgreements.filter(a => a.status === status) : allAgreements);
   } catch (error) {
     console.error('Error fetching agreements:', error);
     res.status(500).json({ error: 'Failed to fetch agreements', message: error.message });
   }
 });
 
+// GET lifecycle states and allowed transitions
+router.get('/lifecycle', (req, res) => {
+  res.json({
+    statuses: AGREEMENT_STATUSES,
+    transitions: STATUS_TRANSITIONS,
+    currentUser: req.databricksUser?.email || null,
+  });
+});
+
+// GET agreements in their renewal window or already expired
+router.get('/expiring', (req, res) => {
+  res.json(getExpiryStatus());
+});
+
+// GET agreements waiting for approval, with who may approve them
+router.get('/approvals/pending', (req, res) => {
+  const currentUser = req.databricksUser?.email || null;
+  const pending = getAllAgreements()
+    .filter(a => a.status === 'pending_review')
+    .map(a => ({
+      ...a,
+      ...getAgreementApprovers(a),
+      canApprove: canApprove(a, currentUser),
+    }));
+
+  res.json({ currentUser, agreements: pending });
+});
+
+// GET problems found in agreement files on the volume during the last load
+router.get('/volume-errors', (req, res) => {
+  res.json({
+    loadedAt: volumeLoadCache.timestamp ? new Date(volumeLoadCache.timestamp).toISOString() : null,
+    errors: volumeLoadCache.errors,
+  });
+});
+
+// POST validate a YAML/JSON agreement spec without saving it
+router.post('/spec/validate', (req, res) => {
+  const { content, format = 'yaml' } = req.body;
+  
+  if (!content) {
+    return res.status(400).json({ error: 'Missing required field: content' });
+  }
+  if (!isStructuredFormat(format)) {
+    return res.status(400).json({ error: 'Invalid format', message: 'format must be yaml or json' });
+  }
+  
+  try {
+    const agreement = parseAgreementSpec(content, format, `Agreement ${format.toUpperCase()}`);
+    res.json({ valid: true, agreement });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      valid: false,
+      error: 'Invalid agreement spec',
+      message: error.message,
+      validationErrors: error.validationErrors || [],
+    });
+  }
+});
+
+// GET agreement as a YAML/JSON agreement spec (?format=json)
+router.get('/:id/spec', (req, res) => {
+  const agreement = getAgreementById(req.params.id);
+  if (!agreement) {
+    return res.status(404).json({ error: 'Agreement not found' });
+  }
+  
+  const format = req.query.format === 'json' ? 'json' : 'yaml';
+  const fileName = `${agreement.name.replace(/[^a-z0-9_]/gi, '_').toLowerCase()}_agreement.${format}`;
+  res.type(format === 'json' ? 'application/json' : 'text/yaml');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(serializeAgreementSpec(agreement, format));
+});
+
 // GET single agreement
 router.get('/:id', (req, res) => {
   const agreement = getAgreementById(req.params.id);
@@ -358,6 +582,136 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// Agreement fields that make up its terms (restored from a revision snapshot)
+const AGREEMENT_TERM_FIELDS = [
+  'name',
+  'description',
+  'content',
+  'environments',
+  'shares',
+  'requiredTags',
+  'rules',
+  'scope',
+  'retentionYears',
+  'disseminationRules',
+  'effectiveDate',
+  'expiryDate',
+  'renewalNoticeDate',
+  'assetScopes',
+  'columnRequirements',
+  'parsedRequirements',
+];
+
+// GET revision history for an agreement (also available after deletion)
+router.get('/:id/revisions', (req, res) => {
+  const revisions = getRevisions(req.params.id);
+  if (revisions.length === 0) {
+    return res.status(404).json({ error: 'No revisions found for agreement' });
+  }
+  res.json(revisions);
+});
+
+// GET diff between two revisions (?from=N&to=M, defaults to the latest change)
+router.get('/:id/revisions/diff', (req, res) => {
+  const latest = getLatestRevision(req.params.id);
+  if (!latest) {
+    return res.status(404).json({ error: 'No revisions found for agreement' });
+  }
+
+  const toNumber = req.query.to ? parseInt(req.query.to) : latest.revision;
+  const fromNumber = req.query.from ? parseInt(req.query.from) : toNumber - 1;
+  const to = getRevision(req.params.id, toNumber);
+  const from = getRevision(req.params.id, fromNumber);
+
+  if (!to || !from) {
+    return res.status(404).json({
+      error: 'Revision not found',
+      message: `Agreement has revisions 1-${latest.revision}`,
+    });
+  }
+
+  const summarize = (r) => ({
+    revision: r.revision,
+    action: r.action,
+    changedBy: r.changedBy,
+    changedAt: r.changedAt,
+    reason: r.reason,
+  });
+
+  res.json({
+    agreementId: req.params.id,
+    from: summarize(from),
+    to: summarize(to),
+    diff: diffAgreements(from.snapshot, to.snapshot),
+  });
+});
+
+// GET single revision
+router.get('/:id/revisions/:revision', (req, res) => {
+  const revision = getRevision(req.params.id, req.params.revision);
+  if (revision) {
+    res.json(revision);
+  } else {
+    res.status(404).json({ error: 'Revision not found' });
+  }
+});
+
+// POST restore an agreement to the terms of an earlier revision
+// The restore is recorded as a new revision, so history is never rewritten.
+router.post('/:id/revisions/:revision/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revision = getRevision(id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const existingAgreement = getAgreementById(id);
+    if (!existingAgreement) {
+      return res.status(409).json({
+        error: 'Agreement has been deleted',
+        message: 'Deleted agreements cannot be restored from their revisions',
+      });
+    }
+    if (!isEditable(existingAgreement)) {
+      return res.status(409).json({ error: `Agreement is ${existingAgreement.status} and can no longer be edited` });
+    }
+
+    const agreementData = AGREEMENT_TERM_FIELDS.reduce((acc, field) => {
+      if (revision.snapshot[field] !== undefined) {
+        acc[field] = revision.snapshot[field];
+      }
+      return acc;
+    }, {});
+
+    // Restored terms must be approved again before they are enforced
+    Object.assign(agreementData, statusAfterEdit(existingAgreement, { actor: req.databricksUser?.email }));
+
+    // Republish the restored terms for PROVIDED shares (ingested agreements belong to the provider)
+    if (existingAgreement.source !== 'ingested') {
+      agreementData.volumePaths = await rewriteAgreementVolumeFiles(existingAgreement, agreementData);
+    }
+
+    const restoredAgreement = updateAgreement(id, agreementData, {
+      ...changeMeta(req, `Restored revision ${revision.revision}`),
+      action: 'restore',
+      restoredFrom: revision.revision,
+    });
+
+    // Invalidate cache to trigger reload on next GET
+    volumeAgreementsLoaded = false;
+    clearValidationCache();
+
+    res.json({
+      agreement: restoredAgreement,
+      revision: getLatestRevision(id),
+    });
+  } catch (error) {
+    console.error('Error restoring agreement revision:', error);
+    res.status(500).json({ error: 'Failed to restore agreement revision', message: error.message });
+  }
+});
+
 // POST new agreement
 router.post('/', async (req, res) => {
   try {
@@ -368,42 +722,75 @@ router.post('/', async (req, res) => {
       environments, 
       shares, 
       requiredTags, 
+      rules,
+      scope,
       retentionYears, 
       disseminationRules,
-      assetScopes
+      assetScopes,
+      columnRequirements,
+      effectiveDate,
+      expiryDate,
+      renewalNoticeDate,
+      submitForReview
     } = req.body;
     
+    let dates;
+    try {
+      dates = normalizeAgreementDates({ effectiveDate, expiryDate, renewalNoticeDate });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid agreement dates', message: error.message });
+    }
+    
+    const requirementScope = typeof scope === 'string' && scope.trim() ? scope.trim() : 'all';
+    const scopeErrors = validateScope(requirementScope);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scope', message: scopeErrors.join('; '), validationErrors: scopeErrors });
+    }
+    
+    const requirementCheck = validateRequirements({ requiredTags, rules });
+    if (requirementCheck.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid requirements',
+        message: requirementCheck.errors.join('; '),
+        validationErrors: requirementCheck.errors,
+      });
+    }
+    
+    const columnCheck = validateColumnRequirements(columnRequirements);
+    if (columnCheck.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid column requirements',
+        message: columnCheck.errors.join('; '),
+        validationErrors: columnCheck.errors,
+      });
+    }
+    
     // Parse the agreement content to extract requirements
     const parsed = parseAgreement(content);
     
-    // Convert requiredTags array to object format for requirements
-    const tagRequirements = requiredTags
-      .filter(tag => tag.key && tag.value)
-      .reduce((acc, tag) => {
-        acc[tag.key] = tag.value;
-        return acc;
-      }, {});
-    
-    // Create agreement data
+    // Create agreement data (starts as a draft unless submitted for review straight away)
     const agreementData = {
+      ...buildStatusChange(null, submitForReview ? 'pending_review' : 'draft', {
+        actor: req.databricksUser?.email,
+        comment: 'Agreement created',
+      }),
       name,
       description,
       content,
       environments: environments || [],
       shares: shares || [],
-      requiredTags: requiredTags || [],
+      requiredTags: requirementCheck.requiredTags,
+      rules: requirementCheck.rules,
+      scope: requirementScope,
       retentionYears,
       disseminationRules,
+      ...dates,
       assetScopes: assetScopes || [],
+      columnRequirements: columnCheck.columnRequirements,
       parsedRequirements: [
         ...parsed.requirements,
-        // Add a requirement for the user-specified tags
-        ...(Object.keys(tagRequirements).length > 0 ? [{
-          requiredTags: tagRequirements,
-          scope: 'all',
-          severity: 'critical',
-          reason: 'User-defined tags from sharing agreement',
-        }] : []),
+        // Add a requirement for the user-specified tags and rules
+        ...buildTagRequirements(requirementCheck.requiredTags, requirementCheck.rules, 'User-defined tags from sharing agreement', requirementScope),
       ],
     };
     
@@ -464,7 +851,7 @@ router.post('/', async (req, res) => {
     // Add volume paths to agreement data
     agreementData.volumePaths = volumeSaveResults;
     
-    const newAgreement = addAgreement(agreementData);
+    const newAgreement = addAgreement(agreementData, changeMeta(req, 'Agreement created'));
     
     // Mark that we should reload from volume on next GET (in case agreement was saved to volume)
     volumeAgreementsLoaded = false;
@@ -483,109 +870,86 @@ router.post('/parse', (req, res) => {
   res.json(result);
 });
 
-// POST bulk ingest agreements from multiple consumed shares
-router.post('/ingest-bulk', async (req, res) => {
+/**
+ * Ingest the agreement file of one consumed share, unless its agreement was ingested already
+ * An invalid agreement file fails the share (so it is retried with the job).
+ */
+async function ingestShareAgreement(environment, shareName, actor) {
+  const alreadyExists = getAllAgreements().some(a =>
+    a.shares && a.shares.includes(shareName) && a.source === 'ingested'
+  );
+  if (alreadyExists) {
+    console.log(`⏭️  Skipping ${shareName}: agreement already ingested`);
+    return { shareName, outcome: 'exists' };
+  }
+
+  const result = await readAgreementFromVolume(environment, shareName);
+  if (!result.found) {
+    return { shareName, outcome: 'not_found' };
+  }
+  if (result.invalid) {
+    throw new Error([result.message, ...(result.validationErrors || [])].join('; '));
+  }
+
+  addAgreement(
+    ingestedAgreementData(environment, shareName, result, actor),
+    { changedBy: actor || 'unknown', reason: `Ingested from ${result.filePath}` }
+  );
+  const { status } = result.signatureVerification;
+  return { shareName, outcome: 'ingested', tampered: status === 'tampered', signatureMismatch: status === 'mismatch' };
+}
+
+// Background job: one item per share (the shares given, or every share in the environment)
+registerJobType('ingest-bulk', {
+  label: 'Ingest agreements from shares',
+  listItems: async (job) => {
+    const allShares = await deltaSharing.listShares(job.environmentId);
+    console.log(`Found ${allShares.length} shares to scan for agreements`);
+    return allShares.map(s => s.name);
+  },
+  processItem: (job, shareName) => ingestShareAgreement(job.environmentId, shareName, job.createdBy),
+  summarize: (job) => {
+    const results = job.items.filter(i => i.result).map(i => i.result);
+    return {
+      total: job.items.length,
+      ingested: results.filter(r => r.outcome === 'ingested').length,
+      alreadyIngested: results.filter(r => r.outcome === 'exists').length,
+      notFound: results.filter(r => r.outcome === 'not_found').length,
+      failed: job.items.filter(i => i.status === 'failed').length,
+      tampered: results.filter(r => r.tampered).length,
+      signatureMismatch: results.filter(r => r.signatureMismatch).length,
+    };
+  },
+});
+
+// POST bulk ingest agreements from multiple consumed shares - runs as a background job
+// (all shares of the environment when no shareNames are given)
+router.post('/ingest-bulk', (req, res) => {
   try {
-    let { environment, shareNames } = req.body;
-    
-    // If no shareNames provided, fetch all shares and ingest from all
-    if (!shareNames) {
-      console.log('📥 No shareNames provided, fetching all shares...');
-      const { deltaSharing } = await import('../services/databricksClient.js');
-      const allShares = await deltaSharing.listShares(environment || 'current');
-      shareNames = allShares.map(s => s.name);
-      environment = environment || 'current';
-      console.log(`Found ${shareNames.length} shares to scan for agreements`);
-    }
-    
-    if (!environment || !shareNames || !Array.isArray(shareNames)) {
+    const { environment, shareNames } = req.body;
+
+    if (shareNames !== undefined && (!environment || !Array.isArray(shareNames))) {
       return res.status(400).json({ 
         error: 'Missing required fields: environment and shareNames (array)' 
       });
     }
-    
-    console.log(`📥 Bulk ingesting agreements for ${shareNames.length} shares in ${environment}`);
-    
-    const results = {
-      success: [],
-      failed: [],
-      notFound: [],
-    };
-    
-    // Process in batches to avoid overwhelming the API
-    const batchSize = 5;
-    for (let i = 0; i < shareNames.length; i += batchSize) {
-      const batch = shareNames.slice(i, i + batchSize);
-      
-      await Promise.all(batch.map(async (shareName) => {
-        try {
-          // Check if agreement already exists
-          const existingAgreements = getAllAgreements();
-          const alreadyExists = existingAgreements.some(a => 
-            a.shares && a.shares.includes(shareName) && a.source === 'ingested'
-          );
-          
-          if (alreadyExists) {
-            console.log(`⏭️  Skipping ${shareName}: agreement already ingested`);
-            results.notFound.push(shareName + ' (already exists)');
-            return;
-          }
-          
-          const result = await readAgreementFromVolume(environment, shareName);
-          
-          if (!result.found) {
-            results.notFound.push(shareName);
-            return;
-          }
-          
-          // Create agreement from ingested content
-          const agreementData = {
-            name: `${shareName} - Provider Agreement`,
-            description: `Ingested from consumed share: ${shareName}`,
-            content: result.content,
-            environments: [environment],
-            shares: [shareName],
-            requiredTags: result.parsed.requiredTags || [],
-            retentionYears: result.parsed.retentionYears,
-            disseminationRules: result.parsed.disseminationRules,
-            source: 'ingested',
-            sourceFile: result.filePath,
-            ingestedAt: new Date().toISOString(),
-            parsedRequirements: result.parsed.requiredTags.length > 0 ? [{
-              requiredTags: result.parsed.requiredTags.reduce((acc, tag) => {
-                acc[tag.key] = tag.value;
-                return acc;
-              }, {}),
-              scope: 'all',
-              severity: 'critical',
-              reason: 'Required tags from provider agreement',
-            }] : [],
-          };
-          
-          addAgreement(agreementData);
-          results.success.push(shareName);
-          
-        } catch (error) {
-          results.failed.push({ shareName, error: error.message });
-        }
-      }));
-    }
-    
-    console.log(`✅ Bulk ingest complete: ${results.success.length} successful, ${results.notFound.length} not found, ${results.failed.length} failed`);
-    
-    res.status(200).json({
+
+    const job = enqueueJob('ingest-bulk', {
+      environmentId: environment || 'current',
+      items: shareNames || null,
+      description: shareNames ? `Ingest agreements from ${shareNames.length} share(s)` : null,
+      actor: req.databricksUser?.email,
+    });
+
+    console.log(`📥 Bulk ingesting agreements in ${job.environmentId} as job ${job.id}`);
+    res.status(202).json({
       success: true,
-      results,
-      summary: {
-        total: shareNames.length,
-        ingested: results.success.length,
-        notFound: results.notFound.length,
-        failed: results.failed.length,
-      },
+      job,
+      message: `Bulk ingest started - progress at /api/jobs/${job.id}`,
     });
   } catch (error) {
     console.error('Bulk ingest error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Bulk ingest failed', 
       message: error.message 
     });
@@ -613,31 +977,19 @@ router.post('/ingest', async (req, res) => {
       });
     }
     
+    if (result.invalid) {
+      return res.status(422).json({
+        error: 'Invalid agreement file',
+        message: result.message,
+        sourceFile: result.filePath,
+        validationErrors: result.validationErrors,
+      });
+    }
+    
     // Create an agreement from the ingested content
-    const agreementData = {
-      name: `${shareName} - Provider Agreement`,
-      description: `Ingested from consumed share: ${shareName}`,
-      content: result.content,
-      environments: [environment],
-      shares: [shareName],
-      requiredTags: result.parsed.requiredTags || [],
-      retentionYears: result.parsed.retentionYears,
-      disseminationRules: result.parsed.disseminationRules,
-      source: 'ingested',
-      sourceFile: result.filePath,
-      ingestedAt: new Date().toISOString(),
-      parsedRequirements: result.parsed.requiredTags.length > 0 ? [{
-        requiredTags: result.parsed.requiredTags.reduce((acc, tag) => {
-          acc[tag.key] = tag.value;
-          return acc;
-        }, {}),
-        scope: 'all',
-        severity: 'critical',
-        reason: 'Required tags from provider agreement',
-      }] : [],
-    };
+    const agreementData = ingestedAgreementData(environment, shareName, result, req.databricksUser?.email);
     
-    const newAgreement = addAgreement(agreementData);
+    const newAgreement = addAgreement(agreementData, changeMeta(req, `Ingested from ${result.filePath}`));
     
     // Only log success if not in silent mode
     if (!silent) {
@@ -648,6 +1000,7 @@ router.post('/ingest', async (req, res) => {
       success: true,
       agreement: newAgreement,
       sourceFile: result.filePath,
+      signatureVerification: result.signatureVerification,
       message: 'Agreement successfully ingested from share volume',
     });
   } catch (error) {
@@ -673,6 +1026,9 @@ async function deleteAgreementFromVolume(envId, fileName) {
     try {
       await client.delete(`/api/2.0/fs/files${volumePath}`);
       console.log(`✅ Agreement file deleted: ${volumePath}`);
+      
+      // Remove its detached signature too (if it was signed)
+      await client.delete(`/api/2.0/fs/files${volumePath}${SIGNATURE_EXTENSION}`).catch(() => {});
       return { success: true, volumePath };
     } catch (deleteError) {
       if (deleteError.response?.status === 404) {
@@ -687,6 +1043,77 @@ async function deleteAgreementFromVolume(envId, fileName) {
   }
 }
 
+// Helper function to replace an agreement's volume files with its updated terms
+// (used when an agreement is edited or restored to an earlier revision)
+async function rewriteAgreementVolumeFiles(existingAgreement, agreementData) {
+  const { shares, environments } = agreementData;
+  const volumeSaveResults = [];
+  if (shares && shares.length > 0 && environments && environments.length > 0) {
+    const { deltaSharing } = await import('../services/databricksClient.js');
+    
+    for (const envId of environments) {
+      const allShares = await deltaSharing.getAllShareTables(envId);
+      const shareMap = new Map();
+      
+      // Build a map of share names to their direction
+      try {
+        const response = await fetch(`http://localhost:3001/api/delta-sharing/shares`);
+        const sharesData = await response.json();
+        sharesData.forEach(s => {
+          if (s.environmentId === envId) {
+            shareMap.set(s.name, s.direction);
+          }
+        });
+      } catch (error) {
+        console.warn('Could not fetch share directions:', error.message);
+      }
+      
+      for (const shareName of shares) {
+        const direction = shareMap.get(shareName);
+        
+        // Delete old volume file if it exists
+        if (existingAgreement.sourceFile) {
+          const fileName = existingAgreement.sourceFile.split('/').pop();
+          await deleteAgreementFromVolume(envId, fileName);
+        } else if (existingAgreement.volumePaths) {
+          for (const vp of existingAgreement.volumePaths) {
+            if (vp.share === shareName && vp.volumePath) {
+              const fileName = vp.volumePath.split('/').pop();
+              await deleteAgreementFromVolume(envId, fileName);
+            }
+          }
+        }
+        
+        // Write new agreement for PROVIDED shares
+        if (direction === 'provided' || !direction) {
+          console.log(`📝 Updating agreement for PROVIDED share: ${shareName}`);
+          const volumeResult = await saveAgreementToVolume(envId, shareName, agreementData);
+          if (volumeResult) {
+            volumeSaveResults.push({
+              environment: envId,
+              share: shareName,
+              direction: 'provided',
+              volumePath: volumeResult.volumePath,
+              instructions: volumeResult.instructions,
+            });
+          }
+        } else {
+          console.log(`📥 Skipping write for CONSUMED share: ${shareName} (agreement should be read from provider)`);
+          volumeSaveResults.push({
+            environment: envId,
+            share: shareName,
+            direction: 'consumed',
+            action: 'read',
+            message: 'Agreement should be ingested from the share volume',
+          });
+        }
+      }
+    }
+  }
+  
+  return volumeSaveResults;
+}
+
 // DELETE agreement
 router.delete('/:id', async (req, res) => {
   try {
@@ -697,7 +1124,7 @@ router.delete('/:id', async (req, res) => {
     }
     
     // Delete from in-memory store
-    const deleted = deleteAgreement(req.params.id);
+    const deleted = deleteAgreement(req.params.id, changeMeta(req));
     
     if (!deleted) {
       return res.status(404).json({ error: 'Agreement not found' });
@@ -722,6 +1149,7 @@ router.delete('/:id', async (req, res) => {
     
     // Invalidate cache to trigger reload on next request
     volumeAgreementsLoaded = false;
+    clearValidationCache();
     
     res.json({ success: true, message: 'Agreement deleted from store and volume' });
   } catch (error) {
@@ -741,27 +1169,59 @@ router.put('/:id', async (req, res) => {
       environments, 
       shares, 
       requiredTags, 
+      rules,
+      scope,
       retentionYears, 
       disseminationRules,
-      assetScopes
+      assetScopes,
+      columnRequirements,
+      effectiveDate,
+      expiryDate,
+      renewalNoticeDate
     } = req.body;
     
     const existingAgreement = getAgreementById(id);
     if (!existingAgreement) {
       return res.status(404).json({ error: 'Agreement not found' });
     }
+    if (!isEditable(existingAgreement)) {
+      return res.status(409).json({ error: `Agreement is ${existingAgreement.status} and can no longer be edited` });
+    }
+    
+    let dates;
+    try {
+      dates = normalizeAgreementDates({ effectiveDate, expiryDate, renewalNoticeDate });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid agreement dates', message: error.message });
+    }
+    
+    const requirementScope = typeof scope === 'string' && scope.trim() ? scope.trim() : 'all';
+    const scopeErrors = validateScope(requirementScope);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scope', message: scopeErrors.join('; '), validationErrors: scopeErrors });
+    }
+    
+    const requirementCheck = validateRequirements({ requiredTags, rules });
+    if (requirementCheck.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid requirements',
+        message: requirementCheck.errors.join('; '),
+        validationErrors: requirementCheck.errors,
+      });
+    }
+    
+    const columnCheck = validateColumnRequirements(columnRequirements);
+    if (columnCheck.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid column requirements',
+        message: columnCheck.errors.join('; '),
+        validationErrors: columnCheck.errors,
+      });
+    }
     
     // Parse the agreement content to extract requirements
     const parsed = parseAgreement(content);
     
-    // Convert requiredTags array to object format for requirements
-    const tagRequirements = requiredTags
-      .filter(tag => tag.key && tag.value)
-      .reduce((acc, tag) => {
-        acc[tag.key] = tag.value;
-        return acc;
-      }, {});
-    
     // Create updated agreement data
     const agreementData = {
       name,
@@ -769,92 +1229,30 @@ router.put('/:id', async (req, res) => {
       content,
       environments: environments || [],
       shares: shares || [],
-      requiredTags: requiredTags || [],
+      requiredTags: requirementCheck.requiredTags,
+      rules: requirementCheck.rules,
+      scope: requirementScope,
       retentionYears,
       disseminationRules,
+      ...dates,
       assetScopes: assetScopes || [],
+      columnRequirements: columnCheck.columnRequirements,
       parsedRequirements: [
         ...parsed.requirements,
-        ...(Object.keys(tagRequirements).length > 0 ? [{
-          requiredTags: tagRequirements,
-          scope: 'all',
-          severity: 'critical',
-          reason: 'User-defined tags from sharing agreement',
-        }] : []),
+        ...buildTagRequirements(requirementCheck.requiredTags, requirementCheck.rules, 'User-defined tags from sharing agreement', requirementScope),
       ],
+      // Changed terms must be approved again before they are enforced
+      ...statusAfterEdit(existingAgreement, { actor: req.databricksUser?.email }),
     };
     
     // Update volume files for PROVIDED shares
-    const volumeSaveResults = [];
-    if (shares && shares.length > 0 && environments && environments.length > 0) {
-      const { deltaSharing } = await import('../services/databricksClient.js');
-      
-      for (const envId of environments) {
-        const allShares = await deltaSharing.getAllShareTables(envId);
-        const shareMap = new Map();
-        
-        // Build a map of share names to their direction
-        try {
-          const response = await fetch(`http://localhost:3001/api/delta-sharing/shares`);
-          const sharesData = await response.json();
-          sharesData.forEach(s => {
-            if (s.environmentId === envId) {
-              shareMap.set(s.name, s.direction);
-            }
-          });
-        } catch (error) {
-          console.warn('Could not fetch share directions:', error.message);
-        }
-        
-        for (const shareName of shares) {
-          const direction = shareMap.get(shareName);
-          
-          // Delete old volume file if it exists
-          if (existingAgreement.sourceFile) {
-            const fileName = existingAgreement.sourceFile.split('/').pop();
-            await deleteAgreementFromVolume(envId, fileName);
-          } else if (existingAgreement.volumePaths) {
-            for (const vp of existingAgreement.volumePaths) {
-              if (vp.share === shareName && vp.volumePath) {
-                const fileName = vp.volumePath.split('/').pop();
-                await deleteAgreementFromVolume(envId, fileName);
-              }
-            }
-          }
-          
-          // Write new agreement for PROVIDED shares
-          if (direction === 'provided' || !direction) {
-            console.log(`📝 Updating agreement for PROVIDED share: ${shareName}`);
-            const volumeResult = await saveAgreementToVolume(envId, shareName, agreementData);
-            if (volumeResult) {
-              volumeSaveResults.push({
-                environment: envId,
-                share: shareName,
-                direction: 'provided',
-                volumePath: volumeResult.volumePath,
-                instructions: volumeResult.instructions,
-              });
-            }
-          } else {
-            console.log(`📥 Skipping write for CONSUMED share: ${shareName} (agreement should be read from provider)`);
-            volumeSaveResults.push({
-              environment: envId,
-              share: shareName,
-              direction: 'consumed',
-              action: 'read',
-              message: 'Agreement should be ingested from the share volume',
-            });
-          }
-        }
-      }
-    }
+    const volumeSaveResults = await rewriteAgreementVolumeFiles(existingAgreement, agreementData);
     
     // Add volume paths to agreement data
     agreementData.volumePaths = volumeSaveResults;
     
-    // Update in store using the existing updateAgreement function
-    const { updateAgreement } = await import('../data/agreementsStore.js');
-    const updatedAgreement = updateAgreement(id, agreementData);
+    // Update in store (records a new revision)
+    const updatedAgreement = updateAgreement(id, agreementData, changeMeta(req));
     
     if (!updatedAgreement) {
       return res.status(404).json({ error: 'Agreement not found' });
@@ -862,6 +1260,7 @@ router.put('/:id', async (req, res) => {
     
     // Invalidate cache to trigger reload on next GET
     volumeAgreementsLoaded = false;
+    clearValidationCache();
     
     res.json(updatedAgreement);
   } catch (error) {
@@ -870,6 +1269,67 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// POST submit a draft agreement for review
+router.post('/:id/submit', (req, res) => {
+  try {
+    const agreement = transitionAgreement(req.params.id, 'pending_review', {
+      actor: req.databricksUser?.email,
+      comment: req.body.comment,
+    });
+    res.json(agreement);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to submit agreement for review', message: error.message });
+  }
+});
+
+// POST approve an agreement pending review
+router.post('/:id/approve', (req, res) => {
+  try {
+    const agreement = approveAgreement(req.params.id, {
+      actor: req.databricksUser?.email,
+      comment: req.body.comment,
+    });
+    res.json(agreement);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to approve agreement', message: error.message });
+  }
+});
+
+// POST reject an agreement pending review (returns it to draft)
+router.post('/:id/reject', (req, res) => {
+  try {
+    const agreement = rejectAgreement(req.params.id, {
+      actor: req.databricksUser?.email,
+      comment: req.body.comment,
+    });
+    res.json(agreement);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to reject agreement', message: error.message });
+  }
+});
+
+// POST move an agreement to another status (activate, suspend, terminate, ...)
+router.post('/:id/status', (req, res) => {
+  try {
+    const { status, comment } = req.body;
+    if (!status) {
+      return res.status(400).json({ error: 'Missing required field: status' });
+    }
+
+    const agreement = transitionAgreement(req.params.id, status, {
+      actor: req.databricksUser?.email,
+      comment,
+    });
+
+    // Status decides which agreements count towards compliance
+    clearValidationCache();
+
+    res.json(agreement);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to change agreement status', message: error.message });
+  }
+});
+
 // POST reset share registry (force re-check all shares for agreements)
 router.post('/reset-registry', (req, res) => {
   try {
@@ -890,7 +1350,18 @@ router.post('/enforce/:id', async (req, res) => {
     const { id } = req.params;
     const { envId = 'current' } = req.body;
 
-    const result = await enforceAgreement(id, envId);
+    // Agreements without shares cover the whole environment - enforced in the background as a run
+    const agreement = getEnforceableAgreement(id);
+    if (!agreement.shares || agreement.shares.length === 0) {
+      const { run } = await startEnforcementRun(id, envId, req.databricksUser?.email);
+      return res.status(202).json({
+        success: true,
+        run,
+        message: `Enforcing on ${run.progress.total} share(s) in batches - progress at /api/enforcement-runs/${run.id}`,
+      });
+    }
+
+    const result = await enforceAgreement(id, envId, req.databricksUser?.email);
     
     res.json({
       success: true,
@@ -899,28 +1370,28 @@ router.post('/enforce/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error enforcing agreement:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to enforce agreement', 
       message: error.message 
     });
   }
 });
 
-// POST enforce all agreements
-router.post('/enforce-all', async (req, res) => {
+// POST enforce all agreements - runs as a background job
+router.post('/enforce-all', (req, res) => {
   try {
     const { envId = 'current' } = req.body;
 
-    const result = await enforceAllAgreements(envId);
+    const job = enqueueJob('enforce-all', { environmentId: envId, actor: req.databricksUser?.email });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      enforcements: result,
-      message: `Enforced ${result.total} agreement(s)`,
+      job,
+      message: `Enforcing all active agreements - progress at /api/jobs/${job.id}`,
     });
   } catch (error) {
     console.error('Error enforcing agreements:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to enforce agreements', 
       message: error.message 
     });
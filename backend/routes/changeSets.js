@@ -0,0 +1,49 @@
+import express from 'express';
+import { getChangeSets, getChangeSetById } from '../data/tagChangeSetsStore.js';
+import { rollbackChangeSet } from '../services/tagChangeSets.js';
+import { clearValidationCache } from './validation.js';
+
+const router = express.Router();
+
+// GET tag change sets, newest first (filters: ?status=&sourceType=&environmentId=)
+router.get('/', (req, res) => {
+  const changeSets = getChangeSets({
+    status: req.query.status,
+    sourceType: req.query.sourceType,
+    environmentId: req.query.environmentId,
+  }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(changeSets);
+});
+
+// GET a change set with its before/after snapshots
+router.get('/:id', (req, res) => {
+  const changeSet = getChangeSetById(req.params.id);
+  if (!changeSet) {
+    return res.status(404).json({ error: 'Change set not found' });
+  }
+  res.json(changeSet);
+});
+
+// POST roll back a change set ({ changeIds } to roll back single securables, { force: true }
+// to overwrite securables whose tags changed again since)
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const { changeIds, force = false } = req.body;
+    if (changeIds !== undefined && !Array.isArray(changeIds)) {
+      return res.status(400).json({ error: 'changeIds must be an array' });
+    }
+
+    const result = await rollbackChangeSet(req.params.id, {
+      changeIds,
+      force: force === true,
+      actor: req.databricksUser?.email,
+    });
+    clearValidationCache();
+    res.json(result);
+  } catch (error) {
+    console.error('Error rolling back change set:', error);
+    res.status(error.status || 500).json({ error: 'Failed to roll back change set', message: error.message });
+  }
+});
+
+export default router;
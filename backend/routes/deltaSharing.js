@@ -1,8 +1,13 @@
 import express from 'express';
-import { deltaSharing, unityCatalog } from '../services/databricksClient.js';
+import { deltaSharing, unityCatalog, getCachePartition } from '../services/databricksClient.js';
 import { getEnvironments } from '../config/databricks.js';
 import axios from 'axios';
 import { isShareProcessed, markShareAsProcessed } from '../data/sharesRegistry.js';
+import { evaluateRule, getRequirementRules } from '../services/requirementRules.js';
+import { setTablePropertyTags } from '../services/tagChangeSets.js';
+import { registerJobType } from '../services/jobQueue.js';
+import { takeComplianceSnapshot } from '../services/complianceSnapshots.js';
+import { getInventoryChanges } from '../services/inventoryChanges.js';
 
 const router = express.Router();
 
@@ -55,6 +60,24 @@ async function autoIngestNewShares(envId, consumedShares) {
   return ingestedCount;
 }
 
+// Background job: (re)load the asset list of an environment into the cache, so requests
+// don't have to wait for a full scan, and record a compliance snapshot of it
+registerJobType('asset-scan', {
+  label: 'Scan assets',
+  listItems: (job) => [job.environmentId],
+  processItem: async (job, envId) => {
+    const assets = await deltaSharing.refreshAllShareTables(envId);
+    let snapshotId = null;
+    try {
+      snapshotId = (await takeComplianceSnapshot(envId, { source: { type: 'asset-scan', jobId: job.id } })).id;
+    } catch (error) {
+      console.error(`❌ Failed to record compliance snapshot for ${envId}:`, error.message);
+    }
+    return { assets: assets.length, catalogs: new Set(assets.map(a => a.catalog_name)).size, snapshotId };
+  },
+  summarize: (job) => job.items[0]?.result || null,
+});
+
 // GET loading status for assets
 router.get('/loading-status', async (req, res) => {
   try {
@@ -71,12 +94,45 @@ router.get('/loading-status', async (req, res) => {
   }
 });
 
+// GET assets added, removed or modified by recent inventory scans
+// Query: environmentId, type ('added' | 'removed' | 'modified'), since (ISO timestamp - without
+// it, the latest scan with changes per environment), limit
+// Only scans made with the caller's identity are returned (see getCachePartition)
+router.get('/changes', async (req, res) => {
+  try {
+    const { environmentId, type, since } = req.query;
+    const limit = parseInt(req.query.limit || '500');
+    const environments = getEnvironments().filter(env => !environmentId || env.id === environmentId);
+
+    const results = environments.map(env => getInventoryChanges({
+      environmentId: env.id,
+      partition: getCachePartition(env.id),
+      type,
+      since,
+      limit,
+    }));
+    const changes = results.flatMap(r => r.changes)
+      .sort((a, b) => b.scannedAt.localeCompare(a.scannedAt));
+
+    res.json({
+      scans: results.flatMap(r => r.scans),
+      changes: changes.slice(0, limit),
+      total: results.reduce((sum, r) => sum + r.total, 0),
+      lastScans: Object.fromEntries(environments.map(env => [env.id, deltaSharing.getLoadingStatus(env.id).lastScan || null])),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to get inventory changes', message: error.message });
+  }
+});
+
 // GET all shares across all environments (using both Delta Sharing and catalogs)
 router.get('/shares', async (req, res) => {
   try {
     const environments = getEnvironments();
-    const { getAllAgreements } = await import('../data/agreementsStore.js');
-    const agreements = getAllAgreements();
+    const { getAllAgreements, getActiveAgreements } = await import('../data/agreementsStore.js');
+    const allAgreements = getAllAgreements();
+    // Only active agreements are used for compliance status
+    const agreements = getActiveAgreements();
     const allShares = [];
     
     for (const env of environments) {
@@ -108,16 +164,20 @@ router.get('/shares', async (req, res) => {
         console.log(`   - ${consumedCatalogs.length} consumed (foreign) catalogs`);
         console.log(`   - ${providedShareNames.length} provided shares`);
         
-        // Get priority catalogs from agreements
+        // Get priority catalogs from agreements (including those still under review)
         const priorityCatalogs = [...new Set(
-          agreements.flatMap(a => a.shares || [])
+          allAgreements.flatMap(a => a.shares || [])
         )];
         
         // Load assets from catalogs (existing working approach)
         const allShareAssets = await deltaSharing.getAllShareTables(env.id, priorityCatalogs);
         
-        // Build a set of catalog names that have been scanned
-        const scannedCatalogs = new Set(allShareAssets.map(t => t.catalog_name));
+        // Build a set of catalog names that have been scanned (catalogs with assets, and those
+        // the crawl has covered even when they turned out empty)
+        const scannedCatalogs = new Set([
+          ...allShareAssets.map(t => t.catalog_name),
+          ...(deltaSharing.getLoadingStatus(env.id).coverage?.scanned || []),
+        ]);
         
         // Helper function to validate asset compliance
         const validateAsset = (asset, agreements) => {
@@ -134,22 +194,14 @@ router.get('/shares', async (req, res) => {
             if (!inScope) continue;
             
             for (const req of agreement.parsedRequirements || []) {
-              for (const [tagKey, requiredValue] of Object.entries(req.requiredTags)) {
-                const actualValue = asset.tags?.[tagKey];
-                
-                if (!actualValue) {
-                  violations.push({
-                    type: 'missing',
-                    tag: tagKey,
-                    requiredValue,
-                    severity: req.severity,
-                  });
-                } else if (actualValue !== requiredValue) {
+              for (const rule of getRequirementRules(req)) {
+                for (const failure of evaluateRule(rule, asset.tags || {}).failures) {
                   violations.push({
-                    type: 'incorrect',
-                    tag: tagKey,
-                    actualValue,
-                    requiredValue,
+                    type: failure.actual === null ? 'missing' : 'incorrect',
+                    tag: failure.key ?? null,
+                    actualValue: failure.actual ?? null,
+                    requiredValue: failure.operator === 'eq' ? failure.expected : null,
+                    rule: failure.rule,
                     severity: req.severity,
                   });
                 }
@@ -511,10 +563,15 @@ router.put('/tables/:tableId/tags', async (req, res) => {
       return res.status(400).json({ error: 'Invalid table ID format' });
     }
     
-    await unityCatalog.setTags(envId, fullTableName, tags);
+    // Recorded as a change set so the fix can be rolled back
+    const { changeSet } = await setTablePropertyTags(envId, fullTableName, tags, {
+      source: { type: 'remediation', assetId: req.params.tableId },
+      description: `Tags on ${fullTableName}`,
+      actor: req.databricksUser?.email,
+    });
     const updated = await unityCatalog.getTable(envId, fullTableName);
     
-    res.json(updated);
+    res.json({ ...updated, changeSetId: changeSet?.id || null });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update tags', message: error.message });
   }
@@ -536,7 +593,11 @@ router.delete('/tables/:tableId/tags/:tagKey', async (req, res) => {
     delete currentTags[req.params.tagKey];
     
     // Update tags
-    await unityCatalog.setTags(envId, fullTableName, currentTags);
+    await setTablePropertyTags(envId, fullTableName, currentTags, {
+      source: { type: 'remediation', assetId: req.params.tableId },
+      description: `Removed tag ${req.params.tagKey} from ${fullTableName}`,
+      actor: req.databricksUser?.email,
+    });
     const updated = await unityCatalog.getTable(envId, fullTableName);
     
     res.json(updated);
@@ -550,19 +611,25 @@ router.get('/tables/:envId/:catalogName/:schemaName/:tableName/columns', async (
   try {
     const { envId, catalogName, schemaName, tableName } = req.params;
     
-    // Fetch columns using Unity Catalog API
-    const columns = await unityCatalog.listTableColumns(envId, catalogName, schemaName, tableName);
+    // Fetch columns using Unity Catalog API (column tags come from information_schema)
+    const [columns, columnTags] = await Promise.all([
+      unityCatalog.listTableColumns(envId, catalogName, schemaName, tableName),
+      unityCatalog.listColumnTags(envId, catalogName, schemaName, tableName),
+    ]);
     
     res.json({
       catalog: catalogName,
       schema: schemaName,
       table: tableName,
+      columnTagsAvailable: columnTags !== null,
       columns: columns.map(col => ({
         name: col.name,
         type: col.type_text || col.type_name || 'UNKNOWN',
         comment: col.comment || '',
         nullable: col.nullable !== false,
         position: col.position,
+        tags: columnTags?.[col.name] || {},
+        masked: Boolean(col.mask?.function_name),
       })),
     });
   } catch (error) {
@@ -0,0 +1,93 @@
+import express from 'express';
+import { getPlans, getPlanById } from '../data/enforcementPlansStore.js';
+import { createAgreementPlan, createSharePlan, applyPlan, discardPlan } from '../services/enforcementPlans.js';
+import { validateScope } from '../services/scopeMatcher.js';
+import { clearValidationCache } from './validation.js';
+
+const router = express.Router();
+
+// Plan list entries leave out the per-securable items
+const toListEntry = ({ items, unchangedItems, unreadable, skipped, applyResults, drift, ...plan }) => plan;
+
+// GET enforcement plans, newest first (filters: ?status=&agreementId=)
+router.get('/', (req, res) => {
+  const plans = getPlans({ status: req.query.status, agreementId: req.query.agreementId })
+    .map(toListEntry)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(plans);
+});
+
+// GET a plan with its changes per securable
+router.get('/:id', (req, res) => {
+  const plan = getPlanById(req.params.id);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  res.json(plan);
+});
+
+// POST create a plan - for an agreement ({ agreementId, envId }) or a share
+// ({ envId, shareName, tags, removeTags, direction, scope, pattern, catalogName, schemaName, tableName, columnNames })
+router.post('/', async (req, res) => {
+  try {
+    const { agreementId, envId = 'current' } = req.body;
+    const actor = req.databricksUser?.email;
+
+    if (agreementId) {
+      const plan = await createAgreementPlan(agreementId, envId, actor);
+      return res.status(201).json(plan);
+    }
+
+    const { shareName, tags, removeTags, direction, pattern, ...options } = req.body;
+    if (!shareName || (!tags && !removeTags) || !direction) {
+      return res.status(400).json({
+        error: 'Missing required fields: agreementId, or shareName, tags (or removeTags) and direction',
+      });
+    }
+
+    const scopeErrors = pattern ? validateScope(pattern) : [];
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scope pattern', message: scopeErrors.join('; ') });
+    }
+
+    const plan = await createSharePlan(envId, shareName, tags || {}, direction, {
+      scope: options.scope,
+      pattern,
+      catalogName: options.catalogName,
+      schemaName: options.schemaName,
+      tableName: options.tableName,
+      columnNames: options.columnNames,
+      removeTags: removeTags || [],
+    }, actor);
+    res.status(201).json(plan);
+  } catch (error) {
+    console.error('Error creating enforcement plan:', error);
+    res.status(error.status || 500).json({ error: 'Failed to create plan', message: error.message });
+  }
+});
+
+// POST apply a plan exactly as planned (409 with drift details when the live tags changed)
+router.post('/:id/apply', async (req, res) => {
+  try {
+    const plan = await applyPlan(req.params.id, req.databricksUser?.email);
+    clearValidationCache();
+    res.json(plan);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: 'Failed to apply plan',
+      message: error.message,
+      ...(error.drift ? { drift: error.drift } : {}),
+    });
+  }
+});
+
+// POST discard a planned, stale or interrupted plan
+router.post('/:id/discard', (req, res) => {
+  try {
+    res.json(discardPlan(req.params.id, req.databricksUser?.email, req.body.comment));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to discard plan', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { getRuns, getRunById } from '../data/enforcementRunsStore.js';
+import { startEnforcementRun, resumeEnforcementRun } from '../services/complianceEnforcement.js';
+import { clearValidationCache } from './validation.js';
+
+const router = express.Router();
+
+// Runs go on in the background; validation is refreshed when they finish
+const refreshWhenDone = (done) => done.then(() => clearValidationCache());
+
+// GET enforcement runs with their progress, newest first (filters: ?status=&agreementId=&environmentId=)
+router.get('/', (req, res) => {
+  const runs = getRuns({
+    status: req.query.status,
+    agreementId: req.query.agreementId,
+    environmentId: req.query.environmentId,
+  }).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  res.json(runs);
+});
+
+// GET a run with per-share status
+router.get('/:id', (req, res) => {
+  const run = getRunById(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Enforcement run not found' });
+  }
+  res.json(run);
+});
+
+// POST start enforcing an agreement on all its shares in batches ({ agreementId, envId })
+router.post('/', async (req, res) => {
+  try {
+    const { agreementId, envId = 'current' } = req.body;
+    if (!agreementId) {
+      return res.status(400).json({ error: 'Missing required field: agreementId' });
+    }
+
+    const { run, done } = await startEnforcementRun(agreementId, envId, req.databricksUser?.email);
+    refreshWhenDone(done);
+    res.status(202).json(run);
+  } catch (error) {
+    console.error('Error starting enforcement run:', error);
+    res.status(error.status || 500).json({ error: 'Failed to start enforcement run', message: error.message });
+  }
+});
+
+// POST resume an interrupted, failed or partial run with the shares that aren't done yet
+router.post('/:id/resume', (req, res) => {
+  try {
+    const { run, done } = resumeEnforcementRun(req.params.id, req.databricksUser?.email);
+    refreshWhenDone(done);
+    res.status(202).json(run);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to resume enforcement run', message: error.message });
+  }
+});
+
+export default router;
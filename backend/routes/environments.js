@@ -1,5 +1,6 @@
 import express from 'express';
 import { getEnvironments, getEnvironment } from '../config/databricks.js';
+import { getAuthMethod } from '../services/databricksClient.js';
 
 const router = express.Router();
 
@@ -9,11 +10,15 @@ router.get('/', (req, res) => {
   res.json(environments);
 });
 
-// GET single environment
-router.get('/:id', (req, res) => {
+// GET single environment (with the auth method calls to it use for this caller)
+router.get('/:id', async (req, res) => {
   const environment = getEnvironment(req.params.id);
   if (environment) {
-    res.json(environment);
+    try {
+      res.json({ ...environment, ...(await getAuthMethod(req.params.id)) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to resolve environment auth', message: error.message });
+    }
   } else {
     res.status(404).json({ error: 'Environment not found' });
   }
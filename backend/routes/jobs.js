@@ -0,0 +1,72 @@
+import express from 'express';
+import { getJobs, getJobById } from '../data/jobsStore.js';
+import { getJobTypes, enqueueJob, cancelJob, retryJob } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+// Job list entries leave out the per-item results
+const toListEntry = ({ items, ...job }) => job;
+
+// GET jobs with their progress, newest first (filters: ?status=&type=&environmentId=)
+router.get('/', (req, res) => {
+  const jobs = getJobs({
+    status: req.query.status,
+    type: req.query.type,
+    environmentId: req.query.environmentId,
+  })
+    .map(toListEntry)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(jobs);
+});
+
+// GET the job types that can be started
+router.get('/types', (req, res) => {
+  res.json(getJobTypes());
+});
+
+// GET a job with per-item status and results
+router.get('/:id', (req, res) => {
+  const job = getJobById(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// POST queue a job ({ type, envId, items })
+router.post('/', (req, res) => {
+  try {
+    const { type, envId = 'current', items } = req.body;
+    if (!type) {
+      return res.status(400).json({ error: 'Missing required field: type' });
+    }
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ error: 'items must be an array' });
+    }
+
+    const job = enqueueJob(type, { environmentId: envId, items: items || null, actor: req.databricksUser?.email });
+    res.status(202).json(job);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to queue job', message: error.message });
+  }
+});
+
+// POST cancel a queued or running job (running jobs stop after their current item)
+router.post('/:id/cancel', (req, res) => {
+  try {
+    res.json(cancelJob(req.params.id, req.databricksUser?.email));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to cancel job', message: error.message });
+  }
+});
+
+// POST retry the failed, cancelled and unfinished items of a job
+router.post('/:id/retry', (req, res) => {
+  try {
+    res.status(202).json(retryJob(req.params.id, req.databricksUser?.email));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to retry job', message: error.message });
+  }
+});
+
+export default router;
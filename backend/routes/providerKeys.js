@@ -0,0 +1,82 @@
+import express from 'express';
+import {
+  getProviderKeys,
+  getProviderKey,
+  addProviderKey,
+  revokeProviderKey,
+} from '../data/providerKeysStore.js';
+import { SIGNATURE_ALGORITHM, parsePublicKey, getSigningIdentity } from '../services/agreementSigning.js';
+
+const router = express.Router();
+
+// GET registered provider keys (optionally for one provider: ?provider=)
+router.get('/', (req, res) => {
+  res.json(getProviderKeys(req.query.provider || null));
+});
+
+// GET this app's signing key - share the public key with consumers so they can register it
+router.get('/signing', (req, res) => {
+  const identity = getSigningIdentity();
+  if (!identity) {
+    return res.json({ enabled: false });
+  }
+  res.json({
+    enabled: true,
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: identity.keyId,
+    provider: identity.provider,
+    publicKey: identity.publicKey,
+  });
+});
+
+// POST register a provider's public key (PEM, Ed25519) - provider is its Delta Sharing provider
+// name; shares optionally limits the key to some of the provider's shares
+router.post('/', (req, res) => {
+  const { provider, publicKey, shares = [] } = req.body;
+
+  if (!provider || !publicKey) {
+    return res.status(400).json({ error: 'Missing required fields: provider and publicKey' });
+  }
+  if (!Array.isArray(shares) || shares.some(share => typeof share !== 'string' || !share)) {
+    return res.status(400).json({ error: 'shares must be a list of share names' });
+  }
+
+  try {
+    const { keyId, publicKey: pem } = parsePublicKey(publicKey);
+
+    const existing = getProviderKey(keyId);
+    if (existing && existing.provider !== provider) {
+      return res.status(409).json({
+        error: 'Key already registered',
+        message: `Key ${keyId} is already registered for provider ${existing.provider}`,
+      });
+    }
+    if (existing?.revokedAt) {
+      return res.status(409).json({
+        error: 'Key revoked',
+        message: `Key ${keyId} was revoked on ${existing.revokedAt} - the provider must issue a new key`,
+      });
+    }
+
+    const providerKey = addProviderKey(
+      { id: keyId, provider, shares, publicKey: pem, algorithm: SIGNATURE_ALGORITHM },
+      req.databricksUser?.email || 'unknown'
+    );
+    console.log(`🔏 Registered key ${keyId} for provider ${provider}`);
+    res.status(existing ? 200 : 201).json(providerKey);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to register provider key', message: error.message });
+  }
+});
+
+// DELETE revoke a provider key (kept in the registry so old signatures report as revoked)
+router.delete('/:keyId', (req, res) => {
+  const providerKey = revokeProviderKey(req.params.keyId, req.databricksUser?.email || 'unknown');
+  if (!providerKey) {
+    return res.status(404).json({ error: 'Provider key not found' });
+  }
+  console.log(`🔏 Revoked key ${req.params.keyId} for provider ${providerKey.provider}`);
+  res.json(providerKey);
+});
+
+export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import { getSchedules, getScheduleById } from '../data/schedulesStore.js';
+import {
+  nextCronRun,
+  getScheduleRuns,
+  describeSchedule,
+  createSchedule,
+  editSchedule,
+  removeSchedule,
+  runSchedule,
+} from '../services/complianceSchedules.js';
+
+const router = express.Router();
+
+// GET compliance schedules with their latest run (filters: ?environmentId=&agreementId=)
+router.get('/', (req, res) => {
+  const schedules = getSchedules({
+    environmentId: req.query.environmentId,
+    agreementId: req.query.agreementId,
+  }).sort((a, b) => a.name.localeCompare(b.name));
+  res.json(schedules.map(describeSchedule));
+});
+
+// GET the next run times of a cron expression (?cron=&count=), to preview a schedule
+router.get('/preview', (req, res) => {
+  try {
+    const count = Math.min(parseInt(req.query.count) || 5, 20);
+    const runs = [];
+    let after = new Date();
+    while (runs.length < count) {
+      const next = nextCronRun(req.query.cron, after);
+      if (!next) break;
+      runs.push(next);
+      after = new Date(next);
+    }
+    res.json({ cron: req.query.cron, nextRuns: runs });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Invalid cron expression', message: error.message });
+  }
+});
+
+// GET a schedule
+router.get('/:id', (req, res) => {
+  const schedule = getScheduleById(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(describeSchedule(schedule));
+});
+
+// GET past runs of a schedule with their results, newest first
+router.get('/:id/runs', (req, res) => {
+  if (!getScheduleById(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(getScheduleRuns(req.params.id));
+});
+
+// POST create a schedule ({ name, cron, environmentId, agreementId, rescan, autoEnforce, enabled })
+router.post('/', (req, res) => {
+  try {
+    const schedule = createSchedule(req.body, req.databricksUser?.email);
+    res.status(201).json(describeSchedule(schedule));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to create schedule', message: error.message });
+  }
+});
+
+// PUT update a schedule
+router.put('/:id', (req, res) => {
+  try {
+    const schedule = editSchedule(req.params.id, req.body, req.databricksUser?.email);
+    res.json(describeSchedule(schedule));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to update schedule', message: error.message });
+  }
+});
+
+// DELETE a schedule (its past runs are kept as jobs)
+router.delete('/:id', (req, res) => {
+  try {
+    removeSchedule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to delete schedule', message: error.message });
+  }
+});
+
+// POST run a schedule now - runs as a background job
+router.post('/:id/run', (req, res) => {
+  try {
+    const job = runSchedule(req.params.id, { trigger: 'manual', actor: req.databricksUser?.email });
+    res.status(202).json({
+      success: true,
+      job,
+      message: `Schedule run started - progress at /api/jobs/${job.id}`,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to run schedule', message: error.message });
+  }
+});
+
+export default router;
@@ -3,6 +3,8 @@ import { deltaSharing } from '../services/databricksClient.js';
 import { getEnvironments } from '../config/databricks.js';
 import { suggestTags } from '../services/aiParserStub.js';
 import { applyTagsToShare, getAffectedAssets } from '../services/tagPropagation.js';
+import { validateScope } from '../services/scopeMatcher.js';
+import { recordChangeSet } from '../services/tagChangeSets.js';
 
 const router = express.Router();
 
@@ -16,7 +18,7 @@ router.get('/', async (req, res) => {
       try {
         const tables = await deltaSharing.getAllShareTables(env.id);
         tables.forEach(table => {
-          const tags = table.properties || table.tags || {};
+          const tags = table.tags || {};
           Object.entries(tags).forEach(([key, value]) => {
             if (!allTags[key]) {
               allTags[key] = new Set();
@@ -62,6 +64,7 @@ router.post('/apply-to-share', async (req, res) => {
       schemaName,
       tableName,
       columnNames,
+      pattern, // scope pattern, e.g. "sales.*.* !sales.tmp.*" (instead of exact names)
     } = req.body;
 
     if (!envId || !shareName || !tags || !direction) {
@@ -70,15 +73,29 @@ router.post('/apply-to-share', async (req, res) => {
       });
     }
 
-    const result = await applyTagsToShare(envId, shareName, tags, direction, {
+    const scopeErrors = pattern ? validateScope(pattern) : [];
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scope pattern', message: scopeErrors.join('; ') });
+    }
+
+    const { changes, ...result } = await applyTagsToShare(envId, shareName, tags, direction, {
       scope,
+      pattern,
       catalogName,
       schemaName,
       tableName,
       columnNames,
     });
 
-    res.json(result);
+    const changeSet = recordChangeSet({
+      environmentId: envId,
+      source: { type: 'share_tags', shareName, direction, scope: scope || 'all', pattern: pattern || null },
+      description: `Tags on share ${shareName}`,
+      changes,
+      actor: req.databricksUser?.email,
+    });
+
+    res.json({ ...result, changeSetId: changeSet?.id || null });
   } catch (error) {
     console.error('Error applying tags to share:', error);
     res.status(500).json({ error: 'Failed to apply tags', message: error.message });
@@ -95,6 +112,8 @@ router.post('/preview-affected', async (req, res) => {
       catalogName,
       schemaName,
       tableName,
+      columnNames,
+      pattern,
     } = req.body;
 
     if (!envId || !shareName) {
@@ -103,11 +122,18 @@ router.post('/preview-affected', async (req, res) => {
       });
     }
 
+    const scopeErrors = pattern ? validateScope(pattern) : [];
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scope pattern', message: scopeErrors.join('; ') });
+    }
+
     const result = await getAffectedAssets(envId, shareName, {
       scope,
+      pattern,
       catalogName,
       schemaName,
       tableName,
+      columnNames,
     });
 
     res.json(result);
@@ -1,13 +1,22 @@
 import express from 'express';
-import { unityCatalog } from '../services/databricksClient.js';
+import { unityCatalog, getPagination } from '../services/databricksClient.js';
+import { setTablePropertyTags } from '../services/tagChangeSets.js';
 
 const router = express.Router();
 
+// Send a list, with whether it was capped at the per-call item limit in headers
+const sendList = (res, list) => {
+  const { pages, truncated } = getPagination(list);
+  res.set('X-Pagination-Pages', String(pages));
+  res.set('X-Pagination-Truncated', String(truncated));
+  res.json(list);
+};
+
 // GET catalogs for an environment
 router.get('/:envId/catalogs', async (req, res) => {
   try {
     const catalogs = await unityCatalog.listCatalogs(req.params.envId);
-    res.json(catalogs);
+    sendList(res, catalogs);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch catalogs', message: error.message });
   }
@@ -17,7 +26,7 @@ router.get('/:envId/catalogs', async (req, res) => {
 router.get('/:envId/catalogs/:catalog/schemas', async (req, res) => {
   try {
     const schemas = await unityCatalog.listSchemas(req.params.envId, req.params.catalog);
-    res.json(schemas);
+    sendList(res, schemas);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch schemas', message: error.message });
   }
@@ -27,7 +36,7 @@ router.get('/:envId/catalogs/:catalog/schemas', async (req, res) => {
 router.get('/:envId/catalogs/:catalog/schemas/:schema/tables', async (req, res) => {
   try {
     const tables = await unityCatalog.listTables(req.params.envId, req.params.catalog, req.params.schema);
-    res.json(tables);
+    sendList(res, tables);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch tables', message: error.message });
   }
@@ -47,8 +56,11 @@ router.get('/:envId/tags/:fullTableName', async (req, res) => {
 router.put('/:envId/tags/:fullTableName', async (req, res) => {
   try {
     const { tags } = req.body;
-    const result = await unityCatalog.setTags(req.params.envId, req.params.fullTableName, tags);
-    res.json({ success: true, tags: result.properties });
+    const { table, changeSet } = await setTablePropertyTags(req.params.envId, req.params.fullTableName, tags, {
+      source: { type: 'manual' },
+      actor: req.databricksUser?.email,
+    });
+    res.json({ success: true, tags: table.properties, changeSetId: changeSet?.id || null });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update tags', message: error.message });
   }
@@ -1,86 +1,41 @@
 import express from 'express';
-import { deltaSharing, clearCache as clearDatabricksCache } from '../services/databricksClient.js';
-import { getAllAgreements } from '../data/agreementsStore.js';
+import { deltaSharing, clearCache as clearDatabricksCache, getCacheStats, getCachePartition } from '../services/databricksClient.js';
+import { getActiveAgreements } from '../data/agreementsStore.js';
 import { getEnvironments } from '../config/databricks.js';
+import { findSharesUnderExpiredAgreements } from '../services/agreementExpiry.js';
+import { validateAsset, validateAssets, validateAssetWithColumns } from '../services/complianceValidation.js';
+import { applyWaivers, isWaivedOnly } from '../services/complianceWaivers.js';
+import { takeComplianceSnapshot, getComplianceTrends } from '../services/complianceSnapshots.js';
 
 const router = express.Router();
 
-// Cache for validation results
+// Cache for validation results - per cache partition, like the assets they're computed from
 const validationCache = new Map();
 const VALIDATION_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-// Validate a single asset against agreement requirements
-const validateAsset = (asset, agreements) => {
-  const violations = [];
-  
-  // Get agreements for this asset's environment
-  const relevantAgreements = agreements.filter(agreement => 
-    agreement.environments.includes(asset.environmentId)
-  );
-  
-  // Check each agreement's requirements
-  relevantAgreements.forEach(agreement => {
-    // Check if this agreement applies to this asset
-    // Shares map to catalogs, so check against catalog_name
-    const agreementApplies = 
-      !agreement.shares || 
-      agreement.shares.length === 0 || 
-      agreement.shares.includes(asset.catalog_name);
-    
-    if (!agreementApplies) return;
-    
-    agreement.parsedRequirements?.forEach(req => {
-      // Check if requirement applies to this asset (scope check)
-      const scopeMatches = req.scope === '*.*.*' || 
-        req.scope === 'all' ||
-        req.scope.includes(asset.catalog_name) ||
-        req.scope.includes(asset.name);
-      
-      if (scopeMatches) {
-        // Check if required tags are present
-        Object.entries(req.requiredTags).forEach(([tagKey, tagValue]) => {
-          const assetTagValue = asset.properties?.[tagKey] || asset.tags?.[tagKey];
-          
-          if (!assetTagValue) {
-            violations.push({
-              agreementId: agreement.id,
-              agreementName: agreement.name,
-              severity: req.severity,
-              tagKey,
-              expectedValue: tagValue,
-              actualValue: null,
-              reason: req.reason,
-            });
-          } else if (assetTagValue !== tagValue) {
-            violations.push({
-              agreementId: agreement.id,
-              agreementName: agreement.name,
-              severity: req.severity,
-              tagKey,
-              expectedValue: tagValue,
-              actualValue: assetTagValue,
-              reason: req.reason,
-            });
-          }
-        });
-      }
-    });
-  });
-  
+// How far the asset crawl of an environment got (see GET /api/delta-sharing/loading-status for
+// the catalogs it scanned) - null before its first pass
+const PENDING_CATALOGS_LISTED = 50;
+const crawlCoverage = (envId) => {
+  const { coverage } = deltaSharing.getLoadingStatus(envId);
+  if (!coverage) return null;
   return {
-    assetId: asset.id || asset.fullName,
-    assetName: asset.name,
-    fullName: asset.fullName,
-    environmentId: asset.environmentId,
-    compliant: violations.length === 0,
-    violations,
+    complete: coverage.complete,
+    totalCatalogs: coverage.totalCatalogs,
+    scanned: coverage.scanned.length,
+    pending: coverage.pending.length,
+    pendingCatalogs: coverage.pending.slice(0, PENDING_CATALOGS_LISTED),
+    skipped: coverage.skipped,
   };
 };
 
+const validationCacheKey = (name) =>
+  `${getEnvironments().map(env => getCachePartition(env.id)).join(',')}|${name}`;
+
 // GET compliance overview (with caching)
 router.get('/overview', async (req, res) => {
   try {
-    const cacheKey = 'compliance_overview';
+    const cacheKey = validationCacheKey('compliance_overview');
     const cached = validationCache.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < VALIDATION_CACHE_TTL) {
@@ -89,7 +44,7 @@ router.get('/overview', async (req, res) => {
     }
     
     const environments = getEnvironments();
-    const agreements = getAllAgreements();
+    const agreements = getActiveAgreements();
     
     // Quick response: Just get already-cached assets, don't fetch new data
     const detailedAssets = [];
@@ -115,7 +70,9 @@ router.get('/overview', async (req, res) => {
           catalogsScanned: 0,
           compliantAssets: 0,
           nonCompliantAssets: 0,
+          waivedAssets: 0,
           criticalViolations: 0,
+          waivedViolations: 0,
           compliancePercentage: 0,
           note: 'Loading assets... Please wait.',
         },
@@ -127,14 +84,40 @@ router.get('/overview', async (req, res) => {
       return res.json(defaultOverview);
     }
     
-    // Validate detailed assets
-    const results = detailedAssets.map(asset => validateAsset(asset, agreements));
+    // Validate detailed assets (violations covered by an active waiver are reported separately)
+    const results = applyWaivers(detailedAssets.map(asset => validateAsset(asset, agreements)));
     
-    // Calculate overall stats
-    const compliantAssets = results.filter(r => r.compliant).length;
+    // Shares that are still shared under an expired agreement
+    // (consumed shares show up as catalogs, provided shares come from the shares API)
+    const sharedNamesByEnv = new Map();
+    detailedAssets.forEach(asset => {
+      if (!sharedNamesByEnv.has(asset.environmentId)) {
+        sharedNamesByEnv.set(asset.environmentId, new Set());
+      }
+      sharedNamesByEnv.get(asset.environmentId).add(asset.catalog_name);
+    });
+    for (const env of environments) {
+      try {
+        const providedShares = await deltaSharing.listShares(env.id);
+        if (!sharedNamesByEnv.has(env.id)) {
+          sharedNamesByEnv.set(env.id, new Set());
+        }
+        providedShares.forEach(share => sharedNamesByEnv.get(env.id).add(share.name));
+      } catch (error) {
+        console.error(`Error listing shares in ${env.id}:`, error.message);
+      }
+    }
+    const expiredAgreementViolations = findSharesUnderExpiredAgreements(sharedNamesByEnv);
+    
+    // Calculate overall stats - assets that are only compliant thanks to waivers
+    // are kept out of the compliance percentage
+    const waivedAssets = results.filter(isWaivedOnly).length;
+    const compliantAssets = results.filter(r => r.compliant).length - waivedAssets;
+    const nonCompliantAssets = detailedAssets.length - compliantAssets - waivedAssets;
+    const waivedViolations = results.reduce((count, r) => count + r.waivedViolations.length, 0);
     const criticalViolations = results.reduce((count, r) => {
       return count + r.violations.filter(v => v.severity === 'critical').length;
-    }, 0);
+    }, 0) + expiredAgreementViolations.length;
     
     // Group by environment
     const byEnvironment = {};
@@ -144,39 +127,67 @@ router.get('/overview', async (req, res) => {
           environmentId: result.environmentId,
           totalAssets: 0,
           compliantAssets: 0,
+          waivedAssets: 0,
         };
       }
       byEnvironment[result.environmentId].totalAssets++;
-      if (result.compliant) {
+      if (isWaivedOnly(result)) {
+        byEnvironment[result.environmentId].waivedAssets++;
+      } else if (result.compliant) {
         byEnvironment[result.environmentId].compliantAssets++;
       }
     });
     
-    // Calculate percentages
+    // Calculate percentages (flagging environments whose inventory hit a list cap, with how far
+    // their crawl got)
     const environmentStats = Object.values(byEnvironment).map(env => ({
       ...env,
-      compliancePercentage: env.totalAssets > 0 
-        ? Math.round((env.compliantAssets / env.totalAssets) * 100)
+      compliancePercentage: env.totalAssets - env.waivedAssets > 0 
+        ? Math.round((env.compliantAssets / (env.totalAssets - env.waivedAssets)) * 100)
         : 0,
+      truncated: !!deltaSharing.getLoadingStatus(env.environmentId).truncated,
+      coverage: crawlCoverage(env.environmentId),
     }));
+    const inventoryTruncated = environmentStats.some(env => env.truncated);
     
     // Get unique catalogs from assets
     const uniqueCatalogs = new Set(detailedAssets.map(a => a.catalog_name));
+
+    // Catalogs the crawls have covered, out of all catalogs (environments without crawl
+    // coverage count the catalogs they have assets in)
+    const coverages = environments.map(env => crawlCoverage(env.id));
+    const catalogsWithAssets = (envId) => new Set(detailedAssets.filter(a => a.environmentId === envId).map(a => a.catalog_name)).size;
+    const coverage = {
+      complete: coverages.every(c => !c || c.complete),
+      pending: coverages.reduce((count, c) => count + (c?.pending || 0), 0),
+      skipped: coverages.reduce((count, c) => count + (c?.skipped.length || 0), 0),
+    };
+    const totalCatalogs = environments.reduce((count, env, i) => count + (coverages[i]?.totalCatalogs ?? catalogsWithAssets(env.id)), 0);
+    const catalogsScanned = environments.reduce((count, env, i) => count + (coverages[i]?.scanned ?? catalogsWithAssets(env.id)), 0);
     
     const overview = {
       overall: {
         totalAssets: detailedAssets.length,
-        totalCatalogs: uniqueCatalogs.size,
-        catalogsScanned: uniqueCatalogs.size,
+        totalCatalogs,
+        catalogsScanned,
         compliantAssets,
-        nonCompliantAssets: detailedAssets.length - compliantAssets,
+        nonCompliantAssets,
+        waivedAssets,
         criticalViolations,
-        compliancePercentage: detailedAssets.length > 0 
-          ? Math.round((compliantAssets / detailedAssets.length) * 100)
+        waivedViolations,
+        compliancePercentage: compliantAssets + nonCompliantAssets > 0 
+          ? Math.round((compliantAssets / (compliantAssets + nonCompliantAssets)) * 100)
           : 0,
-        note: `Showing compliance for ${uniqueCatalogs.size} scanned shares`,
+        sharesUnderExpiredAgreements: expiredAgreementViolations.length,
+        inventoryTruncated,
+        coverage,
+        note: `Showing compliance for ${uniqueCatalogs.size} scanned shares` +
+          (inventoryTruncated ? ' (some lists hit the item cap, so the inventory is incomplete)' : '') +
+          (coverage.pending > 0 ? ` - ${coverage.pending} catalog(s) still to be crawled` : '') +
+          (coverage.skipped > 0 ? ` - ${coverage.skipped} catalog(s) skipped` : ''),
       },
       byEnvironment: environmentStats,
+      expiredAgreementViolations,
       lastUpdated: new Date().toISOString(),
     };
     
@@ -192,7 +203,7 @@ router.get('/overview', async (req, res) => {
 // GET catalog-level compliance summary
 router.get('/catalog-compliance', async (req, res) => {
   try {
-    const cacheKey = 'catalog_compliance';
+    const cacheKey = validationCacheKey('catalog_compliance');
     const cached = validationCache.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < VALIDATION_CACHE_TTL) {
@@ -201,7 +212,7 @@ router.get('/catalog-compliance', async (req, res) => {
     }
     
     const environments = getEnvironments();
-    const agreements = getAllAgreements();
+    const agreements = getActiveAgreements();
     const catalogCompliance = {};
     
     for (const env of environments) {
@@ -220,7 +231,7 @@ router.get('/catalog-compliance', async (req, res) => {
         
         // Validate each catalog
         for (const [catalogName, catalogAssets] of Object.entries(assetsByCatalog)) {
-          const results = catalogAssets.map(asset => validateAsset(asset, agreements));
+          const results = applyWaivers(catalogAssets.map(asset => validateAsset(asset, agreements)));
           const compliant = results.filter(r => r.compliant).length;
           const total = results.length;
           const violations = results.filter(r => !r.compliant);
@@ -266,7 +277,7 @@ router.get('/catalog-compliance', async (req, res) => {
 // GET all violations (with caching)
 router.get('/violations', async (req, res) => {
   try {
-    const cacheKey = 'violations';
+    const cacheKey = validationCacheKey('violations');
     const cached = validationCache.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < VALIDATION_CACHE_TTL) {
@@ -274,16 +285,18 @@ router.get('/violations', async (req, res) => {
       return res.json(cached.data);
     }
     
-    const agreements = getAllAgreements();
+    const agreements = getActiveAgreements();
     
     // OPTIMIZATION: If no agreements exist, there can't be any violations!
     if (agreements.length === 0) {
       console.log('⚡ No agreements defined - skipping violation check');
       const emptyResult = {
         violations: [],
+        waivedViolations: [],
         totalAssets: 0,
         compliantAssets: 0,
         violatingAssets: 0,
+        waivedAssets: 0,
         note: 'No agreements defined. Create an agreement to check for violations.',
       };
       
@@ -306,17 +319,20 @@ router.get('/violations', async (req, res) => {
     
     console.log(`⚡ Validating ${allAssets.length} assets against ${agreements.length} agreement(s)`);
     
-    // Validate each asset
-    const results = allAssets.map(asset => validateAsset(asset, agreements));
+    // Validate each asset (including columns for tables with column requirements)
+    const results = applyWaivers(await validateAssets(allAssets, agreements));
     
-    // Filter to only assets with violations
+    // Filter to only assets with open violations; waived violations are listed separately
     const violationsOnly = results.filter(r => !r.compliant);
+    const waived = results.filter(r => r.waivedViolations.length > 0);
     
     const violations = {
       violations: violationsOnly,
+      waivedViolations: waived,
       totalAssets: allAssets.length,
       compliantAssets: allAssets.length - violationsOnly.length,
       violatingAssets: violationsOnly.length,
+      waivedAssets: waived.length,
     };
     
     // Cache the result
@@ -337,7 +353,7 @@ router.post('/validate/:assetId', async (req, res) => {
       return res.status(400).json({ error: 'Invalid asset ID format' });
     }
     
-    const agreements = getAllAgreements();
+    const agreements = getActiveAgreements();
     const tables = await deltaSharing.getAllShareTables(envId);
     const table = tables.find(t => t.fullName === fullTableName);
     
@@ -345,7 +361,7 @@ router.post('/validate/:assetId', async (req, res) => {
       return res.status(404).json({ error: 'Asset not found' });
     }
     
-    const result = validateAsset(table, agreements);
+    const [result] = applyWaivers([await validateAssetWithColumns(table, agreements)]);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: 'Failed to validate asset', message: error.message });
@@ -355,7 +371,7 @@ router.post('/validate/:assetId', async (req, res) => {
 // POST validate all assets (with caching)
 router.post('/validate-all', async (req, res) => {
   try {
-    const cacheKey = 'validate_all';
+    const cacheKey = validationCacheKey('validate_all');
     const cached = validationCache.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < VALIDATION_CACHE_TTL) {
@@ -364,7 +380,7 @@ router.post('/validate-all', async (req, res) => {
     }
     
     const environments = getEnvironments();
-    const agreements = getAllAgreements();
+    const agreements = getActiveAgreements();
     const allAssets = [];
     
     // Fetch all assets from all environments (uses cached asset data)
@@ -377,8 +393,8 @@ router.post('/validate-all', async (req, res) => {
       }
     }
     
-    // Validate each asset
-    const results = allAssets.map(asset => validateAsset(asset, agreements));
+    // Validate each asset (including columns for tables with column requirements)
+    const results = applyWaivers(await validateAssets(allAssets, agreements));
     
     const response = {
       results,
@@ -386,6 +402,7 @@ router.post('/validate-all', async (req, res) => {
         total: results.length,
         compliant: results.filter(r => r.compliant).length,
         nonCompliant: results.filter(r => !r.compliant).length,
+        waived: results.filter(isWaivedOnly).length,
       },
     };
     
@@ -398,22 +415,74 @@ router.post('/validate-all', async (req, res) => {
   }
 });
 
-// POST clear all caches
+// GET compliance over time from the recorded snapshots
+// (?range=7d|30d|90d|180d|1y|all&granularity=hour|day|week|month&environmentId=&from=&to=)
+router.get('/trends', (req, res) => {
+  try {
+    res.json(getComplianceTrends({
+      range: req.query.range,
+      granularity: req.query.granularity,
+      environmentId: req.query.environmentId,
+      from: req.query.from,
+      to: req.query.to,
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to get compliance trends', message: error.message });
+  }
+});
+
+// POST record a compliance snapshot now ({ envId }, default: every environment)
+router.post('/snapshots', async (req, res) => {
+  try {
+    const envIds = req.body.envId ? [req.body.envId] : getEnvironments().map(env => env.id);
+    const snapshots = [];
+    for (const envId of envIds) {
+      snapshots.push(await takeComplianceSnapshot(envId, { source: { type: 'manual', by: req.databricksUser?.email } }));
+    }
+    res.status(201).json(snapshots);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to record compliance snapshot', message: error.message });
+  }
+});
+
+// Clear cached validation results (e.g. after agreements change)
+export const clearValidationCache = () => validationCache.clear();
+
+// POST clear caches - everything, or with { environmentId, catalog? } one environment or catalog
 router.post('/clear-cache', (req, res) => {
   try {
+    const { environmentId = null, catalog = null } = req.body || {};
+    if (catalog && !environmentId) {
+      return res.status(400).json({ error: 'Invalid request', message: 'environmentId is required to clear a catalog' });
+    }
+
     // Clear validation cache
     validationCache.clear();
     
     // Clear Databricks client cache
-    clearDatabricksCache();
+    clearDatabricksCache({ environmentId, catalog });
     
     res.json({ 
       success: true, 
-      message: 'All caches cleared successfully' 
+      message: environmentId
+        ? `Caches cleared for ${catalog ? `${environmentId}.${catalog}` : environmentId}`
+        : 'All caches cleared successfully'
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to clear cache', message: error.message });
   }
 });
 
+// GET cache sizes and hit / miss counters
+router.get('/cache-stats', (req, res) => {
+  try {
+    res.json({
+      databricks: getCacheStats(),
+      validation: { size: validationCache.size },
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get cache stats', message: error.message });
+  }
+});
+
 export default router;
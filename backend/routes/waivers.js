@@ -0,0 +1,85 @@
+import express from 'express';
+import { getWaivers, getWaiverById } from '../data/waiversStore.js';
+import { WAIVER_STATUSES, isWaiverActive, requestWaiver, transitionWaiver } from '../services/complianceWaivers.js';
+import { clearValidationCache } from './validation.js';
+
+const router = express.Router();
+
+const withActiveFlag = (waiver) => ({ ...waiver, active: isWaiverActive(waiver) });
+
+// GET waivers (filters: ?status=&assetId=&agreementId=)
+router.get('/', (req, res) => {
+  const { status, assetId, agreementId } = req.query;
+  if (status && !WAIVER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', message: `Expected one of ${WAIVER_STATUSES.join(', ')}` });
+  }
+
+  const currentUser = req.databricksUser?.email?.toLowerCase() || null;
+  const waivers = getWaivers({ status, assetId, agreementId }).map(waiver => ({
+    ...withActiveFlag(waiver),
+    canDecide: waiver.status === 'pending' && waiver.approver === currentUser,
+  }));
+  res.json({ currentUser, waivers });
+});
+
+// GET a waiver
+router.get('/:id', (req, res) => {
+  const waiver = getWaiverById(req.params.id);
+  if (!waiver) {
+    return res.status(404).json({ error: 'Waiver not found' });
+  }
+  res.json(withActiveFlag(waiver));
+});
+
+// POST request a waiver for an asset / requirement pair
+router.post('/', (req, res) => {
+  try {
+    const waiver = requestWaiver(req.body, req.databricksUser?.email);
+    res.status(201).json(withActiveFlag(waiver));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to request waiver', message: error.message });
+  }
+});
+
+// POST approve a pending waiver (named approver only)
+router.post('/:id/approve', (req, res) => {
+  try {
+    const waiver = transitionWaiver(req.params.id, 'approved', {
+      actor: req.databricksUser?.email,
+      comment: req.body.comment,
+    });
+    clearValidationCache();
+    res.json(withActiveFlag(waiver));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to approve waiver', message: error.message });
+  }
+});
+
+// POST reject a pending waiver (named approver only, comment required)
+router.post('/:id/reject', (req, res) => {
+  try {
+    const waiver = transitionWaiver(req.params.id, 'rejected', {
+      actor: req.databricksUser?.email,
+      comment: req.body.comment,
+    });
+    res.json(withActiveFlag(waiver));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to reject waiver', message: error.message });
+  }
+});
+
+// POST revoke a pending or approved waiver (requester or approver) - its violations count again
+router.post('/:id/revoke', (req, res) => {
+  try {
+    const waiver = transitionWaiver(req.params.id, 'revoked', {
+      actor: req.databricksUser?.email,
+      comment: req.body.comment,
+    });
+    clearValidationCache();
+    res.json(withActiveFlag(waiver));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to revoke waiver', message: error.message });
+  }
+});
+
+export default router;
@@ -4,13 +4,41 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import agreementsRouter from './routes/agreements.js';
 import deltaSharingRouter from './routes/deltaSharing.js';
-import validationRouter from './routes/validation.js';
+import validationRouter, { clearValidationCache } from './routes/validation.js';
 import tagsRouter from './routes/tags.js';
 import environmentsRouter from './routes/environments.js';
 import unityCatalogRouter from './routes/unityCatalog.js';
 import setupRouter from './routes/setup.js';
-import { setUserToken } from './services/databricksClient.js';
-import { getUserToken, getUserEmail } from './config/databricks.js';
+import providerKeysRouter from './routes/providerKeys.js';
+import waiversRouter from './routes/waivers.js';
+import enforcementPlansRouter from './routes/enforcementPlans.js';
+import changeSetsRouter from './routes/changeSets.js';
+import enforcementRunsRouter from './routes/enforcementRuns.js';
+import jobsRouter from './routes/jobs.js';
+import schedulesRouter from './routes/schedules.js';
+import { runWithRequestContext } from './services/requestContext.js';
+import { getUserToken, getUserEmail, getEnvironments, getAuthSettings } from './config/databricks.js';
+import { initAgreementsStore } from './data/agreementsStore.js';
+import { initAgreementRevisions } from './data/agreementRevisions.js';
+import { initProviderKeysStore } from './data/providerKeysStore.js';
+import { initWaiversStore } from './data/waiversStore.js';
+import { initEnforcementPlansStore } from './data/enforcementPlansStore.js';
+import { initTagChangeSetsStore } from './data/tagChangeSetsStore.js';
+import { initEnforcementRunsStore } from './data/enforcementRunsStore.js';
+import { initJobsStore } from './data/jobsStore.js';
+import { initSchedulesStore } from './data/schedulesStore.js';
+import { initComplianceSnapshotsStore } from './data/complianceSnapshotsStore.js';
+import { initInventoryScansStore } from './data/inventoryScansStore.js';
+import { initCrawlCheckpointsStore } from './data/crawlCheckpointsStore.js';
+import { getStorageBackendName, getStorageHealth } from './data/storage/index.js';
+import { initAssetCache, resolveCallerIdentity } from './services/databricksClient.js';
+import { startAgreementExpiryMonitor } from './services/agreementExpiry.js';
+import { startWaiverExpiryMonitor } from './services/complianceWaivers.js';
+import { markInterruptedRuns } from './services/complianceEnforcement.js';
+import { markInterruptedPlans } from './services/enforcementPlans.js';
+import { onTagsWritten } from './services/tagPropagation.js';
+import { startJobQueue, enqueueJob } from './services/jobQueue.js';
+import { startComplianceScheduler } from './services/complianceSchedules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,48 +57,59 @@ app.use((req, res, next) => {
 });
 
 // User authentication middleware (Databricks Apps)
-// Extracts user token from X-Forwarded-Access-Token header and sets it for API calls
+// Extracts user token from X-Forwarded-Access-Token header and serves the request with it
+// (request-scoped - see services/requestContext.js)
 app.use((req, res, next) => {
   const userToken = getUserToken(req);
   const userEmail = getUserEmail(req);
   
+  // Attach user info to request for logging/auditing
+  req.databricksUser = {
+    email: userToken ? userEmail : null,
+    hasToken: !!userToken,
+  };
   if (userToken) {
-    // Set the user token for Databricks API calls
-    setUserToken(userToken);
-    // Attach user info to request for logging/auditing
-    req.databricksUser = {
-      email: userEmail,
-      hasToken: true,
-    };
     console.log(`👤 User authenticated: ${userEmail || 'unknown'}`);
-  } else {
-    // Clear any previous user token (will fall back to PAT from config)
-    setUserToken(null);
-    req.databricksUser = {
-      email: null,
-      hasToken: false,
-    };
   }
   
-  next();
+  // Without a user token, Databricks calls fall back to the service principal or the PAT from config.
+  // The caller's user is looked up (once per token) before serving, so cached results are
+  // partitioned by user rather than by a token that rotates.
+  runWithRequestContext({ userToken, userEmail: req.databricksUser.email }, async () => {
+    if (userToken) {
+      await resolveCallerIdentity();
+    }
+    next();
+  });
 });
 
 // Routes
 app.use('/api/agreements', agreementsRouter);
+app.use('/api/provider-keys', providerKeysRouter);
 app.use('/api/delta-sharing', deltaSharingRouter);
 app.use('/api/validation', validationRouter);
+app.use('/api/waivers', waiversRouter);
+app.use('/api/enforcement-plans', enforcementPlansRouter);
+app.use('/api/change-sets', changeSetsRouter);
+app.use('/api/enforcement-runs', enforcementRunsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/schedules', schedulesRouter);
 app.use('/api/tags', tagsRouter);
 app.use('/api/environments', environmentsRouter);
 app.use('/api/setup', setupRouter); // More specific route first
 app.use('/api/unity-catalog', unityCatalogRouter);
 
-// Health check
+// Health check - degraded (503) while writes to storage have failed, since the app's data in
+// memory then differs from what a restart would load
 app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
+  const storageHealth = getStorageHealth();
+  res.status(storageHealth.healthy ? 200 : 503).json({ 
+    status: storageHealth.healthy ? 'ok' : 'degraded', 
     timestamp: new Date().toISOString(),
     user: req.databricksUser?.email || null,
     authMode: req.databricksUser?.hasToken ? 'user_token' : 'pat_fallback',
+    storage: getStorageBackendName(),
+    storageErrors: storageHealth.failedCollections,
   });
 });
 
@@ -87,9 +126,16 @@ app.get('/api', (req, res) => {
     user: req.databricksUser?.email || null,
     endpoints: {
       agreements: '/api/agreements',
+      providerKeys: '/api/provider-keys',
       shares: '/api/delta-sharing/shares',
       tables: '/api/delta-sharing/tables',
       validation: '/api/validation',
+      waivers: '/api/waivers',
+      enforcementPlans: '/api/enforcement-plans',
+      changeSets: '/api/change-sets',
+      enforcementRuns: '/api/enforcement-runs',
+      jobs: '/api/jobs',
+      schedules: '/api/schedules',
       tags: '/api/tags',
       environments: '/api/environments',
       unityCatalog: '/api/unity-catalog',
@@ -113,6 +159,39 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error', message: err.message });
 });
 
+// Load persisted data before accepting requests
+await initAgreementRevisions();
+await initAgreementsStore();
+await initProviderKeysStore();
+await initWaiversStore();
+await initEnforcementPlansStore();
+markInterruptedPlans();
+await initTagChangeSetsStore();
+await initEnforcementRunsStore();
+markInterruptedRuns();
+await initJobsStore();
+await initSchedulesStore();
+await initComplianceSnapshotsStore();
+await initInventoryScansStore();
+await initCrawlCheckpointsStore();
+initAssetCache();
+startJobQueue();
+
+// Load the asset lists in the background so the first requests don't wait for a full scan
+if (process.env.SCAN_ON_STARTUP !== 'false') {
+  getEnvironments().forEach(env => enqueueJob('asset-scan', { environmentId: env.id }));
+}
+
+// Validation results show the tags they were computed with - drop them when tags are written
+onTagsWritten(clearValidationCache);
+
+// Activate / expire agreements and expire waivers as their dates pass
+startAgreementExpiryMonitor({ onChange: clearValidationCache });
+startWaiverExpiryMonitor({ onChange: clearValidationCache });
+
+// Run compliance schedules as they come due
+startComplianceScheduler({ onChange: clearValidationCache });
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   const appUrl = process.env.DATABRICKS_APP_URL || `http://localhost:${PORT}`;
@@ -124,5 +203,6 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`🔗 Databricks Host: ${databricksHost}`);
     console.log(`📱 App Name: ${process.env.DATABRICKS_APP_NAME || 'unknown'}`);
   }
-  console.log(`🔐 Auth: User token from X-Forwarded-Access-Token, falls back to PAT from config`);
+  console.log(`🔐 Auth: ${getAuthSettings().policy === 'service-principal' ? 'Service principal, falls back to user token' : 'User token from X-Forwarded-Access-Token, falls back to service principal'}, then PAT from config`);
+  console.log(`💾 Storage: ${getStorageBackendName()}`);
 });
@@ -0,0 +1,189 @@
+/**
+ * Agreement Diff Service
+ *
+ * Compares two agreement snapshots (e.g. two revisions) and reports what changed:
+ * - Scalar fields (name, description, retention period, dissemination rules, dates, scope)
+ * - Required tags added / removed / changed value (or operator)
+ * - Requirement rules added / removed
+ * - Asset scopes, column requirements and shares added / removed
+ * - A line-by-line diff of the agreement text
+ */
+
+import { describeRule, describeTagValue } from './requirementRules.js';
+
+const SCALAR_FIELDS = [
+  'name',
+  'description',
+  'retentionYears',
+  'disseminationRules',
+  'effectiveDate',
+  'expiryDate',
+  'renewalNoticeDate',
+  'scope',
+];
+const LIST_FIELDS = ['environments', 'shares'];
+
+// Content longer than this (in lines) is reported as changed without a line diff
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Diff required tags by key (values of non-eq conditions read like "in [a, b]")
+ * @param {Array<{key: string, operator?: string, value: string}>} fromTags
+ * @param {Array<{key: string, operator?: string, value: string}>} toTags
+ */
+export function diffTags(fromTags = [], toTags = []) {
+  const fromMap = new Map(fromTags.filter(t => t.key).map(t => [t.key, describeTagValue(t)]));
+  const toMap = new Map(toTags.filter(t => t.key).map(t => [t.key, describeTagValue(t)]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, value] of toMap) {
+    if (!fromMap.has(key)) {
+      added.push({ key, value });
+    } else if (fromMap.get(key) !== value) {
+      changed.push({ key, from: fromMap.get(key), to: value });
+    }
+  }
+  for (const [key, value] of fromMap) {
+    if (!toMap.has(key)) {
+      removed.push({ key, value });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Diff two lists, keying items with keyFn
+ */
+function diffList(fromList = [], toList = [], keyFn = (item) => item) {
+  const fromKeys = new Set(fromList.map(keyFn));
+  const toKeys = new Set(toList.map(keyFn));
+
+  return {
+    added: toList.filter(item => !fromKeys.has(keyFn(item))),
+    removed: fromList.filter(item => !toKeys.has(keyFn(item))),
+  };
+}
+
+// Asset scopes are objects from the UI ({ type, fullName, ... }) but may be plain names
+const scopeKey = (scope) =>
+  typeof scope === 'string' ? scope : `${scope.type || scope.scope || 'asset'}:${scope.fullName}`;
+
+// Column requirements have no id; any change to one shows as removed + added
+const columnRequirementKey = (requirement) => JSON.stringify([
+  requirement.pattern,
+  (requirement.requiredTags || []).map(t => `${t.key}=${describeTagValue(t)}`).sort(),
+  Boolean(requirement.masked),
+]);
+
+// Rules have no id either; compare their readable form
+const ruleKey = (rule) => describeRule(rule);
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string, fromLine?: number, toLine?: number}>}
+ */
+export function diffLines(fromText = '', toText = '') {
+  const a = (fromText || '').split('\n');
+  const b = (toText || '').split('\n');
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return null;
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i], fromLine: i + 1, toLine: j + 1 });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i], fromLine: i + 1 });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: b[j], toLine: j + 1 });
+      j++;
+    }
+  }
+  while (i < a.length) {
+    lines.push({ type: 'removed', text: a[i], fromLine: i + 1 });
+    i++;
+  }
+  while (j < b.length) {
+    lines.push({ type: 'added', text: b[j], toLine: j + 1 });
+    j++;
+  }
+
+  return lines;
+}
+
+/**
+ * Compare two agreement snapshots
+ * @param {Object} from - Older agreement snapshot
+ * @param {Object} to - Newer agreement snapshot
+ */
+export function diffAgreements(from = {}, to = {}) {
+  const fields = {};
+  for (const field of SCALAR_FIELDS) {
+    const fromValue = from[field] ?? null;
+    const toValue = to[field] ?? null;
+    if (String(fromValue ?? '') !== String(toValue ?? '')) {
+      fields[field] = { from: fromValue, to: toValue };
+    }
+  }
+
+  const lists = {};
+  for (const field of LIST_FIELDS) {
+    lists[field] = diffList(from[field], to[field]);
+  }
+
+  const requiredTags = diffTags(from.requiredTags, to.requiredTags);
+  const assetScopes = diffList(from.assetScopes, to.assetScopes, scopeKey);
+  const columnRequirements = diffList(from.columnRequirements, to.columnRequirements, columnRequirementKey);
+  const rules = diffList(from.rules, to.rules, ruleKey);
+  const contentChanged = (from.content || '') !== (to.content || '');
+  const contentLines = contentChanged ? diffLines(from.content, to.content) : [];
+
+  const hasChanges =
+    Object.keys(fields).length > 0 ||
+    Object.values(lists).some(l => l.added.length > 0 || l.removed.length > 0) ||
+    requiredTags.added.length > 0 || requiredTags.removed.length > 0 || requiredTags.changed.length > 0 ||
+    assetScopes.added.length > 0 || assetScopes.removed.length > 0 ||
+    columnRequirements.added.length > 0 || columnRequirements.removed.length > 0 ||
+    rules.added.length > 0 || rules.removed.length > 0 ||
+    contentChanged;
+
+  return {
+    hasChanges,
+    fields,
+    ...lists,
+    requiredTags,
+    assetScopes,
+    columnRequirements,
+    rules,
+    content: {
+      changed: contentChanged,
+      // null when the text is too long to diff line by line
+      lines: contentLines,
+    },
+  };
+}
+
+export default {
+  diffAgreements,
+  diffTags,
+  diffLines,
+};
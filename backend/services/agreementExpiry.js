@@ -0,0 +1,242 @@
+/**
+ * Agreement Expiry Service
+ *
+ * Keeps agreement status in line with the agreement's dates:
+ * - Approved agreements become active on their effective date
+ * - Agreements entering their renewal window are flagged (expiryNotice)
+ * - Agreements past their expiry date are marked expired
+ * A background sweep runs on startup and then every AGREEMENT_EXPIRY_CHECK_INTERVAL_MS.
+ */
+
+import { getAllAgreements, setAgreementExpiryNotice } from '../data/agreementsStore.js';
+import { transitionAgreement } from './agreementLifecycle.js';
+
+const CHECK_INTERVAL = parseInt(process.env.AGREEMENT_EXPIRY_CHECK_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+// Renewal window used when an agreement has no renewal notice date
+const DEFAULT_RENEWAL_NOTICE_DAYS = parseInt(process.env.AGREEMENT_RENEWAL_NOTICE_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses in which an agreement is (or is about to be) in force
+const IN_FORCE_STATUSES = new Set(['approved', 'active', 'suspended']);
+
+let expiryTimer = null;
+
+// Dates are stored as calendar dates (YYYY-MM-DD, UTC) and compared as strings
+export const toDateString = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Normalize a date value from a request or agreement file to YYYY-MM-DD
+ * @returns {string|null} null when empty; throws on invalid dates
+ */
+export function normalizeAgreementDate(value, fieldName = 'date') {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Invalid ${fieldName}: ${value} (expected YYYY-MM-DD)`);
+  }
+  return toDateString(parsed);
+}
+
+/**
+ * Normalize and check the effective / renewal notice / expiry dates of an agreement
+ * @returns {{ effectiveDate, expiryDate, renewalNoticeDate }}
+ */
+export function normalizeAgreementDates({ effectiveDate, expiryDate, renewalNoticeDate } = {}) {
+  const dates = {
+    effectiveDate: normalizeAgreementDate(effectiveDate, 'effective date'),
+    expiryDate: normalizeAgreementDate(expiryDate, 'expiry date'),
+    renewalNoticeDate: normalizeAgreementDate(renewalNoticeDate, 'renewal notice date'),
+  };
+
+  if (dates.effectiveDate && dates.expiryDate && dates.expiryDate < dates.effectiveDate) {
+    throw new Error('Expiry date must be on or after the effective date');
+  }
+  if (dates.renewalNoticeDate && dates.expiryDate && dates.renewalNoticeDate > dates.expiryDate) {
+    throw new Error('Renewal notice date must be on or before the expiry date');
+  }
+
+  return dates;
+}
+
+// Date from which an agreement is in its renewal window
+export function getRenewalNoticeDate(agreement) {
+  if (!agreement.expiryDate) return null;
+  if (agreement.renewalNoticeDate) return agreement.renewalNoticeDate;
+  return toDateString(new Date(new Date(agreement.expiryDate).getTime() - DEFAULT_RENEWAL_NOTICE_DAYS * DAY_MS));
+}
+
+export function getDaysUntilExpiry(agreement, today = toDateString()) {
+  if (!agreement.expiryDate) return null;
+  return Math.round((new Date(agreement.expiryDate).getTime() - new Date(today).getTime()) / DAY_MS);
+}
+
+// An agreement is valid through its expiry date
+export const isPastExpiry = (agreement, today = toDateString()) =>
+  Boolean(agreement.expiryDate) && agreement.expiryDate < today;
+
+export const isBeforeEffective = (agreement, today = toDateString()) =>
+  Boolean(agreement.effectiveDate) && agreement.effectiveDate > today;
+
+/**
+ * Agreements in their renewal window or already expired (read-only)
+ */
+export function getExpiryStatus(today = toDateString()) {
+  const expiringSoon = [];
+  const expired = [];
+
+  for (const agreement of getAllAgreements()) {
+    if (!agreement.expiryDate || agreement.status === 'terminated') continue;
+
+    const summary = {
+      id: agreement.id,
+      name: agreement.name,
+      status: agreement.status,
+      shares: agreement.shares || [],
+      expiryDate: agreement.expiryDate,
+      renewalNoticeDate: getRenewalNoticeDate(agreement),
+      daysUntilExpiry: getDaysUntilExpiry(agreement, today),
+    };
+
+    if (agreement.status === 'expired' || isPastExpiry(agreement, today)) {
+      expired.push(summary);
+    } else if (summary.renewalNoticeDate <= today) {
+      expiringSoon.push(summary);
+    }
+  }
+
+  return { today, expiringSoon, expired };
+}
+
+/**
+ * Apply date-driven status changes (activate, flag for renewal, expire)
+ * @returns {{ activated: string[], flagged: string[], expired: string[] }}
+ */
+export function runExpiryCheck(today = toDateString()) {
+  const results = { activated: [], flagged: [], expired: [] };
+
+  for (const agreement of getAllAgreements()) {
+    try {
+      if (!IN_FORCE_STATUSES.has(agreement.status)) continue;
+
+      if (isPastExpiry(agreement, today)) {
+        transitionAgreement(agreement.id, 'expired', {
+          system: true,
+          comment: `Expired on ${agreement.expiryDate}`,
+        });
+        console.log(`⌛ Agreement expired: ${agreement.name} (expiry date ${agreement.expiryDate})`);
+        results.expired.push(agreement.id);
+        continue;
+      }
+
+      if (agreement.status === 'approved' && agreement.effectiveDate && !isBeforeEffective(agreement, today)) {
+        transitionAgreement(agreement.id, 'active', {
+          system: true,
+          comment: `Effective from ${agreement.effectiveDate}`,
+        });
+        console.log(`✅ Agreement now in effect: ${agreement.name}`);
+        results.activated.push(agreement.id);
+      }
+
+      // Flag once per expiry date when the renewal window opens
+      const renewalNoticeDate = getRenewalNoticeDate(agreement);
+      if (renewalNoticeDate && renewalNoticeDate <= today && agreement.expiryNotice?.expiryDate !== agreement.expiryDate) {
+        const daysUntilExpiry = getDaysUntilExpiry(agreement, today);
+        // Stored without a revision or a new updatedAt, so plans and runs for the agreement stay current
+        setAgreementExpiryNotice(agreement.id, {
+          flaggedAt: new Date().toISOString(),
+          expiryDate: agreement.expiryDate,
+          renewalNoticeDate,
+        });
+        console.log(`⏰ Agreement expiring soon: ${agreement.name} (${daysUntilExpiry} day(s) left)`);
+        results.flagged.push(agreement.id);
+      }
+    } catch (error) {
+      console.error(`❌ Expiry check failed for agreement ${agreement.id}:`, error.message);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Start the background expiry sweep
+ * @param {Object} options - { onChange } called when any agreement status changed
+ */
+export function startAgreementExpiryMonitor({ onChange } = {}) {
+  if (expiryTimer) return;
+
+  const sweep = () => {
+    const results = runExpiryCheck();
+    if (results.activated.length > 0 || results.expired.length > 0) {
+      onChange?.(results);
+    }
+  };
+
+  sweep();
+  expiryTimer = setInterval(sweep, CHECK_INTERVAL);
+  // Don't keep the process alive just for the sweep
+  expiryTimer.unref();
+
+  console.log(`⌛ Agreement expiry monitor running every ${Math.round(CHECK_INTERVAL / 60000)} minute(s)`);
+}
+
+export function stopAgreementExpiryMonitor() {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+}
+
+/**
+ * Shares still shared under an expired agreement
+ * @param {Map<string, Set<string>>} sharedNamesByEnv - share / catalog names currently shared, per environment
+ * @returns {Array} one critical violation per share
+ */
+export function findSharesUnderExpiredAgreements(sharedNamesByEnv, today = toDateString()) {
+  const violations = [];
+
+  for (const agreement of getAllAgreements()) {
+    if (agreement.status !== 'expired' && !(IN_FORCE_STATUSES.has(agreement.status) && isPastExpiry(agreement, today))) {
+      continue;
+    }
+
+    for (const envId of agreement.environments || []) {
+      const sharedNames = sharedNamesByEnv.get(envId);
+      if (!sharedNames) continue;
+
+      for (const share of agreement.shares || []) {
+        if (!sharedNames.has(share)) continue;
+        violations.push({
+          type: 'expired_agreement',
+          severity: 'critical',
+          agreementId: agreement.id,
+          agreementName: agreement.name,
+          share,
+          environmentId: envId,
+          expiryDate: agreement.expiryDate,
+          reason: `Share ${share} is still shared under an agreement that expired on ${agreement.expiryDate || 'an unknown date'}`,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+export default {
+  toDateString,
+  normalizeAgreementDate,
+  normalizeAgreementDates,
+  getRenewalNoticeDate,
+  getDaysUntilExpiry,
+  isPastExpiry,
+  isBeforeEffective,
+  getExpiryStatus,
+  runExpiryCheck,
+  startAgreementExpiryMonitor,
+  stopAgreementExpiryMonitor,
+  findSharesUnderExpiredAgreements,
+};
@@ -0,0 +1,230 @@
+/**
+ * Agreement Lifecycle Service
+ *
+ * Agreements must be reviewed before they are enforced:
+ *   draft → pending_review → approved → active → suspended → expired / terminated
+ * - Only active agreements are counted by validation and enforcement
+ * - Approving, rejecting, activating, suspending and terminating require an approver
+ *   for every environment the agreement applies to (see getApprovers in config). Where no
+ *   approvers are configured, any signed-in user other than the submitter may review it.
+ * - Every transition is recorded in the agreement's statusHistory and revision log
+ */
+
+import { getAgreementById, updateAgreement } from '../data/agreementsStore.js';
+import { getApprovers } from '../config/databricks.js';
+
+export const AGREEMENT_STATUSES = [
+  'draft',
+  'pending_review',
+  'approved',
+  'active',
+  'suspended',
+  'expired',
+  'terminated',
+];
+
+// Allowed transitions from each status
+export const STATUS_TRANSITIONS = {
+  draft: ['pending_review', 'terminated'],
+  pending_review: ['approved', 'draft', 'terminated'],
+  approved: ['active', 'pending_review', 'expired', 'terminated'],
+  active: ['suspended', 'pending_review', 'expired', 'terminated'],
+  suspended: ['active', 'expired', 'terminated'],
+  expired: [],
+  terminated: [],
+};
+
+// Transitions anyone may make (submitting a draft for review); everything else needs an approver
+const OPEN_TRANSITIONS = new Set(['draft:pending_review']);
+
+// Review decisions recorded in an agreement's approvals
+const REVIEW_DECISIONS = {
+  'pending_review:approved': 'approved',
+  'pending_review:draft': 'rejected',
+};
+
+// Editing the terms of a reviewed agreement sends it back for review
+const REAPPROVAL_STATUSES = new Set(['approved', 'active', 'suspended']);
+
+// Agreements that can no longer be edited
+const FINAL_STATUSES = new Set(['expired', 'terminated']);
+
+const lifecycleError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Approvers for an agreement (union of the approvers of its environments)
+ * @returns {{ approvers: string[], unrestricted: boolean }}
+ */
+export function getAgreementApprovers(agreement) {
+  const environments = agreement.environments?.length > 0 ? agreement.environments : ['current'];
+  const approvers = [...new Set(environments.flatMap(envId => getApprovers(envId)))];
+
+  // With no approvers configured, any signed-in user other than the submitter may approve
+  return { approvers, unrestricted: approvers.length === 0 };
+}
+
+// The user who submitted an agreement that is pending review (its latest move to pending_review)
+function getSubmitter(agreement) {
+  if (agreement.status !== 'pending_review') {
+    return null;
+  }
+  const submitted = [...(agreement.statusHistory || [])].reverse().find(entry => entry.to === 'pending_review');
+  return submitted?.by?.toLowerCase() || null;
+}
+
+/**
+ * Check whether a user may approve an agreement
+ * A user must be signed in and an approver in every environment the agreement applies to.
+ * In environments without configured approvers, anyone but the submitter may approve.
+ */
+export function canApprove(agreement, email) {
+  const environments = agreement.environments?.length > 0 ? agreement.environments : ['current'];
+  const normalizedEmail = email?.trim().toLowerCase();
+  if (!normalizedEmail) {
+    return false;
+  }
+
+  return environments.every(envId => {
+    const approvers = getApprovers(envId);
+    return approvers.length > 0
+      ? approvers.includes(normalizedEmail)
+      : normalizedEmail !== getSubmitter(agreement);
+  });
+}
+
+export function isEditable(agreement) {
+  return !FINAL_STATUSES.has(agreement.status);
+}
+
+/**
+ * Build the status fields for a transition without saving them
+ * (lets callers combine a status change with other updates in one revision)
+ */
+export function buildStatusChange(agreement, toStatus, { actor, comment } = {}) {
+  const fromStatus = agreement?.status || null;
+  return {
+    status: toStatus,
+    statusHistory: [
+      ...(agreement?.statusHistory || []),
+      {
+        from: fromStatus,
+        to: toStatus,
+        by: actor || 'system',
+        at: new Date().toISOString(),
+        comment: comment || null,
+      },
+    ],
+  };
+}
+
+/**
+ * Status fields to apply when an agreement's terms are edited
+ * Reviewed agreements go back to pending_review so the new terms are approved before enforcement.
+ */
+export function statusAfterEdit(agreement, { actor } = {}) {
+  if (!REAPPROVAL_STATUSES.has(agreement.status)) {
+    return {};
+  }
+  return buildStatusChange(agreement, 'pending_review', {
+    actor,
+    comment: 'Terms changed - re-approval required',
+  });
+}
+
+/**
+ * Move an agreement to a new status
+ * @param {string} agreementId
+ * @param {string} toStatus
+ * @param {Object} options - { actor, comment, system } (system skips the approver check)
+ */
+export function transitionAgreement(agreementId, toStatus, { actor, comment, system = false } = {}) {
+  const agreement = getAgreementById(agreementId);
+  if (!agreement) {
+    throw lifecycleError(`Agreement not found: ${agreementId}`, 404);
+  }
+
+  if (!AGREEMENT_STATUSES.includes(toStatus)) {
+    throw lifecycleError(`Unknown status: ${toStatus} (expected one of ${AGREEMENT_STATUSES.join(', ')})`, 400);
+  }
+
+  const fromStatus = agreement.status || 'draft';
+  if (!(STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    throw lifecycleError(`Cannot move agreement from ${fromStatus} to ${toStatus}`, 409);
+  }
+
+  const transition = `${fromStatus}:${toStatus}`;
+  if (!system && !OPEN_TRANSITIONS.has(transition) && !canApprove(agreement, actor)) {
+    throw lifecycleError(`${actor || 'Anonymous user'} is not an approver for this agreement`, 403);
+  }
+
+  // Agreements are only in force between their effective and expiry dates (YYYY-MM-DD)
+  if (toStatus === 'active') {
+    const today = new Date().toISOString().slice(0, 10);
+    if (agreement.effectiveDate && agreement.effectiveDate > today) {
+      throw lifecycleError(`Agreement is not effective until ${agreement.effectiveDate}`, 409);
+    }
+    if (agreement.expiryDate && agreement.expiryDate < today) {
+      throw lifecycleError(`Agreement expired on ${agreement.expiryDate}`, 409);
+    }
+  }
+
+  const decision = REVIEW_DECISIONS[transition];
+  if (decision === 'rejected' && !comment?.trim()) {
+    throw lifecycleError('A comment explaining the rejection is required', 400);
+  }
+
+  const updates = buildStatusChange(agreement, toStatus, { actor, comment });
+  if (decision) {
+    updates.approvals = [
+      ...(agreement.approvals || []),
+      { decision, by: actor, at: new Date().toISOString(), comment: comment || null },
+    ];
+  }
+
+  console.log(`🔁 Agreement ${agreement.name}: ${fromStatus} → ${toStatus}${actor ? ` by ${actor}` : ''}`);
+
+  return updateAgreement(agreementId, updates, {
+    action: 'status',
+    changedBy: actor || 'system',
+    reason: comment ? `${fromStatus} → ${toStatus}: ${comment}` : `${fromStatus} → ${toStatus}`,
+  });
+}
+
+/**
+ * Approve an agreement that is pending review
+ */
+export function approveAgreement(agreementId, { actor, comment } = {}) {
+  const agreement = getAgreementById(agreementId);
+  if (agreement && agreement.status !== 'pending_review') {
+    throw lifecycleError(`Only agreements pending review can be approved (status: ${agreement.status})`, 409);
+  }
+  return transitionAgreement(agreementId, 'approved', { actor, comment });
+}
+
+/**
+ * Reject an agreement that is pending review, returning it to draft
+ */
+export function rejectAgreement(agreementId, { actor, comment } = {}) {
+  const agreement = getAgreementById(agreementId);
+  if (agreement && agreement.status !== 'pending_review') {
+    throw lifecycleError(`Only agreements pending review can be rejected (status: ${agreement.status})`, 409);
+  }
+  return transitionAgreement(agreementId, 'draft', { actor, comment });
+}
+
+export default {
+  AGREEMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  getAgreementApprovers,
+  canApprove,
+  isEditable,
+  buildStatusChange,
+  statusAfterEdit,
+  transitionAgreement,
+  approveAgreement,
+  rejectAgreement,
+};
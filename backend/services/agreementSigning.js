@@ -0,0 +1,206 @@
+/**
+ * Agreement Signing Service
+ *
+ * Detached Ed25519 signatures for agreement files exchanged between provider and consumer.
+ * A provider with a signing key (AGREEMENT_SIGNING_KEY / AGREEMENT_SIGNING_KEY_FILE) writes
+ * <file>.sig next to every agreement file it publishes:
+ *
+ *   { "algorithm": "ed25519", "keyId": "...", "provider": "...",
+ *     "contentHash": "sha256:...", "signedAt": "...", "signature": "<base64>" }
+ *
+ * The consumer registers the provider's public key (data/providerKeysStore.js) - under the
+ * provider's Delta Sharing name, optionally limited to some shares - and ingest verifies the
+ * file against it:
+ * - verified:   signature valid for a registered, non-revoked key of the share's provider
+ * - unverified: no signature, unknown or revoked key, or the share's provider is unknown
+ * - tampered:   content hash or signature doesn't match the file
+ * - mismatch:   valid signature, but the key belongs to another provider or isn't registered
+ *               for the share - another provider signed it
+ */
+
+import crypto from 'crypto';
+import { getSigningSettings } from '../config/databricks.js';
+import { getProviderKey } from '../data/providerKeysStore.js';
+
+export const SIGNATURE_ALGORITHM = 'ed25519';
+export const SIGNATURE_EXTENSION = '.sig';
+
+let signingIdentity;
+
+const signingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const computeContentHash = (content) =>
+  `sha256:${crypto.createHash('sha256').update(content, 'utf8').digest('hex')}`;
+
+// Key IDs are the first 16 bytes of the SHA-256 of the public key (SPKI DER), hex encoded
+export const getKeyFingerprint = (publicKey) =>
+  crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 32);
+
+/**
+ * Parse and check a PEM-encoded Ed25519 public key
+ * @returns {{ keyId: string, publicKey: string }} normalized PEM and its fingerprint
+ */
+export function parsePublicKey(pem) {
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey(String(pem).replace(/\\n/g, '\n'));
+  } catch (error) {
+    throw signingError(`Invalid public key: ${error.message}`);
+  }
+  if (publicKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw signingError(`Unsupported key type ${publicKey.asymmetricKeyType} (expected ${SIGNATURE_ALGORITHM})`);
+  }
+  return {
+    keyId: getKeyFingerprint(publicKey),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+}
+
+/**
+ * This app's signing key, or null when signing isn't configured
+ * @returns {{ keyId, provider, privateKey, publicKey } | null}
+ */
+export function getSigningIdentity() {
+  if (signingIdentity !== undefined) {
+    return signingIdentity;
+  }
+
+  signingIdentity = null;
+  try {
+    const { privateKey: pem, provider } = getSigningSettings();
+    if (pem) {
+      // Keys passed through env vars often have escaped newlines
+      const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      if (privateKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+        throw new Error(`unsupported key type ${privateKey.asymmetricKeyType} (expected ${SIGNATURE_ALGORITHM})`);
+      }
+      const publicKey = crypto.createPublicKey(privateKey);
+      signingIdentity = {
+        keyId: getKeyFingerprint(publicKey),
+        provider,
+        privateKey,
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      };
+      console.log(`🔏 Agreement files will be signed with key ${signingIdentity.keyId} (${provider})`);
+    }
+  } catch (error) {
+    console.error('❌ Agreement signing key could not be loaded - files will be written unsigned:', error.message);
+  }
+  return signingIdentity;
+}
+
+/**
+ * Build a detached signature for an agreement file
+ * @returns {Object|null} signature document, or null when signing isn't configured
+ */
+export function signAgreementContent(content) {
+  const identity = getSigningIdentity();
+  if (!identity) {
+    return null;
+  }
+
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: identity.keyId,
+    provider: identity.provider,
+    contentHash: computeContentHash(content),
+    signedAt: new Date().toISOString(),
+    signature: crypto.sign(null, Buffer.from(content, 'utf8'), identity.privateKey).toString('base64'),
+  };
+}
+
+/**
+ * Verify an agreement file against its detached signature
+ * @param {string} content - Agreement file contents, exactly as read from the volume
+ * @param {string|Object|null} signatureFile - Contents of the .sig file (null if missing)
+ * @param {Object} expected - shareName the file is for, and provider: the Delta Sharing provider
+ *   of that share (null if unknown)
+ * @returns {{ status: 'verified'|'unverified'|'tampered'|'mismatch', reason, keyId, provider, contentHash, verifiedAt }}
+ */
+export function verifyAgreementSignature(content, signatureFile, { shareName = null, provider = null } = {}) {
+  const result = {
+    status: 'unverified',
+    reason: null,
+    keyId: null,
+    provider: null,
+    contentHash: computeContentHash(content),
+    verifiedAt: new Date().toISOString(),
+  };
+
+  if (!signatureFile) {
+    return { ...result, reason: 'Agreement file is not signed' };
+  }
+
+  let signature;
+  try {
+    signature = typeof signatureFile === 'string' ? JSON.parse(signatureFile) : signatureFile;
+  } catch {
+    return { ...result, status: 'tampered', reason: 'Signature file is not valid JSON' };
+  }
+
+  result.keyId = signature.keyId || null;
+  result.provider = signature.provider || null;
+
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { ...result, reason: `Unsupported signature algorithm: ${signature.algorithm}` };
+  }
+
+  // A hash mismatch means the file changed after signing, whoever signed it
+  if (signature.contentHash && signature.contentHash !== result.contentHash) {
+    return { ...result, status: 'tampered', reason: 'Agreement content does not match the signed content hash' };
+  }
+
+  const providerKey = getProviderKey(signature.keyId);
+  if (!providerKey) {
+    return { ...result, reason: `Signing key ${signature.keyId} is not registered for any provider` };
+  }
+  // The registry, not the signature file, says who owns the key
+  result.provider = providerKey.provider;
+  if (providerKey.revokedAt) {
+    return { ...result, reason: `Signing key ${signature.keyId} was revoked on ${providerKey.revokedAt}` };
+  }
+
+  let valid = false;
+  try {
+    valid = crypto.verify(
+      null,
+      Buffer.from(content, 'utf8'),
+      crypto.createPublicKey(providerKey.publicKey),
+      Buffer.from(signature.signature || '', 'base64')
+    );
+  } catch (error) {
+    console.warn(`⚠️  Signature check failed for key ${signature.keyId}:`, error.message);
+  }
+
+  if (!valid) {
+    return { ...result, status: 'tampered', reason: `Signature does not match ${providerKey.provider}'s key ${signature.keyId}` };
+  }
+
+  // A key only vouches for the shares of its own provider
+  if (provider && providerKey.provider !== provider) {
+    return { ...result, status: 'mismatch', reason: `Signed with key ${signature.keyId} of ${providerKey.provider}, but share ${shareName} comes from ${provider}` };
+  }
+  if (providerKey.shares?.length > 0 && !providerKey.shares.includes(shareName)) {
+    return { ...result, status: 'mismatch', reason: `Key ${signature.keyId} of ${providerKey.provider} isn't registered for share ${shareName}` };
+  }
+  if (!provider && !(providerKey.shares?.length > 0)) {
+    return { ...result, reason: `Signed by ${providerKey.provider}, but the provider of share ${shareName} is unknown` };
+  }
+
+  return { ...result, status: 'verified', reason: `Signed by ${providerKey.provider} (key ${signature.keyId})` };
+}
+
+export default {
+  SIGNATURE_ALGORITHM,
+  SIGNATURE_EXTENSION,
+  computeContentHash,
+  getKeyFingerprint,
+  parsePublicKey,
+  getSigningIdentity,
+  signAgreementContent,
+  verifyAgreementSignature,
+};
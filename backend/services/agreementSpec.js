@@ -0,0 +1,353 @@
+/**
+ * Agreement Spec Service
+ *
+ * Versioned, machine-readable agreement files (YAML or JSON):
+ *
+ *   apiVersion: compliance.databricks.com/v1
+ *   kind: DataSharingAgreement
+ *   metadata:
+ *     name: Customer data share
+ *     shares: [customer_share]
+ *   spec:
+ *     scope: "customer_share.*.* !customer_share.staging.*"
+ *     effectiveDate: 2025-01-01
+ *     retention: { years: 7 }
+ *     requiredTags:
+ *       - { key: data_classification, operator: in, value: [confidential, restricted] }
+ *       - { key: retention_years, operator: gte, value: 7 }
+ *     rules:
+ *       - { if: { key: pii, value: "true" }, then: { key: encryption, value: required } }
+ *     columnRequirements:
+ *       - { pattern: "email|ssn", requiredTags: [{ key: pii, value: "true" }], masked: true }
+ *     dissemination: { rules: No onward sharing }
+ *     content: |
+ *       Full agreement text...
+ *
+ * Files are validated against the schema below and every problem is reported with its path,
+ * so a provider's formatting mistake is rejected loudly instead of silently dropping requirements.
+ */
+
+import YAML from 'yaml';
+import { validateScope } from './scopeMatcher.js';
+import { isCompleteTagRequirement, normalizeTagRequirement, validateCondition, validateRule } from './requirementRules.js';
+
+export const SPEC_API_VERSION = 'compliance.databricks.com/v1';
+export const SPEC_KIND = 'DataSharingAgreement';
+const SUPPORTED_API_VERSIONS = [SPEC_API_VERSION];
+
+// File extensions in order of preference (structured formats before legacy text)
+export const AGREEMENT_FILE_EXTENSIONS = ['.yaml', '.yml', '.json', '.txt'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const getAgreementFileFormat = (fileName = '') => {
+  const lower = fileName.toLowerCase();
+  if (lower.endsWith('.yaml') || lower.endsWith('.yml')) return 'yaml';
+  if (lower.endsWith('.json')) return 'json';
+  if (lower.endsWith('.txt')) return 'text';
+  return null;
+};
+
+export const isStructuredFormat = (format) => format === 'yaml' || format === 'json';
+
+const specError = (message, errors) => {
+  const error = new Error(message);
+  error.status = 422;
+  error.validationErrors = errors;
+  return error;
+};
+
+// Small schema helpers - each pushes "<path>: <problem>" messages into errors
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkString = (errors, value, path, { required = false } = {}) => {
+  if (value === undefined || value === null) {
+    if (required) errors.push(`${path}: is required`);
+    return;
+  }
+  if (typeof value !== 'string' || (required && !value.trim())) {
+    errors.push(`${path}: must be a ${required ? 'non-empty ' : ''}string`);
+  }
+};
+
+// YAML turns unquoted dates into Date objects; accept both forms
+const normalizeDate = (errors, value, path) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime())) {
+    return value;
+  }
+  errors.push(`${path}: must be a date in YYYY-MM-DD format (got ${JSON.stringify(value)})`);
+  return null;
+};
+
+// Required tags are rule conditions ({ key, operator, value }); values are compared as strings,
+// so numbers/booleans are accepted and stringified
+const normalizeTags = (errors, tags, path) => {
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) {
+    errors.push(`${path}: must be a list of { key, value } entries`);
+    return [];
+  }
+
+  return tags.map((tag, index) => {
+    const tagPath = `${path}[${index}]`;
+    if (!isPlainObject(tag)) {
+      errors.push(`${tagPath}: must be an object with key and value`);
+      return null;
+    }
+    errors.push(...validateCondition(tag, tagPath));
+    return normalizeTagRequirement(tag);
+  }).filter(Boolean);
+};
+
+const normalizeRules = (errors, rules, path) => {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) {
+    errors.push(`${path}: must be a list of rules`);
+    return [];
+  }
+  rules.forEach((rule, index) => errors.push(...validateRule(rule, `${path}[${index}]`)));
+  return rules;
+};
+
+const normalizeColumnRequirements = (errors, requirements, path) => {
+  if (requirements === undefined || requirements === null) return [];
+  if (!Array.isArray(requirements)) {
+    errors.push(`${path}: must be a list`);
+    return [];
+  }
+
+  return requirements.map((requirement, index) => {
+    const reqPath = `${path}[${index}]`;
+    if (!isPlainObject(requirement)) {
+      errors.push(`${reqPath}: must be an object`);
+      return null;
+    }
+    checkString(errors, requirement.pattern, `${reqPath}.pattern`, { required: true });
+    // Patterns are case-insensitive regular expressions on column names
+    if (typeof requirement.pattern === 'string' && requirement.pattern.trim()) {
+      try {
+        new RegExp(requirement.pattern, 'i');
+      } catch (error) {
+        errors.push(`${reqPath}.pattern: invalid regular expression (${error.message})`);
+      }
+    }
+    if (requirement.masked !== undefined && typeof requirement.masked !== 'boolean') {
+      errors.push(`${reqPath}.masked: must be true or false`);
+    }
+    const requiredTags = normalizeTags(errors, requirement.requiredTags, `${reqPath}.requiredTags`);
+    if (requiredTags.length === 0 && !requirement.masked) {
+      errors.push(`${reqPath}: must set requiredTags and/or masked: true`);
+    }
+    return {
+      pattern: requirement.pattern,
+      requiredTags,
+      masked: requirement.masked === true,
+      ...(requirement.reason ? { reason: String(requirement.reason) } : {}),
+    };
+  }).filter(Boolean);
+};
+
+/**
+ * Validate column requirements from an API request
+ * @returns {{ columnRequirements: Array, errors: string[] }}
+ */
+export function validateColumnRequirements(requirements, path = 'columnRequirements') {
+  const errors = [];
+  const columnRequirements = normalizeColumnRequirements(errors, requirements, path);
+  return { columnRequirements, errors };
+}
+
+/**
+ * Validate a parsed spec document and convert it to agreement fields
+ * @returns {{ agreement: Object, errors: string[] }}
+ */
+export function validateAgreementSpec(document) {
+  const errors = [];
+
+  if (!isPlainObject(document)) {
+    return { agreement: null, errors: ['document: must be a mapping with apiVersion, kind, metadata and spec'] };
+  }
+
+  if (!document.apiVersion) {
+    errors.push('apiVersion: is required');
+  } else if (!SUPPORTED_API_VERSIONS.includes(document.apiVersion)) {
+    errors.push(`apiVersion: unsupported version ${JSON.stringify(document.apiVersion)} (supported: ${SUPPORTED_API_VERSIONS.join(', ')})`);
+  }
+  if (document.kind !== SPEC_KIND) {
+    errors.push(`kind: must be ${SPEC_KIND}`);
+  }
+
+  const metadata = isPlainObject(document.metadata) ? document.metadata : {};
+  if (!isPlainObject(document.metadata)) {
+    errors.push('metadata: is required');
+  }
+  checkString(errors, metadata.name, 'metadata.name', { required: true });
+  checkString(errors, metadata.description, 'metadata.description');
+
+  let shares = [];
+  if (metadata.shares !== undefined) {
+    if (!Array.isArray(metadata.shares) || metadata.shares.some(s => typeof s !== 'string' || !s.trim())) {
+      errors.push('metadata.shares: must be a list of share names');
+    } else {
+      shares = metadata.shares;
+    }
+  }
+
+  const spec = isPlainObject(document.spec) ? document.spec : {};
+  if (!isPlainObject(document.spec)) {
+    errors.push('spec: is required');
+  }
+
+  const knownSpecFields = [
+    'scope', 'effectiveDate', 'expiryDate', 'renewalNoticeDate', 'retention', 'requiredTags', 'rules',
+    'columnRequirements', 'dissemination', 'assetScopes', 'content',
+  ];
+  Object.keys(spec)
+    .filter(field => !knownSpecFields.includes(field))
+    .forEach(field => errors.push(`spec.${field}: unknown field (expected one of ${knownSpecFields.join(', ')})`));
+
+  let retentionYears = '';
+  if (spec.retention !== undefined && spec.retention !== null) {
+    const years = isPlainObject(spec.retention) ? spec.retention.years : undefined;
+    if (!Number.isInteger(years) || years <= 0) {
+      errors.push('spec.retention.years: must be a positive whole number');
+    } else {
+      retentionYears = String(years);
+    }
+  }
+
+  let disseminationRules = '';
+  if (spec.dissemination !== undefined && spec.dissemination !== null) {
+    if (!isPlainObject(spec.dissemination)) {
+      errors.push('spec.dissemination: must be an object with rules');
+    } else {
+      checkString(errors, spec.dissemination.rules, 'spec.dissemination.rules');
+      disseminationRules = spec.dissemination.rules || '';
+    }
+  }
+
+  if (spec.assetScopes !== undefined && !Array.isArray(spec.assetScopes)) {
+    errors.push('spec.assetScopes: must be a list');
+  }
+  checkString(errors, spec.content, 'spec.content');
+  checkString(errors, spec.scope, 'spec.scope');
+  if (typeof spec.scope === 'string') {
+    validateScope(spec.scope).forEach(problem => errors.push(`spec.scope: ${problem}`));
+  }
+
+  const agreement = {
+    name: metadata.name,
+    description: metadata.description || '',
+    shares,
+    scope: (typeof spec.scope === 'string' && spec.scope.trim()) || 'all',
+    effectiveDate: normalizeDate(errors, spec.effectiveDate, 'spec.effectiveDate'),
+    expiryDate: normalizeDate(errors, spec.expiryDate, 'spec.expiryDate'),
+    renewalNoticeDate: normalizeDate(errors, spec.renewalNoticeDate, 'spec.renewalNoticeDate'),
+    retentionYears,
+    requiredTags: normalizeTags(errors, spec.requiredTags, 'spec.requiredTags'),
+    rules: normalizeRules(errors, spec.rules, 'spec.rules'),
+    columnRequirements: normalizeColumnRequirements(errors, spec.columnRequirements, 'spec.columnRequirements'),
+    disseminationRules,
+    assetScopes: Array.isArray(spec.assetScopes) ? spec.assetScopes : [],
+    content: spec.content || '',
+  };
+
+  if (agreement.effectiveDate && agreement.expiryDate && agreement.expiryDate < agreement.effectiveDate) {
+    errors.push('spec.expiryDate: must be on or after spec.effectiveDate');
+  }
+  if (agreement.renewalNoticeDate && agreement.expiryDate && agreement.renewalNoticeDate > agreement.expiryDate) {
+    errors.push('spec.renewalNoticeDate: must be on or before spec.expiryDate');
+  }
+
+  return { agreement: errors.length === 0 ? agreement : null, errors };
+}
+
+/**
+ * Parse and validate a YAML or JSON agreement file
+ * @param {string} text - File contents
+ * @param {string} format - 'yaml' or 'json'
+ * @param {string} source - File name used in error messages
+ * @throws Error with status 422 and validationErrors when the file does not match the schema
+ */
+export function parseAgreementSpec(text, format = 'yaml', source = 'agreement') {
+  let document;
+  try {
+    const raw = typeof text === 'string' ? text : JSON.stringify(text);
+    document = format === 'json' ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw specError(`${source} is not valid ${format.toUpperCase()}`, [error.message.split('\n')[0]]);
+  }
+
+  const { agreement, errors } = validateAgreementSpec(document);
+  if (errors.length > 0) {
+    throw specError(`${source} does not match the ${SPEC_KIND} schema (${errors.length} problem${errors.length === 1 ? '' : 's'})`, errors);
+  }
+  return agreement;
+}
+
+/**
+ * Build a spec document from agreement fields
+ */
+export function toAgreementSpec(agreement) {
+  const spec = {
+    apiVersion: SPEC_API_VERSION,
+    kind: SPEC_KIND,
+    metadata: {
+      name: agreement.name,
+      ...(agreement.description ? { description: agreement.description } : {}),
+      shares: agreement.shares || [],
+      generatedAt: new Date().toISOString(),
+    },
+    spec: {},
+  };
+
+  if (agreement.scope && agreement.scope !== 'all') spec.spec.scope = agreement.scope;
+  if (agreement.effectiveDate) spec.spec.effectiveDate = agreement.effectiveDate;
+  if (agreement.expiryDate) spec.spec.expiryDate = agreement.expiryDate;
+  if (agreement.renewalNoticeDate) spec.spec.renewalNoticeDate = agreement.renewalNoticeDate;
+  if (agreement.retentionYears) spec.spec.retention = { years: parseInt(agreement.retentionYears) };
+  spec.spec.requiredTags = (agreement.requiredTags || [])
+    .filter(isCompleteTagRequirement)
+    .map(normalizeTagRequirement);
+  if (agreement.rules?.length > 0) spec.spec.rules = agreement.rules;
+  if (agreement.columnRequirements?.length > 0) spec.spec.columnRequirements = agreement.columnRequirements;
+  if (agreement.disseminationRules) spec.spec.dissemination = { rules: agreement.disseminationRules };
+  if (agreement.assetScopes?.length > 0) spec.spec.assetScopes = agreement.assetScopes;
+  if (agreement.content) spec.spec.content = agreement.content;
+
+  return spec;
+}
+
+/**
+ * Serialize agreement fields as a YAML or JSON agreement file
+ */
+export function serializeAgreementSpec(agreement, format = 'yaml') {
+  const spec = toAgreementSpec(agreement);
+  if (format === 'json') {
+    return JSON.stringify(spec, null, 2) + '\n';
+  }
+  return [
+    `# Data Sharing Agreement: ${agreement.name}`,
+    '# Include this file in the Delta Share to communicate compliance requirements to data consumers.',
+    '# Consumers must apply the required tags to all tables in the share and any derivative tables,',
+    '# and comply with the retention and dissemination rules.',
+    YAML.stringify(spec, { lineWidth: 0 }),
+  ].join('\n');
+}
+
+export default {
+  SPEC_API_VERSION,
+  SPEC_KIND,
+  AGREEMENT_FILE_EXTENSIONS,
+  getAgreementFileFormat,
+  isStructuredFormat,
+  validateColumnRequirements,
+  validateAgreementSpec,
+  parseAgreementSpec,
+  toAgreementSpec,
+  serializeAgreementSpec,
+};
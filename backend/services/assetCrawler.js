@@ -0,0 +1,247 @@
+/**
+ * Asset Crawler
+ *
+ * Plans and paces the catalog-by-catalog crawls that build asset inventories from the Unity
+ * Catalog list endpoints (see deltaSharing._fetchAllAssets in databricksClient.js):
+ * - A crawl cycle covers every catalog once: catalogs with agreements first, then those scanned
+ *   longest ago. A new cycle starts once the current one has covered every catalog
+ * - Each pass spends a bounded number of API requests, then checkpoints; the next pass resumes
+ *   with the catalog (and schema) the previous one stopped at
+ * - Requests are paced to a budget per minute and workspace. A pass that got rate-limited halves
+ *   the pace of the next one; passes without rate limits raise it back step by step
+ * - Checkpoints (data/crawlCheckpointsStore.js) outlive the cache and, for the app's own
+ *   crawls, restarts
+ * - Catalogs the crawl may not read (no permission, gone) are skipped for the cycle with the
+ *   reason; other failures leave them pending for the next pass
+ */
+
+import { getCrawlSettings, getEnvironment } from '../config/databricks.js';
+import { getCrawlCheckpoint, saveCrawlCheckpoint } from '../data/crawlCheckpointsStore.js';
+
+const MIN_REQUESTS_PER_MINUTE = 10;
+const SKIP_STATUSES = [401, 403, 404];
+const MINUTE = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Databricks API requests per workspace host: { recent (times of the last minute's requests),
+// count, rateLimited }. Every request the app makes to a workspace counts against the budget of
+// that workspace's crawls, not only the crawler's own; other workspaces don't.
+const usageByHost = new Map();
+
+const usageOf = (host) => {
+  if (!usageByHost.has(host)) {
+    usageByHost.set(host, { recent: [], count: 0, rateLimited: 0 });
+  }
+  return usageByHost.get(host);
+};
+
+const pruneRecentRequests = (usage) => {
+  while (usage.recent.length > 0 && usage.recent[0] <= Date.now() - MINUTE) {
+    usage.recent.shift();
+  }
+};
+
+/**
+ * Count a Databricks API request to a workspace (called for every attempt, including retries)
+ * @param {string} host - Workspace URL the request went to
+ */
+export function recordApiRequest(host, { rateLimited = false } = {}) {
+  const usage = usageOf(host);
+  usage.count++;
+  if (rateLimited) usage.rateLimited++;
+  usage.recent.push(Date.now());
+  pruneRecentRequests(usage);
+}
+
+// Status of a catalog in the checkpoint's current cycle: 'scanned', 'skipped', 'partial' (a
+// pass stopped inside it) or 'pending'
+const catalogStatus = (checkpoint, name) => {
+  const entry = checkpoint.catalogs[name];
+  return entry?.cycle === checkpoint.cycle ? entry.status : 'pending';
+};
+
+// Which catalogs the current cycle has scanned, skipped or still has to crawl
+function describeCoverage(checkpoint, names, listComplete) {
+  const scanned = [];
+  const pending = [];
+  const partial = [];
+  const skipped = [];
+  names.forEach(name => {
+    const status = catalogStatus(checkpoint, name);
+    if (status === 'scanned') {
+      scanned.push(name);
+    } else if (status === 'skipped') {
+      skipped.push({ name, reason: checkpoint.catalogs[name].reason });
+    } else {
+      pending.push(name);
+      if (status === 'partial') partial.push({ name, resumeAt: checkpoint.catalogs[name].nextSchema });
+    }
+  });
+
+  return {
+    cycle: checkpoint.cycle,
+    pass: checkpoint.pass,
+    cycleStartedAt: checkpoint.cycleStartedAt,
+    lastCycleCompletedAt: checkpoint.lastCycleCompletedAt,
+    complete: pending.length === 0 && listComplete,
+    catalogListTruncated: !listComplete,
+    totalCatalogs: names.length,
+    scanned,
+    pending,
+    partial,
+    skipped,
+    requestsPerMinute: checkpoint.requestsPerMinute,
+  };
+}
+
+/**
+ * Start a pass of an environment's crawl
+ * @param {Object} options - catalogs (listed by this pass), priorityCatalogs, listComplete
+ *   (false when the catalog list was truncated), inventoryPass (the pass the previous inventory
+ *   was built by - unless that's the crawl's last pass, the assets found by earlier passes
+ *   aren't at hand, so nothing counts as covered and the crawl carries on with the catalogs it
+ *   covered longest ago)
+ * @returns {Object} pass - plan ([{ catalog, priority, resumeAt }]), take(), stop(),
+ *   catalogDone(), catalogStopped(), catalogFailed() and end()
+ */
+export function beginCrawlPass(environmentId, partition, { catalogs, priorityCatalogs = [], listComplete = true, inventoryPass = null }) {
+  const settings = getCrawlSettings();
+  const existing = getCrawlCheckpoint(environmentId, partition);
+  const checkpoint = existing
+    ? { ...existing, catalogs: { ...existing.catalogs } }
+    : {
+      environmentId,
+      partition,
+      cycle: 0,
+      pass: 0,
+      cycleStartedAt: null,
+      lastCycleCompletedAt: null,
+      completedCycle: null,
+      requestsPerMinute: settings.requestsPerMinute,
+      catalogs: {},
+    };
+  const names = catalogs.map(c => c.name);
+
+  // Forget catalogs that are gone
+  if (listComplete) {
+    const listed = new Set(names);
+    Object.keys(checkpoint.catalogs)
+      .filter(name => !listed.has(name))
+      .forEach(name => delete checkpoint.catalogs[name]);
+  }
+
+  if (inventoryPass === null || inventoryPass !== checkpoint.pass) {
+    Object.entries(checkpoint.catalogs).forEach(([name, entry]) => {
+      checkpoint.catalogs[name] = { ...entry, cycle: null, nextSchema: null };
+    });
+  }
+
+  // A new cycle once the current one has covered every catalog
+  const covered = (name) => ['scanned', 'skipped'].includes(catalogStatus(checkpoint, name));
+  if (checkpoint.cycle === 0 || (names.length > 0 && names.every(covered))) {
+    checkpoint.cycle++;
+    checkpoint.cycleStartedAt = new Date().toISOString();
+  }
+
+  const prioritySet = new Set(priorityCatalogs.map(c => c.toLowerCase()));
+  const lastScanned = (catalog) => Date.parse(checkpoint.catalogs[catalog.name]?.lastScannedAt || '') || 0;
+  const plan = catalogs
+    .filter(catalog => ['pending', 'partial'].includes(catalogStatus(checkpoint, catalog.name)))
+    .map(catalog => ({
+      catalog,
+      priority: prioritySet.has(catalog.name.toLowerCase()),
+      resumeAt: catalogStatus(checkpoint, catalog.name) === 'partial' ? checkpoint.catalogs[catalog.name].nextSchema : null,
+    }))
+    .sort((a, b) =>
+      Number(b.priority) - Number(a.priority) ||
+      Number(!!b.resumeAt) - Number(!!a.resumeAt) ||
+      lastScanned(a.catalog) - lastScanned(b.catalog) ||
+      a.catalog.name.localeCompare(b.catalog.name));
+
+  // The pass spends about a minute's worth of requests at its pace
+  const requestsPerMinute = Math.max(MIN_REQUESTS_PER_MINUTE, Math.min(checkpoint.requestsPerMinute || settings.requestsPerMinute, settings.requestsPerMinute));
+  const passRequests = Math.max(1, Math.round(settings.passRequests * requestsPerMinute / settings.requestsPerMinute));
+  // Environments pointing at the same workspace share its budget
+  const usage = usageOf(getEnvironment(environmentId)?.host || environmentId);
+  const startCount = usage.count;
+  const startRateLimited = usage.rateLimited;
+  let stopped = false;
+  let progressed = false;
+
+  const setCatalog = (name, entry) => {
+    checkpoint.catalogs[name] = { ...checkpoint.catalogs[name], ...entry, cycle: checkpoint.cycle };
+    progressed = true;
+  };
+
+  return {
+    cycle: checkpoint.cycle,
+    plan,
+    requestsPerMinute,
+
+    // Wait until the last minute's requests are within the budget; false once the pass has
+    // spent its requests (or was stopped)
+    async take() {
+      if (stopped || usage.count - startCount >= passRequests) {
+        return false;
+      }
+      pruneRecentRequests(usage);
+      while (usage.recent.length >= requestsPerMinute) {
+        await sleep(usage.recent[0] + MINUTE - Date.now() + 10);
+        pruneRecentRequests(usage);
+      }
+      return true;
+    },
+
+    // Give up the rest of the pass (e.g. still rate-limited after retries)
+    stop() {
+      stopped = true;
+    },
+
+    catalogDone(name) {
+      setCatalog(name, { status: 'scanned', lastScannedAt: new Date().toISOString(), nextSchema: null, reason: null });
+    },
+
+    // The pass stopped inside a catalog - the next pass resumes it at nextSchema
+    catalogStopped(name, nextSchema) {
+      setCatalog(name, { status: 'partial', nextSchema });
+    },
+
+    catalogFailed(name, error) {
+      if (SKIP_STATUSES.includes(error.response?.status)) {
+        setCatalog(name, {
+          status: 'skipped',
+          nextSchema: null,
+          reason: error.response.data?.message || error.message,
+          lastScannedAt: new Date().toISOString(),
+        });
+      }
+    },
+
+    // Checkpoint the crawl and adapt its pace; returns the coverage of the current cycle
+    end() {
+      const rateLimited = usage.rateLimited > startRateLimited;
+      checkpoint.requestsPerMinute = rateLimited
+        ? Math.max(MIN_REQUESTS_PER_MINUTE, Math.floor(requestsPerMinute / 2))
+        : Math.min(settings.requestsPerMinute, Math.ceil(requestsPerMinute * 1.25));
+      if (rateLimited) {
+        console.warn(`⚠️  Crawl of ${environmentId} was rate-limited - slowing down to ${checkpoint.requestsPerMinute} requests/minute`);
+      }
+
+      checkpoint.pass = (checkpoint.pass || 0) + 1;
+      const coverage = describeCoverage(checkpoint, names, listComplete);
+      if (coverage.complete && checkpoint.completedCycle !== checkpoint.cycle) {
+        checkpoint.completedCycle = checkpoint.cycle;
+        checkpoint.lastCycleCompletedAt = new Date().toISOString();
+        coverage.lastCycleCompletedAt = checkpoint.lastCycleCompletedAt;
+      }
+      saveCrawlCheckpoint(checkpoint);
+      return { ...coverage, requestsUsed: usage.count - startCount, rateLimited, progressed };
+    },
+  };
+}
+
+export default {
+  recordApiRequest,
+  beginCrawlPass,
+};
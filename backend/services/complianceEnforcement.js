@@ -5,49 +5,55 @@
  * - Reads agreement requirements (tags, retention, dissemination rules)
  * - Applies them hierarchically to all affected assets
  * - Handles both PROVIDED and CONSUMED shares appropriately
+ * Agreements without shares apply to every share (catalog) in the environment. They are enforced
+ * as a run: ENFORCEMENT_BATCH_SIZE shares at a time with ENFORCEMENT_BATCH_DELAY_MS between
+ * batches, and progress saved after every batch so an interrupted run can be resumed. Shares with
+ * failed writes, and shares the asset crawl hasn't fully covered yet, are left for the resume;
+ * a run that finishes with such gaps is flagged partial.
+ * Enforcing all agreements runs as a background job ('enforce-all', see jobQueue.js). Runs, like
+ * jobs, act with the credentials of the request that started (or resumed) them.
  */
 
+import { deltaSharing } from './databricksClient.js';
 import { applyTagsToShare } from './tagPropagation.js';
-import { getAllAgreements } from '../data/agreementsStore.js';
+import { recordChangeSet } from './tagChangeSets.js';
+import { registerJobType } from './jobQueue.js';
+import { captureCaller, runAsCaller } from './requestContext.js';
+import { filterAssetsByScope } from './scopeMatcher.js';
+import { describeRule, isAssignableTag, isCompleteTagRequirement } from './requirementRules.js';
+import { getAllAgreements, getActiveAgreements } from '../data/agreementsStore.js';
+import { getRuns, getRunById, addRun, updateRun, deleteRun } from '../data/enforcementRunsStore.js';
 
-/**
- * Enforce compliance for a specific agreement
- * @param {string} agreementId - Agreement ID to enforce
- * @param {string} envId - Environment ID
- */
-export async function enforceAgreement(agreementId, envId = 'current') {
-  const agreements = getAllAgreements();
-  const agreement = agreements.find(a => a.id === agreementId);
-
-  if (!agreement) {
-    throw new Error(`Agreement not found: ${agreementId}`);
-  }
-
-  console.log(`🔒 Enforcing agreement: ${agreement.name}`);
+const BATCH_SIZE = parseInt(process.env.ENFORCEMENT_BATCH_SIZE) || 5; // shares per batch
+const BATCH_DELAY = parseInt(process.env.ENFORCEMENT_BATCH_DELAY_MS) || 2000;
 
-  const results = {
-    agreement: agreement.name,
-    shares: [],
-    totalAssets: 0,
-    successfullyTagged: 0,
-    failed: 0,
-  };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  // Get all shares this agreement applies to
-  const shares = agreement.shares || [];
-  
-  if (shares.length === 0) {
-    console.log('⚠️  Agreement applies to all shares - this may take a while');
-    // TODO: Handle agreements that apply to all shares
-    return results;
-  }
+const runError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
 
-  // Prepare tags from agreement
+/**
+ * Tags an agreement sets and removes
+ * Only "equals" requirements name a value that can be applied and only "is absent" requirements
+ * name a tag that can be removed; other operators (in, >=, exists, ...) are checked by
+ * validation but left to the data owner.
+ * @returns {{ tags: object, removeTags: string[] }}
+ */
+export function getAgreementTagChanges(agreement) {
   const tags = {};
+  const removeTags = [];
+
   if (agreement.requiredTags && Array.isArray(agreement.requiredTags)) {
     agreement.requiredTags.forEach(tag => {
-      if (tag.key && tag.value) {
+      if (isAssignableTag(tag)) {
         tags[tag.key] = tag.value;
+      } else if (tag.key && tag.operator === 'not_exists') {
+        removeTags.push(tag.key);
+      } else if (isCompleteTagRequirement(tag)) {
+        console.log(`   ⏭️  Not applying ${describeRule(tag)} (only exact values can be applied)`);
       }
     });
   }
@@ -62,96 +68,432 @@ export async function enforceAgreement(agreementId, envId = 'current') {
     tags['dissemination_rules'] = agreement.disseminationRules;
   }
 
-  console.log(`Tags to apply:`, tags);
+  return { tags, removeTags };
+}
 
-  // Process each share
-  for (const shareName of shares) {
-    try {
-      // Determine share direction
-      // If agreement source is 'ingested', it's a consumed share
-      // Otherwise, it's a provided share
-      const direction = agreement.source === 'ingested' ? 'consumed' : 'provided';
+/**
+ * Load an agreement that may be enforced (only active agreements are)
+ */
+export function getEnforceableAgreement(agreementId) {
+  const agreement = getAllAgreements().find(a => a.id === agreementId);
 
-      console.log(`Processing ${direction} share: ${shareName}`);
+  if (!agreement) {
+    const error = new Error(`Agreement not found: ${agreementId}`);
+    error.status = 404;
+    throw error;
+  }
+
+  // Only approved terms that are in force may be enforced
+  if (agreement.status !== 'active') {
+    const error = new Error(`Agreement ${agreement.name} is ${agreement.status} - only active agreements can be enforced`);
+    error.status = 409;
+    throw error;
+  }
 
-      // Process each asset scope defined in the agreement
-      if (agreement.assetScopes && agreement.assetScopes.length > 0) {
-        for (const assetScope of agreement.assetScopes) {
-          const options = {
+  return agreement;
+}
+
+/**
+ * Shares an agreement is enforced on - its own, or for an agreement without shares every
+ * share (catalog) in the environment with assets in the agreement's scope
+ */
+export async function resolveAgreementShares(agreement, envId = 'current') {
+  if (agreement.shares && agreement.shares.length > 0) {
+    return agreement.shares;
+  }
+
+  const assets = await deltaSharing.getAllShareTables(envId);
+  const inScope = agreement.scope ? filterAssetsByScope(assets, agreement.scope) : assets;
+  return [...new Set(inScope.map(a => a.catalog_name))].sort();
+}
+
+/**
+ * The tag writes enforcing an agreement takes: one per share and asset scope
+ * @param {string[]} shareNames - Shares to enforce on (default: the agreement's shares)
+ * @returns {Array<{ shareName, direction, scope, options }>} options for applyTagsToShare / getAffectedAssets
+ */
+export function getEnforcementTasks(agreement, shareNames = agreement.shares || []) {
+  // If agreement source is 'ingested', it's a consumed share
+  // Otherwise, it's a provided share
+  const direction = agreement.source === 'ingested' ? 'consumed' : 'provided';
+  const tasks = [];
+
+  for (const shareName of shareNames) {
+    // Process each asset scope defined in the agreement
+    if (agreement.assetScopes && agreement.assetScopes.length > 0) {
+      for (const assetScope of agreement.assetScopes) {
+        tasks.push({
+          shareName,
+          direction,
+          scope: assetScope.type,
+          options: {
             scope: assetScope.type, // 'catalog', 'schema', 'table', 'column'
             catalogName: assetScope.catalog || shareName,
             schemaName: assetScope.schema,
             tableName: assetScope.table,
             columnNames: assetScope.columns || [],
-          };
-
-          const result = await applyTagsToShare(
-            envId,
-            shareName,
-            tags,
-            direction,
-            options
-          );
-
-          results.totalAssets += result.summary.total;
-          results.successfullyTagged += result.summary.succeeded;
-          results.failed += result.summary.failed;
-
-          results.shares.push({
-            share: shareName,
-            direction,
-            scope: assetScope.type,
-            result: result.summary,
-          });
-        }
-      } else {
-        // No specific asset scopes - apply to entire share
-        const result = await applyTagsToShare(
-          envId,
-          shareName,
-          tags,
-          direction,
-          { scope: 'all' }
-        );
-
-        results.totalAssets += result.summary.total;
-        results.successfullyTagged += result.summary.succeeded;
-        results.failed += result.summary.failed;
-
-        results.shares.push({
-          share: shareName,
-          direction,
-          scope: 'all',
-          result: result.summary,
+            // Exclusions and type filters in the agreement's scope still apply
+            requirementScope: agreement.scope,
+          },
         });
       }
+    } else {
+      // No specific asset scopes - apply to entire share
+      tasks.push({
+        shareName,
+        direction,
+        scope: 'all',
+        options: { scope: 'all', requirementScope: agreement.scope },
+      });
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Apply an agreement's tags to some shares
+ * @returns {{ shares: Array, changes: Array, totalAssets, successfullyTagged, failed, failedShares: string[] }}
+ */
+async function enforceOnShares(agreement, envId, shareNames) {
+  const { tags, removeTags } = getAgreementTagChanges(agreement);
+  const outcome = { shares: [], changes: [], totalAssets: 0, successfullyTagged: 0, failed: 0, failedShares: [] };
+
+  for (const task of getEnforcementTasks(agreement, shareNames)) {
+    try {
+      console.log(`Processing ${task.direction} share: ${task.shareName}`);
+
+      const result = await applyTagsToShare(
+        envId,
+        task.shareName,
+        tags,
+        task.direction,
+        { ...task.options, removeTags }
+      );
+
+      outcome.totalAssets += result.summary.total;
+      outcome.successfullyTagged += result.summary.succeeded;
+      outcome.failed += result.summary.failed;
+      outcome.changes.push(...result.changes);
+
+      outcome.shares.push({
+        share: task.shareName,
+        direction: task.direction,
+        scope: task.scope,
+        result: result.summary,
+        failures: result.results.failed,
+      });
     } catch (error) {
-      console.error(`Failed to enforce agreement on share ${shareName}:`, error);
-      results.failed++;
-      results.shares.push({
-        share: shareName,
+      console.error(`Failed to enforce agreement on share ${task.shareName}:`, error);
+      outcome.failed++;
+      outcome.failedShares.push(task.shareName);
+      outcome.shares.push({
+        share: task.shareName,
         error: error.message,
       });
     }
   }
 
+  return outcome;
+}
+
+/**
+ * Enforce compliance for a specific agreement
+ * Agreements without shares are enforced as a run (see startEnforcementRun) and this waits for it.
+ * @param {string} agreementId - Agreement ID to enforce
+ * @param {string} envId - Environment ID
+ * @param {string} actor - Who started the enforcement (recorded on the change set)
+ */
+export async function enforceAgreement(agreementId, envId = 'current', actor = null) {
+  const agreement = getEnforceableAgreement(agreementId);
+
+  console.log(`🔒 Enforcing agreement: ${agreement.name}`);
+
+  if (!agreement.shares || agreement.shares.length === 0) {
+    const { done } = await startEnforcementRun(agreementId, envId, actor);
+    const run = await done;
+    return {
+      agreement: agreement.name,
+      runId: run.id,
+      status: run.status,
+      partial: !!run.partial,
+      partialReason: run.partialReason || null,
+      shares: run.shares.flatMap(s => s.results || [{ share: s.name, error: s.error }]),
+      totalAssets: run.totals.totalAssets,
+      successfullyTagged: run.totals.successfullyTagged,
+      failed: run.totals.failed,
+      changeSetIds: run.changeSetIds,
+    };
+  }
+
+  const { tags, removeTags } = getAgreementTagChanges(agreement);
+  console.log(`Tags to apply:`, tags, removeTags.length > 0 ? `(removing ${removeTags.join(', ')})` : '');
+
+  const { changes, failedShares, ...results } = await enforceOnShares(agreement, envId, agreement.shares);
+
+  // One change set per enforcement, so the whole enforcement can be rolled back
+  const changeSet = recordChangeSet({
+    environmentId: envId,
+    source: { type: 'enforcement', agreementId: agreement.id, agreementName: agreement.name },
+    description: `Enforcement of ${agreement.name}`,
+    changes,
+    actor,
+  });
+
   console.log(`✅ Enforcement complete:`, results);
-  return results;
+  return { agreement: agreement.name, ...results, changeSetId: changeSet?.id || null };
 }
 
 /**
- * Enforce all agreements
+ * Catalogs the asset inventory of an environment doesn't fully list yet, from the crawl coverage
+ * (see assetCrawler.js): those the crawl skipped, and - until a crawl cycle has completed - those
+ * it hasn't reached. Later cycles re-crawl catalogs the inventory already lists.
+ * @returns {{ complete: boolean, catalogs: Map<string, string>, catalogListTruncated: boolean }}
+ *   catalogs maps each gap to the reason
  */
-export async function enforceAllAgreements(envId = 'current') {
-  const agreements = getAllAgreements();
+export function getCoverageGaps(envId) {
+  const { coverage } = deltaSharing.getLoadingStatus(envId);
+  const catalogs = new Map();
+  if (!coverage) {
+    return { complete: true, catalogs, catalogListTruncated: false };
+  }
+
+  coverage.skipped.forEach(({ name, reason }) => catalogs.set(name, `skipped by the crawl: ${reason}`));
+  if (!coverage.lastCycleCompletedAt) {
+    coverage.pending.forEach(name => catalogs.set(name, 'not crawled yet'));
+  }
+  return {
+    complete: catalogs.size === 0 && !coverage.catalogListTruncated,
+    catalogs,
+    catalogListTruncated: coverage.catalogListTruncated,
+  };
+}
+
+// Assets, successful and failed writes of a run, from the latest attempt at each share
+const sumRunTotals = (shares) => {
+  const totals = { totalAssets: 0, successfullyTagged: 0, failed: 0 };
+  shares.flatMap(s => s.results || []).forEach(r => {
+    if (r.error) {
+      totals.failed++;
+    } else {
+      totals.totalAssets += r.result.total;
+      totals.successfullyTagged += r.result.succeeded;
+      totals.failed += r.result.failed;
+    }
+  });
+  return totals;
+};
+
+// Outcome of one attempt at a share of a run: done, failed (a task failed or some securables
+// couldn't be tagged) or incomplete (the inventory doesn't list all of its assets yet)
+function shareOutcome(share, results, gaps) {
+  const error = results.find(r => r.error)?.error;
+  const failedWrites = results.reduce((count, r) => count + (r.result?.failed || 0), 0);
+  if (error || failedWrites > 0) {
+    return { ...share, status: 'failed', error: error || `${failedWrites} securable(s) could not be tagged`, results };
+  }
+  if (gaps.catalogs.has(share.name)) {
+    return { ...share, status: 'incomplete', error: `Inventory incomplete: ${gaps.catalogs.get(share.name)}`, results };
+  }
+  return { ...share, status: 'done', error: null, results };
+}
+
+const runProgress = (shares) => ({
+  total: shares.length,
+  done: shares.filter(s => s.status === 'done').length,
+  failed: shares.filter(s => s.status === 'failed').length,
+  incomplete: shares.filter(s => s.status === 'incomplete').length,
+});
+
+/**
+ * Work through the shares of a run that aren't done yet (pending, failed or incomplete), batch by batch
+ * Never rejects - a run that can't continue ends up failed.
+ */
+async function processRun(runId, actor) {
+  let run = getRunById(runId);
+
+  try {
+    // Shares resolved from the inventory: add any the crawl has found since the run started
+    if (run.sharesFromInventory && run.resumes?.length > 0) {
+      const known = new Set(run.shares.map(s => s.name));
+      const found = (await resolveAgreementShares(getEnforceableAgreement(run.agreementId), run.environmentId))
+        .filter(name => !known.has(name));
+      if (found.length > 0) {
+        const shares = [...run.shares, ...found.map(name => ({ name, status: 'pending', error: null }))];
+        run = updateRun(runId, { shares, progress: runProgress(shares) });
+        console.log(`🔒 Run ${runId}: ${found.length} share(s) found since the run started`);
+      }
+    }
+    const pending = run.shares.filter(s => s.status !== 'done').map(s => s.name);
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      if (i > 0) await sleep(BATCH_DELAY);
+
+      // The agreement may have been changed or ended while the run was paused between batches
+      const agreement = getEnforceableAgreement(run.agreementId);
+      if (agreement.updatedAt !== run.agreementUpdatedAt) {
+        throw new Error(`Agreement ${agreement.name} was edited since the run started - start a new run`);
+      }
+
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const outcome = await enforceOnShares(agreement, run.environmentId, batch);
+
+      // Each batch is its own change set, so what was written before an interruption can be rolled back
+      const changeSet = recordChangeSet({
+        environmentId: run.environmentId,
+        source: { type: 'enforcement', agreementId: agreement.id, agreementName: agreement.name, runId },
+        description: `Enforcement of ${agreement.name} (${batch[0]}${batch.length > 1 ? ` - ${batch[batch.length - 1]}` : ''})`,
+        changes: outcome.changes,
+        actor,
+      });
+
+      // The batch's assets came from the inventory as the crawl had covered it by now
+      const gaps = getCoverageGaps(run.environmentId);
+      run = getRunById(runId);
+      const shares = run.shares.map(s =>
+        batch.includes(s.name) ? shareOutcome(s, outcome.shares.filter(r => r.share === s.name), gaps) : s
+      );
+      run = updateRun(runId, {
+        shares,
+        progress: runProgress(shares),
+        totals: sumRunTotals(shares),
+        changeSetIds: changeSet ? [...run.changeSetIds, changeSet.id] : run.changeSetIds,
+      });
+
+      console.log(`🔒 Run ${runId}: ${i + batch.length}/${pending.length} share(s) processed`);
+    }
+
+    // Partial: shares are left to retry, or shares in scope may be missing from the inventory
+    const gaps = getCoverageGaps(run.environmentId);
+    const partialReasons = [
+      run.progress.failed > 0 ? `${run.progress.failed} share(s) failed` : null,
+      run.progress.incomplete > 0 ? `${run.progress.incomplete} share(s) not fully crawled yet` : null,
+      run.sharesFromInventory && !gaps.complete
+        ? `the asset crawl hasn't covered every catalog (${gaps.catalogListTruncated ? 'catalog list truncated' : [...gaps.catalogs.keys()].join(', ')}) - shares in scope may be missing`
+        : null,
+    ].filter(Boolean);
+    run = updateRun(runId, {
+      status: 'completed',
+      partial: partialReasons.length > 0,
+      partialReason: partialReasons.join('; ') || null,
+      finishedAt: new Date().toISOString(),
+    });
+    if (run.partial) {
+      console.warn(`⚠️  Enforcement run ${runId} complete but partial: ${run.partialReason} - resume it to retry`);
+    } else {
+      console.log(`✅ Enforcement run ${runId} complete: ${run.progress.done} share(s) done`);
+    }
+  } catch (error) {
+    console.error(`❌ Enforcement run ${runId} stopped:`, error.message);
+    run = updateRun(runId, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+  }
+  return run;
+}
+
+/**
+ * Start enforcing an agreement on all its shares in batches
+ * @returns {{ run: object, done: Promise<object> }} the run as started and a promise of the finished run
+ */
+export async function startEnforcementRun(agreementId, envId = 'current', actor = null) {
+  const agreement = getEnforceableAgreement(agreementId);
+
+  if (getRuns({ status: 'running', agreementId, environmentId: envId }).length > 0) {
+    throw runError(`Agreement ${agreement.name} is already being enforced in ${envId}`, 409);
+  }
+
+  const caller = captureCaller();
+  // Reserve the run before resolving its shares, so a concurrent start sees it running
+  let run = addRun({
+    agreementId: agreement.id,
+    agreementName: agreement.name,
+    // The run stops if the agreement is edited before it finishes
+    agreementUpdatedAt: agreement.updatedAt,
+    environmentId: envId,
+    // Shares found in the inventory rather than named by the agreement (see resolveAgreementShares)
+    sharesFromInventory: !(agreement.shares?.length > 0),
+    shares: [],
+    progress: { total: 0, done: 0, failed: 0, incomplete: 0 },
+    totals: { totalAssets: 0, successfullyTagged: 0, failed: 0 },
+    changeSetIds: [],
+    startedBy: actor || 'system',
+    actsAs: caller ? 'caller' : 'app',
+  });
+
+  let shareNames;
+  try {
+    shareNames = await resolveAgreementShares(agreement, envId);
+  } catch (error) {
+    deleteRun(run.id);
+    throw error;
+  }
+  run = updateRun(run.id, {
+    shares: shareNames.map(name => ({ name, status: 'pending', error: null })),
+    progress: { total: shareNames.length, done: 0, failed: 0, incomplete: 0 },
+  });
+
+  console.log(`🔒 Enforcement run ${run.id} for ${agreement.name}: ${shareNames.length} share(s) in batches of ${BATCH_SIZE}`);
+  return { run, done: runAsCaller(caller, () => processRun(run.id, actor)) };
+}
+
+/**
+ * Continue an interrupted, failed or partial run with the shares that aren't done yet
+ * @returns {{ run: object, done: Promise<object> }}
+ */
+export function resumeEnforcementRun(runId, actor = null) {
+  const run = getRunById(runId);
+  if (!run) {
+    throw runError(`Enforcement run not found: ${runId}`, 404);
+  }
+  if (!['interrupted', 'failed'].includes(run.status) && !(run.status === 'completed' && (run.partial || run.progress.failed > 0))) {
+    throw runError(`Only interrupted, failed or partial runs can be resumed (status: ${run.status})`, 409);
+  }
+
+  const agreement = getEnforceableAgreement(run.agreementId);
+  if (agreement.updatedAt !== run.agreementUpdatedAt) {
+    throw runError(`Agreement ${agreement.name} was edited since the run started - start a new run`, 409);
+  }
+  if (getRuns({ status: 'running', agreementId: run.agreementId, environmentId: run.environmentId }).length > 0) {
+    throw runError(`Agreement ${agreement.name} is already being enforced in ${run.environmentId}`, 409);
+  }
+
+  const caller = captureCaller();
+  const resumed = updateRun(runId, {
+    status: 'running',
+    actsAs: caller ? 'caller' : 'app',
+    error: null,
+    partial: false,
+    partialReason: null,
+    finishedAt: null,
+    resumes: [...(run.resumes || []), { at: new Date().toISOString(), by: actor || 'system' }],
+  });
+  console.log(`🔒 Resuming enforcement run ${runId}: ${resumed.progress.total - resumed.progress.done} share(s) left`);
+  return { run: resumed, done: runAsCaller(caller, () => processRun(runId, actor)) };
+}
+
+/**
+ * Runs still marked running were cut off by a restart - mark them interrupted so they can be resumed
+ */
+export function markInterruptedRuns() {
+  const running = getRuns({ status: 'running' });
+  running.forEach(run => updateRun(run.id, { status: 'interrupted' }));
+  if (running.length > 0) {
+    console.log(`⚠️  ${running.length} enforcement run(s) were interrupted - resume them via /api/enforcement-runs/:id/resume`);
+  }
+}
+
+/**
+ * Enforce all active agreements
+ */
+export async function enforceAllAgreements(envId = 'current', actor = null) {
+  const agreements = getActiveAgreements();
   
-  console.log(`🔒 Enforcing ${agreements.length} agreements`);
+  console.log(`🔒 Enforcing ${agreements.length} active agreements`);
 
   const results = [];
 
   for (const agreement of agreements) {
     try {
-      const result = await enforceAgreement(agreement.id, envId);
+      const result = await enforceAgreement(agreement.id, envId, actor);
       results.push(result);
     } catch (error) {
       console.error(`Failed to enforce agreement ${agreement.id}:`, error);
@@ -168,8 +510,40 @@ export async function enforceAllAgreements(envId = 'current') {
   };
 }
 
+// Background job: one item per agreement active when the job starts
+registerJobType('enforce-all', {
+  label: 'Enforce all active agreements',
+  listItems: () => getActiveAgreements().map(a => a.id),
+  processItem: async (job, agreementId) => {
+    const result = await enforceAgreement(agreementId, job.environmentId, job.createdBy);
+    return {
+      agreement: result.agreement,
+      totalAssets: result.totalAssets,
+      successfullyTagged: result.successfullyTagged,
+      failed: result.failed,
+      changeSetIds: result.changeSetIds || (result.changeSetId ? [result.changeSetId] : []),
+    };
+  },
+  summarize: (job) => {
+    const results = job.items.filter(i => i.result).map(i => i.result);
+    return {
+      agreements: job.items.length,
+      successfullyTagged: results.reduce((count, r) => count + r.successfullyTagged, 0),
+      failed: results.reduce((count, r) => count + r.failed, 0),
+    };
+  },
+});
+
 export default {
+  getAgreementTagChanges,
+  getEnforceableAgreement,
+  resolveAgreementShares,
+  getEnforcementTasks,
   enforceAgreement,
+  startEnforcementRun,
+  resumeEnforcementRun,
+  markInterruptedRuns,
+  getCoverageGaps,
   enforceAllAgreements,
 };
 
@@ -0,0 +1,479 @@
+/**
+ * Compliance Schedules Service
+ *
+ * Cron schedules that keep compliance results current without anyone opening the Dashboard.
+ * A schedule belongs to one environment and either one agreement or all active agreements.
+ * Each run is a background job (see jobQueue.js) with up to three steps:
+ *   scan (rescan the assets) → validate (store the results) → enforce (optional, agreements with violations)
+ * - Cron expressions have five fields (minute hour day-of-month month day-of-week, evaluated in
+ *   UTC) or one of @hourly, @daily, @weekly, @monthly
+ * - The scheduler checks for due schedules every SCHEDULE_CHECK_INTERVAL_MS; a schedule whose
+ *   previous run is still queued or running skips its turn
+ * - Schedules that came due while the server was down run once on startup
+ * - The validate step also records a compliance snapshot of the environment (complianceSnapshots.js)
+ */
+
+import { getSchedules, getScheduleById, addSchedule, updateSchedule, deleteSchedule } from '../data/schedulesStore.js';
+import { getAgreementById, getActiveAgreements } from '../data/agreementsStore.js';
+import { getJobs, getJobById } from '../data/jobsStore.js';
+import { getEnvironment } from '../config/databricks.js';
+import { deltaSharing } from './databricksClient.js';
+import { validateAssets } from './complianceValidation.js';
+import { applyWaivers, isWaivedOnly } from './complianceWaivers.js';
+import { enforceAgreement } from './complianceEnforcement.js';
+import { takeComplianceSnapshot } from './complianceSnapshots.js';
+import { registerJobType, enqueueJob } from './jobQueue.js';
+
+const CHECK_INTERVAL = parseInt(process.env.SCHEDULE_CHECK_INTERVAL_MS) || 60 * 1000; // 1 minute
+// Non-compliant assets listed in a run's results (the counts cover all of them)
+const MAX_LISTED_ASSETS = 100;
+
+const JOB_TYPE = 'compliance-schedule';
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// How far ahead to look for the next run (covers leap days)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+let schedulerTimer = null;
+let onChangeHandler = null;
+
+const scheduleError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// One cron field (e.g. '*/15', '1-5', '0,30') → set of allowed values
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, ...rest] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (rest.length > 0 || !Number.isInteger(step) || step < 1) {
+      throw scheduleError(`Invalid ${name} field: ${text}`, 400);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2 || bounds.some(b => !/^\d+$/.test(b))) {
+        throw scheduleError(`Invalid ${name} field: ${text}`, 400);
+      }
+      from = Number(bounds[0]);
+      // 'n/step' runs from n to the end of the range
+      to = bounds.length === 2 ? Number(bounds[1]) : stepText === undefined ? from : max;
+    }
+    if (from < min || to > max || from > to) {
+      throw scheduleError(`${name} must be between ${min} and ${max}: ${text}`, 400);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @returns {Object} Allowed minutes, hours, days of month, months and days of week
+ */
+export function parseCron(expression) {
+  const normalized = CRON_MACROS[expression?.trim()] || expression?.trim() || '';
+  const fields = normalized.split(/\s+/);
+  if (fields.length !== 5) {
+    throw scheduleError(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week): ${expression}`, 400);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  // Sunday is 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron: when both day fields are restricted, a day matching either one runs
+    dayOfMonthRestricted: !fields[2].startsWith('*'),
+    dayOfWeekRestricted: !fields[4].startsWith('*'),
+  };
+}
+
+const dayMatches = (cron, date) => {
+  const dom = cron.daysOfMonth.has(date.getUTCDate());
+  const dow = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  if (cron.dayOfMonthRestricted) return dom;
+  if (cron.dayOfWeekRestricted) return dow;
+  return true;
+};
+
+/**
+ * Next time a cron expression fires after a given time
+ * @returns {string|null} ISO timestamp, or null if it never fires (e.g. 30 February)
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const limit = after.getTime() + MAX_LOOKAHEAD_MS;
+
+  let time = new Date(after.getTime());
+  time.setUTCSeconds(0, 0);
+  time = new Date(time.getTime() + 60 * 1000);
+
+  // Skip whole months, days and hours that can't match
+  while (time.getTime() < limit) {
+    const [year, month, day, hour] = [time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate(), time.getUTCHours()];
+    if (!cron.months.has(month + 1)) {
+      time = new Date(Date.UTC(year, month + 1, 1));
+    } else if (!dayMatches(cron, time)) {
+      time = new Date(Date.UTC(year, month, day + 1));
+    } else if (!cron.hours.has(hour)) {
+      time = new Date(Date.UTC(year, month, day, hour + 1));
+    } else if (!cron.minutes.has(time.getUTCMinutes())) {
+      time = new Date(time.getTime() + 60 * 1000);
+    } else {
+      return time.toISOString();
+    }
+  }
+
+  return null;
+}
+
+// Validate the settings of a new or edited schedule
+function checkScheduleSettings({ name, cron, environmentId, agreementId }) {
+  if (!name?.trim()) {
+    throw scheduleError('Missing required field: name', 400);
+  }
+  if (!nextCronRun(cron)) {
+    throw scheduleError(`Cron expression never fires: ${cron}`, 400);
+  }
+  if (!environmentId || !getEnvironment(environmentId)) {
+    throw scheduleError(`Unknown environment: ${environmentId}`, 400);
+  }
+  if (agreementId && !getAgreementById(agreementId)) {
+    throw scheduleError(`Agreement not found: ${agreementId}`, 400);
+  }
+}
+
+const findSchedule = (scheduleId) => {
+  const schedule = getScheduleById(scheduleId);
+  if (!schedule) {
+    throw scheduleError(`Schedule not found: ${scheduleId}`, 404);
+  }
+  return schedule;
+};
+
+// Runs of a schedule, newest first
+export const getScheduleRuns = (scheduleId) =>
+  getJobs({ type: JOB_TYPE })
+    .filter(j => j.params.scheduleId === scheduleId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * A schedule with the status and results of its latest run
+ */
+export function describeSchedule(schedule) {
+  const lastJob = schedule.lastJobId ? getJobById(schedule.lastJobId) : null;
+  return {
+    ...schedule,
+    lastRun: lastJob
+      ? { jobId: lastJob.id, status: lastJob.status, trigger: lastJob.params.trigger, result: lastJob.result, finishedAt: lastJob.finishedAt || null }
+      : null,
+  };
+}
+
+/**
+ * Create a schedule
+ * @param {Object} settings - name, cron, environmentId, agreementId (default: all active
+ *   agreements), rescan (default true), autoEnforce (default false), enabled (default true)
+ */
+export function createSchedule(settings, actor = null) {
+  const schedule = {
+    name: settings.name?.trim(),
+    cron: settings.cron?.trim(),
+    environmentId: settings.environmentId,
+    agreementId: settings.agreementId || null,
+    rescan: settings.rescan !== false,
+    autoEnforce: settings.autoEnforce === true,
+    enabled: settings.enabled !== false,
+  };
+  checkScheduleSettings(schedule);
+
+  const created = addSchedule({
+    ...schedule,
+    nextRunAt: schedule.enabled ? nextCronRun(schedule.cron) : null,
+    lastRunAt: null,
+    lastJobId: null,
+    createdBy: actor || 'unknown',
+  });
+  console.log(`⏰ Created schedule ${created.name} (${created.cron}) - next run ${created.nextRunAt || 'never (disabled)'}`);
+  return created;
+}
+
+/**
+ * Change the settings of a schedule
+ */
+export function editSchedule(scheduleId, settings, actor = null) {
+  const schedule = findSchedule(scheduleId);
+
+  const updated = { ...schedule };
+  for (const key of ['name', 'cron', 'environmentId', 'agreementId', 'rescan', 'autoEnforce', 'enabled']) {
+    if (settings[key] !== undefined) {
+      updated[key] = typeof settings[key] === 'string' ? settings[key].trim() : settings[key];
+    }
+  }
+  updated.agreementId = updated.agreementId || null;
+  updated.rescan = updated.rescan !== false;
+  updated.autoEnforce = updated.autoEnforce === true;
+  updated.enabled = updated.enabled !== false;
+  checkScheduleSettings(updated);
+
+  return updateSchedule(scheduleId, {
+    name: updated.name,
+    cron: updated.cron,
+    environmentId: updated.environmentId,
+    agreementId: updated.agreementId,
+    rescan: updated.rescan,
+    autoEnforce: updated.autoEnforce,
+    enabled: updated.enabled,
+    nextRunAt: updated.enabled ? nextCronRun(updated.cron) : null,
+    updatedBy: actor || 'unknown',
+  });
+}
+
+export function removeSchedule(scheduleId) {
+  findSchedule(scheduleId);
+  deleteSchedule(scheduleId);
+  console.log(`⏰ Deleted schedule ${scheduleId}`);
+}
+
+/**
+ * Queue a run of a schedule
+ * @param {Object} options - trigger ('schedule' or 'manual') and actor
+ * @returns {Object} The queued job
+ */
+export function runSchedule(scheduleId, { trigger = 'manual', actor = null } = {}) {
+  const schedule = findSchedule(scheduleId);
+
+  const steps = [...(schedule.rescan ? ['scan'] : []), 'validate', ...(schedule.autoEnforce ? ['enforce'] : [])];
+  const job = enqueueJob(JOB_TYPE, {
+    environmentId: schedule.environmentId,
+    params: { scheduleId: schedule.id, agreementId: schedule.agreementId, trigger },
+    items: steps,
+    description: `Compliance schedule: ${schedule.name}`,
+    actor: actor || `schedule:${schedule.name}`,
+  });
+
+  updateSchedule(scheduleId, { lastRunAt: new Date().toISOString(), lastJobId: job.id });
+  return job;
+}
+
+// Agreements a run validates and enforces
+function scheduleAgreements(job) {
+  if (!job.params.agreementId) {
+    return getActiveAgreements();
+  }
+
+  const agreement = getAgreementById(job.params.agreementId);
+  if (!agreement) {
+    throw new Error(`Agreement not found: ${job.params.agreementId}`);
+  }
+  if (agreement.status !== 'active') {
+    throw new Error(`Agreement ${agreement.name} is ${agreement.status} - only active agreements are validated`);
+  }
+  return [agreement];
+}
+
+async function validateStep(job) {
+  const agreements = scheduleAgreements(job);
+  const assets = await deltaSharing.getAllShareTables(job.environmentId);
+  const results = applyWaivers(await validateAssets(assets, agreements));
+
+  const violating = results.filter(r => !r.compliant);
+  const waivedAssets = results.filter(isWaivedOnly).length;
+  const compliantAssets = results.length - violating.length - waivedAssets;
+
+  const violationsByAgreement = {};
+  violating.flatMap(r => r.violations).forEach(v => {
+    violationsByAgreement[v.agreementId] = violationsByAgreement[v.agreementId] || { name: v.agreementName, violations: 0 };
+    violationsByAgreement[v.agreementId].violations++;
+  });
+
+  // The snapshot covers all active agreements, so trends stay comparable between schedules
+  const snapshot = await takeComplianceSnapshot(job.environmentId, {
+    source: { type: 'schedule', scheduleId: job.params.scheduleId, jobId: job.id },
+  });
+
+  onChangeHandler?.();
+  return {
+    snapshotId: snapshot.id,
+    agreements: agreements.length,
+    totalAssets: results.length,
+    compliantAssets,
+    nonCompliantAssets: violating.length,
+    waivedAssets,
+    violations: violating.reduce((count, r) => count + r.violations.length, 0),
+    criticalViolations: violating.reduce((count, r) => count + r.violations.filter(v => v.severity === 'critical').length, 0),
+    compliancePercentage: compliantAssets + violating.length > 0
+      ? Math.round((compliantAssets / (compliantAssets + violating.length)) * 100)
+      : 100,
+    violationsByAgreement,
+    violatingAssets: violating.slice(0, MAX_LISTED_ASSETS).map(r => ({
+      assetId: r.assetId,
+      fullName: r.fullName,
+      violations: r.violations.length,
+    })),
+  };
+}
+
+// Enforce the agreements the validation step found violations of
+async function enforceStep(job) {
+  const validation = job.items.find(i => i.key === 'validate');
+  if (validation?.status !== 'done') {
+    throw new Error('Validation did not complete - nothing to enforce');
+  }
+
+  const agreements = [];
+  for (const agreementId of Object.keys(validation.result.violationsByAgreement)) {
+    try {
+      const result = await enforceAgreement(agreementId, job.environmentId, job.createdBy);
+      agreements.push({
+        agreementId,
+        agreement: result.agreement,
+        successfullyTagged: result.successfullyTagged,
+        failed: result.failed,
+        changeSetIds: result.changeSetIds || (result.changeSetId ? [result.changeSetId] : []),
+      });
+    } catch (error) {
+      console.error(`❌ Scheduled enforcement of ${agreementId} failed:`, error.message);
+      agreements.push({ agreementId, error: error.message });
+    }
+  }
+
+  if (agreements.length > 0) {
+    onChangeHandler?.();
+  }
+  return { agreements };
+}
+
+// Background job: one item per step of the run
+registerJobType(JOB_TYPE, {
+  label: 'Scheduled compliance run',
+  listItems: () => ['validate'],
+  processItem: async (job, step) => {
+    if (step === 'scan') {
+      const assets = await deltaSharing.refreshAllShareTables(job.environmentId);
+      return { assets: assets.length, catalogs: new Set(assets.map(a => a.catalog_name)).size };
+    }
+    if (step === 'validate') {
+      return validateStep(job);
+    }
+    if (step === 'enforce') {
+      return enforceStep(job);
+    }
+    throw new Error(`Unknown step: ${step}`);
+  },
+  summarize: (job) => {
+    const validation = job.items.find(i => i.key === 'validate')?.result;
+    const enforcement = job.items.find(i => i.key === 'enforce')?.result;
+    if (!validation) return null;
+    return {
+      compliancePercentage: validation.compliancePercentage,
+      totalAssets: validation.totalAssets,
+      nonCompliantAssets: validation.nonCompliantAssets,
+      violations: validation.violations,
+      criticalViolations: validation.criticalViolations,
+      ...(enforcement ? {
+        enforcedAgreements: enforcement.agreements.filter(a => !a.error).length,
+        successfullyTagged: enforcement.agreements.reduce((count, a) => count + (a.successfullyTagged || 0), 0),
+        enforcementErrors: enforcement.agreements.filter(a => a.error).length,
+      } : {}),
+    };
+  },
+});
+
+/**
+ * Queue runs of the schedules that are due and work out their next run
+ * @returns {Array} Jobs queued
+ */
+export function runDueSchedules(now = new Date()) {
+  const queued = [];
+
+  for (const schedule of getSchedules({ enabled: true })) {
+    if (!schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+    try {
+      const lastJob = schedule.lastJobId ? getJobById(schedule.lastJobId) : null;
+      if (lastJob && ACTIVE_JOB_STATUSES.includes(lastJob.status)) {
+        console.log(`⏰ Skipping schedule ${schedule.name} - its previous run (${lastJob.id}) is still ${lastJob.status}`);
+      } else {
+        queued.push(runSchedule(schedule.id, { trigger: 'schedule' }));
+      }
+    } catch (error) {
+      console.error(`❌ Failed to run schedule ${schedule.name}:`, error.message);
+    }
+
+    updateSchedule(schedule.id, { nextRunAt: nextCronRun(schedule.cron, now) });
+  }
+
+  return queued;
+}
+
+/**
+ * Start checking for due schedules
+ * @param {Object} options - { onChange } called when a run stored new results or enforced
+ */
+export function startComplianceScheduler({ onChange } = {}) {
+  if (schedulerTimer) return;
+  onChangeHandler = onChange || null;
+
+  runDueSchedules();
+  schedulerTimer = setInterval(() => runDueSchedules(), CHECK_INTERVAL);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+
+  console.log(`⏰ Compliance scheduler checking ${getSchedules({ enabled: true }).length} schedule(s) every ${Math.round(CHECK_INTERVAL / 1000)} second(s)`);
+}
+
+export function stopComplianceScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+export default {
+  parseCron,
+  nextCronRun,
+  getScheduleRuns,
+  describeSchedule,
+  createSchedule,
+  editSchedule,
+  removeSchedule,
+  runSchedule,
+  runDueSchedules,
+  startComplianceScheduler,
+  stopComplianceScheduler,
+};
@@ -0,0 +1,223 @@
+/**
+ * Compliance Snapshots Service
+ *
+ * Keeps a history of compliance so it can be shown over time (e.g. to auditors):
+ * - A snapshot records the compliance of one environment after a scan - overall, per catalog,
+ *   per agreement and violations per severity - with the same rules as /api/validation/overview
+ *   (table-level validation, waived-only assets kept out of the percentage)
+ * - Trends combine snapshots into time buckets; each environment contributes its latest
+ *   snapshot up to the end of a bucket, so environments scanned at different times add up
+ * - Agreement revisions in the range are returned as annotations
+ */
+
+import { getSnapshots, addSnapshot } from '../data/complianceSnapshotsStore.js';
+import { getActiveAgreements } from '../data/agreementsStore.js';
+import { getRevisionsBetween } from '../data/agreementRevisions.js';
+import { deltaSharing } from './databricksClient.js';
+import { validateAsset, agreementAppliesToAsset } from './complianceValidation.js';
+import { applyWaivers, isWaivedOnly } from './complianceWaivers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range → days back from now ('all' starts at the first snapshot)
+const RANGES = { '7d': 7, '30d': 30, '90d': 90, '180d': 180, '1y': 365, all: null };
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+const snapshotError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Null when there is nothing to measure, so trend lines show a gap instead of 0%
+const percentage = (compliant, nonCompliant) =>
+  compliant + nonCompliant > 0 ? Math.round((compliant / (compliant + nonCompliant)) * 100) : null;
+
+const emptyCounts = () => ({ totalAssets: 0, compliantAssets: 0, nonCompliantAssets: 0, waivedAssets: 0, violations: 0 });
+
+const countResult = (counts, result) => {
+  counts.totalAssets++;
+  counts.violations += result.violations.length;
+  if (isWaivedOnly(result)) {
+    counts.waivedAssets++;
+  } else if (result.compliant) {
+    counts.compliantAssets++;
+  } else {
+    counts.nonCompliantAssets++;
+  }
+};
+
+/**
+ * Record the current compliance of an environment (from its cached assets)
+ * @param {string} envId - Environment ID
+ * @param {Object} options - source: what triggered the snapshot, e.g. { type: 'asset-scan', jobId }
+ */
+export async function takeComplianceSnapshot(envId, { source = { type: 'manual' } } = {}) {
+  const assets = await deltaSharing.getAllShareTables(envId);
+  const agreements = getActiveAgreements();
+  const results = applyWaivers(assets.map(asset => validateAsset(asset, agreements)));
+
+  const overall = emptyCounts();
+  const byCatalog = {};
+  const bySeverity = {};
+  results.forEach((result, i) => {
+    const catalog = assets[i].catalog_name;
+    byCatalog[catalog] = byCatalog[catalog] || emptyCounts();
+    countResult(overall, result);
+    countResult(byCatalog[catalog], result);
+    result.violations.forEach(v => {
+      const severity = v.severity || 'unspecified';
+      bySeverity[severity] = (bySeverity[severity] || 0) + 1;
+    });
+  });
+
+  const byAgreement = {};
+  for (const agreement of agreements) {
+    const applicable = assets.filter(asset => agreementAppliesToAsset(agreement, asset)).length;
+    if (applicable === 0) continue;
+    const violating = results.filter(r => r.violations.some(v => v.agreementId === agreement.id));
+    byAgreement[agreement.id] = {
+      name: agreement.name,
+      totalAssets: applicable,
+      compliantAssets: applicable - violating.length,
+      nonCompliantAssets: violating.length,
+      violations: violating.reduce((count, r) => count + r.violations.filter(v => v.agreementId === agreement.id).length, 0),
+    };
+  }
+
+  const snapshot = addSnapshot({
+    environmentId: envId,
+    source,
+    agreements: agreements.length,
+    overall,
+    byCatalog,
+    byAgreement,
+    bySeverity,
+  });
+  console.log(`📈 Compliance snapshot for ${envId}: ${percentage(overall.compliantAssets, overall.nonCompliantAssets) ?? '-'}% of ${overall.totalAssets} asset(s)`);
+  return snapshot;
+}
+
+// Start of the UTC hour / day / week (Monday) / month a time falls in
+function bucketStart(time, granularity) {
+  const date = new Date(time);
+  const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+  if (granularity === 'hour') return new Date(Date.UTC(year, month, day, date.getUTCHours())).toISOString();
+  if (granularity === 'week') return new Date(Date.UTC(year, month, day - ((date.getUTCDay() + 6) % 7))).toISOString();
+  if (granularity === 'month') return new Date(Date.UTC(year, month, 1)).toISOString();
+  return new Date(Date.UTC(year, month, day)).toISOString();
+}
+
+// Add up counts keyed by catalog / agreement across environments
+const mergeCounts = (target, source) => {
+  for (const [key, counts] of Object.entries(source || {})) {
+    const merged = target[key] || { ...emptyCounts(), ...(counts.name ? { name: counts.name } : {}) };
+    for (const field of Object.keys(emptyCounts())) {
+      merged[field] += counts[field] || 0;
+    }
+    target[key] = merged;
+  }
+  return target;
+};
+
+const withPercentages = (countsByKey) =>
+  Object.fromEntries(Object.entries(countsByKey).map(([key, counts]) => [
+    key,
+    { ...counts, compliancePercentage: percentage(counts.compliantAssets, counts.nonCompliantAssets) },
+  ]));
+
+// One trend point from the latest snapshot of each environment
+function combineSnapshots(bucket, snapshots) {
+  const overall = emptyCounts();
+  const byEnvironment = {};
+  const byCatalog = {};
+  const byAgreement = {};
+  const bySeverity = {};
+
+  for (const snapshot of snapshots) {
+    for (const field of Object.keys(overall)) {
+      overall[field] += snapshot.overall[field] || 0;
+    }
+    byEnvironment[snapshot.environmentId] = snapshot.overall;
+    mergeCounts(byCatalog, snapshot.byCatalog);
+    mergeCounts(byAgreement, snapshot.byAgreement);
+    for (const [severity, count] of Object.entries(snapshot.bySeverity || {})) {
+      bySeverity[severity] = (bySeverity[severity] || 0) + count;
+    }
+  }
+
+  return {
+    bucket,
+    takenAt: snapshots.reduce((latest, s) => (s.takenAt > latest ? s.takenAt : latest), ''),
+    overall: { ...overall, compliancePercentage: percentage(overall.compliantAssets, overall.nonCompliantAssets) },
+    byEnvironment: withPercentages(byEnvironment),
+    byCatalog: withPercentages(byCatalog),
+    byAgreement: withPercentages(byAgreement),
+    bySeverity,
+  };
+}
+
+/**
+ * Compliance over time
+ * @param {Object} options - range ('7d', '30d', '90d', '180d', '1y', 'all'), granularity ('hour',
+ *   'day', 'week', 'month'), environmentId, from / to (ISO timestamps, override range)
+ * @returns {Object} { from, to, granularity, points, annotations }
+ */
+export function getComplianceTrends({ range = '30d', granularity = 'day', environmentId, from, to } = {}) {
+  if (!Object.hasOwn(RANGES, range)) {
+    throw snapshotError(`Invalid range: ${range} (one of ${Object.keys(RANGES).join(', ')})`, 400);
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    throw snapshotError(`Invalid granularity: ${granularity} (one of ${GRANULARITIES.join(', ')})`, 400);
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(Date.parse(value))) {
+      throw snapshotError(`Invalid ${name} timestamp: ${value}`, 400);
+    }
+  }
+
+  const toTime = to ? new Date(to).toISOString() : new Date().toISOString();
+  const fromTime = from
+    ? new Date(from).toISOString()
+    : RANGES[range] !== null
+      ? new Date(Date.parse(toTime) - RANGES[range] * DAY_MS).toISOString()
+      : getSnapshots({ environmentId })[0]?.takenAt || toTime;
+
+  // Environments scanned before the range carry their last snapshot into it
+  const latestByEnv = new Map();
+  getSnapshots({ environmentId, to: fromTime }).forEach(s => latestByEnv.set(s.environmentId, s));
+
+  const points = [];
+  let currentBucket = null;
+  for (const snapshot of getSnapshots({ environmentId, from: fromTime, to: toTime })) {
+    const bucket = bucketStart(snapshot.takenAt, granularity);
+    if (currentBucket && bucket !== currentBucket) {
+      points.push(combineSnapshots(currentBucket, [...latestByEnv.values()]));
+    }
+    currentBucket = bucket;
+    latestByEnv.set(snapshot.environmentId, snapshot);
+  }
+  if (currentBucket) {
+    points.push(combineSnapshots(currentBucket, [...latestByEnv.values()]));
+  }
+
+  const annotations = getRevisionsBetween(fromTime, toTime)
+    .filter(r => !environmentId || (r.snapshot.environments || []).includes(environmentId))
+    .map(r => ({
+      at: r.changedAt,
+      agreementId: r.agreementId,
+      agreementName: r.snapshot.name,
+      revision: r.revision,
+      action: r.action,
+      status: r.snapshot.status || null,
+      changedBy: r.changedBy,
+      reason: r.reason,
+    }));
+
+  return { from: fromTime, to: toTime, range, granularity, environmentId: environmentId || null, points, annotations };
+}
+
+export default {
+  takeComplianceSnapshot,
+  getComplianceTrends,
+};
@@ -0,0 +1,252 @@
+/**
+ * Compliance Validation Service
+ *
+ * Checks assets against the requirements of active agreements:
+ * - Table level: the rules of parsedRequirements (see requirementRules.js) must hold for the asset's tags
+ * - Column level: columns matched by an agreement's columnRequirements (e.g. pattern "email|ssn")
+ *   or selected in a column asset scope must carry the required tags and, if asked, be masked
+ *
+ * Table-level checks only use cached asset data. Column checks need column metadata
+ * (unityCatalog.listTableColumns / listColumnTags), so they run only for tables that an
+ * agreement has column requirements for.
+ */
+
+import { unityCatalog } from './databricksClient.js';
+import { matchesScope } from './scopeMatcher.js';
+import { evaluateRule, explainFailure, getRequirementRules, tagsToRules } from './requirementRules.js';
+
+// Does an agreement apply to this asset? (shares map to catalogs)
+export const agreementAppliesToAsset = (agreement, asset) =>
+  (agreement.environments || []).includes(asset.environmentId) &&
+  (!agreement.shares || agreement.shares.length === 0 || agreement.shares.includes(asset.catalog_name));
+
+// Violation for a failed rule - says which rule failed and why
+const ruleViolation = (agreement, requirement, failure, extra = {}) => ({
+  agreementId: agreement.id,
+  agreementName: agreement.name,
+  severity: requirement.severity,
+  ...extra,
+  tagKey: failure.key ?? null,
+  operator: failure.operator ?? null,
+  expectedValue: failure.expected ?? null,
+  actualValue: failure.actual ?? null,
+  rule: failure.rule,
+  ...(failure.condition ? { condition: failure.condition } : {}),
+  reason: failure.reason || requirement.reason,
+  message: explainFailure(failure),
+});
+
+// Table-level results per asset object. Inventories keep the objects of unchanged assets across
+// scans (see inventoryChanges.js) and agreements are replaced rather than mutated on update, so a
+// result stays valid while the asset object and every agreement object are the same.
+const assetResults = new WeakMap();
+
+/**
+ * Validate a single asset against agreement requirements (table level)
+ * Results are cached per asset object - treat them as read-only.
+ */
+export function validateAsset(asset, agreements) {
+  const cached = assetResults.get(asset);
+  if (cached && cached.agreements.length === agreements.length &&
+    cached.agreements.every((agreement, i) => agreement === agreements[i])) {
+    return cached.result;
+  }
+
+  const result = computeAssetResult(asset, agreements);
+  assetResults.set(asset, { agreements: [...agreements], result });
+  return result;
+}
+
+function computeAssetResult(asset, agreements) {
+  const violations = [];
+  const tags = asset.tags || {};
+
+  // Check each agreement's requirements
+  agreements
+    .filter(agreement => agreementAppliesToAsset(agreement, asset))
+    .forEach(agreement => {
+      agreement.parsedRequirements?.forEach(req => {
+        // Check if requirement applies to this asset (scope check)
+        if (matchesScope(req.scope || 'all', asset)) {
+          for (const rule of getRequirementRules(req)) {
+            evaluateRule(rule, tags).failures
+              .forEach(failure => violations.push(ruleViolation(agreement, req, failure)));
+          }
+        }
+      });
+    });
+
+  return {
+    assetId: asset.id || asset.fullName,
+    assetName: asset.name,
+    fullName: asset.fullName,
+    environmentId: asset.environmentId,
+    compliant: violations.length === 0,
+    violations,
+  };
+}
+
+// Column patterns are case-insensitive regular expressions matched anywhere in the column name
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    console.warn(`⚠️  Ignoring invalid column pattern: ${pattern}`);
+    return null;
+  }
+};
+
+/**
+ * Column requirements of an agreement that apply to a table
+ * @returns {Array<{ agreement, matches: (name) => boolean, rules, masked, reason, source }>}
+ */
+export function getColumnRequirements(agreement, asset) {
+  if (asset.assetType && asset.assetType !== 'table') return [];
+  if (!agreementAppliesToAsset(agreement, asset)) return [];
+
+  const requirements = [];
+
+  for (const requirement of agreement.columnRequirements || []) {
+    const regex = compilePattern(requirement.pattern);
+    if (!regex) continue;
+    requirements.push({
+      agreement,
+      matches: (name) => regex.test(name),
+      rules: tagsToRules(requirement.requiredTags),
+      masked: requirement.masked === true,
+      reason: requirement.reason || `Columns matching /${requirement.pattern}/ ${requirement.masked ? 'must be masked' : 'require tags'}`,
+      source: `pattern:${requirement.pattern}`,
+    });
+  }
+
+  // Columns picked in the agreement's asset scopes must carry the agreement's required tags
+  for (const scope of agreement.assetScopes || []) {
+    if (scope.type !== 'column' || !scope.columns?.length) continue;
+    if (scope.catalog !== asset.catalog_name || scope.schema !== asset.schema_name || scope.table !== asset.name) continue;
+
+    const columns = new Set(scope.columns);
+    requirements.push({
+      agreement,
+      matches: (name) => columns.has(name),
+      rules: [...tagsToRules(agreement.requiredTags), ...(agreement.rules || [])],
+      masked: false,
+      reason: 'Column selected in agreement scope',
+      source: 'scope',
+    });
+  }
+
+  return requirements;
+}
+
+export const needsColumnValidation = (asset, agreements) =>
+  agreements.some(agreement => getColumnRequirements(agreement, asset).length > 0);
+
+/**
+ * Validate columns of a table
+ * @param {Array} columns - Columns from unityCatalog.listTableColumns
+ * @param {Object|null} columnTags - { columnName: { tagKey: value } }, null when tags couldn't be read
+ * @returns {{ columns: Array, violations: Array, tagsAvailable: boolean }}
+ */
+export function validateColumns(asset, columns, columnTags, agreements) {
+  const requirements = agreements.flatMap(agreement => getColumnRequirements(agreement, asset));
+  const tagsAvailable = columnTags !== null;
+  const violations = [];
+
+  const columnResults = columns.map(column => {
+    const tags = columnTags?.[column.name] || {};
+    const maskFunction = column.mask?.function_name || null;
+    const columnViolations = [];
+
+    for (const requirement of requirements.filter(r => r.matches(column.name))) {
+      const base = {
+        agreementId: requirement.agreement.id,
+        agreementName: requirement.agreement.name,
+        severity: 'critical',
+        column: column.name,
+        reason: requirement.reason,
+      };
+
+      if (requirement.masked && !maskFunction) {
+        columnViolations.push({
+          ...base,
+          type: 'column_mask',
+          expectedValue: 'masked',
+          actualValue: null,
+          rule: `${column.name} is masked`,
+          message: `Column "${column.name}" must be masked`,
+        });
+      }
+
+      // Without column tags we can't tell - don't report every column as untagged
+      if (!tagsAvailable) continue;
+      for (const rule of requirement.rules) {
+        evaluateRule(rule, tags).failures.forEach(failure => columnViolations.push(
+          ruleViolation(requirement.agreement, { severity: 'critical', reason: requirement.reason }, failure, {
+            column: column.name,
+            type: 'column_tag',
+          })
+        ));
+      }
+    }
+
+    violations.push(...columnViolations);
+    return {
+      name: column.name,
+      type: column.type_text || column.type_name || 'UNKNOWN',
+      tags,
+      masked: Boolean(maskFunction),
+      maskFunction,
+      required: requirements.some(r => r.matches(column.name)),
+      compliant: columnViolations.length === 0,
+      violations: columnViolations,
+    };
+  });
+
+  return { columns: columnResults, violations, tagsAvailable };
+}
+
+/**
+ * Validate an asset including its columns (fetches column metadata when an agreement needs it)
+ */
+export async function validateAssetWithColumns(asset, agreements) {
+  const result = validateAsset(asset, agreements);
+  if (!needsColumnValidation(asset, agreements)) {
+    return result;
+  }
+
+  const [columns, columnTags] = await Promise.all([
+    unityCatalog.listTableColumns(asset.environmentId, asset.catalog_name, asset.schema_name, asset.name),
+    unityCatalog.listColumnTags(asset.environmentId, asset.catalog_name, asset.schema_name, asset.name),
+  ]);
+  const columnResult = validateColumns(asset, columns, columnTags, agreements);
+
+  const violations = [...result.violations, ...columnResult.violations];
+  return {
+    ...result,
+    compliant: violations.length === 0,
+    violations,
+    columns: columnResult.columns,
+    columnTagsAvailable: columnResult.tagsAvailable,
+  };
+}
+
+/**
+ * Validate many assets; column checks run only for tables with column requirements
+ */
+export async function validateAssets(assets, agreements) {
+  const results = [];
+  for (const asset of assets) {
+    results.push(await validateAssetWithColumns(asset, agreements));
+  }
+  return results;
+}
+
+export default {
+  agreementAppliesToAsset,
+  validateAsset,
+  getColumnRequirements,
+  needsColumnValidation,
+  validateColumns,
+  validateAssetWithColumns,
+  validateAssets,
+};
@@ -0,0 +1,282 @@
+/**
+ * Compliance Waivers Service
+ *
+ * A waiver accepts a known violation for a limited time (e.g. a legacy table pending migration):
+ *   pending → approved → expired / revoked, or pending → rejected / revoked
+ * - A waiver covers one asset and one agreement; it can be narrowed to one rule
+ *   (the rule text reported in violations) and/or one column
+ * - The requester names an approver, who must differ from the requester and, when approvers
+ *   are configured for the asset's environment, be one of them (see getApprovers in config)
+ * - Only approved waivers up to and including their expiry date hide violations; waived
+ *   violations are reported separately and don't count against compliance
+ * A background sweep marks waivers past their expiry date expired every WAIVER_EXPIRY_CHECK_INTERVAL_MS.
+ */
+
+import { getWaivers, getWaiverById, addWaiver, updateWaiver } from '../data/waiversStore.js';
+import { getAgreementById } from '../data/agreementsStore.js';
+import { getApprovers } from '../config/databricks.js';
+import { toDateString, normalizeAgreementDate } from './agreementExpiry.js';
+
+const CHECK_INTERVAL = parseInt(process.env.WAIVER_EXPIRY_CHECK_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+// Waivers are time-boxed: the expiry date may be at most this many days ahead
+const MAX_WAIVER_DAYS = parseInt(process.env.WAIVER_MAX_DAYS) || 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WAIVER_STATUSES = ['pending', 'approved', 'rejected', 'revoked', 'expired'];
+
+// Allowed transitions from each status
+const WAIVER_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'revoked'],
+  approved: ['revoked', 'expired'],
+  rejected: [],
+  revoked: [],
+  expired: [],
+};
+
+let expiryTimer = null;
+
+const waiverError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sameUser = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+// A waiver hides violations while approved, through its expiry date
+export const isWaiverActive = (waiver, today = toDateString()) =>
+  waiver.status === 'approved' && waiver.expiresAt >= today;
+
+/**
+ * Does a waiver cover a violation of an asset?
+ */
+export const waiverCovers = (waiver, assetId, violation) =>
+  waiver.assetId === assetId &&
+  waiver.agreementId === violation.agreementId &&
+  (!waiver.rule || waiver.rule === violation.rule) &&
+  (!waiver.column || waiver.column === violation.column);
+
+/**
+ * Request a waiver
+ * @param {Object} request - { assetId ("envId:catalog.schema.table"), agreementId, rule?, column?, justification, approver, expiresAt }
+ * @param {string} actor - Requesting user
+ */
+export function requestWaiver({ assetId, agreementId, rule, column, justification, approver, expiresAt }, actor) {
+  const separator = assetId?.indexOf(':') ?? -1;
+  if (separator <= 0 || separator === assetId.length - 1) {
+    throw waiverError('assetId must be "<environmentId>:<catalog.schema.name>"', 400);
+  }
+  const environmentId = assetId.slice(0, separator);
+  const fullName = assetId.slice(separator + 1);
+
+  const agreement = getAgreementById(agreementId);
+  if (!agreement) {
+    throw waiverError(`Agreement not found: ${agreementId}`, 404);
+  }
+  if (!justification?.trim()) {
+    throw waiverError('A justification is required', 400);
+  }
+  if (!approver?.trim()) {
+    throw waiverError('An approver is required', 400);
+  }
+
+  const normalizedApprover = approver.trim().toLowerCase();
+  if (sameUser(normalizedApprover, actor)) {
+    throw waiverError('The approver must be someone other than the requester', 400);
+  }
+  const environmentApprovers = getApprovers(environmentId);
+  if (environmentApprovers.length > 0 && !environmentApprovers.includes(normalizedApprover)) {
+    throw waiverError(`${approver} is not an approver for environment ${environmentId} (approvers: ${environmentApprovers.join(', ')})`, 400);
+  }
+
+  let expiryDate;
+  try {
+    expiryDate = normalizeAgreementDate(expiresAt, 'expiry date');
+  } catch (error) {
+    throw waiverError(error.message, 400);
+  }
+  const today = toDateString();
+  const latest = toDateString(new Date(Date.now() + MAX_WAIVER_DAYS * DAY_MS));
+  if (!expiryDate) {
+    throw waiverError('An expiry date is required', 400);
+  }
+  if (expiryDate < today) {
+    throw waiverError(`Expiry date ${expiryDate} is in the past`, 400);
+  }
+  if (expiryDate > latest) {
+    throw waiverError(`Waivers may last at most ${MAX_WAIVER_DAYS} days (until ${latest})`, 400);
+  }
+
+  const duplicate = getWaivers({ assetId, agreementId }).find(w =>
+    ['pending', 'approved'].includes(w.status) && (w.rule || null) === (rule || null) && (w.column || null) === (column || null)
+  );
+  if (duplicate) {
+    throw waiverError(`A ${duplicate.status} waiver already covers this requirement (${duplicate.id})`, 409);
+  }
+
+  const waiver = addWaiver({
+    assetId,
+    environmentId,
+    fullName,
+    agreementId,
+    agreementName: agreement.name,
+    rule: rule || null,
+    column: column || null,
+    justification: justification.trim(),
+    requestedBy: actor || 'unknown',
+    approver: normalizedApprover,
+    expiresAt: expiryDate,
+  });
+
+  console.log(`🛡️  Waiver requested for ${assetId} (${agreement.name}) until ${expiryDate} - approver ${normalizedApprover}`);
+  return waiver;
+}
+
+/**
+ * Move a waiver to a new status
+ * @param {Object} options - { actor, comment, system } (system skips the permission check)
+ */
+export function transitionWaiver(id, toStatus, { actor, comment, system = false } = {}) {
+  const waiver = getWaiverById(id);
+  if (!waiver) {
+    throw waiverError(`Waiver not found: ${id}`, 404);
+  }
+
+  if (!(WAIVER_TRANSITIONS[waiver.status] || []).includes(toStatus)) {
+    throw waiverError(`Cannot move waiver from ${waiver.status} to ${toStatus}`, 409);
+  }
+
+  if (!system) {
+    // Decisions belong to the named approver; the requester or approver may withdraw a waiver
+    const allowed = toStatus === 'revoked'
+      ? sameUser(actor, waiver.approver) || sameUser(actor, waiver.requestedBy)
+      : sameUser(actor, waiver.approver);
+    if (!allowed) {
+      throw waiverError(`${actor || 'Anonymous user'} may not ${toStatus === 'revoked' ? 'revoke' : 'decide on'} this waiver`, 403);
+    }
+  }
+
+  if (toStatus === 'rejected' && !comment?.trim()) {
+    throw waiverError('A comment explaining the rejection is required', 400);
+  }
+  if (toStatus === 'approved' && waiver.expiresAt < toDateString()) {
+    throw waiverError(`Waiver expired on ${waiver.expiresAt} before it was approved`, 409);
+  }
+
+  console.log(`🛡️  Waiver ${id} (${waiver.assetId}): ${waiver.status} → ${toStatus}${actor ? ` by ${actor}` : ''}`);
+
+  return updateWaiver(id, {
+    status: toStatus,
+    statusHistory: [
+      ...(waiver.statusHistory || []),
+      {
+        from: waiver.status,
+        to: toStatus,
+        by: actor || 'system',
+        at: new Date().toISOString(),
+        comment: comment || null,
+      },
+    ],
+  });
+}
+
+/**
+ * Split each validation result's violations into open and waived ones
+ * Results are copied; `compliant` only considers open violations.
+ */
+export function applyWaivers(results, today = toDateString()) {
+  const activeWaivers = getWaivers({ status: 'approved' }).filter(w => isWaiverActive(w, today));
+
+  const split = (assetId, allViolations) => {
+    const violations = [];
+    const waivedViolations = [];
+
+    for (const violation of allViolations) {
+      const waiver = activeWaivers.find(w => waiverCovers(w, assetId, violation));
+      if (waiver) {
+        waivedViolations.push({
+          ...violation,
+          waiver: { id: waiver.id, approver: waiver.approver, expiresAt: waiver.expiresAt, justification: waiver.justification },
+        });
+      } else {
+        violations.push(violation);
+      }
+    }
+
+    return { compliant: violations.length === 0, violations, waivedViolations };
+  };
+
+  return results.map(result => ({
+    ...result,
+    ...split(result.assetId, result.violations),
+    // Column results (validateAssetWithColumns) carry their own violations
+    ...(result.columns ? { columns: result.columns.map(column => ({ ...column, ...split(result.assetId, column.violations) })) } : {}),
+  }));
+}
+
+// Asset is compliant only thanks to waivers
+export const isWaivedOnly = (result) => result.compliant && result.waivedViolations?.length > 0;
+
+/**
+ * Expire approved waivers past their expiry date - their violations count again
+ * @returns {string[]} ids of expired waivers
+ */
+export function runWaiverExpiryCheck(today = toDateString()) {
+  const expired = [];
+
+  for (const waiver of getWaivers({ status: 'approved' })) {
+    if (isWaiverActive(waiver, today)) continue;
+    try {
+      transitionWaiver(waiver.id, 'expired', { system: true, comment: `Expired on ${waiver.expiresAt}` });
+      console.log(`⌛ Waiver expired: ${waiver.assetId} (${waiver.agreementName}) - violations reactivated`);
+      expired.push(waiver.id);
+    } catch (error) {
+      console.error(`❌ Expiry check failed for waiver ${waiver.id}:`, error.message);
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * Start the background waiver expiry sweep
+ * @param {Object} options - { onChange } called when any waiver expired
+ */
+export function startWaiverExpiryMonitor({ onChange } = {}) {
+  if (expiryTimer) return;
+
+  const sweep = () => {
+    const expired = runWaiverExpiryCheck();
+    if (expired.length > 0) {
+      onChange?.(expired);
+    }
+  };
+
+  sweep();
+  expiryTimer = setInterval(sweep, CHECK_INTERVAL);
+  // Don't keep the process alive just for the sweep
+  expiryTimer.unref();
+
+  console.log(`⌛ Waiver expiry monitor running every ${Math.round(CHECK_INTERVAL / 60000)} minute(s)`);
+}
+
+export function stopWaiverExpiryMonitor() {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+}
+
+export default {
+  WAIVER_STATUSES,
+  isWaiverActive,
+  waiverCovers,
+  requestWaiver,
+  transitionWaiver,
+  applyWaivers,
+  isWaivedOnly,
+  runWaiverExpiryCheck,
+  startWaiverExpiryMonitor,
+  stopWaiverExpiryMonitor,
+};
@@ -1,95 +1,343 @@
 import axios from 'axios';
-import { getEnvironment } from '../config/databricks.js';
+import { createHash } from 'crypto';
+import { getEnvironment, getEnvironments, getWarehouseId, getAuthSettings, getServicePrincipalCredentials, getPaginationSettings, getInventorySettings, getCacheSettings, getCrawlSettings } from '../config/databricks.js';
+import { getRequestContext } from './requestContext.js';
+import { createLruCache, saveSnapshot, loadSnapshot } from './lruCache.js';
+import { diffInventories, recordInventoryScan } from './inventoryChanges.js';
+import { beginCrawlPass, recordApiRequest } from './assetCrawler.js';
+import { resetCrawlCatalog } from '../data/crawlCheckpointsStore.js';
 
-// Simple in-memory cache
-const cache = new Map();
+// Bounded in-memory cache (see lruCache.js), partitioned by the identity that fetched each entry
+// (see getCachePartition) - a user is only served what their own credentials could list.
+// Keys are `${partition}|${type}:${envId}[:${catalog}...]`. Asset inventories live in their own
+// LRU, so a scan priming thousands of per-table entries can't evict them, and stay servable for
+// staleHours after they expire while a refresh runs (stale-while-revalidate).
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const cacheSettings = getCacheSettings();
 
-// Service Principal token cache
-let spToken = null;
-let spTokenExpiry = 0;
+const partitionKey = (envId, key) => `${getCachePartition(envId)}|${key}`;
+const keyParts = (entryKey) => entryKey.slice(entryKey.indexOf('|') + 1).split(':');
+const keyType = (entryKey) => {
+  const parts = keyParts(entryKey);
+  return parts[parts.length - 1] === 'metadata' ? `${parts[0]}:metadata` : parts[0];
+};
 
-// Get OAuth token using Service Principal credentials
-async function getServicePrincipalToken(host) {
-  const clientId = process.env.DATABRICKS_CLIENT_ID;
-  const clientSecret = process.env.DATABRICKS_CLIENT_SECRET;
-  
-  if (!clientId || !clientSecret) {
-    console.log('⚠️  No Service Principal credentials (DATABRICKS_CLIENT_ID/SECRET) available');
+const INVENTORY_KEY_TYPES = new Set(['all_assets', 'all_catalog_metadata', 'inventory']);
+const CATALOG_KEY_TYPES = new Set(['schemas', 'tables', 'volumes', 'functions', 'models', 'columns', 'column_tags']);
+
+const objectCache = createLruCache({ name: 'objects', maxEntries: cacheSettings.maxEntries, ttl: CACHE_TTL, typeOf: keyType });
+const inventoryCache = createLruCache({
+  name: 'inventories',
+  maxEntries: cacheSettings.maxInventories,
+  ttl: CACHE_TTL,
+  staleTtl: cacheSettings.staleHours * 60 * 60 * 1000,
+  typeOf: keyType,
+});
+const cacheFor = (key) => (INVENTORY_KEY_TYPES.has(key.split(':')[0]) ? inventoryCache : objectCache);
+
+const cache = {
+  // Fresh entry (counted as a hit or miss)
+  get: (envId, key) => cacheFor(key).get(partitionKey(envId, key)),
+  // Fresh or stale entry, flagged with `stale`
+  getStale: (envId, key) => cacheFor(key).getStale(partitionKey(envId, key)),
+  // Fresh or stale entry, not counted (status reads)
+  peek: (envId, key) => cacheFor(key).peek(partitionKey(envId, key)),
+  set: (envId, key, entry) => cacheFor(key).set(partitionKey(envId, key), entry),
+  delete: (envId, key) => cacheFor(key).delete(partitionKey(envId, key)),
+  // Drop a key from every partition (the object changed, so every identity's copy is stale)
+  invalidate: (key) => cacheFor(key).deleteWhere(entryKey => entryKey.endsWith(`|${key}`)),
+  clear: () => {
+    objectCache.clear();
+    inventoryCache.clear();
+  },
+};
+
+// Service Principal OAuth tokens, per workspace host and client ID
+// { token, expiresAt, refreshing: Promise | null }
+const spTokens = new Map();
+const SP_TOKEN_REFRESH_MARGIN = 5 * 60 * 1000; // Refresh tokens this long before they expire
+const spWarnings = new Set();
+
+const hasServicePrincipal = (envId) => !!getServicePrincipalCredentials(envId);
+
+// Fetch a token with the client credentials grant from the workspace's OIDC endpoint
+async function fetchServicePrincipalToken(host, { clientId, clientSecret }) {
+  console.log(`🔐 Fetching OAuth token for Service Principal ${clientId} on ${host}...`);
+  const response = await axios.post(`${host}/oidc/v1/token`,
+    new URLSearchParams({
+      grant_type: 'client_credentials',
+      scope: 'all-apis',
+    }).toString(),
+    {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      auth: {
+        username: clientId,
+        password: clientSecret,
+      },
+    }
+  );
+  console.log('✅ Got Service Principal OAuth token');
+  return { token: response.data.access_token, expiresAt: Date.now() + (response.data.expires_in * 1000) };
+}
+
+// Get OAuth token using the environment's Service Principal credentials (null when unavailable)
+// A token close to expiry is still returned while a new one is fetched in the background
+async function getServicePrincipalToken(env) {
+  const credentials = getServicePrincipalCredentials(env.id);
+  if (!credentials) {
+    if (!spWarnings.has(env.id)) {
+      console.log(`⚠️  No Service Principal credentials available for ${env.id}`);
+      spWarnings.add(env.id);
+    }
     return null;
   }
-  
-  // Return cached token if still valid (with 5 min buffer)
-  if (spToken && Date.now() < spTokenExpiry - 300000) {
-    return spToken;
+
+  const key = `${env.host}|${credentials.clientId}`;
+  const entry = spTokens.get(key) || { token: null, expiresAt: 0, refreshing: null };
+  spTokens.set(key, entry);
+
+  if (!entry.refreshing && Date.now() >= entry.expiresAt - SP_TOKEN_REFRESH_MARGIN) {
+    entry.refreshing = fetchServicePrincipalToken(env.host, credentials)
+      .then(({ token, expiresAt }) => {
+        entry.token = token;
+        entry.expiresAt = expiresAt;
+        entry.lastError = null;
+      })
+      .catch(error => {
+        console.error(`❌ Failed to get Service Principal token for ${env.id}:`, error.message);
+        if (error.response) {
+          console.error('   Status:', error.response.status);
+          console.error('   Data:', JSON.stringify(error.response.data));
+        }
+        entry.lastError = error.message;
+      })
+      .finally(() => {
+        entry.refreshing = null;
+      });
   }
-  
-  try {
-    console.log('🔐 Fetching OAuth token using Service Principal...');
-    const tokenUrl = `${host}/oidc/v1/token`;
-    
-    const response = await axios.post(tokenUrl, 
-      new URLSearchParams({
-        grant_type: 'client_credentials',
-        scope: 'all-apis',
-      }).toString(),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        auth: {
-          username: clientId,
-          password: clientSecret,
-        },
-      }
-    );
-    
-    spToken = response.data.access_token;
-    spTokenExpiry = Date.now() + (response.data.expires_in * 1000);
-    console.log('✅ Got Service Principal OAuth token');
-    return spToken;
-  } catch (error) {
-    console.error('❌ Failed to get Service Principal token:', error.message);
-    if (error.response) {
-      console.error('   Status:', error.response.status);
-      console.error('   Data:', JSON.stringify(error.response.data));
-    }
-    return null;
+
+  if (entry.token && Date.now() < entry.expiresAt) {
+    return entry.token;
   }
+  await entry.refreshing;
+  return entry.token && Date.now() < entry.expiresAt ? entry.token : null;
 }
 
-// Configurable limits to prevent API overload
-const MAX_CATALOGS = parseInt(process.env.MAX_CATALOGS || '10'); // Limit catalogs to avoid rate limits - set low for large environments
-const MAX_SCHEMAS_PER_CATALOG = parseInt(process.env.MAX_SCHEMAS_PER_CATALOG || '5'); // Limit schemas per catalog to prevent timeouts
+// How long the last inventory of an environment is kept for change detection - user partitions
+// are dropped sooner, as a user's views are only fetched while they use the app
+const INVENTORY_STATE_TTL = 24 * 60 * 60 * 1000;
+const USER_INVENTORY_STATE_TTL = 60 * 60 * 1000;
+
+// Pause between the passes of a crawl (each pass paces its own requests, see assetCrawler.js)
+const CRAWL_CONTINUE_DELAY = 1000;
 
 // Request locking to prevent parallel fetches
 const activeRequests = new Map();
 
-// Store the current user token for API calls
-let currentUserToken = null;
+const AUTH_POLICIES = ['user', 'service-principal'];
 
-// Set the user token for subsequent API calls
-export const setUserToken = (token) => {
-  currentUserToken = token;
+let warnedAuthPolicy = null;
+const getAuthPolicy = () => {
+  const { policy } = getAuthSettings();
+  if (!AUTH_POLICIES.includes(policy)) {
+    if (warnedAuthPolicy !== policy) {
+      console.warn(`⚠️  Unknown auth policy "${policy}" - acting as the user`);
+      warnedAuthPolicy = policy;
+    }
+    return 'user';
+  }
+  return policy;
 };
 
-// Get the current user token
-export const getUserToken = () => {
-  return currentUserToken;
-};
+const hashToken = (token) => createHash('sha256').update(token).digest('hex').slice(0, 16);
+
+// User behind each caller token: token hash -> { userId, checkedAt, pending }. Tokens rotate,
+// so caches are partitioned by the user (SCIM Me), looked up once per token by
+// resolveCallerIdentity. Lookups that failed are retried after IDENTITY_RETRY_MS.
+const tokenIdentities = new Map();
+const IDENTITY_RETRY_MS = 5 * 60 * 1000;
+const MAX_TOKEN_IDENTITIES = 10000;
+
+/**
+ * Look up the user the caller's token belongs to, in the workspace the app runs in ('current',
+ * else the first environment). Cached per token; never rejects.
+ * @returns {Promise<string|null>} SCIM user id, or null (no caller token, or the lookup failed)
+ */
+export async function resolveCallerIdentity() {
+  const { userToken } = getRequestContext();
+  const env = getEnvironments()[0];
+  if (!userToken || !env) {
+    return null;
+  }
+
+  const tokenHash = hashToken(userToken);
+  const known = tokenIdentities.get(tokenHash);
+  if (known?.pending) {
+    return known.pending;
+  }
+  if (known && (known.userId || Date.now() - known.checkedAt < IDENTITY_RETRY_MS)) {
+    return known.userId;
+  }
+
+  const pending = (async () => {
+    let userId = null;
+    try {
+      const client = await createDatabricksClient(env.id, userToken);
+      const response = await client.get('/api/2.0/preview/scim/v2/Me');
+      userId = response.data.id ? String(response.data.id) : null;
+    } catch (error) {
+      console.warn(`⚠️  Could not resolve the caller's identity (caching by token until it can): ${error.message}`);
+    }
+    tokenIdentities.delete(tokenHash);
+    tokenIdentities.set(tokenHash, { userId, checkedAt: Date.now(), pending: null });
+    // Forget the tokens looked up longest ago
+    while (tokenIdentities.size > MAX_TOKEN_IDENTITIES) {
+      tokenIdentities.delete(tokenIdentities.keys().next().value);
+    }
+    return userId;
+  })();
+  tokenIdentities.set(tokenHash, { ...known, pending });
+  return pending;
+}
+
+// Cache partition of the identity API calls to an environment act as (same rules as resolveToken,
+// without fetching a token): 'app' for the service principal / PAT, otherwise one per caller.
+// Keyed by the caller's user id (see resolveCallerIdentity) rather than the forwarded email,
+// which a caller could set to someone else's; by the token until its user is known.
+export function getCachePartition(envId) {
+  const { userToken } = getRequestContext();
+  if (!userToken || (getAuthPolicy() === 'service-principal' && hasServicePrincipal(envId))) {
+    return 'app';
+  }
+  const tokenHash = hashToken(userToken);
+  const userId = tokenIdentities.get(tokenHash)?.userId;
+  return userId ? `user:${userId}` : `user:token-${tokenHash}`;
+}
 
-// Export function to clear cache
-export const clearCache = () => {
-  cache.clear();
-  activeRequests.clear();
-  consecutiveErrors = 0;
-  console.log('Cache cleared');
+// Clear cached results - everything, one environment, or one catalog of an environment.
+// Clearing a catalog drops its cached objects and makes the environment's inventories stale, so
+// they're still served while the next read refreshes them (re-listing that catalog's schemas,
+// whether or not the current crawl cycle had covered it already).
+export const clearCache = ({ environmentId = null, catalog = null } = {}) => {
+  if (!environmentId) {
+    cache.clear();
+    activeRequests.clear();
+    consecutiveErrors = 0;
+    console.log('Cache cleared');
+  } else if (!catalog) {
+    const ofEnvironment = (entryKey) => keyParts(entryKey)[1] === environmentId;
+    const cleared = objectCache.deleteWhere(ofEnvironment) + inventoryCache.deleteWhere(ofEnvironment);
+    console.log(`Cache cleared for ${environmentId} (${cleared} entries)`);
+  } else {
+    const cleared = objectCache.deleteWhere(entryKey => {
+      const [type, envId, catalogName] = keyParts(entryKey);
+      return envId === environmentId && (type === 'catalogs' || (CATALOG_KEY_TYPES.has(type) && catalogName === catalog));
+    });
+    inventoryCache.expireWhere(entryKey => keyType(entryKey) !== 'inventory' && keyParts(entryKey)[1] === environmentId);
+    inventoryCache.entries()
+      .filter(([entryKey]) => keyType(entryKey) === 'inventory' && keyParts(entryKey)[1] === environmentId)
+      .forEach(([entryKey, entry]) => {
+        const schemas = Object.fromEntries(Object.entries(entry.data.schemas)
+          .filter(([scope]) => !scope.startsWith(`${catalog}.`)));
+        inventoryCache.set(entryKey, { ...entry, data: { ...entry.data, schemas } });
+      });
+    resetCrawlCatalog(environmentId, catalog);
+    console.log(`Cache cleared for ${environmentId}.${catalog} (${cleared} entries)`);
+  }
+  schedulePersist();
 };
 
+// Hit / miss / eviction counters and sizes of the cache
+export const getCacheStats = () => ({
+  objects: objectCache.stats(),
+  inventories: inventoryCache.stats(),
+  staleHours: cacheSettings.staleHours,
+  persistence: {
+    enabled: cacheSettings.persist,
+    file: cacheSettings.persist ? cacheSettings.persistFile : null,
+    ...persistence,
+  },
+});
+
+// Persisted inventories - only the app's own partition is written to disk: user partitions hold
+// what one user's credentials could list, and are fetched again with their token after a restart
+const persistence = { lastSavedAt: null, lastLoadedAt: null, loadedInventories: 0, lastError: null };
+let persistTimer = null;
+
+function persistInventories() {
+  persistTimer = null;
+  const inventories = inventoryCache.entries()
+    .filter(([entryKey, entry]) => entryKey.startsWith('app|all_assets:') && keyType(entryKey) === 'all_assets' && !entry.partial)
+    .map(([entryKey, entry]) => {
+      const envId = keyParts(entryKey)[1];
+      const metadata = inventoryCache.peek(`app|all_assets:${envId}:metadata`);
+      const state = inventoryCache.peek(`app|inventory:${envId}`);
+      return {
+        environmentId: envId,
+        timestamp: entry.timestamp,
+        assets: entry.data,
+        metadata: metadata && !metadata.isLoading ? metadata : null,
+        // The inventory state shares the asset list, so only the rest of it is written
+        inventory: state?.data.assets === entry.data
+          ? { schemas: state.data.schemas, scannedAt: state.data.scannedAt, fullScanAt: state.data.fullScanAt, crawlPass: state.data.crawlPass, timestamp: state.timestamp, ttl: state.ttl }
+          : null,
+      };
+    });
+
+  try {
+    saveSnapshot(cacheSettings.persistFile, { version: 1, inventories });
+    persistence.lastSavedAt = new Date().toISOString();
+    persistence.lastError = null;
+  } catch (error) {
+    console.error('❌ Failed to persist asset inventories:', error.message);
+    persistence.lastError = error.message;
+  }
+}
+
+// Write the inventories shortly after they change (several changes are written once)
+function schedulePersist() {
+  if (!cacheSettings.persist || persistTimer) return;
+  persistTimer = setTimeout(persistInventories, 1000);
+  persistTimer.unref();
+}
+
+// Load the inventories persisted by a previous run - they are served (stale) at once and
+// refreshed on first read, instead of every page waiting for a full scan after a restart
+export function initAssetCache() {
+  if (!cacheSettings.persist) return;
+  try {
+    const snapshot = loadSnapshot(cacheSettings.persistFile);
+    (snapshot?.inventories || [])
+      .filter(inventory => getEnvironment(inventory.environmentId))
+      .forEach(({ environmentId, timestamp, assets, metadata, inventory }) => {
+        inventoryCache.set(`app|all_assets:${environmentId}`, { data: assets, timestamp });
+        if (metadata) {
+          inventoryCache.set(`app|all_assets:${environmentId}:metadata`, metadata);
+        }
+        if (inventory) {
+          const { timestamp: stateTimestamp, ttl, ...state } = inventory;
+          inventoryCache.set(`app|inventory:${environmentId}`, { data: { assets, ...state }, timestamp: stateTimestamp, ttl, staleTtl: 0 });
+        }
+      });
+    persistence.loadedInventories = inventoryCache.entries()
+      .filter(([entryKey]) => entryKey.startsWith('app|all_assets:') && keyType(entryKey) === 'all_assets').length;
+    persistence.lastLoadedAt = new Date().toISOString();
+    if (persistence.loadedInventories > 0) {
+      console.log(`💾 Loaded ${persistence.loadedInventories} persisted asset inventory(ies) from ${cacheSettings.persistFile}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to load persisted asset inventories:', error.message);
+    persistence.lastError = error.message;
+  }
+}
+
 // Rate limiting helper with exponential backoff
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 let lastRequestTime = 0;
 const MIN_REQUEST_INTERVAL = 300; // 300ms between requests (increased for stability)
+const STATEMENT_TIMEOUT = parseInt(process.env.STATEMENT_TIMEOUT_MS || '300000'); // Max wait for SQL statements
 let consecutiveErrors = 0;
 
 async function rateLimitedRequest(fn, retries = 3) {
@@ -121,8 +369,101 @@ async function rateLimitedRequest(fn, retries = 3) {
   }
 }
 
+// Pick the token for an API call from the request context and the auth policy:
+// - 'user' (default): the caller's forwarded token, else the service principal, else the PAT
+// - 'service-principal': the service principal, else the caller's token, else the PAT
+// Work with no caller (schedules, the startup scan) always uses the service principal or the PAT.
+async function resolveToken(env, providedToken) {
+  if (providedToken) {
+    return { token: providedToken, tokenSource: 'provided' };
+  }
+
+  const policy = getAuthPolicy();
+  const { userToken } = getRequestContext();
+  if (userToken && policy === 'user') {
+    return { token: userToken, tokenSource: 'user' };
+  }
+
+  const spToken = await getServicePrincipalToken(env);
+  if (spToken) {
+    return { token: spToken, tokenSource: 'service-principal' };
+  }
+  if (userToken) {
+    return { token: userToken, tokenSource: 'user' };
+  }
+  return { token: env.token, tokenSource: env.token ? 'config' : 'none' };
+}
+
+// Iterate over the pages of a list endpoint, following next_page_token until the last page
+// Yields { items, hasMore } per page
+export async function* paginate(client, path, itemsKey, params = {}) {
+  const { pageSize } = getPaginationSettings();
+  let pageToken = null;
+  do {
+    const response = await rateLimitedRequest(() =>
+      client.get(path, { params: { ...params, max_results: pageSize, ...(pageToken ? { page_token: pageToken } : {}) } })
+    );
+    pageToken = response.data.next_page_token || null;
+    yield { items: response.data[itemsKey] || [], hasMore: !!pageToken };
+  } while (pageToken);
+}
+
+// Collect every item of a list endpoint (those passing filter), up to maxItems
+// The list carries a non-enumerable `pagination` property - { pages, truncated, maxItems } -
+// so a capped list can be told apart from a complete one (see getPagination)
+async function listAll(client, path, itemsKey, { params = {}, filter = null, maxItems = getPaginationSettings().maxItems } = {}) {
+  const items = [];
+  let pages = 0;
+  let truncated = false;
+
+  for await (const page of paginate(client, path, itemsKey, params)) {
+    pages++;
+    items.push(...(filter ? page.items.filter(filter) : page.items));
+    if (items.length > maxItems || (items.length === maxItems && page.hasMore)) {
+      truncated = true;
+      items.length = Math.min(items.length, maxItems);
+      console.warn(`⚠️  ${path} ${JSON.stringify(params)} has more than ${maxItems} items - the list is truncated`);
+      break;
+    }
+  }
+
+  Object.defineProperty(items, 'pagination', { value: { pages, truncated, maxItems }, enumerable: false });
+  return items;
+}
+
+// Pagination of a list returned by a list method (lists from older cache entries count as complete)
+export const getPagination = (list) => list?.pagination || { pages: 1, truncated: false, maxItems: null };
+
+// Auth method reported for each token source
+const AUTH_METHODS = { provided: 'provided', user: 'user', 'service-principal': 'service-principal', config: 'pat', none: 'none' };
+
+// How API calls to an environment authenticate in the current context - resolved the same way as
+// real calls (fetching a service principal token if needed), so it reports what is actually used
+export async function getAuthMethod(envId) {
+  const env = getEnvironment(envId);
+  if (!env) {
+    return null;
+  }
+
+  const { tokenSource } = await resolveToken(env, null);
+  const credentials = getServicePrincipalCredentials(envId);
+  const spEntry = credentials ? spTokens.get(`${env.host}|${credentials.clientId}`) : null;
+  return {
+    authMethod: AUTH_METHODS[tokenSource],
+    authPolicy: getAuthPolicy(),
+    servicePrincipal: credentials
+      ? {
+        clientId: credentials.clientId,
+        credentialSource: credentials.source,
+        tokenExpiresAt: spEntry?.expiresAt ? new Date(spEntry.expiresAt).toISOString() : null,
+        lastError: spEntry?.lastError || null,
+      }
+      : null,
+  };
+}
+
 // Create Databricks API client for a specific environment
-// Priority: 1) Service Principal OAuth, 2) User token, 3) PAT from config
+// The token comes from userToken when given, otherwise from the request context (see resolveToken)
 export const createDatabricksClient = async (envId, userToken = null) => {
   const env = getEnvironment(envId);
   
@@ -130,21 +471,12 @@ export const createDatabricksClient = async (envId, userToken = null) => {
     throw new Error(`Environment ${envId} not found or not enabled`);
   }
   
-  // Try Service Principal first (most reliable in Databricks Apps)
-  let token = await getServicePrincipalToken(env.host);
-  let tokenSource = 'service-principal';
-  
-  // Fallback to user token if SP not available
-  if (!token) {
-    token = userToken || currentUserToken || env.token;
-    tokenSource = userToken ? 'provided' : currentUserToken ? 'middleware' : env.token ? 'config' : 'none';
-  }
+  const { token, tokenSource } = await resolveToken(env, userToken);
   
   // Debug logging
   console.log(`🔧 Creating Databricks client for env: ${envId}`);
   console.log(`   Host: ${env.host}`);
   console.log(`   Token source: ${tokenSource}`);
-  console.log(`   Token preview: ${token ? token.substring(0, 20) + '...' : 'null'}`);
   
   if (!token) {
     throw new Error('No authentication token available. Either configure a PAT in databricks-config.json or access via Databricks Apps.');
@@ -159,10 +491,15 @@ export const createDatabricksClient = async (envId, userToken = null) => {
     timeout: 30000,
   });
   
-  // Add response interceptor for error handling and retries
+  // Add response interceptor for error handling and retries - and to count every request
+  // against the workspace's crawl budget (see assetCrawler.js)
   client.interceptors.response.use(
-    response => response,
+    response => {
+      recordApiRequest(env.host);
+      return response;
+    },
     async error => {
+      recordApiRequest(env.host, { rateLimited: error.response?.status === 429 });
       if (error.response?.status === 429) {
         console.warn(`Rate limit hit for ${envId}, backing off...`);
         await sleep(2000); // Wait 2 seconds before retry
@@ -177,104 +514,171 @@ export const createDatabricksClient = async (envId, userToken = null) => {
   return client;
 };
 
+// Securables that accept governed tags, with the keyword used by ALTER ... SET TAGS
+const TAG_ENTITY_TYPES = {
+  catalogs: 'CATALOG',
+  schemas: 'SCHEMA',
+  tables: 'TABLE',
+  columns: 'TABLE',
+  volumes: 'VOLUME',
+};
+
+// How tags are written: 'api' (entity tag assignments), 'sql' (ALTER ... SET TAGS on the
+// SQL warehouse) or 'auto' (the API, falling back to SQL where the API isn't available)
+const getTagWriteMethod = () => (process.env.TAG_WRITE_METHOD || 'auto').toLowerCase();
+
+const quoteIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+const quoteSqlString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// Message from a Databricks API error (falls back to the HTTP error)
+const apiErrorMessage = (error) => error.response?.data?.message || error.message;
+
+// The entity tag assignments API is missing (older workspaces) rather than the object
+const isTagApiUnavailable = (error) => {
+  const status = error.response?.status;
+  const errorCode = error.response?.data?.error_code || '';
+  return [404, 405, 501].includes(status) && !/DOES_NOT_EXIST/.test(errorCode);
+};
+
+const checkTagEntityType = (entityType) => {
+  if (!TAG_ENTITY_TYPES[entityType]) {
+    throw new Error(`Tags can't be set on ${entityType} (expected ${Object.keys(TAG_ENTITY_TYPES).join(', ')})`);
+  }
+};
+
+// ALTER ... <clause> for a securable (columns are altered through their table)
+function buildAlterTagsStatement(entityType, nameParts, clause) {
+  checkTagEntityType(entityType);
+  if (entityType === 'columns') {
+    const table = nameParts.slice(0, 3).map(quoteIdentifier).join('.');
+    return `ALTER TABLE ${table} ALTER COLUMN ${quoteIdentifier(nameParts[3])} ${clause}`;
+  }
+  return `ALTER ${TAG_ENTITY_TYPES[entityType]} ${nameParts.map(quoteIdentifier).join('.')} ${clause}`;
+}
+
+/**
+ * Build an ALTER ... SET TAGS statement
+ * @param {string} entityType - catalogs, schemas, tables, columns or volumes
+ * @param {string[]} nameParts - catalog[, schema[, table / volume[, column]]]
+ * @param {object} tags - { key: value }
+ */
+export function buildSetTagsStatement(entityType, nameParts, tags) {
+  const assignments = Object.entries(tags)
+    .map(([key, value]) => `${quoteSqlString(key)} = ${quoteSqlString(value ?? '')}`)
+    .join(', ');
+  return buildAlterTagsStatement(entityType, nameParts, `SET TAGS (${assignments})`);
+}
+
+/**
+ * Build an ALTER ... UNSET TAGS statement
+ */
+export function buildUnsetTagsStatement(entityType, nameParts, keys) {
+  return buildAlterTagsStatement(entityType, nameParts, `UNSET TAGS (${keys.map(quoteSqlString).join(', ')})`);
+}
+
+// information_schema view and name columns holding each securable type's tags
+const TAG_INFORMATION_SCHEMA = {
+  catalogs: { view: 'catalog_tags', columns: ['catalog_name'] },
+  schemas: { view: 'schema_tags', columns: ['catalog_name', 'schema_name'] },
+  tables: { view: 'table_tags', columns: ['catalog_name', 'schema_name', 'table_name'] },
+  columns: { view: 'column_tags', columns: ['catalog_name', 'schema_name', 'table_name', 'column_name'] },
+  volumes: { view: 'volume_tags', columns: ['catalog_name', 'schema_name', 'volume_name'] },
+};
+
+// Method used for tag reads and writes in an environment (see getTagWriteMethod)
+const getTagMethod = (envId) => {
+  const method = getTagWriteMethod();
+  return method === 'auto' ? cache.get(envId, `tag_write_method:${envId}`)?.data || 'api' : method;
+};
+
+// Switch an environment to SQL when the tag API is missing; true when it did
+const fallBackToSqlTags = (envId, error) => {
+  if (getTagWriteMethod() !== 'auto' || !isTagApiUnavailable(error)) {
+    return false;
+  }
+  console.warn(`⚠️  Entity tag assignments API unavailable in ${envId} (${apiErrorMessage(error)}) - using SQL for tags`);
+  cache.set(envId, `tag_write_method:${envId}`, { data: 'sql', timestamp: Date.now() });
+  return true;
+};
+
+// Tag assignment URL of one key (or of all keys without one)
+const tagAssignmentPath = (entityType, entity, key = null) =>
+  `/api/2.1/unity-catalog/entity-tag-assignments/${entityType}/${encodeURIComponent(entity)}/tags` +
+  (key === null ? '' : `/${encodeURIComponent(key)}`);
+
 // Unity Catalog API calls
 export const unityCatalog = {
   // List catalogs (with caching and filtering)
   async listCatalogs(envId, userToken = null) {
     const cacheKey = `catalogs:${envId}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
     const client = await createDatabricksClient(envId, userToken);
-    const response = await rateLimitedRequest(() => 
-      client.get('/api/2.1/unity-catalog/catalogs')
-    );
-    
     // Filter out internal catalogs
-    const catalogs = (response.data.catalogs || []).filter(catalog => 
-      !catalog.name.startsWith('__') && 
-      !catalog.name.startsWith('system')
-    );
+    const catalogs = await listAll(client, '/api/2.1/unity-catalog/catalogs', 'catalogs', {
+      filter: catalog => !catalog.name.startsWith('__') && !catalog.name.startsWith('system'),
+    });
     
-    cache.set(cacheKey, { data: catalogs, timestamp: Date.now() });
+    cache.set(envId, cacheKey, { data: catalogs, timestamp: Date.now() });
     return catalogs;
   },
   
   // List schemas in a catalog (with caching and filtering)
   async listSchemas(envId, catalogName, userToken = null) {
     const cacheKey = `schemas:${envId}:${catalogName}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
     const client = await createDatabricksClient(envId, userToken);
-    const response = await rateLimitedRequest(() =>
-      client.get('/api/2.1/unity-catalog/schemas', {
-        params: { catalog_name: catalogName }
-      })
-    );
-    
     // Filter out internal schemas
-    const schemas = (response.data.schemas || []).filter(schema =>
-      !schema.name.startsWith('__') &&
-      !schema.name.startsWith('information_schema')
-    );
+    const schemas = await listAll(client, '/api/2.1/unity-catalog/schemas', 'schemas', {
+      params: { catalog_name: catalogName },
+      filter: schema => !schema.name.startsWith('__') && !schema.name.startsWith('information_schema'),
+    });
     
-    cache.set(cacheKey, { data: schemas, timestamp: Date.now() });
+    cache.set(envId, cacheKey, { data: schemas, timestamp: Date.now() });
     return schemas;
   },
   
   // List tables in a schema (with caching)
   async listTables(envId, catalogName, schemaName, userToken = null) {
     const cacheKey = `tables:${envId}:${catalogName}:${schemaName}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
     const client = await createDatabricksClient(envId, userToken);
-    const response = await rateLimitedRequest(() =>
-      client.get('/api/2.1/unity-catalog/tables', {
-        params: { 
-          catalog_name: catalogName,
-          schema_name: schemaName 
-        }
-      })
-    );
-    
-    const tables = response.data.tables || [];
-    cache.set(cacheKey, { data: tables, timestamp: Date.now() });
+    const tables = await listAll(client, '/api/2.1/unity-catalog/tables', 'tables', {
+      params: { catalog_name: catalogName, schema_name: schemaName },
+    });
+    cache.set(envId, cacheKey, { data: tables, timestamp: Date.now() });
     return tables;
   },
   
   // List volumes in a schema (with caching)
   async listVolumes(envId, catalogName, schemaName, userToken = null) {
     const cacheKey = `volumes:${envId}:${catalogName}:${schemaName}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
     try {
       const client = await createDatabricksClient(envId, userToken);
-      const response = await rateLimitedRequest(() =>
-        client.get('/api/2.1/unity-catalog/volumes', {
-          params: { 
-            catalog_name: catalogName,
-            schema_name: schemaName 
-          }
-        })
-      );
-      
-      const volumes = response.data.volumes || [];
-      cache.set(cacheKey, { data: volumes, timestamp: Date.now() });
+      const volumes = await listAll(client, '/api/2.1/unity-catalog/volumes', 'volumes', {
+        params: { catalog_name: catalogName, schema_name: schemaName },
+      });
+      cache.set(envId, cacheKey, { data: volumes, timestamp: Date.now() });
       return volumes;
     } catch (error) {
       console.error(`Error listing volumes: ${error.message}`);
@@ -285,25 +689,18 @@ export const unityCatalog = {
   // List functions in a schema (with caching)
   async listFunctions(envId, catalogName, schemaName, userToken = null) {
     const cacheKey = `functions:${envId}:${catalogName}:${schemaName}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
     try {
       const client = await createDatabricksClient(envId, userToken);
-      const response = await rateLimitedRequest(() =>
-        client.get('/api/2.1/unity-catalog/functions', {
-          params: { 
-            catalog_name: catalogName,
-            schema_name: schemaName 
-          }
-        })
-      );
-      
-      const functions = response.data.functions || [];
-      cache.set(cacheKey, { data: functions, timestamp: Date.now() });
+      const functions = await listAll(client, '/api/2.1/unity-catalog/functions', 'functions', {
+        params: { catalog_name: catalogName, schema_name: schemaName },
+      });
+      cache.set(envId, cacheKey, { data: functions, timestamp: Date.now() });
       return functions;
     } catch (error) {
       console.error(`Error listing functions: ${error.message}`);
@@ -314,25 +711,18 @@ export const unityCatalog = {
   // List models in a schema (with caching)
   async listModels(envId, catalogName, schemaName, userToken = null) {
     const cacheKey = `models:${envId}:${catalogName}:${schemaName}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
     try {
       const client = await createDatabricksClient(envId, userToken);
-      const response = await rateLimitedRequest(() =>
-        client.get('/api/2.1/unity-catalog/models', {
-          params: { 
-            catalog_name: catalogName,
-            schema_name: schemaName 
-          }
-        })
-      );
-      
-      const models = response.data.registered_models || [];
-      cache.set(cacheKey, { data: models, timestamp: Date.now() });
+      const models = await listAll(client, '/api/2.1/unity-catalog/models', 'registered_models', {
+        params: { catalog_name: catalogName, schema_name: schemaName },
+      });
+      cache.set(envId, cacheKey, { data: models, timestamp: Date.now() });
       return models;
     } catch (error) {
       console.error(`Error listing models: ${error.message}`);
@@ -343,9 +733,9 @@ export const unityCatalog = {
   // List columns in a table (with caching)
   async listTableColumns(envId, catalogName, schemaName, tableName, userToken = null) {
     const cacheKey = `columns:${envId}:${catalogName}:${schemaName}:${tableName}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
@@ -357,14 +747,51 @@ export const unityCatalog = {
       );
       
       const columns = response.data.columns || [];
-      cache.set(cacheKey, { data: columns, timestamp: Date.now() });
+      cache.set(envId, cacheKey, { data: columns, timestamp: Date.now() });
       return columns;
     } catch (error) {
       console.error(`Error listing columns for ${catalogName}.${schemaName}.${tableName}:`, error.message);
       return [];
     }
   },
-  
+
+  // List column tags for a table as { columnName: { tagKey: tagValue } } (with caching)
+  // Column tags aren't returned by the tables API, so they're read from information_schema
+  // on the environment's SQL warehouse. Returns null when they can't be read.
+  async listColumnTags(envId, catalogName, schemaName, tableName, userToken = null) {
+    const cacheKey = `column_tags:${envId}:${catalogName}:${schemaName}:${tableName}`;
+    const cached = cache.get(envId, cacheKey);
+
+    if (cached) {
+      return cached.data;
+    }
+
+    try {
+      const rows = await sqlWarehouse.query(
+        envId,
+        `SELECT column_name, tag_name, tag_value FROM \`${catalogName.replace(/`/g, '``')}\`.information_schema.column_tags ` +
+          'WHERE schema_name = :schema_name AND table_name = :table_name',
+        [
+          { name: 'schema_name', value: schemaName },
+          { name: 'table_name', value: tableName },
+        ],
+        userToken
+      );
+
+      const columnTags = {};
+      rows.forEach(row => {
+        columnTags[row.column_name] = { ...columnTags[row.column_name], [row.tag_name]: row.tag_value ?? '' };
+      });
+      cache.set(envId, cacheKey, { data: columnTags, timestamp: Date.now() });
+      return columnTags;
+    } catch (error) {
+      console.warn(`⚠️  Could not read column tags for ${catalogName}.${schemaName}.${tableName}:`, error.message);
+      // Remember the failure too so a missing warehouse isn't retried on every request
+      cache.set(envId, cacheKey, { data: null, timestamp: Date.now() });
+      return null;
+    }
+  },
+
   // Get table details
   async getTable(envId, fullTableName, userToken = null) {
     const client = await createDatabricksClient(envId, userToken);
@@ -392,6 +819,228 @@ export const unityCatalog = {
     });
     return response.data;
   },
+
+  // Governed tags currently assigned to a catalog, schema, table, column or volume as
+  // { key: value } (not cached - callers compare it with the state they planned against)
+  async getEntityTags(envId, entityType, nameParts, userToken = null) {
+    checkTagEntityType(entityType);
+    const entity = nameParts.join('.');
+
+    if (getTagMethod(envId) === 'api') {
+      try {
+        const client = await createDatabricksClient(envId, userToken);
+        const tags = {};
+        let pageToken;
+        do {
+          const response = await rateLimitedRequest(() =>
+            client.get(tagAssignmentPath(entityType, entity), { params: pageToken ? { page_token: pageToken } : {} })
+          );
+          (response.data.tag_assignments || []).forEach(t => { tags[t.tag_key] = t.tag_value ?? ''; });
+          pageToken = response.data.next_page_token;
+        } while (pageToken);
+        return tags;
+      } catch (error) {
+        if (!fallBackToSqlTags(envId, error)) {
+          throw new Error(`Could not read tags of ${entity}: ${apiErrorMessage(error)}`);
+        }
+      }
+    }
+
+    const { view, columns } = TAG_INFORMATION_SCHEMA[entityType];
+    const rows = await sqlWarehouse.query(
+      envId,
+      `SELECT tag_name, tag_value FROM ${quoteIdentifier(nameParts[0])}.information_schema.${view} WHERE ` +
+        columns.map(column => `${column} = :${column}`).join(' AND '),
+      columns.map((column, i) => ({ name: column, value: nameParts[i] })),
+      userToken
+    );
+    return Object.fromEntries(rows.map(row => [row.tag_name, row.tag_value ?? '']));
+  },
+
+  // Governed tags of tables in a schema as { tableName: { key: value } } - read from where tag
+  // writes go (see getTagWriteMethod): one query for the schema over SQL, else per table (a
+  // table whose tags can't be read has none)
+  async listTableTags(envId, catalogName, schemaName, tableNames, userToken = null) {
+    const tags = Object.fromEntries(tableNames.map(name => [name, {}]));
+    if (getTagMethod(envId) === 'sql') {
+      const rows = await sqlWarehouse.query(
+        envId,
+        `SELECT table_name, tag_name, tag_value FROM ${quoteIdentifier(catalogName)}.information_schema.table_tags WHERE schema_name = :schema_name`,
+        [{ name: 'schema_name', value: schemaName }],
+        userToken
+      );
+      rows.filter(row => tags[row.table_name]).forEach(row => { tags[row.table_name][row.tag_name] = row.tag_value ?? ''; });
+      return tags;
+    }
+
+    for (const name of tableNames) {
+      try {
+        tags[name] = await this.getEntityTags(envId, 'tables', [catalogName, schemaName, name], userToken);
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+      }
+    }
+    return tags;
+  },
+
+  // Assign governed tags to a catalog, schema, table, column or volume (see getTagWriteMethod)
+  // nameParts: catalog[, schema[, table / volume[, column]]]
+  // Returns { method, entity, tags: [{ key, value, applied, error }] } - failures are reported
+  // per tag rather than thrown, so callers can tell exactly what was written
+  async setEntityTags(envId, entityType, nameParts, tags, userToken = null) {
+    checkTagEntityType(entityType);
+
+    const entity = nameParts.join('.');
+    let method = getTagMethod(envId);
+    const results = [];
+
+    if (method === 'api') {
+      const client = await createDatabricksClient(envId, userToken);
+      for (const [key, value] of Object.entries(tags)) {
+        const assignment = { entity_type: entityType, entity_name: entity, tag_key: key, tag_value: String(value ?? '') };
+        try {
+          try {
+            await rateLimitedRequest(() => client.post('/api/2.1/unity-catalog/entity-tag-assignments', assignment));
+          } catch (error) {
+            // The tag is already assigned - update its value instead
+            if (error.response?.status !== 409 && error.response?.data?.error_code !== 'RESOURCE_ALREADY_EXISTS') {
+              throw error;
+            }
+            await rateLimitedRequest(() => client.patch(
+              tagAssignmentPath(entityType, entity, key),
+              assignment,
+              { params: { update_mask: 'tag_value' } }
+            ));
+          }
+          results.push({ key, value: assignment.tag_value, applied: true, error: null });
+        } catch (error) {
+          if (results.length === 0 && fallBackToSqlTags(envId, error)) {
+            method = 'sql';
+            break;
+          }
+          results.push({ key, value: assignment.tag_value, applied: false, error: apiErrorMessage(error) });
+        }
+      }
+    }
+
+    if (method === 'sql') {
+      // One statement sets all tags, so they succeed or fail together
+      let error = null;
+      try {
+        await sqlWarehouse.executeStatement(envId, buildSetTagsStatement(entityType, nameParts, tags), [], userToken);
+      } catch (statementError) {
+        error = apiErrorMessage(statementError);
+      }
+      Object.entries(tags).forEach(([key, value]) => {
+        results.push({ key, value: String(value ?? ''), applied: !error, error });
+      });
+    }
+
+    // Column tags are cached per table
+    if (entityType === 'columns' && results.some(r => r.applied)) {
+      cache.invalidate(`column_tags:${envId}:${nameParts.slice(0, 3).join(':')}`);
+    }
+
+    return { method, entity, tags: results };
+  },
+
+  // Remove governed tags from a securable; keys that aren't assigned count as removed
+  // Returns { method, entity, tags: [{ key, removed, error }] }
+  async removeEntityTags(envId, entityType, nameParts, keys, userToken = null) {
+    checkTagEntityType(entityType);
+
+    const entity = nameParts.join('.');
+    let method = getTagMethod(envId);
+    const results = [];
+
+    if (method === 'api') {
+      const client = await createDatabricksClient(envId, userToken);
+      for (const key of keys) {
+        try {
+          await rateLimitedRequest(() => client.delete(tagAssignmentPath(entityType, entity, key)));
+          results.push({ key, removed: true, error: null });
+        } catch (error) {
+          if (results.length === 0 && fallBackToSqlTags(envId, error)) {
+            method = 'sql';
+            break;
+          }
+          const notAssigned = error.response?.status === 404 && /DOES_NOT_EXIST/.test(error.response?.data?.error_code || '');
+          results.push({ key, removed: notAssigned, error: notAssigned ? null : apiErrorMessage(error) });
+        }
+      }
+    }
+
+    if (method === 'sql') {
+      let error = null;
+      try {
+        await sqlWarehouse.executeStatement(envId, buildUnsetTagsStatement(entityType, nameParts, keys), [], userToken);
+      } catch (statementError) {
+        error = apiErrorMessage(statementError);
+      }
+      keys.forEach(key => results.push({ key, removed: !error, error }));
+    }
+
+    if (entityType === 'columns' && results.some(r => r.removed)) {
+      cache.invalidate(`column_tags:${envId}:${nameParts.slice(0, 3).join(':')}`);
+    }
+
+    return { method, entity, tags: results };
+  },
+};
+
+const INVENTORY_MODES = ['api', 'information_schema'];
+
+let warnedInventoryMode = null;
+const getInventoryMode = () => {
+  const { mode } = getInventorySettings();
+  if (!INVENTORY_MODES.includes(mode)) {
+    if (warnedInventoryMode !== mode) {
+      console.warn(`⚠️  Unknown inventory mode "${mode}" - using the list endpoints`);
+      warnedInventoryMode = mode;
+    }
+    return 'api';
+  }
+  return mode;
+};
+
+// Skip the same internal catalogs and schemas as listCatalogs / listSchemas
+const userObjects = (catalogColumn, schemaColumn) =>
+  `NOT startswith(${catalogColumn}, '__') AND NOT startswith(${catalogColumn}, 'system')` +
+  (schemaColumn ? ` AND NOT startswith(${schemaColumn}, '__') AND NOT startswith(${schemaColumn}, 'information_schema')` : '');
+
+// Set-based inventory queries (system.information_schema only returns what the caller may see)
+const INVENTORY_QUERIES = {
+  tables: 'SELECT table_catalog, table_schema, table_name, table_type, table_owner, comment, created, last_altered, data_source_format ' +
+    `FROM system.information_schema.tables WHERE ${userObjects('table_catalog', 'table_schema')}`,
+  columns: 'SELECT table_catalog, table_schema, table_name, column_name, ordinal_position, full_data_type, data_type, is_nullable, comment ' +
+    `FROM system.information_schema.columns WHERE ${userObjects('table_catalog', 'table_schema')}`,
+  volumes: 'SELECT volume_catalog, volume_schema, volume_name, volume_type, volume_owner, comment, storage_location ' +
+    `FROM system.information_schema.volumes WHERE ${userObjects('volume_catalog', 'volume_schema')}`,
+  routines: 'SELECT routine_catalog, routine_schema, routine_name, routine_type, routine_owner, comment ' +
+    `FROM system.information_schema.routines WHERE ${userObjects('routine_catalog', 'routine_schema')}`,
+  tableTags: 'SELECT catalog_name, schema_name, table_name, tag_name, tag_value ' +
+    `FROM system.information_schema.table_tags WHERE ${userObjects('catalog_name', 'schema_name')}`,
+  columnTags: 'SELECT catalog_name, schema_name, table_name, column_name, tag_name, tag_value ' +
+    `FROM system.information_schema.column_tags WHERE ${userObjects('catalog_name', 'schema_name')}`,
+  catalogTags: 'SELECT catalog_name, tag_name, tag_value ' +
+    `FROM system.information_schema.catalog_tags WHERE ${userObjects('catalog_name')}`,
+  schemaTags: 'SELECT catalog_name, schema_name, tag_name, tag_value ' +
+    `FROM system.information_schema.schema_tags WHERE ${userObjects('catalog_name', 'schema_name')}`,
+};
+
+// Columns of the tables altered since :since (incremental scans reuse the rest)
+const CHANGED_COLUMNS_QUERY = 'SELECT c.table_catalog, c.table_schema, c.table_name, c.column_name, c.ordinal_position, c.full_data_type, c.data_type, c.is_nullable, c.comment ' +
+  'FROM system.information_schema.columns c JOIN system.information_schema.tables t ' +
+  'ON c.table_catalog = t.table_catalog AND c.table_schema = t.table_schema AND c.table_name = t.table_name ' +
+  `WHERE t.last_altered >= :since AND ${userObjects('c.table_catalog', 'c.table_schema')}`;
+
+// Tag rows grouped as Map(key(row) → { tagName: tagValue })
+const groupTags = (rows, key) => {
+  const grouped = new Map();
+  rows.forEach(row => {
+    grouped.set(key(row), { ...grouped.get(key(row)), [row.tag_name]: row.tag_value ?? '' });
+  });
+  return grouped;
 };
 
 // Delta Sharing API calls
@@ -399,16 +1048,15 @@ export const deltaSharing = {
   // List shares
   async listShares(envId, userToken = null) {
     const client = await createDatabricksClient(envId, userToken);
-    const response = await client.get('/api/2.1/unity-catalog/shares');
-    return response.data.shares || [];
+    return listAll(client, '/api/2.1/unity-catalog/shares', 'shares');
   },
   
   // Get share details
   async getShare(envId, shareName, includeSharedData = true, userToken = null) {
     const cacheKey = `share:${envId}:${shareName}:${includeSharedData}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       return cached.data;
     }
     
@@ -417,7 +1065,7 @@ export const deltaSharing = {
     const params = includeSharedData ? { include_shared_data: true } : {};
     const response = await client.get(`/api/2.1/unity-catalog/shares/${shareName}`, { params });
     
-    cache.set(cacheKey, { data: response.data, timestamp: Date.now() });
+    cache.set(envId, cacheKey, { data: response.data, timestamp: Date.now() });
     return response.data;
   },
   
@@ -487,9 +1135,9 @@ export const deltaSharing = {
   async listProviders(envId, userToken = null) {
     try {
       const client = await createDatabricksClient(envId, userToken);
-      const response = await client.get('/api/2.1/data-sharing/providers');
-      console.log(`📊 Found ${response.data.providers?.length || 0} data sharing providers`);
-      return response.data.providers || [];
+      const providers = await listAll(client, '/api/2.1/data-sharing/providers', 'providers');
+      console.log(`📊 Found ${providers.length} data sharing providers`);
+      return providers;
     } catch (error) {
       console.warn(`Could not list providers:`, error.message);
       return [];
@@ -509,6 +1157,23 @@ export const deltaSharing = {
     }
   },
 
+  // Delta Sharing provider a consumed share comes from, or null when no provider lists it
+  async getShareProvider(envId, shareName, userToken = null) {
+    const providers = await this.listProviders(envId, userToken);
+    const client = await createDatabricksClient(envId, userToken);
+    for (const provider of providers) {
+      try {
+        const shares = await listAll(client, `/api/2.1/data-sharing/providers/${encodeURIComponent(provider.name)}/shares`, 'shares');
+        if (shares.some(share => share.name === shareName)) {
+          return provider.name;
+        }
+      } catch (error) {
+        console.warn(`Could not list the shares of provider ${provider.name}:`, error.message);
+      }
+    }
+    return null;
+  },
+
   // Get all tables in a specific share via catalog mapping
   async getShareTables(envId, shareName, userToken = null) {
     // Shares in Unity Catalog reference tables from catalogs
@@ -543,13 +1208,7 @@ export const deltaSharing = {
   async listShareSchemas(envId, shareName, userToken = null) {
     // For Delta Sharing, we need to use the tables API and group by schema
     const client = await createDatabricksClient(envId, userToken);
-    const response = await client.get('/api/2.1/unity-catalog/tables', {
-      params: {
-        max_results: 1000
-      }
-    });
-    
-    const tables = response.data.tables || [];
+    const tables = await listAll(client, '/api/2.1/unity-catalog/tables', 'tables');
     const schemas = new Set();
     
     // Extract unique schemas from tables
@@ -565,22 +1224,17 @@ export const deltaSharing = {
   // List tables in a share schema
   async listShareTables(envId, shareName, schemaName, userToken = null) {
     const client = await createDatabricksClient(envId, userToken);
-    const response = await client.get('/api/2.1/unity-catalog/tables', {
-      params: {
-        catalog_name: shareName,
-        schema_name: schemaName,
-        max_results: 1000
-      }
+    return listAll(client, '/api/2.1/unity-catalog/tables', 'tables', {
+      params: { catalog_name: shareName, schema_name: schemaName },
     });
-    return response.data.tables || [];
   },
   
   // Get catalog-level metadata for ALL catalogs (lightweight for compliance checking)
   async getAllCatalogMetadata(envId, userToken = null) {
     const cacheKey = `all_catalog_metadata:${envId}`;
-    const cached = cache.get(cacheKey);
+    const cached = cache.get(envId, cacheKey);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached) {
       console.log(`✓ Returning cached catalog metadata for ${envId} (${cached.data.length} catalogs)`);
       return cached.data;
     }
@@ -623,7 +1277,7 @@ export const deltaSharing = {
       }
       
       console.log(`✅ Catalog metadata loaded: ${catalogMetadata.length} catalogs`);
-      cache.set(cacheKey, { data: catalogMetadata, timestamp: Date.now() });
+      cache.set(envId, cacheKey, { data: catalogMetadata, timestamp: Date.now() });
     } catch (error) {
       console.error(`Error fetching catalog metadata:`, error.message);
     }
@@ -632,24 +1286,55 @@ export const deltaSharing = {
   },
   
   // Get all assets (tables, volumes, functions, models) across all catalogs (with aggressive caching)
-  async getAllShareTables(envId, priorityCatalogs = [], userToken = null) {
-    const cacheKey = `all_assets:${envId}`;
-    const cached = cache.get(cacheKey);
+  // An expired inventory is returned at once while it's refreshed in the background.
+  // options: { fullScan } - re-list every schema the scan gets to, even when incremental scans
+  // are enabled;
+  // { refresh } - wait for a new scan instead of returning the cached inventory
+  async getAllShareTables(envId, priorityCatalogs = [], userToken = null, { fullScan = false, refresh = false } = {}) {
+    const cached = refresh ? null : cache.getStale(envId, `all_assets:${envId}`);
     
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    if (cached && !cached.stale) {
       console.log(`✓ Returning cached assets for ${envId} (${cached.data.length} assets)`);
       return cached.data;
     }
-    
+
+    if (cached) {
+      console.log(`♻️  Returning stale assets for ${envId} (${cached.data.length} assets) while they refresh`);
+      this._loadAllAssets(envId, priorityCatalogs, userToken, { fullScan })
+        .catch(error => console.error(`Error refreshing assets of ${envId}:`, error.message));
+      return cached.data;
+    }
+
+    return this._loadAllAssets(envId, priorityCatalogs, userToken, { fullScan });
+  },
+
+  // Scan an environment's assets - a scan already running for the same identity is joined
+  async _loadAllAssets(envId, priorityCatalogs, userToken, { fullScan }) {
     // Check if there's already an active request for this environment
-    const requestKey = `fetch_assets:${envId}`;
+    const requestKey = partitionKey(envId, `fetch_assets:${envId}`);
     if (activeRequests.has(requestKey)) {
       console.log(`⏳ Waiting for existing asset fetch request for ${envId}...`);
       return await activeRequests.get(requestKey);
     }
     
+    // The previous inventory is compared with the new one; incremental scans also re-list
+    // only what changed since, until the next full scan is due
+    const previous = cache.get(envId, `inventory:${envId}`)?.data || null;
+    const { incremental, fullScanIntervalHours } = getInventorySettings();
+    const scanOptions = {
+      previous,
+      incremental: incremental && !fullScan && !!previous &&
+        Date.now() - previous.fullScanAt < fullScanIntervalHours * 60 * 60 * 1000,
+    };
+
     // Create a promise for this request and store it
-    const fetchPromise = this._fetchAllAssets(envId, priorityCatalogs, userToken);
+    // (information_schema inventories fall back to the list endpoints when they can't run)
+    const fetchPromise = getInventoryMode() === 'information_schema'
+      ? this._fetchAllAssetsFromInformationSchema(envId, userToken, scanOptions).catch(error => {
+        console.warn(`⚠️  information_schema inventory of ${envId} failed, walking the list endpoints instead:`, error.message);
+        return this._fetchAllAssets(envId, priorityCatalogs, userToken, scanOptions);
+      })
+      : this._fetchAllAssets(envId, priorityCatalogs, userToken, scanOptions);
     activeRequests.set(requestKey, fetchPromise);
     
     try {
@@ -661,67 +1346,147 @@ export const deltaSharing = {
     }
   },
   
+  // Fetch all assets again with a full scan, replacing the cached list (a fetch in progress is
+  // joined; the previous list is served to other callers until the scan completes). The scan is
+  // one pass of the crawl - it carries on with the catalogs the current cycle hasn't covered yet.
+  async refreshAllShareTables(envId, priorityCatalogs = [], userToken = null) {
+    return this.getAllShareTables(envId, priorityCatalogs, userToken, { fullScan: true, refresh: true });
+  },
+
+  // Compare a finished scan with the previous inventory, record what changed, and remember the
+  // inventory for the next scan. wasScanned(asset) tells whether a previous asset missing from
+  // the scan was looked for (and so is removed) rather than left out of this scan; wasCovered(asset)
+  // whether a new asset was added rather than reached by the crawl for the first time.
+  _finishInventory(envId, scanned, { mode, previous, schemas = {}, startedAt, wasScanned, wasCovered, reusedSchemas = 0, crawlPass = null }) {
+    const { assets, changes } = previous
+      ? diffInventories(previous.assets, scanned, { wasScanned, wasCovered })
+      : { assets: scanned, changes: [] };
+    const partition = getCachePartition(envId);
+    const lastScan = recordInventoryScan({
+      environmentId: envId,
+      partition,
+      mode,
+      baseline: !previous,
+      changes,
+      totalAssets: assets.length,
+      reusedSchemas,
+    });
+
+    cache.set(envId, `inventory:${envId}`, {
+      data: { assets, schemas, scannedAt: startedAt, fullScanAt: mode === 'incremental' ? previous.fullScanAt : Date.now(), crawlPass },
+      timestamp: Date.now(),
+      ttl: partition === 'app' ? INVENTORY_STATE_TTL : USER_INVENTORY_STATE_TTL,
+      staleTtl: 0,
+    });
+    if (partition === 'app') schedulePersist();
+    return { assets, lastScan };
+  },
+
   // Internal method to actually fetch all assets
-  async _fetchAllAssets(envId, priorityCatalogs = [], userToken = null) {
-    console.log(`🚀 Starting asset fetch for ${envId}...`);
+  // options: { previous, incremental } - incremental scans reuse the assets of schemas whose
+  // updated_at (and their catalog's) hasn't changed since the previous scan
+  async _fetchAllAssets(envId, priorityCatalogs = [], userToken = null, { previous = null, incremental = false } = {}) {
+    console.log(`🚀 Starting ${incremental ? 'incremental ' : ''}asset fetch for ${envId}...`);
+    const startedAt = new Date().toISOString();
     const cacheKey = `all_assets:${envId}`;
     const metadataKey = `${cacheKey}:metadata`;
+    // Partial results are only cached while there's no complete inventory to serve instead
+    const servePartial = !cache.peek(envId, cacheKey) || cache.peek(envId, cacheKey).partial;
+    // Coverage of the crawl as of the last pass, reported until this one ends
+    const lastCoverage = cache.peek(envId, metadataKey)?.coverage;
     const allAssets = [];
     let catalogsProcessed = 0;
+    // Lists that hit the per-call item cap, reported in the loading status
+    const truncatedLists = [];
+    const noteTruncation = (list, type, scope) => {
+      if (getPagination(list).truncated) {
+        truncatedLists.push({ type, scope, maxItems: getPagination(list).maxItems });
+      }
+    };
+
+    // Previous assets per schema - reused for unchanged schemas, and kept for schemas that fail
+    // to list so they don't show up as removed
+    const previousBySchema = new Map();
+    (previous?.assets || []).forEach(asset => {
+      const scope = `${asset.catalog_name}.${asset.schema_name}`;
+      if (!previousBySchema.has(scope)) previousBySchema.set(scope, []);
+      previousBySchema.get(scope).push(asset);
+    });
+    const schemaVersions = {};
+    const scannedSchemas = new Set();
+    const listedSchemas = new Map();
+    let reusedSchemas = 0;
     
     try {
       // First, get all catalogs (already filtered for internal catalogs)
       const catalogs = await unityCatalog.listCatalogs(envId, userToken);
+      noteTruncation(catalogs, 'catalogs', envId);
       console.log(`Found ${catalogs.length} catalogs in ${envId}`);
       
-      // Prioritize catalogs with agreements
-      const prioritySet = new Set(priorityCatalogs.map(c => c.toLowerCase()));
-      const prioritizedCatalogs = [];
-      const otherCatalogs = [];
-      
-      catalogs.forEach(catalog => {
-        if (prioritySet.has(catalog.name.toLowerCase())) {
-          prioritizedCatalogs.push(catalog);
-        } else {
-          otherCatalogs.push(catalog);
-        }
+      // Plan this pass of the crawl - catalogs with agreements first, then the rest in the
+      // order the crawl covers them (see assetCrawler.js)
+      const pass = beginCrawlPass(envId, getCachePartition(envId), {
+        catalogs,
+        priorityCatalogs,
+        listComplete: !getPagination(catalogs).truncated,
+        inventoryPass: previous?.crawlPass ?? null,
       });
-      
-      // Always scan ALL priority catalogs, then fill up to MAX_CATALOGS with others
-      const remainingSlots = Math.max(0, MAX_CATALOGS - prioritizedCatalogs.length);
-      const catalogsToScan = [...prioritizedCatalogs, ...otherCatalogs.slice(0, remainingSlots)];
-      
-      if (prioritizedCatalogs.length > 0) {
-        console.log(`📌 Prioritizing ${prioritizedCatalogs.length} catalogs with agreements: ${prioritizedCatalogs.map(c => c.name).join(', ')}`);
-      }
-      
-      if (catalogs.length > catalogsToScan.length) {
-        console.log(`⚠️  Scanning ${catalogsToScan.length} catalogs (${prioritizedCatalogs.length} with agreements + ${catalogsToScan.length - prioritizedCatalogs.length} others) out of ${catalogs.length} total`);
+      const priorityCount = pass.plan.filter(item => item.priority).length;
+      if (priorityCount > 0) {
+        console.log(`📌 Prioritizing ${priorityCount} catalogs with agreements: ${pass.plan.filter(item => item.priority).map(item => item.catalog.name).join(', ')}`);
       }
+      console.log(`🧭 Crawl cycle ${pass.cycle} of ${envId}: ${pass.plan.length} of ${catalogs.length} catalogs to go, up to ${pass.requestsPerMinute} requests/minute`);
       
       // Set initial metadata
-      cache.set(metadataKey, {
+      cache.set(envId, metadataKey, {
         isLoading: true,
         catalogsProcessed: 0,
-        totalCatalogs: catalogsToScan.length,
-        priorityCatalogs: prioritizedCatalogs.length,
+        totalCatalogs: pass.plan.length,
+        priorityCatalogs: priorityCount,
+        coverage: lastCoverage,
         timestamp: Date.now()
       });
       
-      // Process catalogs with limits
-      for (const catalog of catalogsToScan) {
+      // Process catalogs until the pass has spent its request budget
+      for (const { catalog, resumeAt } of pass.plan) {
+        if (!await pass.take()) break;
+        // Schema the pass stopped at, when it stops inside this catalog
+        let stoppedAt = null;
         try {
           const schemas = await unityCatalog.listSchemas(envId, catalog.name, userToken);
-          console.log(`[${++catalogsProcessed}/${catalogsToScan.length}] Found ${schemas.length} schemas in ${catalog.name}`);
+          noteTruncation(schemas, 'schemas', catalog.name);
+          if (!getPagination(schemas).truncated) {
+            listedSchemas.set(catalog.name, new Set(schemas.map(s => s.name)));
+          }
+          console.log(`[${++catalogsProcessed}/${pass.plan.length}] Found ${schemas.length} schemas in ${catalog.name}`);
           
-          // Limit schemas per catalog to prevent rate limiting
-          const limitedSchemas = schemas.slice(0, MAX_SCHEMAS_PER_CATALOG);
-          if (schemas.length > MAX_SCHEMAS_PER_CATALOG) {
-            console.log(`  ⚠️  Limiting to first ${MAX_SCHEMAS_PER_CATALOG} schemas in ${catalog.name}`);
+          // A catalog a previous pass stopped inside resumes at the schema it stopped at - the
+          // assets of the schemas before it are carried over below
+          const resumeIndex = resumeAt ? Math.max(0, schemas.findIndex(s => s.name === resumeAt)) : 0;
+          if (resumeIndex > 0) {
+            console.log(`  ↪️  Resuming ${catalog.name} at schema ${resumeAt}`);
           }
           
           // Process schemas
-          for (const schema of limitedSchemas) {
+          for (const schema of schemas.slice(resumeIndex)) {
+            const schemaScope = `${catalog.name}.${schema.name}`;
+            const version = { updatedAt: schema.updated_at ?? null, catalogUpdatedAt: catalog.updated_at ?? null };
+            const previousVersion = previous?.schemas[schemaScope];
+
+            if (incremental && previousVersion && version.updatedAt !== null && version.catalogUpdatedAt !== null &&
+              previousVersion.updatedAt === version.updatedAt && previousVersion.catalogUpdatedAt === version.catalogUpdatedAt) {
+              scannedSchemas.add(schemaScope);
+              allAssets.push(...(previousBySchema.get(schemaScope) || []));
+              schemaVersions[schemaScope] = version;
+              reusedSchemas++;
+              continue;
+            }
+
+            if (!await pass.take()) {
+              stoppedAt = schema.name;
+              break;
+            }
+            scannedSchemas.add(schemaScope);
             try {
               // Fetch all asset types in parallel
               const [tables, volumes, functions, models] = await Promise.all([
@@ -730,6 +1495,19 @@ export const deltaSharing = {
                 unityCatalog.listFunctions(envId, catalog.name, schema.name, userToken),
                 unityCatalog.listModels(envId, catalog.name, schema.name, userToken),
               ]);
+              schemaVersions[schemaScope] = version;
+              noteTruncation(tables, 'tables', schemaScope);
+              noteTruncation(volumes, 'volumes', schemaScope);
+              noteTruncation(functions, 'functions', schemaScope);
+              noteTruncation(models, 'models', schemaScope);
+
+              // Table tags are the governed tags tag writes assign, not table properties
+              let tableTags = {};
+              try {
+                tableTags = await unityCatalog.listTableTags(envId, catalog.name, schema.name, tables.map(t => t.name), userToken);
+              } catch (error) {
+                console.warn(`⚠️  Could not read the tags of the tables in ${schemaScope}:`, error.message);
+              }
               
               // Add tables
               tables.forEach(table => {
@@ -741,7 +1519,7 @@ export const deltaSharing = {
                   schema_name: schema.name,
                   fullName: table.full_name || `${catalog.name}.${schema.name}.${table.name}`,
                   environmentId: envId,
-                  tags: table.properties || {},
+                  tags: tableTags[table.name] || {},
                 });
               });
               
@@ -788,28 +1566,63 @@ export const deltaSharing = {
               });
               
             } catch (error) {
-              if (error.response?.status !== 429) {
-                console.error(`Error fetching assets from ${catalog.name}.${schema.name}:`, error.message);
+              if (error.response?.status === 429) {
+                // Still rate-limited after retries - the next pass resumes here, at a lower pace
+                scannedSchemas.delete(schemaScope);
+                stoppedAt = schema.name;
+                pass.stop();
+                break;
               }
+              console.error(`Error fetching assets from ${catalog.name}.${schema.name}:`, error.message);
+              allAssets.push(...(previousBySchema.get(schemaScope) || []));
             }
           }
+
+          if (stoppedAt) {
+            console.log(`  ⏸️  Pass stopped in ${catalog.name} at schema ${stoppedAt}`);
+            pass.catalogStopped(catalog.name, stoppedAt);
+          } else {
+            pass.catalogDone(catalog.name);
+          }
           
           // Update cache with partial results after each catalog
-          cache.set(cacheKey, { data: allAssets, timestamp: Date.now() });
-          cache.set(metadataKey, {
+          if (servePartial) {
+            cache.set(envId, cacheKey, { data: allAssets, partial: true, timestamp: Date.now() });
+          }
+          cache.set(envId, metadataKey, {
             isLoading: true,
             catalogsProcessed,
-            totalCatalogs: catalogsToScan.length,
+            totalCatalogs: pass.plan.length,
             currentAssetCount: allAssets.length,
+            truncated: truncatedLists.length > 0,
+            truncatedLists,
+            coverage: lastCoverage,
             timestamp: Date.now()
           });
           
         } catch (error) {
-          if (error.response?.status !== 429) {
+          if (error.response?.status === 429) {
+            pass.stop();
+          } else {
             console.error(`Error fetching schemas from catalog ${catalog.name}:`, error.message);
           }
+          pass.catalogFailed(catalog.name, error);
         }
       }
+
+      // Carry over the previous assets of schemas this pass didn't get to (or whose catalog
+      // failed to list) - unless their catalog or schema is gone
+      const catalogNames = getPagination(catalogs).truncated ? null : new Set(catalogs.map(c => c.name));
+      const isGone = (catalogName, schemaName) =>
+        (catalogNames && !catalogNames.has(catalogName)) ||
+        (listedSchemas.has(catalogName) && !listedSchemas.get(catalogName).has(schemaName));
+      [...previousBySchema.entries()]
+        .filter(([scope, assets]) => !scannedSchemas.has(scope) && !isGone(assets[0].catalog_name, assets[0].schema_name))
+        .forEach(([scope, assets]) => {
+          allAssets.push(...assets);
+          if (previous.schemas[scope]) schemaVersions[scope] = previous.schemas[scope];
+        });
+      const coverage = pass.end();
       
       const tables = allAssets.filter(a => a.assetType === 'table').length;
       const volumes = allAssets.filter(a => a.assetType === 'volume').length;
@@ -818,19 +1631,64 @@ export const deltaSharing = {
       
       console.log(`✅ Successfully fetched ${allAssets.length} assets from ${envId}`);
       console.log(`   📊 Breakdown: ${tables} tables, ${volumes} volumes, ${functions} functions, ${models} models`);
-      console.log(`   📁 Processed ${catalogsProcessed} catalogs`);
+      console.log(`   📁 Processed ${catalogsProcessed} catalogs - crawl cycle ${coverage.cycle}: ${coverage.scanned.length} scanned, ${coverage.pending.length} pending, ${coverage.skipped.length} skipped of ${coverage.totalCatalogs}`);
+      if (truncatedLists.length > 0) {
+        console.warn(`   ⚠️  ${truncatedLists.length} list(s) hit the item cap - the inventory is incomplete`);
+      }
+      if (reusedSchemas > 0) {
+        console.log(`   ♻️  Reused ${reusedSchemas} unchanged schema(s) from the previous scan`);
+      }
+
+      // A previous asset that's missing was removed if its catalog or schema is gone, or its
+      // schema was scanned - the schemas this pass didn't get to were carried over above
+      const wasScanned = (asset) =>
+        scannedSchemas.has(`${asset.catalog_name}.${asset.schema_name}`) || isGone(asset.catalog_name, asset.schema_name);
+      // Assets of catalogs (or, in catalogs the crawl resumed, schemas) the previous inventory
+      // hadn't reached yet were discovered, not added
+      const coveredCatalogs = new Set([
+        ...(previous?.assets || []).map(asset => asset.catalog_name),
+        ...Object.keys(previous?.schemas || {}).map(scope => scope.split('.')[0]),
+      ]);
+      const resumedCatalogs = new Set(pass.plan.filter(item => item.resumeAt).map(item => item.catalog.name));
+      const wasCovered = (asset) => !!previous?.schemas[`${asset.catalog_name}.${asset.schema_name}`] ||
+        (coveredCatalogs.has(asset.catalog_name) && !resumedCatalogs.has(asset.catalog_name));
+      const { assets, lastScan } = this._finishInventory(envId, allAssets, {
+        mode: incremental ? 'incremental' : 'full',
+        previous,
+        schemas: schemaVersions,
+        startedAt,
+        wasScanned,
+        wasCovered,
+        reusedSchemas,
+        crawlPass: coverage.pass,
+      });
       
-      cache.set(cacheKey, { data: allAssets, timestamp: Date.now() });
-      cache.set(metadataKey, {
+      cache.set(envId, cacheKey, { data: assets, timestamp: Date.now() });
+      cache.set(envId, metadataKey, {
         isLoading: false,
+        inventoryMode: 'api',
         catalogsProcessed,
-        totalCatalogs: catalogsProcessed,
-        currentAssetCount: allAssets.length,
+        totalCatalogs: coverage.totalCatalogs,
+        currentAssetCount: assets.length,
+        truncated: truncatedLists.length > 0,
+        truncatedLists,
+        coverage,
+        lastScan,
         timestamp: Date.now()
       });
+
+      // Keep crawling in the background until the cycle has covered every catalog (a pass that
+      // got nowhere - e.g. rate-limited from the start - waits for the next read instead)
+      if (!coverage.complete && coverage.progressed && getCrawlSettings().resume) {
+        setTimeout(() => {
+          this._loadAllAssets(envId, priorityCatalogs, userToken, { fullScan: false })
+            .catch(error => console.error(`Error continuing the crawl of ${envId}:`, error.message));
+        }, CRAWL_CONTINUE_DELAY).unref();
+      }
+      return assets;
     } catch (error) {
       console.error(`Error fetching all assets from ${envId}:`, error.message);
-      cache.set(metadataKey, {
+      cache.set(envId, metadataKey, {
         isLoading: false,
         error: error.message,
         timestamp: Date.now()
@@ -840,10 +1698,170 @@ export const deltaSharing = {
     return allAssets;
   },
   
+  // Inventory the whole metastore with a few set-based queries against system.information_schema
+  // on the environment's SQL warehouse, instead of walking the list endpoints schema by schema.
+  // Table tags are the Unity Catalog tags from table_tags (table properties aren't in
+  // information_schema); column metadata and column tags are cached for the column checks.
+  // Throws when the queries can't run (e.g. no warehouse configured).
+  // Incremental scans only query the columns of tables altered since the previous scan.
+  async _fetchAllAssetsFromInformationSchema(envId, userToken = null, { previous = null, incremental = false } = {}) {
+    console.log(`🚀 Starting ${incremental ? 'incremental ' : ''}information_schema inventory for ${envId}...`);
+    const startedAt = new Date().toISOString();
+    const cacheKey = `all_assets:${envId}`;
+    const metadataKey = `${cacheKey}:metadata`;
+    const queries = incremental ? { ...INVENTORY_QUERIES, columns: CHANGED_COLUMNS_QUERY } : INVENTORY_QUERIES;
+    const queryNames = Object.keys(queries);
+    const rows = {};
+
+    try {
+      for (const [i, name] of queryNames.entries()) {
+        cache.set(envId, metadataKey, {
+          isLoading: true,
+          inventoryMode: 'information_schema',
+          catalogsProcessed: 0,
+          totalCatalogs: 0,
+          queriesRun: i,
+          totalQueries: queryNames.length,
+          timestamp: Date.now()
+        });
+        const parameters = incremental && name === 'columns' ? [{ name: 'since', value: previous.scannedAt, type: 'TIMESTAMP' }] : [];
+        rows[name] = await sqlWarehouse.query(envId, queries[name], parameters, userToken, { disposition: 'EXTERNAL_LINKS' });
+        console.log(`   ${name}: ${rows[name].length} row(s)`);
+      }
+    } catch (error) {
+      cache.delete(envId, metadataKey);
+      throw error;
+    }
+
+    const tableTags = groupTags(rows.tableTags, r => `${r.catalog_name}.${r.schema_name}.${r.table_name}`);
+    const catalogTags = groupTags(rows.catalogTags, r => r.catalog_name);
+    const schemaTags = groupTags(rows.schemaTags, r => `${r.catalog_name}.${r.schema_name}`);
+
+    // { 'catalog.schema.table': { columnName: { tagKey: tagValue } } }
+    const columnTags = new Map();
+    rows.columnTags.forEach(r => {
+      const table = `${r.catalog_name}.${r.schema_name}.${r.table_name}`;
+      const tags = columnTags.get(table) || {};
+      tags[r.column_name] = { ...tags[r.column_name], [r.tag_name]: r.tag_value ?? '' };
+      columnTags.set(table, tags);
+    });
+
+    // Columns in the shape of the tables API
+    const columns = new Map();
+    rows.columns.forEach(r => {
+      const table = `${r.table_catalog}.${r.table_schema}.${r.table_name}`;
+      if (!columns.has(table)) columns.set(table, []);
+      columns.get(table).push({
+        name: r.column_name,
+        type_text: r.full_data_type,
+        type_name: r.data_type,
+        position: parseInt(r.ordinal_position),
+        nullable: r.is_nullable === 'YES',
+        comment: r.comment,
+      });
+    });
+
+    const asset = (assetType, catalog, schema, name, fields, tags = {}) => {
+      const fullName = `${catalog}.${schema}.${name}`;
+      return {
+        ...fields,
+        name,
+        full_name: fullName,
+        id: `${envId}:${fullName}`,
+        assetType,
+        catalog_name: catalog,
+        schema_name: schema,
+        fullName,
+        environmentId: envId,
+        tags,
+        catalogTags: catalogTags.get(catalog) || {},
+        schemaTags: schemaTags.get(`${catalog}.${schema}`) || {},
+      };
+    };
+
+    // Tables not altered since an incremental scan's previous scan keep their previous columns
+    const previousColumns = new Map(incremental
+      ? previous.assets.filter(a => a.assetType === 'table').map(a => [a.fullName, a.columns || []])
+      : []);
+
+    const allAssets = [];
+    const now = Date.now();
+    rows.tables.forEach(r => {
+      const fullName = `${r.table_catalog}.${r.table_schema}.${r.table_name}`;
+      const tableColumns = columns.has(fullName)
+        ? columns.get(fullName).sort((a, b) => a.position - b.position)
+        : previousColumns.get(fullName) || [];
+      allAssets.push(asset('table', r.table_catalog, r.table_schema, r.table_name, {
+        table_type: r.table_type,
+        owner: r.table_owner,
+        comment: r.comment,
+        created_at: r.created,
+        updated_at: r.last_altered,
+        data_source_format: r.data_source_format,
+        columns: tableColumns,
+      }, tableTags.get(fullName) || {}));
+
+      // Column checks read these instead of calling the API per table
+      const cachePath = `${envId}:${r.table_catalog}:${r.table_schema}:${r.table_name}`;
+      cache.set(envId, `columns:${cachePath}`, { data: tableColumns, timestamp: now });
+      cache.set(envId, `column_tags:${cachePath}`, { data: columnTags.get(fullName) || {}, timestamp: now });
+    });
+    rows.volumes.forEach(r => {
+      allAssets.push(asset('volume', r.volume_catalog, r.volume_schema, r.volume_name, {
+        volume_type: r.volume_type,
+        owner: r.volume_owner,
+        comment: r.comment,
+        storage_location: r.storage_location,
+      }));
+    });
+    rows.routines.forEach(r => {
+      allAssets.push(asset('function', r.routine_catalog, r.routine_schema, r.routine_name, {
+        routine_type: r.routine_type,
+        owner: r.routine_owner,
+        comment: r.comment,
+      }));
+    });
+
+    const catalogNames = [...new Set(allAssets.map(a => a.catalog_name))].sort();
+    const catalogCount = catalogNames.length;
+    console.log(`✅ information_schema inventory of ${envId}: ${allAssets.length} assets in ${catalogCount} catalogs`);
+
+    // The whole metastore is scanned, so every missing asset was removed
+    const { assets, lastScan } = this._finishInventory(envId, allAssets, {
+      mode: incremental ? 'incremental' : 'full',
+      previous,
+      startedAt,
+    });
+
+    cache.set(envId, cacheKey, { data: assets, timestamp: Date.now() });
+    cache.set(envId, metadataKey, {
+      isLoading: false,
+      inventoryMode: 'information_schema',
+      catalogsProcessed: catalogCount,
+      totalCatalogs: catalogCount,
+      currentAssetCount: assets.length,
+      truncated: false,
+      truncatedLists: [],
+      // Every catalog is covered at once
+      coverage: {
+        complete: true,
+        catalogListTruncated: false,
+        totalCatalogs: catalogCount,
+        scanned: catalogNames,
+        pending: [],
+        partial: [],
+        skipped: [],
+      },
+      lastScan,
+      timestamp: Date.now()
+    });
+    return assets;
+  },
+
   // Get loading status for assets
   getLoadingStatus(envId) {
     const metadataKey = `all_assets:${envId}:metadata`;
-    const metadata = cache.get(metadataKey);
+    const metadata = cache.peek(envId, metadataKey);
     
     if (!metadata) {
       return { isLoading: false, catalogsProcessed: 0, totalCatalogs: 0 };
@@ -853,10 +1871,100 @@ export const deltaSharing = {
   },
 };
 
+// SQL Statement Execution API calls (runs on a configured SQL warehouse)
+export const sqlWarehouse = {
+  // Execute a statement and wait for it to finish
+  // parameters: [{ name, value, type }] bound as :name in the statement
+  // disposition: 'INLINE' (results up to 25 MiB in the response) or 'EXTERNAL_LINKS' (large
+  // results, downloaded from presigned URLs)
+  async executeStatement(envId, statement, parameters = [], userToken = null, { disposition = 'INLINE' } = {}) {
+    const warehouseId = getWarehouseId(envId);
+    if (!warehouseId) {
+      throw new Error(`No SQL warehouse configured for ${envId}. Set DATABRICKS_WAREHOUSE_ID or warehouseId in databricks-config.json.`);
+    }
+
+    const client = await createDatabricksClient(envId, userToken);
+    let response = await rateLimitedRequest(() =>
+      client.post('/api/2.0/sql/statements', {
+        warehouse_id: warehouseId,
+        statement,
+        parameters: parameters.map(p => ({
+          name: p.name,
+          value: p.value === null || p.value === undefined ? null : String(p.value),
+          type: p.type || 'STRING',
+        })),
+        wait_timeout: '30s',
+        on_wait_timeout: 'CONTINUE',
+        format: 'JSON_ARRAY',
+        disposition,
+      })
+    );
+
+    // Poll until the statement leaves the PENDING/RUNNING states
+    const startedAt = Date.now();
+    while (['PENDING', 'RUNNING'].includes(response.data.status?.state)) {
+      if (Date.now() - startedAt > STATEMENT_TIMEOUT) {
+        await client.post(`/api/2.0/sql/statements/${response.data.statement_id}/cancel`).catch(() => {});
+        throw new Error(`Statement timed out after ${STATEMENT_TIMEOUT / 1000}s`);
+      }
+      await sleep(1000);
+      response = await rateLimitedRequest(() =>
+        client.get(`/api/2.0/sql/statements/${response.data.statement_id}`)
+      );
+    }
+
+    const { status } = response.data;
+    if (status?.state !== 'SUCCEEDED') {
+      throw new Error(`Statement ${status?.state || 'FAILED'}: ${status?.error?.message || 'unknown error'}`);
+    }
+
+    return response.data;
+  },
+
+  // Execute a query and return all rows as objects keyed by column name
+  // options: { disposition } as for executeStatement
+  async query(envId, statement, parameters = [], userToken = null, options = {}) {
+    const result = await this.executeStatement(envId, statement, parameters, userToken, options);
+    const columns = result.manifest?.schema?.columns?.map(c => c.name) || [];
+    const rows = [];
+
+    // Rows of a result chunk - inline, or downloaded from its external links (which must be
+    // fetched without the Databricks token)
+    const readChunk = async (data) => {
+      if (data?.external_links) {
+        for (const link of data.external_links) {
+          rows.push(...((await axios.get(link.external_link)).data || []));
+        }
+        return data.external_links[data.external_links.length - 1]?.next_chunk_index;
+      }
+      rows.push(...(data?.data_array || []));
+      return data?.next_chunk_index;
+    };
+
+    // Fetch any remaining result chunks
+    let nextChunk = await readChunk(result.result);
+    if (nextChunk !== undefined && nextChunk !== null) {
+      const client = await createDatabricksClient(envId, userToken);
+      while (nextChunk !== undefined && nextChunk !== null) {
+        const chunkResponse = await rateLimitedRequest(() =>
+          client.get(`/api/2.0/sql/statements/${result.statement_id}/result/chunks/${nextChunk}`)
+        );
+        nextChunk = await readChunk(chunkResponse.data);
+      }
+    }
+
+    return rows.map(row => Object.fromEntries(columns.map((name, i) => [name, row[i]])));
+  },
+};
+
 export default {
   createDatabricksClient,
-  setUserToken,
-  getUserToken,
+  getAuthMethod,
+  paginate,
+  getPagination,
+  buildSetTagsStatement,
+  buildUnsetTagsStatement,
   unityCatalog,
   deltaSharing,
+  sqlWarehouse,
 };
@@ -0,0 +1,374 @@
+/**
+ * Enforcement Plans Service
+ *
+ * Two-phase enforcement, like terraform plan / apply:
+ * - Planning reads the current tags of every securable in scope (getAffectedAssets +
+ *   unityCatalog.getEntityTags) and stores the tags to add, change and remove per securable
+ * - Applying re-reads the tags of every planned securable, with changes or without, and refuses
+ *   the whole plan if any of them drifted (or the agreement changed) since planning; otherwise it
+ *   writes exactly the planned changes (applyTagChanges)
+ *   planned → applying → applied / partially_applied / failed, or planned → stale / discarded. An
+ *   apply that throws ends failed, never stuck applying
+ * - A restart during apply leaves the plan interrupted; applying it again finishes the writes
+ *   (tags that already have their planned values don't count as drift)
+ */
+
+import { getPlans, getPlanById, addPlan, updatePlan } from '../data/enforcementPlansStore.js';
+import { getAgreementById } from '../data/agreementsStore.js';
+import { unityCatalog } from './databricksClient.js';
+import { getAffectedAssets, applyTagChanges, refreshAfterTagWrites } from './tagPropagation.js';
+import {
+  getAgreementTagChanges,
+  getEnforceableAgreement,
+  getEnforcementTasks,
+  resolveAgreementShares,
+} from './complianceEnforcement.js';
+import { recordChangeSet } from './tagChangeSets.js';
+
+const planError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+// Status fields for a plan transition
+const statusChange = (plan, toStatus, actor, comment = null) => ({
+  status: toStatus,
+  statusHistory: [
+    ...(plan.statusHistory || []),
+    { from: plan.status, to: toStatus, by: actor || 'system', at: new Date().toISOString(), comment },
+  ],
+});
+
+// Changes of a planned securable as tags to set (added and changed keys)
+const tagsToSet = (item) => ({
+  ...item.changes.add,
+  ...Object.fromEntries(Object.entries(item.changes.change).map(([key, { to }]) => [key, to])),
+});
+
+// Tags a planned securable has once its changes are written
+const plannedOutcome = (item) => {
+  const tags = { ...item.currentTags, ...tagsToSet(item) };
+  item.changes.remove.forEach(key => delete tags[key]);
+  return tags;
+};
+
+// Tags compared regardless of key order
+const sameTags = (a = {}, b = {}) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => b[key] === a[key]);
+};
+
+// Every tag of a securable has its value from before or after the plan - as an interrupted apply
+// leaves it, whether it got to the securable, or to some of its keys, or not
+const betweenPlannedStates = (item, liveTags) => {
+  const outcome = plannedOutcome(item);
+  const keys = new Set([...Object.keys(item.currentTags), ...Object.keys(outcome), ...Object.keys(liveTags)]);
+  return [...keys].every(key => liveTags[key] === item.currentTags[key] || liveTags[key] === outcome[key]);
+};
+
+/**
+ * Changes that turn the current tags into the desired ones
+ * @returns {{ add: object, change: Object<string, { from, to }>, remove: string[] }}
+ */
+export function diffTags(currentTags, desiredTags, removeTags = []) {
+  const add = {};
+  const change = {};
+
+  for (const [key, value] of Object.entries(desiredTags)) {
+    if (!(key in currentTags)) {
+      add[key] = value;
+    } else if (currentTags[key] !== value) {
+      change[key] = { from: currentTags[key], to: value };
+    }
+  }
+
+  return { add, change, remove: removeTags.filter(key => key in currentTags) };
+}
+
+const hasChanges = (changes) =>
+  Object.keys(changes.add).length > 0 || Object.keys(changes.change).length > 0 || changes.remove.length > 0;
+
+/**
+ * Plan items for the securables of some tag tasks
+ * @param {Array} tasks - { shareName, direction, options } (see getEnforcementTasks)
+ */
+async function planTasks(envId, tasks, tags, removeTags) {
+  const items = [];
+  const unreadable = [];
+  const skipped = [];
+  const seen = new Set();
+  // Securables already as desired - kept to check them for drift too
+  const unchangedItems = [];
+
+  for (const task of tasks) {
+    const affected = await getAffectedAssets(envId, task.shareName, task.options);
+    skipped.push(...affected.skipped.map(s => ({ ...s, share: task.shareName })));
+
+    // A securable in several asset scopes is planned once
+    for (const target of affected.targets) {
+      if (seen.has(target.name)) continue;
+      seen.add(target.name);
+
+      const base = {
+        name: target.name,
+        entityType: target.entityType,
+        nameParts: target.nameParts,
+        share: task.shareName,
+        direction: task.direction,
+      };
+
+      let currentTags;
+      try {
+        currentTags = await unityCatalog.getEntityTags(envId, target.entityType, target.nameParts);
+      } catch (error) {
+        unreadable.push({ ...base, error: error.message });
+        continue;
+      }
+
+      const changes = diffTags(currentTags, tags, removeTags);
+      if (hasChanges(changes)) {
+        items.push({ ...base, currentTags, changes });
+      } else {
+        unchangedItems.push({ ...base, currentTags });
+      }
+    }
+  }
+
+  return { items, unchangedItems, unreadable, skipped, unchanged: unchangedItems.length };
+}
+
+const summarize = ({ items, unreadable, skipped, unchanged }) => ({
+  securables: items.length + unchanged + unreadable.length,
+  withChanges: items.length,
+  unchanged,
+  unreadable: unreadable.length,
+  skipped: skipped.length,
+  adds: items.reduce((count, item) => count + Object.keys(item.changes.add).length, 0),
+  changes: items.reduce((count, item) => count + Object.keys(item.changes.change).length, 0),
+  removals: items.reduce((count, item) => count + item.changes.remove.length, 0),
+});
+
+/**
+ * Plan the enforcement of an active agreement
+ */
+export async function createAgreementPlan(agreementId, envId = 'current', actor = null) {
+  const agreement = getEnforceableAgreement(agreementId);
+  // Agreements without shares cover every share in the environment
+  const shareNames = await resolveAgreementShares(agreement, envId);
+  if (shareNames.length === 0) {
+    throw planError(`No shares in ${envId} are in the scope of agreement ${agreement.name}`, 409);
+  }
+
+  const { tags, removeTags } = getAgreementTagChanges(agreement);
+  const planned = await planTasks(envId, getEnforcementTasks(agreement, shareNames), tags, removeTags);
+
+  const plan = addPlan({
+    environmentId: envId,
+    source: {
+      type: 'agreement',
+      agreementId: agreement.id,
+      agreementName: agreement.name,
+      // Applying refuses if the agreement was edited after planning
+      agreementUpdatedAt: agreement.updatedAt,
+    },
+    desiredTags: tags,
+    removeTags,
+    ...planned,
+    summary: summarize(planned),
+    createdBy: actor || 'unknown',
+  });
+
+  console.log(`📋 Planned enforcement of ${agreement.name}: ${plan.summary.withChanges} securable(s) to change, ${plan.summary.unchanged} unchanged`);
+  return plan;
+}
+
+/**
+ * Plan tagging a share (same options as applyTagsToShare)
+ */
+export async function createSharePlan(envId, shareName, tags, direction, options = {}, actor = null) {
+  const removeTags = options.removeTags || [];
+  const planned = await planTasks(envId, [{ shareName, direction, options }], tags, removeTags);
+
+  const plan = addPlan({
+    environmentId: envId,
+    source: { type: 'share', shareName, direction, scope: options.scope || 'all', pattern: options.pattern || null },
+    desiredTags: tags,
+    removeTags,
+    ...planned,
+    summary: summarize(planned),
+    createdBy: actor || 'unknown',
+  });
+
+  console.log(`📋 Planned tagging of share ${shareName}: ${plan.summary.withChanges} securable(s) to change`);
+  return plan;
+}
+
+/**
+ * Securables whose tags changed since the plan was made
+ * @param {object} options - resumed: the plan's earlier apply was interrupted, so tags that already
+ *   have their planned values were written by it rather than drifted
+ * @returns {Array<{ name, plannedTags, liveTags, error }>}
+ */
+export async function detectDrift(plan, { resumed = false } = {}) {
+  const drift = [];
+
+  for (const item of [...plan.items, ...(plan.unchangedItems || [])]) {
+    try {
+      const liveTags = await unityCatalog.getEntityTags(plan.environmentId, item.entityType, item.nameParts);
+      // Only securables with changes may have been written by an interrupted apply
+      if (resumed && item.changes ? !betweenPlannedStates(item, liveTags) : !sameTags(item.currentTags, liveTags)) {
+        drift.push({ name: item.name, plannedTags: item.currentTags, liveTags, error: null });
+      }
+    } catch (error) {
+      // Can't confirm the state the plan was made against
+      drift.push({ name: item.name, plannedTags: item.currentTags, liveTags: null, error: error.message });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Apply exactly the changes of a plan
+ * Refuses (409, plan marked stale) when the agreement or any planned securable changed since planning.
+ * An interrupted plan is applied again in full - writing a securable's planned tags twice is harmless.
+ */
+export async function applyPlan(planId, actor = null) {
+  let plan = getPlanById(planId);
+  if (!plan) {
+    throw planError(`Plan not found: ${planId}`, 404);
+  }
+  if (!['planned', 'interrupted'].includes(plan.status)) {
+    throw planError(`Only planned or interrupted plans can be applied (status: ${plan.status})`, 409);
+  }
+  const resumed = plan.status === 'interrupted';
+
+  // Claim the plan before any await so it can't be applied twice
+  plan = updatePlan(planId, statusChange(plan, 'applying', actor, resumed ? 'Applying again after an interruption' : null));
+
+  try {
+    return await writePlan(plan, actor, resumed);
+  } catch (error) {
+    // Leave no plan applying - unless the checks already marked it stale
+    const current = getPlanById(planId);
+    if (current.status === 'applying') {
+      console.error(`❌ Plan ${planId} failed:`, error.message);
+      updatePlan(planId, { ...statusChange(current, 'failed', actor, `Failed: ${error.message}`), error: error.message });
+    }
+    throw error;
+  }
+}
+
+// Check a claimed plan is still current and write its changes
+async function writePlan(plan, actor, resumed) {
+  const planId = plan.id;
+
+  if (plan.source.type === 'agreement') {
+    const agreement = getAgreementById(plan.source.agreementId);
+    const reason = !agreement
+      ? 'the agreement was deleted'
+      : agreement.status !== 'active'
+        ? `the agreement is ${agreement.status}`
+        : agreement.updatedAt !== plan.source.agreementUpdatedAt
+          ? 'the agreement was edited'
+          : null;
+    if (reason) {
+      updatePlan(planId, statusChange(plan, 'stale', actor, `Stale: ${reason} since planning`));
+      throw planError(`Plan is stale: ${reason} since it was planned - create a new plan`, 409);
+    }
+  }
+
+  const drift = await detectDrift(plan, { resumed });
+  if (drift.length > 0) {
+    updatePlan(planId, {
+      ...statusChange(plan, 'stale', actor, `Tags of ${drift.length} securable(s) changed since planning`),
+      drift,
+    });
+    throw planError(`Plan is stale: tags of ${drift.length} securable(s) changed since it was planned - create a new plan`, 409, { drift });
+  }
+
+  const applyResults = [];
+  const changes = [];
+  const writtenCatalogs = new Set();
+  for (const item of plan.items) {
+    const set = tagsToSet(item);
+    try {
+      // The drift check just confirmed the planned current tags are the live ones
+      const written = await applyTagChanges(plan.environmentId, item, {
+        set,
+        remove: item.changes.remove,
+        currentTags: item.currentTags,
+        refresh: false,
+      });
+      changes.push(written.change);
+      if (written.applied.length > 0) writtenCatalogs.add(item.nameParts[0]);
+      applyResults.push({
+        name: item.name,
+        status: written.failed.length === 0 ? 'applied' : 'failed',
+        applied: written.applied,
+        failed: written.failed,
+      });
+    } catch (error) {
+      applyResults.push({ name: item.name, status: 'failed', applied: [], failed: [{ key: null, error: error.message }] });
+    }
+  }
+  refreshAfterTagWrites(plan.environmentId, writtenCatalogs);
+
+  const changeSet = recordChangeSet({
+    environmentId: plan.environmentId,
+    source: { type: 'plan', planId, ...(plan.source.agreementId ? { agreementId: plan.source.agreementId } : {}) },
+    description: `Plan for ${plan.source.type === 'agreement' ? plan.source.agreementName : `share ${plan.source.shareName}`}`,
+    changes,
+    actor,
+  });
+
+  const failedCount = applyResults.filter(r => r.status === 'failed').length;
+  const finalStatus = failedCount === 0 ? 'applied' : failedCount < applyResults.length ? 'partially_applied' : 'failed';
+
+  console.log(`📋 Plan ${planId} ${finalStatus}: ${applyResults.length - failedCount}/${applyResults.length} securable(s) updated`);
+
+  return updatePlan(planId, {
+    ...statusChange(getPlanById(planId), finalStatus, actor),
+    applyResults,
+    changeSetId: changeSet?.id || null,
+    appliedBy: actor || 'unknown',
+    appliedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Plans still marked applying were cut off by a restart - mark them interrupted so they can be applied again
+ */
+export function markInterruptedPlans() {
+  const applying = getPlans({ status: 'applying' });
+  applying.forEach(plan => updatePlan(plan.id, statusChange(plan, 'interrupted', null, 'Cut off by a restart while applying')));
+  if (applying.length > 0) {
+    console.log(`⚠️  ${applying.length} enforcement plan(s) were interrupted while applying - apply them again via /api/enforcement-plans/:id/apply`);
+  }
+}
+
+/**
+ * Discard a plan that won't be applied
+ */
+export function discardPlan(planId, actor = null, comment = null) {
+  const plan = getPlanById(planId);
+  if (!plan) {
+    throw planError(`Plan not found: ${planId}`, 404);
+  }
+  if (!['planned', 'stale', 'interrupted'].includes(plan.status)) {
+    throw planError(`Only planned, stale or interrupted plans can be discarded (status: ${plan.status})`, 409);
+  }
+  return updatePlan(planId, statusChange(plan, 'discarded', actor, comment));
+}
+
+export default {
+  diffTags,
+  createAgreementPlan,
+  createSharePlan,
+  detectDrift,
+  applyPlan,
+  markInterruptedPlans,
+  discardPlan,
+};
@@ -0,0 +1,188 @@
+/**
+ * Inventory Changes Service
+ *
+ * Detects what changed between two asset inventories of an environment:
+ * - Assets are matched by id; an asset is modified when its fingerprint (updated_at, owner,
+ *   comment, tags, columns) differs
+ * - Unchanged assets keep the object of the previous inventory, so results cached per asset
+ *   object (see complianceValidation.js) are reused and only affected assets are recomputed
+ * - Scans that found changes are recorded per environment and identity (cache partition), so
+ *   the UI can show what changed since the last scan
+ */
+
+import { getInventoryScans, addInventoryScan } from '../data/inventoryScansStore.js';
+
+const CHANGE_TYPES = ['added', 'removed', 'modified'];
+const MAX_CHANGES_PER_SCAN = 1000;
+
+const inventoryError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sortedTags = (tags) => Object.entries(tags || {}).sort(([a], [b]) => a.localeCompare(b));
+
+// Fingerprints of asset objects, computed once per object
+const fingerprints = new WeakMap();
+const fingerprint = (asset) => {
+  if (!fingerprints.has(asset)) {
+    fingerprints.set(asset, JSON.stringify([
+      asset.updated_at ?? null,
+      asset.owner ?? null,
+      asset.comment ?? null,
+      sortedTags(asset.tags),
+      sortedTags(asset.catalogTags),
+      sortedTags(asset.schemaTags),
+      (asset.columns || []).map(c => [c.name, c.type_text ?? null]),
+    ]));
+  }
+  return fingerprints.get(asset);
+};
+
+// { added: { key: value }, removed: [key], changed: { key: { from, to } } } - null when equal
+function diffTags(before = {}, after = {}) {
+  const added = {};
+  const changed = {};
+  const removed = Object.keys(before).filter(key => !(key in after));
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      added[key] = value;
+    } else if (before[key] !== value) {
+      changed[key] = { from: before[key], to: value };
+    }
+  }
+  return removed.length || Object.keys(added).length || Object.keys(changed).length
+    ? { added, removed, changed }
+    : null;
+}
+
+const assetChange = (type, asset, details = {}) => ({
+  type,
+  assetId: asset.id,
+  fullName: asset.fullName,
+  assetType: asset.assetType,
+  catalog: asset.catalog_name,
+  ...details,
+});
+
+// What differs between two versions of an asset
+function describeModification(before, after) {
+  const fields = ['updated_at', 'owner', 'comment'].filter(field => (before[field] ?? null) !== (after[field] ?? null));
+  const beforeColumns = JSON.stringify((before.columns || []).map(c => [c.name, c.type_text ?? null]));
+  const afterColumns = JSON.stringify((after.columns || []).map(c => [c.name, c.type_text ?? null]));
+  if (beforeColumns !== afterColumns) fields.push('columns');
+
+  const tags = diffTags(before.tags, after.tags);
+  const inheritedTags = diffTags({ ...before.catalogTags, ...before.schemaTags }, { ...after.catalogTags, ...after.schemaTags });
+  return {
+    fields,
+    ...(tags ? { tags } : {}),
+    ...(inheritedTags ? { inheritedTags } : {}),
+    updatedAt: after.updated_at ?? null,
+  };
+}
+
+/**
+ * Compare a new inventory with the previous one
+ * @param {Object} options - wasScanned(asset): whether a previous asset missing from the new
+ *   inventory was looked for (removed) rather than left out of the scan (default: always);
+ *   wasCovered(asset): whether a new asset is in a part of the workspace the previous inventory
+ *   covered (added) rather than one a crawl has only now reached (default: always)
+ * @returns {Object} { assets, changes } - assets with unchanged ones replaced by their previous
+ *   objects, and the added / removed / modified changes
+ */
+export function diffInventories(previous, current, { wasScanned = () => true, wasCovered = () => true } = {}) {
+  const previousById = new Map(previous.map(asset => [asset.id, asset]));
+  const currentIds = new Set();
+  const changes = [];
+
+  const assets = current.map(asset => {
+    currentIds.add(asset.id);
+    const before = previousById.get(asset.id);
+    if (!before) {
+      if (wasCovered(asset)) changes.push(assetChange('added', asset));
+      return asset;
+    }
+    if (before === asset || fingerprint(before) === fingerprint(asset)) {
+      return before;
+    }
+    changes.push(assetChange('modified', asset, describeModification(before, asset)));
+    return asset;
+  });
+
+  previous
+    .filter(asset => !currentIds.has(asset.id) && wasScanned(asset))
+    .forEach(asset => changes.push(assetChange('removed', asset)));
+
+  return { assets, changes };
+}
+
+/**
+ * Record the outcome of an inventory scan - stored only when it found changes (the first scan
+ * of an environment after a restart is a baseline with nothing to compare against)
+ * @param {Object} scan - { environmentId, partition, mode, baseline, changes, totalAssets, reusedSchemas }
+ * @returns {Object} summary of the scan
+ */
+export function recordInventoryScan({ environmentId, partition, mode, baseline = false, changes = [], totalAssets, reusedSchemas = 0 }) {
+  const counts = { totalAssets, added: 0, removed: 0, modified: 0 };
+  changes.forEach(change => counts[change.type]++);
+  const summary = { environmentId, mode, baseline, counts, reusedSchemas, scannedAt: new Date().toISOString() };
+
+  if (baseline || changes.length === 0) {
+    return { scanId: null, ...summary };
+  }
+
+  const scan = addInventoryScan({
+    environmentId,
+    partition,
+    mode,
+    counts,
+    reusedSchemas,
+    changes: changes.slice(0, MAX_CHANGES_PER_SCAN),
+    changesTruncated: changes.length > MAX_CHANGES_PER_SCAN,
+  });
+  console.log(`🔎 Inventory of ${environmentId} changed: ${counts.added} added, ${counts.removed} removed, ${counts.modified} modified`);
+  return { scanId: scan.id, ...summary, scannedAt: scan.scannedAt };
+}
+
+/**
+ * Changes found by recorded scans, newest first
+ * @param {Object} filters - environmentId, partition, type ('added' | 'removed' | 'modified'),
+ *   since (ISO timestamp; without it, the latest scan with changes of each environment), limit
+ * @returns {Object} { scans, changes, total }
+ */
+export function getInventoryChanges({ environmentId, partition, type, since, limit = 500 } = {}) {
+  if (type && !CHANGE_TYPES.includes(type)) {
+    throw inventoryError(`Invalid change type: ${type} (one of ${CHANGE_TYPES.join(', ')})`, 400);
+  }
+  if (since && isNaN(Date.parse(since))) {
+    throw inventoryError(`Invalid since timestamp: ${since}`, 400);
+  }
+
+  let scans = getInventoryScans({ environmentId, partition, since: since ? new Date(since).toISOString() : undefined });
+  if (!since) {
+    const seen = new Set();
+    scans = scans.filter(scan => {
+      if (seen.has(scan.environmentId)) return false;
+      seen.add(scan.environmentId);
+      return true;
+    });
+  }
+
+  const changes = scans.flatMap(scan => scan.changes
+    .filter(change => !type || change.type === type)
+    .map(change => ({ ...change, scanId: scan.id, environmentId: scan.environmentId, scannedAt: scan.scannedAt })));
+
+  return {
+    scans: scans.map(({ changes: _changes, partition: _partition, ...scan }) => scan),
+    changes: changes.slice(0, limit),
+    total: changes.length,
+  };
+}
+
+export default {
+  diffInventories,
+  recordInventoryScan,
+  getInventoryChanges,
+};
@@ -0,0 +1,258 @@
+/**
+ * Job Queue Service
+ *
+ * In-process background jobs for operations that outlast an HTTP request (enforcing all
+ * agreements, bulk agreement ingestion, asset scans). A job works through a list of items
+ * one at a time, using the handler registered for its type (registerJobType):
+ *   queued → running → completed / partially_failed / failed / cancelled
+ * - Job records are saved on every status change; per-item progress at most every
+ *   JOB_PROGRESS_SAVE_INTERVAL_MS, so a restart may redo the last few items of a job
+ * - Only the most recent JOBS_KEPT finished jobs are kept
+ * - At most JOB_CONCURRENCY_PER_ENV jobs run per environment at once; the others stay queued
+ * - Cancelling stops a running job after its current item
+ * - Retrying re-queues a job with its failed and unfinished items; done items are kept
+ * - Jobs cut off by a restart are marked interrupted and can be retried
+ * - A job acts with the credentials of the caller that queued (or last retried) it, as their
+ *   request would have under the auth policy - never with more. Jobs queued without a caller
+ *   (schedules, the startup scan) act with the app's own credentials
+ * - Caller credentials are only held in memory: a caller's job that is still queued after a
+ *   restart is marked interrupted, to be retried by a caller
+ */
+
+import { getJobs, getJobById, addJob, updateJob, updateJobProgress } from '../data/jobsStore.js';
+import { captureCaller, runAsCaller } from './requestContext.js';
+
+const CONCURRENCY_PER_ENV = parseInt(process.env.JOB_CONCURRENCY_PER_ENV) || 1;
+
+const RETRYABLE_STATUSES = ['partially_failed', 'failed', 'cancelled', 'interrupted'];
+
+// Job type → { label, listItems(job), processItem(job, key), summarize(job) }
+const jobTypes = new Map();
+
+// Job ID → credentials of the caller the job acts for (see captureCaller) - never persisted
+const jobCallers = new Map();
+
+const jobError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const newItem = (key) => ({ key, status: 'pending', result: null, error: null, attempts: 0 });
+
+const progressOf = (items = []) => ({
+  total: items.length,
+  done: items.filter(i => i.status === 'done').length,
+  failed: items.filter(i => i.status === 'failed').length,
+});
+
+/**
+ * Register how a type of job runs
+ * @param {string} type - Job type, e.g. 'enforce-all'
+ * @param {object} handler - label; listItems(job) → item keys, called when the job first runs
+ *   (unless it was queued with items); processItem(job, key) → item result, a throw fails the
+ *   item; summarize(job) → optional job result from the item results
+ */
+export function registerJobType(type, handler) {
+  jobTypes.set(type, handler);
+}
+
+export const getJobTypes = () =>
+  [...jobTypes.entries()].map(([type, handler]) => ({ type, label: handler.label || type }));
+
+/**
+ * Queue a job
+ * @param {object} options - environmentId, params (for the job type), items (keys; default:
+ *   listed by the job type when it runs), description and actor
+ */
+export function enqueueJob(type, { environmentId = 'current', params = {}, items = null, description = null, actor = null } = {}) {
+  const handler = jobTypes.get(type);
+  if (!handler) {
+    throw jobError(`Unknown job type: ${type}`, 400);
+  }
+
+  const caller = captureCaller();
+  const job = addJob({
+    type,
+    description: description || handler.label || type,
+    environmentId,
+    params,
+    items: items ? items.map(newItem) : null,
+    progress: progressOf(items ? items.map(newItem) : []),
+    result: null,
+    error: null,
+    cancelRequested: false,
+    createdBy: actor || 'system',
+    // 'caller': the credentials of the request that queued it; 'app': the app's own
+    actsAs: caller ? 'caller' : 'app',
+  });
+  if (caller) {
+    jobCallers.set(job.id, caller);
+  }
+
+  console.log(`⚙️  Queued job ${job.id}: ${job.description} (${environmentId})`);
+  pumpQueue();
+  return getJobById(job.id);
+}
+
+// Start queued jobs, oldest first, while their environment is below the concurrency limit
+function pumpQueue() {
+  const runningPerEnv = {};
+  getJobs({ status: 'running' }).forEach(j => {
+    runningPerEnv[j.environmentId] = (runningPerEnv[j.environmentId] || 0) + 1;
+  });
+
+  const queued = getJobs({ status: 'queued' }).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of queued) {
+    // Never fall back to the app's credentials for a caller's job
+    if (job.actsAs === 'caller' && !jobCallers.has(job.id)) {
+      updateJob(job.id, {
+        status: 'interrupted',
+        error: 'The credentials of the caller who queued this job are gone (restart) - retry it',
+        finishedAt: new Date().toISOString(),
+      });
+      continue;
+    }
+    if ((runningPerEnv[job.environmentId] || 0) >= CONCURRENCY_PER_ENV) continue;
+    runningPerEnv[job.environmentId] = (runningPerEnv[job.environmentId] || 0) + 1;
+    // Mark running before the first await so the next pump counts it
+    updateJob(job.id, { status: 'running', startedAt: job.startedAt || new Date().toISOString(), finishedAt: null });
+    runAsCaller(jobCallers.get(job.id) || null, () => runJob(job.id));
+  }
+}
+
+// Work through the pending items of a job; never rejects
+async function runJob(jobId) {
+  let job = getJobById(jobId);
+  const handler = jobTypes.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    if (!job.items) {
+      const keys = await handler.listItems(job);
+      const items = keys.map(newItem);
+      job = updateJob(jobId, { items, progress: progressOf(items) });
+    }
+
+    for (const { key } of job.items.filter(i => i.status === 'pending')) {
+      if (getJobById(jobId).cancelRequested) break;
+
+      let result = null;
+      let error = null;
+      try {
+        result = await handler.processItem(job, key);
+      } catch (itemError) {
+        console.error(`❌ Job ${jobId} item ${key} failed:`, itemError.message);
+        error = itemError.message;
+      }
+
+      job = getJobById(jobId);
+      const items = job.items.map(i =>
+        i.key === key ? { ...i, status: error ? 'failed' : 'done', result, error, attempts: i.attempts + 1 } : i
+      );
+      job = updateJobProgress(jobId, { items, progress: progressOf(items) });
+    }
+
+    job = getJobById(jobId);
+    if (job.cancelRequested) {
+      const items = job.items.map(i => (i.status === 'pending' ? { ...i, status: 'cancelled' } : i));
+      job = updateJob(jobId, { items, status: 'cancelled', finishedAt: new Date().toISOString() });
+      console.log(`⚙️  Job ${jobId} cancelled after ${job.progress.done + job.progress.failed}/${job.progress.total} item(s)`);
+    } else {
+      const { total, done, failed } = job.progress;
+      const status = failed === 0 ? 'completed' : done > 0 ? 'partially_failed' : 'failed';
+      job = updateJob(jobId, {
+        status,
+        result: handler.summarize ? handler.summarize(job) : null,
+        finishedAt: new Date().toISOString(),
+      });
+      console.log(`⚙️  Job ${jobId} ${status}: ${done}/${total} item(s) done${failed > 0 ? `, ${failed} failed` : ''}`);
+    }
+  } catch (error) {
+    console.error(`❌ Job ${jobId} failed:`, error.message);
+    updateJob(jobId, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+  }
+
+  jobCallers.delete(jobId);
+  pumpQueue();
+}
+
+/**
+ * Cancel a job - queued jobs at once, running jobs after their current item
+ */
+export function cancelJob(jobId, actor = null) {
+  const job = getJobById(jobId);
+  if (!job) {
+    throw jobError(`Job not found: ${jobId}`, 404);
+  }
+
+  if (job.status === 'queued') {
+    const items = job.items?.map(i => ({ ...i, status: 'cancelled' })) || null;
+    jobCallers.delete(jobId);
+    return updateJob(jobId, { status: 'cancelled', items, cancelledBy: actor || 'system', finishedAt: new Date().toISOString() });
+  }
+  if (job.status === 'running') {
+    return updateJob(jobId, { cancelRequested: true, cancelledBy: actor || 'system' });
+  }
+  throw jobError(`Only queued or running jobs can be cancelled (status: ${job.status})`, 409);
+}
+
+/**
+ * Re-queue a job with its failed, cancelled and unfinished items
+ */
+export function retryJob(jobId, actor = null) {
+  const job = getJobById(jobId);
+  if (!job) {
+    throw jobError(`Job not found: ${jobId}`, 404);
+  }
+  if (!RETRYABLE_STATUSES.includes(job.status)) {
+    throw jobError(`Only failed, cancelled or interrupted jobs can be retried (status: ${job.status})`, 409);
+  }
+
+  // The job acts for the caller retrying it from now on
+  const caller = captureCaller();
+  if (caller) {
+    jobCallers.set(jobId, caller);
+  } else {
+    jobCallers.delete(jobId);
+  }
+
+  const items = job.items?.map(i => (i.status === 'done' ? i : { ...i, status: 'pending', error: null })) || null;
+  const retried = updateJob(jobId, {
+    status: 'queued',
+    actsAs: caller ? 'caller' : 'app',
+    items,
+    progress: progressOf(items || []),
+    error: null,
+    cancelRequested: false,
+    retries: [...(job.retries || []), { at: new Date().toISOString(), by: actor || 'system' }],
+  });
+
+  console.log(`⚙️  Retrying job ${jobId}: ${retried.progress.total - retried.progress.done} item(s) to go`);
+  pumpQueue();
+  return getJobById(jobId);
+}
+
+/**
+ * Mark jobs cut off by a restart interrupted and start the queued ones
+ */
+export function startJobQueue() {
+  const running = getJobs({ status: 'running' });
+  running.forEach(job => updateJob(job.id, { status: 'interrupted', finishedAt: new Date().toISOString() }));
+  if (running.length > 0) {
+    console.log(`⚠️  ${running.length} job(s) were interrupted - retry them via /api/jobs/:id/retry`);
+  }
+  pumpQueue();
+}
+
+export default {
+  registerJobType,
+  getJobTypes,
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  startJobQueue,
+};
@@ -0,0 +1,192 @@
+/**
+ * LRU Cache
+ *
+ * Bounded in-memory cache for Databricks results (see databricksClient.js):
+ * - At most maxEntries entries - setting one more evicts the least recently used
+ * - An entry ({ data, timestamp, ttl?, staleTtl? }) is fresh for its ttl, then stale for its
+ *   staleTtl before it's dropped (both default to the cache's). get() only returns fresh
+ *   entries; getStale() also returns stale ones, for stale-while-revalidate reads
+ * - Hits, stale hits, misses, sets, evictions and expirations are counted per key type
+ *
+ * Snapshots of entries can be written to and read from disk (saveSnapshot / loadSnapshot), so
+ * a restart can start from the last good results.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const emptyCounters = () => ({ hits: 0, staleHits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 });
+
+const hitRate = ({ hits, staleHits, misses }) =>
+  hits + staleHits + misses > 0 ? Math.round(((hits + staleHits) / (hits + staleHits + misses)) * 1000) / 10 : null;
+
+/**
+ * Create a cache
+ * @param {Object} options - name, maxEntries, ttl and staleTtl (ms, defaults for entries),
+ *   typeOf(key) - the key type counters are kept for (default: the key up to the first ':')
+ */
+export function createLruCache({ name, maxEntries, ttl, staleTtl = 0, typeOf = key => key.split(':')[0] }) {
+  // Map iteration order is insertion order - re-inserting a key makes it the most recently used
+  const entries = new Map();
+  const counters = new Map();
+  let lastPrune = Date.now();
+
+  const countersFor = (key) => {
+    const type = typeOf(key);
+    if (!counters.has(type)) counters.set(type, emptyCounters());
+    return counters.get(type);
+  };
+
+  const freshUntil = (entry) => entry.timestamp + (entry.ttl ?? ttl);
+  const keptUntil = (entry) => freshUntil(entry) + (entry.staleTtl ?? staleTtl);
+
+  const expire = (key) => {
+    entries.delete(key);
+    countersFor(key).expirations++;
+  };
+
+  // The entry of a key and whether it's fresh - null when missing or past its stale time
+  const lookup = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (Date.now() >= keptUntil(entry)) {
+      expire(key);
+      return null;
+    }
+    return { entry, fresh: Date.now() < freshUntil(entry) };
+  };
+
+  const touch = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+  };
+
+  // Drop expired entries now and then - keys that are never read again would otherwise stay
+  // until evicted
+  const prune = () => {
+    if (Date.now() - lastPrune < ttl) return;
+    lastPrune = Date.now();
+    for (const [key, entry] of entries) {
+      if (lastPrune >= keptUntil(entry)) expire(key);
+    }
+  };
+
+  return {
+    name,
+
+    // Fresh entry, or undefined
+    get(key) {
+      const found = lookup(key);
+      if (!found?.fresh) {
+        countersFor(key).misses++;
+        return undefined;
+      }
+      countersFor(key).hits++;
+      touch(key, found.entry);
+      return found.entry;
+    },
+
+    // Fresh or stale entry with a `stale` flag, or undefined
+    getStale(key) {
+      const found = lookup(key);
+      if (!found) {
+        countersFor(key).misses++;
+        return undefined;
+      }
+      countersFor(key)[found.fresh ? 'hits' : 'staleHits']++;
+      touch(key, found.entry);
+      return { ...found.entry, stale: !found.fresh };
+    },
+
+    // Fresh or stale entry without counting a read or making it recently used (status reads)
+    peek(key) {
+      return lookup(key)?.entry;
+    },
+
+    set(key, entry) {
+      prune();
+      touch(key, entry);
+      countersFor(key).sets++;
+      while (entries.size > maxEntries) {
+        const oldest = entries.keys().next().value;
+        entries.delete(oldest);
+        countersFor(oldest).evictions++;
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    // Drop every entry whose key matches; returns how many were dropped
+    deleteWhere(predicate) {
+      let deleted = 0;
+      for (const key of entries.keys()) {
+        if (predicate(key)) {
+          entries.delete(key);
+          deleted++;
+        }
+      }
+      return deleted;
+    },
+
+    // Make matching entries stale from now on (kept for their staleTtl); returns how many
+    expireWhere(predicate) {
+      let expired = 0;
+      for (const [key, entry] of entries) {
+        if (predicate(key) && Date.now() < freshUntil(entry)) {
+          entries.set(key, { ...entry, ttl: Date.now() - entry.timestamp });
+          expired++;
+        }
+      }
+      return expired;
+    },
+
+    // [key, entry] pairs that haven't expired, least recently used first
+    entries() {
+      return [...entries].filter(([, entry]) => Date.now() < keptUntil(entry));
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      const byType = Object.fromEntries([...counters].map(([type, c]) => [type, { ...c, hitRate: hitRate(c) }]));
+      const totals = emptyCounters();
+      counters.forEach(c => Object.keys(totals).forEach(field => {
+        totals[field] += c[field];
+      }));
+      return { name, size: entries.size, maxEntries, ...totals, hitRate: hitRate(totals), byType };
+    },
+  };
+}
+
+/**
+ * Write a snapshot to disk - to a temp file that is renamed over the original, so a crash
+ * mid-write never leaves a truncated snapshot behind
+ */
+export function saveSnapshot(filePath, snapshot) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify({ savedAt: new Date().toISOString(), ...snapshot }));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+// Read a snapshot written by saveSnapshot (null when there is none)
+export function loadSnapshot(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export default {
+  createLruCache,
+  saveSnapshot,
+  loadSnapshot,
+};
@@ -0,0 +1,64 @@
+/**
+ * Request Context
+ *
+ * Carries the credentials of the request being served through every async call it makes
+ * (AsyncLocalStorage), so Databricks API calls use the caller's token without sharing it
+ * through module state:
+ * - The auth middleware in server.js runs each request inside runWithRequestContext
+ * - Work a request starts that outlives it (jobs, enforcement runs) captures the caller
+ *   (captureCaller) and runs on their behalf (runAsCaller), so it acts with the same
+ *   credentials the request would have - never with more
+ * - Work no request started (schedules, startup scans) runs inside runInBackground, with the
+ *   app's own credentials
+ * - databricksClient.js reads the context when it creates a client (see its auth policy)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+// Context of work that doesn't belong to a request
+const BACKGROUND_CONTEXT = Object.freeze({ kind: 'background', userToken: null, userEmail: null });
+
+/**
+ * Run a function with the credentials of a request
+ * @param {Object} context - { userToken, userEmail }
+ */
+export function runWithRequestContext({ userToken = null, userEmail = null }, fn) {
+  return storage.run(Object.freeze({ kind: 'request', userToken, userEmail }), fn);
+}
+
+/**
+ * Run a function outside of any request - Databricks calls it makes use the app's own credentials
+ */
+export function runInBackground(fn) {
+  return storage.run(BACKGROUND_CONTEXT, fn);
+}
+
+// Context of the current request or background task (background when there is none)
+export const getRequestContext = () => storage.getStore() || BACKGROUND_CONTEXT;
+
+/**
+ * Credentials of the caller being served, for work they start that runs later (see runAsCaller)
+ * @returns {{ userToken, userEmail } | null} null when there is no caller token
+ */
+export function captureCaller() {
+  const { userToken, userEmail } = getRequestContext();
+  return userToken ? { userToken, userEmail } : null;
+}
+
+/**
+ * Run a function on behalf of a captured caller - with their credentials, so Databricks calls it
+ * makes follow the auth policy as in their request - or in the background when there is none
+ */
+export function runAsCaller(caller, fn) {
+  return caller ? runWithRequestContext(caller, fn) : runInBackground(fn);
+}
+
+export default {
+  runWithRequestContext,
+  runInBackground,
+  getRequestContext,
+  captureCaller,
+  runAsCaller,
+};
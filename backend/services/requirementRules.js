@@ -0,0 +1,380 @@
+/**
+ * Requirement Rule Engine
+ *
+ * Evaluates agreement requirements against the tags (and properties) of an asset.
+ *
+ * A rule is one of:
+ * - Condition:   { key: 'classification', operator: 'in', value: ['confidential', 'restricted'] }
+ * - Composition: { all: [rules] }, { any: [rules] }, { not: rule }
+ * - Conditional: { if: rule, then: rule }  (passes when the "if" rule doesn't hold)
+ *
+ * Operators: eq, neq, in, not_in, regex, gt, gte, lt, lte, exists, not_exists.
+ * Any rule may carry a `reason`, which is reported with its failures.
+ *
+ * Required tags ({ key, operator, value }) are conditions; entries without an operator
+ * mean eq, so agreements written before operators existed keep their meaning.
+ */
+
+export const RULE_OPERATORS = {
+  eq: { label: 'equals', symbol: '=' },
+  neq: { label: 'does not equal', symbol: '!=' },
+  in: { label: 'is one of', symbol: 'in', list: true },
+  not_in: { label: 'is not one of', symbol: 'not in', list: true },
+  regex: { label: 'matches', symbol: 'matches' },
+  gt: { label: 'greater than', symbol: '>', numeric: true },
+  gte: { label: 'at least', symbol: '>=', numeric: true },
+  lt: { label: 'less than', symbol: '<', numeric: true },
+  lte: { label: 'at most', symbol: '<=', numeric: true },
+  exists: { label: 'is set', symbol: 'is set', valueless: true },
+  not_exists: { label: 'is absent', symbol: 'is absent', valueless: true },
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getOperator = (condition) => condition.operator || 'eq';
+
+// List operators take an array or a comma-separated string ("confidential, restricted")
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (value === undefined || value === null) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Is a required tag entry filled in? (valueless operators need only a key)
+ */
+export const isCompleteTagRequirement = (tag) =>
+  Boolean(tag?.key) && (RULE_OPERATORS[getOperator(tag)]?.valueless || isSet(tag.value));
+
+/**
+ * Normalize a required tag entry: trims the key, defaults the operator to eq,
+ * stores list operands as arrays and drops the value for exists/not_exists
+ */
+export function normalizeTagRequirement(tag) {
+  const operator = getOperator(tag);
+  const definition = RULE_OPERATORS[operator] || {};
+  const normalized = { key: String(tag.key ?? '').trim() };
+  if (operator !== 'eq') normalized.operator = operator;
+  if (definition.list) {
+    normalized.value = toList(tag.value);
+  } else if (!definition.valueless) {
+    normalized.value = String(tag.value ?? '').trim();
+  }
+  return normalized;
+}
+
+/**
+ * Convert required tags to rules
+ * @param {Array<{key, operator?, value}>|Object} requiredTags - List of entries, or the legacy { key: value } map
+ */
+export function tagsToRules(requiredTags) {
+  if (!requiredTags) return [];
+  if (!Array.isArray(requiredTags)) {
+    return Object.entries(requiredTags).map(([key, value]) => ({ key, operator: 'eq', value }));
+  }
+  return requiredTags
+    .filter(isCompleteTagRequirement)
+    .map(tag => ({ key: tag.key, operator: getOperator(tag), ...(tag.value !== undefined ? { value: tag.value } : {}) }));
+}
+
+/**
+ * Rules of a parsed requirement ({ requiredTags: { key: value }, rules: [...] })
+ */
+export const getRequirementRules = (requirement) => [
+  ...tagsToRules(requirement.requiredTags),
+  ...(requirement.rules || []),
+];
+
+/**
+ * Only eq conditions name a single value that can be applied as a tag
+ */
+export const isAssignableTag = (tag) => isCompleteTagRequirement(tag) && getOperator(tag) === 'eq';
+
+const formatValue = (condition) => {
+  const definition = RULE_OPERATORS[getOperator(condition)] || {};
+  if (definition.valueless) return '';
+  if (definition.list) return `[${toList(condition.value).join(', ')}]`;
+  if (getOperator(condition) === 'regex') return `/${condition.value}/`;
+  return definition.numeric ? String(condition.value) : `"${condition.value}"`;
+};
+
+/**
+ * Human-readable form of a rule, e.g. `classification in [confidential, restricted]`
+ */
+export function describeRule(rule) {
+  if (!isPlainObject(rule)) return String(rule);
+  if (rule.all) return `(${rule.all.map(describeRule).join(' and ')})`;
+  if (rule.any) return `(${rule.any.map(describeRule).join(' or ')})`;
+  if (rule.not) return `not ${describeRule(rule.not)}`;
+  if (rule.if) return `if ${describeRule(rule.if)} then ${describeRule(rule.then)}`;
+
+  const operator = getOperator(rule);
+  const symbol = RULE_OPERATORS[operator]?.symbol || operator;
+  return [rule.key, symbol, formatValue(rule)].filter(Boolean).join(' ');
+}
+
+/**
+ * Describe a required tag entry without its key (e.g. `in [a, b]`, `"confidential"`)
+ */
+export function describeTagValue(tag) {
+  const operator = getOperator(tag);
+  if (operator === 'eq') return String(tag.value ?? '');
+  return [RULE_OPERATORS[operator]?.symbol || operator, formatValue(tag)].filter(Boolean).join(' ');
+}
+
+const testCondition = (condition, actual) => {
+  const operator = getOperator(condition);
+  const expected = condition.value;
+
+  switch (operator) {
+    case 'exists':
+      return isSet(actual);
+    case 'not_exists':
+      return !isSet(actual);
+    case 'eq':
+      return isSet(actual) && String(actual) === String(expected);
+    case 'neq':
+      return String(actual ?? '') !== String(expected);
+    case 'in':
+      return isSet(actual) && toList(expected).includes(String(actual));
+    case 'not_in':
+      return !toList(expected).includes(String(actual ?? ''));
+    case 'regex':
+      try {
+        return isSet(actual) && new RegExp(expected).test(String(actual));
+      } catch {
+        return false;
+      }
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const number = Number(actual);
+      const bound = Number(expected);
+      if (!isSet(actual) || Number.isNaN(number)) return false;
+      if (operator === 'gt') return number > bound;
+      if (operator === 'gte') return number >= bound;
+      if (operator === 'lt') return number < bound;
+      return number <= bound;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a rule against a { key: value } map of tags
+ * @returns {{ passed: boolean, failures: Array<{ rule: string, reason?: string, condition?: string, key?: string, operator?: string, expected?: *, actual?: * }> }}
+ */
+export function evaluateRule(rule, tags = {}) {
+  const fail = (extra = {}) => ({
+    passed: false,
+    failures: [{ rule: describeRule(rule), ...(rule.reason ? { reason: rule.reason } : {}), ...extra }],
+  });
+
+  if (rule.all) {
+    const failures = rule.all.flatMap(child => evaluateRule(child, tags).failures);
+    return { passed: failures.length === 0, failures };
+  }
+  if (rule.any) {
+    return rule.any.some(child => evaluateRule(child, tags).passed) ? { passed: true, failures: [] } : fail();
+  }
+  if (rule.not) {
+    return evaluateRule(rule.not, tags).passed ? fail() : { passed: true, failures: [] };
+  }
+  if (rule.if) {
+    if (!evaluateRule(rule.if, tags).passed) {
+      return { passed: true, failures: [] };
+    }
+    const result = evaluateRule(rule.then, tags);
+    return {
+      passed: result.passed,
+      failures: result.failures.map(failure => ({
+        ...failure,
+        condition: describeRule(rule.if),
+        ...(rule.reason && !failure.reason ? { reason: rule.reason } : {}),
+      })),
+    };
+  }
+
+  const actual = tags[rule.key];
+  if (testCondition(rule, actual)) {
+    return { passed: true, failures: [] };
+  }
+  return fail({
+    key: rule.key,
+    operator: getOperator(rule),
+    expected: rule.value ?? null,
+    actual: isSet(actual) ? actual : null,
+  });
+}
+
+/**
+ * Explain a failure in a sentence, e.g.
+ * `Rule failed: encryption = "required" - encryption is not set (because pii = "true")`
+ */
+export function explainFailure(failure) {
+  const actual = failure.key
+    ? ` - ${failure.key} ${failure.actual === null ? 'is not set' : `is "${failure.actual}"`}`
+    : '';
+  const because = failure.condition ? ` (because ${failure.condition})` : '';
+  return `Rule failed: ${failure.rule}${actual}${because}`;
+}
+
+/**
+ * Validate a rule definition
+ * @returns {string[]} "<path>: <problem>" messages
+ */
+export function validateRule(rule, path = 'rule') {
+  if (!isPlainObject(rule)) {
+    return [`${path}: must be an object`];
+  }
+
+  const forms = ['all', 'any', 'not', 'if', 'key'].filter(field => rule[field] !== undefined);
+  if (forms.length !== 1) {
+    return [`${path}: must have exactly one of key, all, any, not or if (got ${forms.join(', ') || 'none'})`];
+  }
+
+  const errors = [];
+  if (rule.reason !== undefined && typeof rule.reason !== 'string') {
+    errors.push(`${path}.reason: must be a string`);
+  }
+
+  if (rule.all || rule.any) {
+    const field = rule.all ? 'all' : 'any';
+    if (!Array.isArray(rule[field]) || rule[field].length === 0) {
+      errors.push(`${path}.${field}: must be a non-empty list of rules`);
+    } else {
+      rule[field].forEach((child, index) => errors.push(...validateRule(child, `${path}.${field}[${index}]`)));
+    }
+    return errors;
+  }
+  if (rule.not) {
+    return [...errors, ...validateRule(rule.not, `${path}.not`)];
+  }
+  if (rule.if) {
+    if (rule.then === undefined) {
+      return [...errors, `${path}.then: is required with if`];
+    }
+    return [...errors, ...validateRule(rule.if, `${path}.if`), ...validateRule(rule.then, `${path}.then`)];
+  }
+
+  return [...errors, ...validateCondition(rule, path)];
+}
+
+/**
+ * Validate a single condition / required tag entry
+ */
+export function validateCondition(condition, path) {
+  const errors = [];
+  const operator = getOperator(condition);
+  const definition = RULE_OPERATORS[operator];
+
+  if (typeof condition.key !== 'string' || !condition.key.trim()) {
+    errors.push(`${path}.key: must be a non-empty string`);
+  }
+  if (!definition) {
+    errors.push(`${path}.operator: unknown operator ${JSON.stringify(operator)} (expected one of ${Object.keys(RULE_OPERATORS).join(', ')})`);
+    return errors;
+  }
+  if (definition.valueless) {
+    return errors;
+  }
+
+  const value = condition.value;
+  if (!isSet(value) || (Array.isArray(value) && value.length === 0)) {
+    errors.push(`${path}.value: is required for ${operator}`);
+  } else if (definition.list) {
+    if (!Array.isArray(value) && typeof value !== 'string') {
+      errors.push(`${path}.value: must be a list or a comma-separated string`);
+    }
+  } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+    errors.push(`${path}.value: must be a string, number or boolean`);
+  } else if (definition.numeric && Number.isNaN(Number(value))) {
+    errors.push(`${path}.value: must be a number for ${operator}`);
+  } else if (operator === 'regex') {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      errors.push(`${path}.value: invalid regular expression (${error.message})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate and normalize required tags and rules from an API request or agreement file
+ * @returns {{ requiredTags: Array, rules: Array, errors: string[] }}
+ */
+export function validateRequirements({ requiredTags, rules } = {}, paths = {}) {
+  const tagsPath = paths.requiredTags || 'requiredTags';
+  const rulesPath = paths.rules || 'rules';
+  const errors = [];
+
+  let normalizedTags = [];
+  if (requiredTags !== undefined && requiredTags !== null) {
+    if (!Array.isArray(requiredTags)) {
+      errors.push(`${tagsPath}: must be a list of { key, operator, value } entries`);
+    } else {
+      normalizedTags = requiredTags
+        // Blank rows from the tag editor are ignored
+        .filter(tag => !(isPlainObject(tag) && !tag.key && !isSet(tag.value)))
+        .map((tag, index) => {
+          if (!isPlainObject(tag)) {
+            errors.push(`${tagsPath}[${index}]: must be an object with key and value`);
+            return null;
+          }
+          errors.push(...validateCondition(tag, `${tagsPath}[${index}]`));
+          return normalizeTagRequirement(tag);
+        })
+        .filter(Boolean);
+    }
+  }
+
+  let normalizedRules = [];
+  if (rules !== undefined && rules !== null) {
+    if (!Array.isArray(rules)) {
+      errors.push(`${rulesPath}: must be a list of rules`);
+    } else {
+      rules.forEach((rule, index) => errors.push(...validateRule(rule, `${rulesPath}[${index}]`)));
+      normalizedRules = rules;
+    }
+  }
+
+  return { requiredTags: normalizedTags, rules: normalizedRules, errors };
+}
+
+/**
+ * Build the parsed requirement for an agreement's required tags and rules
+ * @param {string} scope - Assets the requirement applies to (see scopeMatcher.js)
+ * @returns {Array} Zero or one requirement for parsedRequirements
+ */
+export function buildTagRequirements(requiredTags = [], rules = [], reason = 'Required tags from agreement', scope = 'all') {
+  const allRules = [...tagsToRules(requiredTags), ...(rules || [])];
+  if (allRules.length === 0) return [];
+  return [{
+    rules: allRules,
+    scope: scope || 'all',
+    severity: 'critical',
+    reason,
+  }];
+}
+
+export default {
+  RULE_OPERATORS,
+  isCompleteTagRequirement,
+  normalizeTagRequirement,
+  tagsToRules,
+  getRequirementRules,
+  isAssignableTag,
+  describeRule,
+  describeTagValue,
+  evaluateRule,
+  explainFailure,
+  validateRule,
+  validateCondition,
+  validateRequirements,
+  buildTagRequirements,
+};
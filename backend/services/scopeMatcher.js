@@ -0,0 +1,257 @@
+/**
+ * Scope Matcher
+ *
+ * Matches assets against requirement scope patterns. A scope is a list of terms separated by
+ * whitespace or commas; an asset is in scope when it matches at least one include term and no
+ * exclude term:
+ *
+ *   all                                 every asset (same as *.*.*)
+ *   sales.*.*                           everything in the sales catalog (also written "sales")
+ *   sales.crm_*.customers?              globs: * any run of characters, ? one character
+ *   sales./crm_\d+/.*                   a part between slashes is a regular expression (add i for case-insensitive)
+ *   sales./eu\/.+/.*                    escape / inside a regular expression as \/
+ *   `my.catalog`.`odd name`.*           backticks quote names containing dots, spaces or glob characters
+ *   sales.*.* !sales.tmp.*              terms starting with ! exclude matches
+ *   volume:sales.*.*                    only volumes (table, volume, function, model; combine with |)
+ *
+ * Each part matches a whole name - "sales" never matches a table called "sales_eu" or a schema
+ * called "sales", and a regular expression is anchored at both ends (/crm_\d/ matches "crm_1",
+ * not "xcrm_1x"; surround it with .* to match anywhere in the name). Globs and quoted names are
+ * case-insensitive like Unity Catalog identifiers.
+ */
+
+export const ASSET_TYPES = ['table', 'volume', 'function', 'model'];
+
+const MATCH_ALL_SCOPES = ['all', '*', '*.*.*'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const globToRegex = (glob) =>
+  new RegExp(`^${escapeRegex(glob).replace(/\\\*/g, '.*').replace(/\\\?/g, '.')}$`, 'i');
+
+/**
+ * Split text on separator characters that are outside `quotes` and /regexes/
+ * A / only opens a regex at the start of a part, so names may contain slashes elsewhere.
+ */
+function splitOutsideQuotes(text, isSeparator, errors, context) {
+  const pieces = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      current += char;
+      if (char === '\\' && quote === '/' && i + 1 < text.length) {
+        current += text[++i];
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (isSeparator(char)) {
+      pieces.push(current);
+      current = '';
+    } else {
+      if (char === '`' || (char === '/' && (current === '' || current === '!' || current.endsWith(':') || current.endsWith('.')))) {
+        quote = char;
+      }
+      current += char;
+    }
+  }
+
+  if (quote) {
+    errors.push(`${context}: unterminated ${quote === '`' ? 'quoted name' : 'regular expression'}`);
+  }
+  pieces.push(current);
+  return pieces;
+}
+
+// Index of the / closing a regular expression part ("/.../flags"), or -1 when it isn't closed
+function findRegexEnd(part) {
+  for (let i = 1; i < part.length; i++) {
+    if (part[i] === '\\') {
+      i++;
+    } else if (part[i] === '/') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Compile one part of a path into a name predicate
+function compilePart(part, errors, term) {
+  if (part === '') {
+    errors.push(`${term}: empty name part`);
+    return null;
+  }
+
+  if (part.startsWith('/')) {
+    // The expression ends at the first unescaped / - only the i flag may follow it
+    const end = findRegexEnd(part);
+    const flags = end === -1 ? null : part.slice(end + 1);
+    if (flags !== '' && flags !== 'i') {
+      errors.push(`${term}: invalid regular expression ${part} (escape / inside it as \\/; only the i flag is supported)`);
+      return null;
+    }
+    try {
+      const regex = new RegExp(`^(?:${part.slice(1, end)})$`, flags);
+      return (name) => regex.test(name);
+    } catch (error) {
+      errors.push(`${term}: invalid regular expression ${part} (${error.message})`);
+      return null;
+    }
+  }
+
+  if (part.startsWith('`')) {
+    if (!part.endsWith('`') || part.length < 2) {
+      errors.push(`${term}: unterminated quoted name ${part}`);
+      return null;
+    }
+    const literal = part.slice(1, -1).toLowerCase();
+    return (name) => name.toLowerCase() === literal;
+  }
+
+  if (/[`/]/.test(part)) {
+    errors.push(`${term}: quote names containing \` or / (got ${part})`);
+    return null;
+  }
+
+  if (part === '*') return () => true;
+  const regex = globToRegex(part);
+  return (name) => regex.test(name);
+}
+
+// Compile a single term ("!volume:sales.*.*") into { exclude, types, parts }
+function compileTerm(term, errors) {
+  let rest = term;
+  const exclude = rest.startsWith('!');
+  if (exclude) rest = rest.slice(1);
+
+  let types = null;
+  const typeMatch = rest.match(/^([a-z]+(?:\|[a-z]+)*):/i);
+  if (typeMatch) {
+    types = typeMatch[1].toLowerCase().split('|');
+    const unknown = types.filter(type => !ASSET_TYPES.includes(type));
+    if (unknown.length > 0) {
+      errors.push(`${term}: unknown asset type ${unknown.join(', ')} (expected ${ASSET_TYPES.join(', ')})`);
+    }
+    rest = rest.slice(typeMatch[0].length);
+  }
+
+  if (MATCH_ALL_SCOPES.includes(rest)) {
+    rest = '*.*.*';
+  }
+
+  const parts = splitOutsideQuotes(rest, char => char === '.', errors, term);
+  if (parts.length > 3) {
+    errors.push(`${term}: expected at most three parts (catalog.schema.table), got ${parts.length} - quote names containing dots with backticks`);
+    return null;
+  }
+  // "sales" means sales.*.*, "sales.crm" means sales.crm.*
+  while (parts.length < 3) parts.push('*');
+
+  const matchers = parts.map(part => compilePart(part, errors, term));
+  if (matchers.some(matcher => !matcher)) return null;
+
+  return { source: term, exclude, types, matchers };
+}
+
+/**
+ * Parse a scope into include / exclude terms
+ * @param {string|string[]} scope - Scope string or list of terms (empty means all)
+ * @returns {{ include: Array, exclude: Array, errors: string[] }}
+ */
+export function parseScope(scope) {
+  const errors = [];
+  const text = Array.isArray(scope) ? scope.join(' ') : String(scope ?? '').trim();
+
+  const rawTerms = splitOutsideQuotes(text, char => /[\s,]/.test(char), errors, 'scope').filter(Boolean);
+  if (errors.length > 0) {
+    return { include: [], exclude: [], errors };
+  }
+  const terms = rawTerms.map(term => compileTerm(term, errors)).filter(Boolean);
+
+  return {
+    include: terms.filter(term => !term.exclude),
+    exclude: terms.filter(term => term.exclude),
+    errors,
+  };
+}
+
+/**
+ * Validate a scope
+ * @returns {string[]} Problems, empty when the scope is valid
+ */
+export const validateScope = (scope) => parseScope(scope).errors;
+
+// Compiled scopes, keyed by scope text
+const compiledScopes = new Map();
+
+const getCompiledScope = (scope) => {
+  const key = Array.isArray(scope) ? scope.join(' ') : String(scope ?? '');
+  if (!compiledScopes.has(key)) {
+    const compiled = parseScope(scope);
+    if (compiled.errors.length > 0) {
+      console.warn(`⚠️  Invalid scope "${key}" matches nothing: ${compiled.errors.join('; ')}`);
+    }
+    compiledScopes.set(key, compiled);
+  }
+  return compiledScopes.get(key);
+};
+
+// Catalog, schema and name of an asset (cached assets use catalog_name/schema_name/name)
+const getAssetParts = (asset) => {
+  if (asset.catalog_name !== undefined) {
+    return [asset.catalog_name, asset.schema_name, asset.name];
+  }
+  const [catalog, schema, ...name] = String(asset.fullName || asset.full_name || '').split('.');
+  return [catalog, schema, name.join('.')];
+};
+
+const termMatches = (term, asset, parts) =>
+  (!term.types || term.types.includes(asset.assetType || 'table')) &&
+  term.matchers.every((matches, index) => matches(parts[index] ?? ''));
+
+/**
+ * Is an asset within a scope?
+ * @param {string|string[]} scope - Scope pattern ('all' when empty)
+ * @param {Object} asset - Asset with catalog_name/schema_name/name (or fullName) and assetType
+ */
+export function matchesScope(scope, asset) {
+  const compiled = getCompiledScope(scope);
+  if (compiled.errors.length > 0) return false;
+
+  const parts = getAssetParts(asset);
+  const included = compiled.include.length === 0 || compiled.include.some(term => termMatches(term, asset, parts));
+  return included && !compiled.exclude.some(term => termMatches(term, asset, parts));
+}
+
+/**
+ * Assets within a scope
+ */
+export const filterAssetsByScope = (assets, scope) => assets.filter(asset => matchesScope(scope, asset));
+
+/**
+ * Quote a name for use in a scope when it contains characters with a meaning in the grammar
+ */
+export const quoteScopeName = (name) =>
+  /^[A-Za-z0-9_-]+$/.test(name) ? name : `\`${String(name).replace(/`/g, '')}\``;
+
+/**
+ * Scope pattern for exact catalog / schema / table names (missing parts match anything)
+ */
+export const scopeFromNames = ({ catalog, schema, table } = {}) =>
+  [catalog, schema, table].map(name => (name ? quoteScopeName(name) : '*')).join('.');
+
+export default {
+  ASSET_TYPES,
+  parseScope,
+  validateScope,
+  matchesScope,
+  filterAssetsByScope,
+  quoteScopeName,
+  scopeFromNames,
+};
@@ -0,0 +1,244 @@
+/**
+ * Tag Change Sets Service
+ *
+ * Every tag write is recorded as a before/after snapshot of the keys it changed, grouped into
+ * a change set per operation (a remediation fix, a tag propagation, an enforcement run, an
+ * applied plan or a rollback):
+ * - governed: Unity Catalog governed tags on a catalog, schema, table, column or volume
+ *   (snapshots come from tagPropagation.applyTagChanges)
+ * - table_properties: table tags kept as table properties (unityCatalog.setTags)
+ * A whole change set or single securables can be rolled back to their before values. A securable
+ * whose tags changed again since the change is a conflict and is left alone unless forced.
+ * Rollbacks are recorded as change sets themselves, so they can be undone too.
+ */
+
+import { getChangeSetById, addChangeSet, updateChangeSet } from '../data/tagChangeSetsStore.js';
+import { unityCatalog } from './databricksClient.js';
+import { applyTagChanges, refreshAfterTagWrites } from './tagPropagation.js';
+
+const changeSetError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const changeId = (change) => `${change.kind}:${change.name}`;
+
+/**
+ * Record the snapshots of one operation as a change set
+ * @param {object} params - environmentId, source ({ type, ... }), description, changes
+ *   (snapshots, nulls ignored) and actor
+ * @returns {object|null} the change set, or null when nothing changed
+ */
+export function recordChangeSet({ environmentId, source, description, changes = [], actor = null }) {
+  // A securable written twice in one operation keeps its first before and last after
+  const merged = new Map();
+  for (const change of changes.filter(Boolean)) {
+    const id = changeId(change);
+    const existing = merged.get(id);
+    if (!existing) {
+      // Copies - merging later writes must not change the caller's snapshots
+      merged.set(id, {
+        id,
+        ...change,
+        before: change.before && { ...change.before },
+        after: { ...change.after },
+        status: 'applied',
+      });
+      continue;
+    }
+    for (const [key, value] of Object.entries(change.after)) {
+      if (!(key in existing.after) && existing.before) {
+        existing.before[key] = change.before ? change.before[key] : null;
+      }
+      existing.after[key] = value;
+    }
+    if (!change.before) existing.before = null;
+  }
+
+  if (merged.size === 0) return null;
+
+  const changeSet = addChangeSet({
+    environmentId,
+    source,
+    description,
+    changes: [...merged.values()],
+    rollbacks: [],
+    createdBy: actor || 'system',
+  });
+  console.log(`🕘 Recorded change set ${changeSet.id}: ${description} (${changeSet.changes.length} securable(s))`);
+  return changeSet;
+}
+
+/**
+ * Snapshot of a table property tag write - keys whose value changed or that were dropped
+ */
+function tablePropertiesChange(fullTableName, before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => (before[key] ?? null) !== (after[key] ?? null));
+  if (keys.length === 0) return null;
+
+  return {
+    kind: 'table_properties',
+    name: fullTableName,
+    before: Object.fromEntries(keys.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(keys.map(key => [key, after[key] ?? null])),
+  };
+}
+
+/**
+ * Replace the property tags of a table (unityCatalog.setTags) and record the change
+ * @param {object} options - source, description and actor of the change set
+ * @returns {{ table: object, changeSet: object|null }}
+ */
+export async function setTablePropertyTags(envId, fullTableName, tags, { source, description, actor } = {}) {
+  const before = await unityCatalog.getTags(envId, fullTableName);
+  const table = await unityCatalog.setTags(envId, fullTableName, tags);
+
+  const changeSet = recordChangeSet({
+    environmentId: envId,
+    source: source || { type: 'manual' },
+    description: description || `Set tags on ${fullTableName}`,
+    changes: [tablePropertiesChange(fullTableName, before, tags)],
+    actor,
+  });
+  return { table, changeSet };
+}
+
+// Catalog of the securable a change wrote (table property changes only have the full table name)
+const changeCatalog = (change) => change.nameParts?.[0] ?? change.name.split('.')[0];
+
+// Current values of the keys a change touched (null = not set)
+async function readLiveValues(envId, change) {
+  const tags = change.kind === 'table_properties'
+    ? await unityCatalog.getTags(envId, change.name)
+    : await unityCatalog.getEntityTags(envId, change.entityType, change.nameParts);
+  return { tags, values: Object.fromEntries(Object.keys(change.after).map(key => [key, tags[key] ?? null])) };
+}
+
+// Write the before values of a change back; returns the snapshot of the rollback write
+async function restoreChange(envId, change, liveTags) {
+  const restoreKeys = Object.keys(change.before);
+
+  if (change.kind === 'table_properties') {
+    const restored = { ...liveTags };
+    restoreKeys.forEach(key => {
+      if (change.before[key] === null) delete restored[key];
+      else restored[key] = change.before[key];
+    });
+    await unityCatalog.setTags(envId, change.name, restored);
+    return tablePropertiesChange(change.name, liveTags, restored);
+  }
+
+  const set = Object.fromEntries(restoreKeys.filter(key => change.before[key] !== null).map(key => [key, change.before[key]]));
+  const remove = restoreKeys.filter(key => change.before[key] === null);
+  const written = await applyTagChanges(envId, change, { set, remove, currentTags: liveTags, refresh: false });
+  if (written.failed.length > 0) {
+    const error = new Error(written.failed.map(t => `${t.key}: ${t.error}`).join('; '));
+    error.change = written.change;
+    throw error;
+  }
+  return written.change;
+}
+
+/**
+ * Roll a change set back to its before values
+ * @param {object} options - changeIds (default: every change not rolled back yet), force
+ *   (overwrite securables whose tags changed again since) and actor
+ * @returns {{ changeSet, results: Array<{ id, name, status, error, liveValues }>, rollbackChangeSet }}
+ *   status: rolled_back, conflict, not_restorable or failed
+ */
+export async function rollbackChangeSet(changeSetId, { changeIds = null, force = false, actor = null } = {}) {
+  const changeSet = getChangeSetById(changeSetId);
+  if (!changeSet) {
+    throw changeSetError(`Change set not found: ${changeSetId}`, 404);
+  }
+
+  const selected = changeSet.changes.filter(c => c.status === 'applied' && (!changeIds || changeIds.includes(c.id)));
+  if (selected.length === 0) {
+    throw changeSetError(
+      changeIds ? 'None of the selected changes can be rolled back' : 'Change set is already rolled back',
+      409
+    );
+  }
+
+  const results = [];
+  const rollbackSnapshots = [];
+  const rolledBack = new Set();
+  const writtenCatalogs = new Set();
+
+  for (const change of selected) {
+    const result = { id: change.id, name: change.name, status: null, error: null, liveValues: null };
+    results.push(result);
+
+    if (!change.before) {
+      result.status = 'not_restorable';
+      result.error = 'The previous tags could not be read when the change was made';
+      continue;
+    }
+
+    try {
+      const live = await readLiveValues(changeSet.environmentId, change);
+      result.liveValues = live.values;
+
+      const changedSince = Object.keys(change.after).some(key => live.values[key] !== change.after[key]);
+      if (changedSince && !force) {
+        result.status = 'conflict';
+        result.error = 'Tags changed again since this change was made';
+        continue;
+      }
+
+      rollbackSnapshots.push(await restoreChange(changeSet.environmentId, change, live.tags));
+      result.status = 'rolled_back';
+      rolledBack.add(change.id);
+      writtenCatalogs.add(changeCatalog(change));
+    } catch (error) {
+      // Keys restored before a failure are still recorded
+      rollbackSnapshots.push(error.change);
+      result.status = 'failed';
+      result.error = error.message;
+      if (error.change) writtenCatalogs.add(changeCatalog(change));
+    }
+  }
+  refreshAfterTagWrites(changeSet.environmentId, writtenCatalogs);
+
+  const rollbackChangeSet = recordChangeSet({
+    environmentId: changeSet.environmentId,
+    source: { type: 'rollback', changeSetId },
+    description: `Rollback of ${changeSet.description}`,
+    changes: rollbackSnapshots,
+    actor,
+  });
+
+  const now = new Date().toISOString();
+  const changes = changeSet.changes.map(c =>
+    rolledBack.has(c.id) ? { ...c, status: 'rolled_back', rolledBackAt: now, rolledBackBy: actor || 'system' } : c
+  );
+  const remaining = changes.filter(c => c.status === 'applied').length;
+
+  const updated = updateChangeSet(changeSetId, {
+    changes,
+    status: remaining === 0 ? 'rolled_back' : remaining < changes.length ? 'partially_rolled_back' : changeSet.status,
+    rollbacks: [
+      ...(changeSet.rollbacks || []),
+      {
+        at: now,
+        by: actor || 'system',
+        force,
+        rollbackChangeSetId: rollbackChangeSet?.id || null,
+        rolledBack: rolledBack.size,
+        conflicts: results.filter(r => r.status === 'conflict').length,
+        failed: results.filter(r => r.status === 'failed' || r.status === 'not_restorable').length,
+      },
+    ],
+  });
+
+  console.log(`↩️  Rolled back ${rolledBack.size}/${selected.length} securable(s) of change set ${changeSetId}`);
+  return { changeSet: updated, results, rollbackChangeSet };
+}
+
+export default {
+  recordChangeSet,
+  setTablePropertyTags,
+  rollbackChangeSet,
+};
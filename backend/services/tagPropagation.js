@@ -5,9 +5,112 @@
  * - Tags defined at share level cascade to all child assets
  * - PROVIDED shares: Apply tags to actual Unity Catalog objects
  * - CONSUMED shares: Apply tags to registered/foreign catalog objects
+ * Tags are written as governed tags on catalogs, schemas, tables, columns and volumes
+ * (see unityCatalog.setEntityTags); every securable is reported as succeeded, failed or skipped,
+ * and the previous values of the changed tags are returned as snapshots for rollback.
+ * After a write the cached objects of the written catalogs are refreshed and tag write listeners
+ * (e.g. the validation cache) are told, so results don't show the old tags.
  */
 
-import { deltaSharing, unityCatalog } from './databricksClient.js';
+import { deltaSharing, unityCatalog, clearCache } from './databricksClient.js';
+import { filterAssetsByScope, scopeFromNames } from './scopeMatcher.js';
+
+// Called with { environmentId, catalogs } after tags were written
+const tagWriteListeners = new Set();
+
+export const onTagsWritten = (listener) => {
+  tagWriteListeners.add(listener);
+  return () => tagWriteListeners.delete(listener);
+};
+
+/**
+ * Drop what's cached about catalogs whose tags were written
+ * Called by applyTagChanges, or once by callers that write many securables (refresh: false).
+ * @param {string} envId - Environment ID
+ * @param {Iterable<string>} catalogs - Catalogs written to
+ */
+export function refreshAfterTagWrites(envId, catalogs) {
+  const written = [...new Set(catalogs)];
+  if (written.length === 0) return;
+
+  written.forEach(catalog => clearCache({ environmentId: envId, catalog }));
+  tagWriteListeners.forEach(listener => {
+    try {
+      listener({ environmentId: envId, catalogs: written });
+    } catch (error) {
+      console.error('❌ Tag write listener failed:', error.message);
+    }
+  });
+}
+
+/**
+ * Select the assets of a share that are in scope (see scopeMatcher.js)
+ * @param {Array} shareAssets - Assets of the share
+ * @param {object} options - pattern (scope pattern) or exact catalogName / schemaName / tableName,
+ *   and requirementScope (the agreement's scope, which must match as well)
+ */
+function selectScopedAssets(shareAssets, options = {}) {
+  const {
+    pattern = null,
+    catalogName = null,
+    schemaName = null,
+    tableName = null,
+    requirementScope = null,
+  } = options;
+
+  let assets = filterAssetsByScope(
+    shareAssets,
+    pattern || scopeFromNames({ catalog: catalogName, schema: schemaName, table: tableName })
+  );
+  if (requirementScope) {
+    assets = filterAssetsByScope(assets, requirementScope);
+  }
+  return assets;
+}
+
+// Asset types that accept governed tags, by securable type
+const TAGGABLE_ASSET_TYPES = {
+  table: 'tables',
+  volume: 'volumes',
+};
+
+/**
+ * Securables to tag for the selected assets at a scope level
+ * @returns {{ targets: Array<{ entityType, nameParts, name }>, skipped: Array<{ asset, reason }> }}
+ */
+export function getTagTargets(assets, scope = 'all', columnNames = []) {
+  const targets = new Map();
+  const skipped = [];
+  const addTarget = (entityType, nameParts) => {
+    const name = nameParts.join('.');
+    if (!targets.has(name)) targets.set(name, { entityType, nameParts, name });
+  };
+
+  for (const asset of assets) {
+    const { catalog_name, schema_name, name } = asset;
+    const assetType = asset.assetType || 'table';
+
+    if (scope === 'catalog') {
+      addTarget('catalogs', [catalog_name]);
+    } else if (scope === 'schema') {
+      addTarget('schemas', [catalog_name, schema_name]);
+    } else if (scope === 'column') {
+      if (assetType !== 'table') {
+        skipped.push({ asset: asset.fullName, reason: `${assetType}s have no columns` });
+      } else if (columnNames.length === 0) {
+        skipped.push({ asset: asset.fullName, reason: 'No columns selected' });
+      } else {
+        columnNames.forEach(column => addTarget('columns', [catalog_name, schema_name, name, column]));
+      }
+    } else if (TAGGABLE_ASSET_TYPES[assetType]) {
+      addTarget(TAGGABLE_ASSET_TYPES[assetType], [catalog_name, schema_name, name]);
+    } else {
+      skipped.push({ asset: asset.fullName, reason: `Unity Catalog tags can't be set on ${assetType}s` });
+    }
+  }
+
+  return { targets: [...targets.values()], skipped };
+}
 
 /**
  * Apply tags hierarchically to a share and all its children
@@ -15,15 +118,14 @@ import { deltaSharing, unityCatalog } from './databricksClient.js';
  * @param {string} shareName - Share name
  * @param {object} tags - Tags to apply {key: value}
  * @param {string} direction - 'provided' or 'consumed'
- * @param {object} options - Options like scope (catalog, schema, table, column)
+ * @param {object} options - Options like scope (catalog, schema, table, column), removeTags
+ *   (keys to remove) and the asset selection for selectScopedAssets
  */
 export async function applyTagsToShare(envId, shareName, tags, direction, options = {}) {
   const {
     scope = 'all', // 'catalog', 'schema', 'table', 'column', 'all'
-    catalogName = null,
-    schemaName = null,
-    tableName = null,
     columnNames = [],
+    removeTags = [],
   } = options;
 
   console.log(`🏷️  Applying tags to ${direction} share: ${shareName} (scope: ${scope})`);
@@ -33,6 +135,8 @@ export async function applyTagsToShare(envId, shareName, tags, direction, option
     failed: [],
     skipped: [],
   };
+  // Before/after snapshots of the written securables, recorded as a change set by the caller
+  const changes = [];
 
   try {
     // Get all assets in this share
@@ -43,56 +147,69 @@ export async function applyTagsToShare(envId, shareName, tags, direction, option
     console.log(`Found ${shareAssets.length} assets in share/catalog ${shareName}`);
 
     // Filter assets based on scope
-    let assetsToTag = shareAssets;
-    
-    if (catalogName) {
-      assetsToTag = assetsToTag.filter(a => a.catalog_name === catalogName);
-    }
-    
-    if (schemaName) {
-      assetsToTag = assetsToTag.filter(a => a.schema_name === schemaName);
-    }
-    
-    if (tableName) {
-      assetsToTag = assetsToTag.filter(a => a.name === tableName);
-    }
+    const assetsToTag = selectScopedAssets(shareAssets, options);
 
     console.log(`Filtered to ${assetsToTag.length} assets based on scope`);
 
-    // Apply tags based on direction
-    for (const asset of assetsToTag) {
+    // Catalogs / schemas are tagged once, tables and volumes each, columns per selected column
+    const { targets, skipped } = getTagTargets(assetsToTag, scope, columnNames);
+    results.skipped.push(...skipped);
+
+    // PROVIDED shares: tag the Unity Catalog objects behind the share
+    // CONSUMED shares: tag the catalog created from the share in this workspace
+    const type = direction === 'consumed' ? 'registered_catalog' : 'unity_catalog';
+    const writtenCatalogs = new Set();
+
+    for (const target of targets) {
+      if (Object.keys(tags).length === 0 && removeTags.length === 0) {
+        results.skipped.push({ asset: target.name, reason: 'No tags to apply' });
+        continue;
+      }
+
       try {
-        if (direction === 'provided') {
-          // For PROVIDED shares: Update actual Unity Catalog objects
-          await applyTagsToUnityCatalogAsset(envId, asset, tags, scope, columnNames);
+        const written = await applyTagChanges(envId, target, { set: tags, remove: removeTags, refresh: false });
+        if (written.change) changes.push(written.change);
+        if (written.applied.length > 0) writtenCatalogs.add(target.nameParts[0]);
+
+        if (written.failed.length === 0) {
           results.success.push({
-            asset: asset.fullName,
-            type: 'unity_catalog',
+            asset: target.name,
+            entityType: target.entityType,
+            type,
+            method: written.method,
             tags,
+            ...(removeTags.length > 0 ? { removedTags: removeTags } : {}),
           });
-        } else if (direction === 'consumed') {
-          // For CONSUMED shares: Update registered/foreign catalog objects
-          await applyTagsToRegisteredAsset(envId, asset, tags, scope, columnNames);
-          results.success.push({
-            asset: asset.fullName,
-            type: 'registered_catalog',
-            tags,
+        } else {
+          results.failed.push({
+            asset: target.name,
+            entityType: target.entityType,
+            type,
+            method: written.method,
+            error: written.failed.map(t => `${t.key}: ${t.error}`).join('; '),
+            // Tags written before a failure stay applied
+            appliedTags: written.applied,
+            failedTags: written.failed.map(t => t.key),
           });
         }
       } catch (error) {
-        console.error(`Failed to tag ${asset.fullName}:`, error.message);
+        console.error(`Failed to tag ${target.name}:`, error.message);
         results.failed.push({
-          asset: asset.fullName,
+          asset: target.name,
+          entityType: target.entityType,
+          type,
           error: error.message,
         });
       }
     }
+    refreshAfterTagWrites(envId, writtenCatalogs);
 
     return {
-      success: true,
+      success: results.failed.length === 0,
       results,
+      changes,
       summary: {
-        total: assetsToTag.length,
+        total: targets.length + skipped.length,
         succeeded: results.success.length,
         failed: results.failed.length,
         skipped: results.skipped.length,
@@ -105,57 +222,77 @@ export async function applyTagsToShare(envId, shareName, tags, direction, option
 }
 
 /**
- * Apply tags to actual Unity Catalog objects (for PROVIDED shares)
+ * Before/after snapshot of the tag keys a write changed, for rollback (see tagChangeSets.js)
+ * before is null when the tags couldn't be read before writing
  */
-async function applyTagsToUnityCatalogAsset(envId, asset, tags, scope, columnNames) {
-  const { catalog_name, schema_name, name } = asset;
-
-  // Note: Unity Catalog tag API endpoints:
-  // - Catalog tags: PUT /api/2.1/unity-catalog/catalogs/{catalog}/tags/{key}
-  // - Schema tags: PUT /api/2.1/unity-catalog/schemas/{full_name}/tags/{key}
-  // - Table tags: PUT /api/2.1/unity-catalog/tables/{full_name}/tags/{key}
-  // - Column tags: PUT /api/2.1/unity-catalog/tables/{full_name}/columns/{column}/tags/{key}
-
-  const fullName = `${catalog_name}.${schema_name}.${name}`;
-
-  // For now, log what we would do (actual API calls require proper auth and endpoints)
-  console.log(`✓ Would apply tags to UC object: ${fullName}`);
-  console.log(`  Tags:`, tags);
-  console.log(`  Scope:`, scope);
-  
-  if (scope === 'column' && columnNames.length > 0) {
-    console.log(`  Columns:`, columnNames);
+function snapshotChange(target, currentTags, set, appliedKeys) {
+  const before = currentTags ? {} : null;
+  const after = {};
+
+  for (const key of appliedKeys) {
+    const value = key in set ? set[key] : null;
+    if (currentTags && (currentTags[key] ?? null) === value) continue;
+    if (before) before[key] = currentTags[key] ?? null;
+    after[key] = value;
   }
 
-  // TODO: Implement actual Unity Catalog tag API calls
-  // Example:
-  // for (const [key, value] of Object.entries(tags)) {
-  //   await unityCatalog.setTableTag(envId, fullName, key, value);
-  // }
+  if (Object.keys(after).length === 0) return null;
+  return {
+    kind: 'governed',
+    name: target.name,
+    entityType: target.entityType,
+    nameParts: target.nameParts,
+    before,
+    after,
+  };
 }
 
 /**
- * Apply tags to registered/foreign catalog objects (for CONSUMED shares)
+ * Set and remove tags on one securable (unityCatalog.setEntityTags / removeEntityTags)
+ * @param {object} target - { entityType, nameParts, name } from getTagTargets
+ * @param {object} changes - set ({ key: value }) and remove (keys); currentTags when the caller
+ *   already read them, otherwise they are read first for the change snapshot; refresh: false when
+ *   the caller calls refreshAfterTagWrites itself after writing several securables
+ * @returns {{ method, applied: string[], failed: Array<{ key, error }>, change: object|null }}
  */
-async function applyTagsToRegisteredAsset(envId, asset, tags, scope, columnNames) {
-  const { catalog_name, schema_name, name } = asset;
-  const fullName = `${catalog_name}.${schema_name}.${name}`;
-
-  // For consumed shares, we apply tags to the registered foreign catalog
-  console.log(`✓ Would apply tags to registered catalog object: ${fullName}`);
-  console.log(`  Tags:`, tags);
-  console.log(`  Scope:`, scope);
-  
-  if (scope === 'column' && columnNames.length > 0) {
-    console.log(`  Columns:`, columnNames);
+export async function applyTagChanges(envId, target, { set = {}, remove = [], currentTags, refresh = true } = {}) {
+  const label = `${target.entityType.slice(0, -1)} ${target.name}`;
+  const applied = [];
+  const failed = [];
+  let method = null;
+
+  let before = currentTags;
+  if (before === undefined) {
+    try {
+      before = await unityCatalog.getEntityTags(envId, target.entityType, target.nameParts);
+    } catch (error) {
+      console.warn(`⚠️  Could not read tags of ${label} before writing - the change can't be rolled back:`, error.message);
+      before = null;
+    }
   }
 
-  // TODO: Implement actual foreign catalog tag API calls
-  // The API is the same as Unity Catalog, but the catalog is a foreign/registered catalog
-  // Example:
-  // for (const [key, value] of Object.entries(tags)) {
-  //   await unityCatalog.setTableTag(envId, fullName, key, value);
-  // }
+  if (Object.keys(set).length > 0) {
+    const written = await unityCatalog.setEntityTags(envId, target.entityType, target.nameParts, set);
+    method = written.method;
+    written.tags.forEach(t => (t.applied ? applied.push(t.key) : failed.push({ key: t.key, error: t.error })));
+  }
+  if (remove.length > 0) {
+    const removed = await unityCatalog.removeEntityTags(envId, target.entityType, target.nameParts, remove);
+    method = method || removed.method;
+    removed.tags.forEach(t => (t.removed ? applied.push(t.key) : failed.push({ key: t.key, error: t.error })));
+  }
+  if (refresh && applied.length > 0) {
+    refreshAfterTagWrites(envId, [target.nameParts[0]]);
+  }
+
+  if (failed.length === 0) {
+    console.log(`✓ Tagged ${label} (${method}): ${applied.join(', ')}`);
+  } else if (applied.length > 0) {
+    console.warn(`⚠️  Tagged ${label} partially (${applied.length}/${applied.length + failed.length}, ${method})`);
+  } else {
+    console.error(`❌ Failed to tag ${label} (${method}): ${failed[0].error}`);
+  }
+  return { method, applied, failed, change: snapshotChange(target, before, set, applied) };
 }
 
 /**
@@ -163,30 +300,10 @@ async function applyTagsToRegisteredAsset(envId, asset, tags, scope, columnNames
  * This helps preview what will be tagged
  */
 export async function getAffectedAssets(envId, shareName, options = {}) {
-  const {
-    scope = 'all',
-    catalogName = null,
-    schemaName = null,
-    tableName = null,
-  } = options;
-
   try {
     const allAssets = await deltaSharing.getAllShareTables(envId);
-    // Shares map directly to catalogs
-    let shareAssets = allAssets.filter(a => a.catalog_name === shareName);
-
-    // Apply filters
-    if (catalogName) {
-      shareAssets = shareAssets.filter(a => a.catalog_name === catalogName);
-    }
-    
-    if (schemaName) {
-      shareAssets = shareAssets.filter(a => a.schema_name === schemaName);
-    }
-    
-    if (tableName) {
-      shareAssets = shareAssets.filter(a => a.name === tableName);
-    }
+    // Shares map directly to catalogs; same scope selection as applyTagsToShare
+    const shareAssets = selectScopedAssets(allAssets.filter(a => a.catalog_name === shareName), options);
 
     // Group by type
     const grouped = {
@@ -201,13 +318,19 @@ export async function getAffectedAssets(envId, shareName, options = {}) {
       grouped.schemas.add(`${asset.catalog_name}.${asset.schema_name}`);
     });
 
+    // Securables that would be tagged at the requested scope level
+    const { targets, skipped } = getTagTargets(shareAssets, options.scope, options.columnNames);
+
     return {
       summary: {
         catalogs: grouped.catalogs.size,
         schemas: grouped.schemas.size,
         tables: grouped.tables,
+        securables: targets.length,
       },
       assets: shareAssets,
+      targets,
+      skipped,
     };
   } catch (error) {
     console.error(`Error getting affected assets for ${shareName}:`, error);
@@ -216,6 +339,10 @@ export async function getAffectedAssets(envId, shareName, options = {}) {
 }
 
 export default {
+  onTagsWritten,
+  refreshAfterTagWrites,
+  getTagTargets,
   applyTagsToShare,
+  applyTagChanges,
   getAffectedAssets,
 };
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/mockWorkspace.js';
+import '../data/storage/index.js';
+
+process.env.AGREEMENT_REVISIONS_KEPT = '3';
+const { initAgreementRevisions, recordRevision, getRevisions, getLatestRevision } = await import('../data/agreementRevisions.js');
+await initAgreementRevisions();
+
+test('only the most recent revisions of each agreement are kept', () => {
+  for (let version = 1; version <= 5; version++) {
+    recordRevision({ id: 'agreement-a', name: `v${version}` });
+  }
+  recordRevision({ id: 'agreement-b', name: 'v1' });
+
+  assert.deepEqual(getRevisions('agreement-a').map(r => r.revision), [3, 4, 5]);
+  assert.equal(getRevisions('agreement-a')[0].snapshot.name, 'v3');
+  assert.deepEqual(getRevisions('agreement-b').map(r => r.revision), [1]);
+
+  // Numbering carries on after pruned revisions
+  assert.equal(recordRevision({ id: 'agreement-a', name: 'v6' }).revision, 6);
+  assert.equal(getLatestRevision('agreement-a').snapshot.name, 'v6');
+});
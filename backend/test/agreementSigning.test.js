@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import './helpers/mockWorkspace.js';
+import '../data/storage/index.js';
+import { initProviderKeysStore, addProviderKey } from '../data/providerKeysStore.js';
+import { SIGNATURE_ALGORITHM, computeContentHash, parsePublicKey, verifyAgreementSignature } from '../services/agreementSigning.js';
+
+await initProviderKeysStore();
+
+// Register a new key pair for a provider; returns a function signing content with it
+const registerProvider = (provider, shares = []) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+  const { keyId, publicKey: pem } = parsePublicKey(publicKey.export({ type: 'spki', format: 'pem' }));
+  addProviderKey({ id: keyId, provider, shares, publicKey: pem, algorithm: SIGNATURE_ALGORITHM });
+  return (content) => ({
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId,
+    provider,
+    contentHash: computeContentHash(content),
+    signedAt: new Date().toISOString(),
+    signature: crypto.sign(null, Buffer.from(content, 'utf8'), privateKey).toString('base64'),
+  });
+};
+
+const content = 'name: Orders agreement\nrequiredTags:\n  - key: owner\n    value: data-team\n';
+
+test('a key of another provider does not verify an agreement for the share', () => {
+  const signByA = registerProvider('provider-a');
+  registerProvider('provider-b');
+
+  const own = verifyAgreementSignature(content, signByA(content), { shareName: 'a_orders', provider: 'provider-a' });
+  assert.equal(own.status, 'verified');
+
+  // Provider A signs an agreement for provider B's share
+  const forged = verifyAgreementSignature(content, signByA(content), { shareName: 'b_orders', provider: 'provider-b' });
+  assert.equal(forged.status, 'mismatch');
+  assert.equal(forged.provider, 'provider-a');
+  assert.match(forged.reason, /comes from provider-b/);
+
+  // Tampering is reported whoever the key belongs to
+  const tampered = verifyAgreementSignature(`${content}# changed\n`, signByA(content), { shareName: 'b_orders', provider: 'provider-b' });
+  assert.equal(tampered.status, 'tampered');
+});
+
+test('keys limited to shares only verify those shares', () => {
+  const sign = registerProvider('provider-c', ['c_orders']);
+
+  assert.equal(verifyAgreementSignature(content, sign(content), { shareName: 'c_orders', provider: 'provider-c' }).status, 'verified');
+  assert.equal(verifyAgreementSignature(content, sign(content), { shareName: 'c_ledger', provider: 'provider-c' }).status, 'mismatch');
+  // Without the share's provider only the share list ties the key to the share
+  assert.equal(verifyAgreementSignature(content, sign(content), { shareName: 'c_orders' }).status, 'verified');
+});
+
+test('a key not limited to shares does not verify when the share provider is unknown', () => {
+  const sign = registerProvider('provider-d');
+  const result = verifyAgreementSignature(content, sign(content), { shareName: 'd_orders' });
+  assert.equal(result.status, 'unverified');
+  assert.match(result.reason, /provider of share d_orders is unknown/);
+});
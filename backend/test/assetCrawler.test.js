@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockWorkspace, apiError } from './helpers/mockWorkspace.js';
+import config from '../config/databricks.js';
+import '../data/storage/index.js';
+import { initCrawlCheckpointsStore } from '../data/crawlCheckpointsStore.js';
+import { createDatabricksClient } from '../services/databricksClient.js';
+import { beginCrawlPass } from '../services/assetCrawler.js';
+
+await initCrawlCheckpointsStore();
+
+const catalogs = [{ name: 'sales' }];
+
+test('requests count against the crawl budget of their own workspace only', async (t) => {
+  const busy = await startMockWorkspace('crawl-busy', ({ query }) =>
+    (query.limited ? apiError(429, 'REQUEST_LIMIT_EXCEEDED') : [200, {}]));
+  const quiet = await startMockWorkspace('crawl-quiet', () => [200, {}]);
+  t.after(() => Promise.all([busy.close(), quiet.close()]));
+  // Another environment on the busy workspace shares its budget
+  config.environments['crawl-busy-alias'] = { ...config.environments['crawl-busy'], name: 'crawl-busy-alias' };
+  t.after(() => { delete config.environments['crawl-busy-alias']; });
+
+  const busyPass = beginCrawlPass('crawl-busy', 'app', { catalogs });
+  const aliasPass = beginCrawlPass('crawl-busy-alias', 'app', { catalogs });
+  const quietPass = beginCrawlPass('crawl-quiet', 'app', { catalogs });
+
+  const client = await createDatabricksClient('crawl-busy');
+  await client.get('/api/2.1/unity-catalog/catalogs');
+  await client.get('/api/2.1/unity-catalog/catalogs');
+  await assert.rejects(client.get('/api/2.1/unity-catalog/catalogs', { params: { limited: 1 } }));
+
+  const busyEnd = busyPass.end();
+  assert.equal(busyEnd.requestsUsed, 3);
+  assert.equal(busyEnd.rateLimited, true);
+  assert.ok(busyEnd.requestsPerMinute < busyPass.requestsPerMinute);
+  assert.equal(aliasPass.end().requestsUsed, 3);
+
+  // The quiet workspace's crawl keeps its pace
+  const quietEnd = quietPass.end();
+  assert.equal(quietEnd.requestsUsed, 0);
+  assert.equal(quietEnd.rateLimited, false);
+  assert.equal(quietEnd.requestsPerMinute, quietPass.requestsPerMinute);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockWorkspace, apiError } from './helpers/mockWorkspace.js';
+import { getCachePartition, resolveCallerIdentity } from '../services/databricksClient.js';
+import { runWithRequestContext, runInBackground } from '../services/requestContext.js';
+
+const SCIM_ME = '/api/2.0/preview/scim/v2/Me';
+
+// Tokens of alice (one rotated into the other) and bob; any other token is rejected
+const USERS = { 'alice-token-1': '1001', 'alice-token-2': '1001', 'bob-token': '2002' };
+
+const partitionOf = (userToken) =>
+  runWithRequestContext({ userToken }, async () => {
+    await resolveCallerIdentity();
+    return getCachePartition('partition-env');
+  });
+
+test('caches are partitioned by the user behind a token, looked up once per token', async (t) => {
+  const workspace = await startMockWorkspace('partition-env', ({ path, token }) => {
+    if (path !== SCIM_ME) return undefined;
+    return USERS[token] ? [200, { id: USERS[token], userName: `${token}@example.com` }] : apiError(401, 'UNAUTHENTICATED');
+  });
+  t.after(() => workspace.close());
+  const lookups = (token) => workspace.requests.filter(r => r.path === SCIM_ME && r.token === token).length;
+
+  const first = await partitionOf('alice-token-1');
+  assert.equal(first, 'user:1001');
+  // A rotated token of the same user gets the same partition; another user doesn't
+  assert.equal(await partitionOf('alice-token-2'), first);
+  assert.equal(await partitionOf('bob-token'), 'user:2002');
+
+  // Concurrent and later requests with a known token don't look it up again
+  await Promise.all([partitionOf('alice-token-1'), partitionOf('alice-token-1')]);
+  assert.equal(lookups('alice-token-1'), 1);
+
+  // A token whose user can't be looked up is partitioned by the token, and not retried at once
+  const unknown = await partitionOf('expired-token');
+  assert.match(unknown, /^user:token-[0-9a-f]{16}$/);
+  assert.equal(await partitionOf('expired-token'), unknown);
+  assert.equal(lookups('expired-token'), 1);
+
+  assert.equal(runInBackground(() => getCachePartition('partition-env')), 'app');
+});
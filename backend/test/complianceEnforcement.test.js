@@ -0,0 +1,183 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockWorkspace } from './helpers/mockWorkspace.js';
+import '../data/storage/index.js';
+import { initAgreementRevisions } from '../data/agreementRevisions.js';
+import { initAgreementsStore, addAgreement } from '../data/agreementsStore.js';
+import { initEnforcementRunsStore, getRunById, getRuns } from '../data/enforcementRunsStore.js';
+import { initTagChangeSetsStore } from '../data/tagChangeSetsStore.js';
+import { deltaSharing } from '../services/databricksClient.js';
+import { startEnforcementRun, resumeEnforcementRun, getCoverageGaps } from '../services/complianceEnforcement.js';
+import { runWithRequestContext } from '../services/requestContext.js';
+
+await initAgreementRevisions();
+await initAgreementsStore();
+await initEnforcementRunsStore();
+await initTagChangeSetsStore();
+process.env.TAG_WRITE_METHOD = 'api';
+
+// Workspace where tag writes to securables named "locked..." fail until unlocked
+async function startTagWorkspace(t, envId) {
+  const state = { locked: true, assigned: new Map() };
+  const workspace = await startMockWorkspace(envId, ({ method, path, body }) => {
+    if (method === 'GET' && path.includes('/entity-tag-assignments/')) {
+      return [200, { tag_assignments: [] }];
+    }
+    if (method === 'POST' && path.endsWith('/entity-tag-assignments')) {
+      if (state.locked && body.entity_name.includes('locked')) {
+        return [403, { error_code: 'PERMISSION_DENIED', message: 'User does not have APPLY TAG' }];
+      }
+      state.assigned.set(body.entity_name, { [body.tag_key]: body.tag_value });
+      return [200, body];
+    }
+  });
+  t.after(() => workspace.close());
+  state.requests = workspace.requests;
+  return state;
+}
+
+const asset = (catalog, schema, name) => ({
+  catalog_name: catalog,
+  schema_name: schema,
+  name,
+  fullName: `${catalog}.${schema}.${name}`,
+  assetType: 'table',
+});
+
+const coverage = (overrides = {}) => ({
+  complete: false,
+  catalogListTruncated: false,
+  lastCycleCompletedAt: null,
+  scanned: [],
+  pending: [],
+  partial: [],
+  skipped: [],
+  ...overrides,
+});
+
+test('coverage gaps: skipped catalogs, and unreached ones until a crawl cycle completed', () => {
+  const loading = mock.method(deltaSharing, 'getLoadingStatus', () => ({
+    coverage: coverage({ pending: ['marketing'], skipped: [{ name: 'hr', reason: 'PERMISSION_DENIED' }] }),
+  }));
+  let gaps = getCoverageGaps('gaps-env');
+  assert.equal(gaps.complete, false);
+  assert.deepEqual([...gaps.catalogs.keys()], ['hr', 'marketing']);
+
+  loading.mock.mockImplementation(() => ({
+    coverage: coverage({ pending: ['marketing'], lastCycleCompletedAt: '2026-10-01T00:00:00.000Z' }),
+  }));
+  gaps = getCoverageGaps('gaps-env');
+  assert.equal(gaps.complete, true);
+
+  loading.mock.mockImplementation(() => ({ isLoading: false }));
+  assert.equal(getCoverageGaps('gaps-env').complete, true);
+  mock.restoreAll();
+});
+
+test('a run retries failed shares on resume and is partial until the crawl covered every catalog', async (t) => {
+  const workspace = await startTagWorkspace(t, 'runs-env');
+  const assets = [asset('sales', 'crm', 'orders'), asset('sales', 'crm', 'locked_customers'), asset('finance', 'gl', 'ledger')];
+  mock.method(deltaSharing, 'getAllShareTables', async () => assets);
+  const loading = mock.method(deltaSharing, 'getLoadingStatus', () => ({
+    coverage: coverage({ scanned: ['finance', 'sales'], pending: ['marketing'] }),
+  }));
+  t.after(() => mock.restoreAll());
+
+  const agreement = addAgreement({
+    name: 'All shares',
+    status: 'active',
+    shares: [],
+    requiredTags: [{ key: 'owner', value: 'data-team' }],
+  });
+
+  const { done } = await startEnforcementRun(agreement.id, 'runs-env', 'steward@example.com');
+  let run = await done;
+  assert.equal(run.status, 'completed');
+  assert.equal(run.partial, true);
+  assert.match(run.partialReason, /1 share\(s\) failed/);
+  assert.match(run.partialReason, /covered every catalog \(marketing\)/);
+  assert.deepEqual(run.shares.map(s => [s.name, s.status]), [['finance', 'done'], ['sales', 'failed']]);
+  assert.match(run.shares[1].error, /1 securable\(s\) could not be tagged/);
+  assert.deepEqual(run.totals, { totalAssets: 3, successfullyTagged: 2, failed: 1 });
+
+  // The crawl reaches marketing (still unreached by the first cycle) and the permission is granted
+  workspace.locked = false;
+  assets.push(asset('marketing', 'web', 'visits'));
+  loading.mock.mockImplementation(() => ({ coverage: coverage({ scanned: ['finance', 'marketing', 'sales'] }) }));
+  loading.mock.mockImplementationOnce(() => ({ coverage: coverage({ scanned: ['finance', 'sales'], pending: ['marketing'] }) }));
+
+  run = await resumeEnforcementRun(run.id, 'steward@example.com').done;
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(run.shares.map(s => [s.name, s.status]), [['finance', 'done'], ['sales', 'done'], ['marketing', 'incomplete']]);
+  assert.equal(run.partial, true);
+  assert.match(run.partialReason, /1 share\(s\) not fully crawled yet/);
+
+  run = await resumeEnforcementRun(run.id).done;
+  assert.equal(run.partial, false);
+  assert.deepEqual(run.shares.map(s => s.status), ['done', 'done', 'done']);
+  // Totals count the latest attempt at each share, not every attempt
+  assert.deepEqual(run.totals, { totalAssets: 4, successfullyTagged: 4, failed: 0 });
+  assert.equal(workspace.assigned.get('sales.crm.locked_customers').owner, 'data-team');
+  assert.equal(getRunById(run.id).resumes.length, 2);
+
+  // Nothing left to resume
+  assert.throws(() => resumeEnforcementRun(run.id), error => error.status === 409);
+});
+
+test('a run started by a request writes tags with the caller\'s token under the user policy', async (t) => {
+  const workspace = await startTagWorkspace(t, 'caller-env');
+  mock.method(deltaSharing, 'getAllShareTables', async () => [asset('sales', 'crm', 'orders')]);
+  mock.method(deltaSharing, 'getLoadingStatus', () => ({ coverage: coverage({ complete: true, scanned: ['sales'] }) }));
+  t.after(() => mock.restoreAll());
+
+  const agreement = addAgreement({
+    name: 'Caller run',
+    status: 'active',
+    shares: ['sales'],
+    requiredTags: [{ key: 'owner', value: 'data-team' }],
+  });
+
+  const run = await runWithRequestContext({ userToken: 'steward-token', userEmail: 'steward@example.com' }, async () => {
+    const { done } = await startEnforcementRun(agreement.id, 'caller-env', 'steward@example.com');
+    return done;
+  });
+
+  assert.equal(run.status, 'completed');
+  assert.equal(run.actsAs, 'caller');
+  const writes = workspace.requests.filter(r => r.method === 'POST');
+  assert.ok(writes.length > 0);
+  assert.ok(workspace.requests.every(r => r.token === 'steward-token'));
+});
+
+test('of two runs started at once only one runs, and a run whose shares can\'t be resolved is released', async (t) => {
+  await startTagWorkspace(t, 'race-env');
+  const tables = mock.method(deltaSharing, 'getAllShareTables', async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return [asset('sales', 'crm', 'orders')];
+  });
+  mock.method(deltaSharing, 'getLoadingStatus', () => ({ coverage: coverage({ complete: true, scanned: ['sales'] }) }));
+  t.after(() => mock.restoreAll());
+
+  const agreement = addAgreement({
+    name: 'Raced',
+    status: 'active',
+    shares: [],
+    requiredTags: [{ key: 'owner', value: 'data-team' }],
+  });
+
+  const [first, second] = await Promise.allSettled([
+    startEnforcementRun(agreement.id, 'race-env'),
+    startEnforcementRun(agreement.id, 'race-env'),
+  ]);
+  assert.equal(first.status, 'fulfilled');
+  assert.equal(second.status, 'rejected');
+  assert.equal(second.reason.status, 409);
+  const run = await first.value.done;
+  assert.deepEqual(run.shares.map(s => s.name), ['sales']);
+  assert.equal(getRuns({ agreementId: agreement.id }).length, 1);
+
+  tables.mock.mockImplementationOnce(async () => { throw new Error('inventory unavailable'); });
+  await assert.rejects(startEnforcementRun(agreement.id, 'race-env'), /inventory unavailable/);
+  assert.equal(getRuns({ agreementId: agreement.id }).length, 1);
+  assert.equal((await (await startEnforcementRun(agreement.id, 'race-env')).done).status, 'completed');
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockWorkspace } from './helpers/mockWorkspace.js';
+import '../data/storage/index.js';
+import { initEnforcementPlansStore, addPlan, getPlanById } from '../data/enforcementPlansStore.js';
+import { initTagChangeSetsStore, getChangeSetById } from '../data/tagChangeSetsStore.js';
+import { applyPlan, markInterruptedPlans } from '../services/enforcementPlans.js';
+
+await initEnforcementPlansStore();
+await initTagChangeSetsStore();
+
+// Workspace with governed tags through the entity tag assignments API
+async function startTagWorkspace(t, envId, tags) {
+  const assigned = new Map(Object.entries(tags).map(([entity, entityTags]) => [entity, { ...entityTags }]));
+  const workspace = await startMockWorkspace(envId, ({ method, path, body }) => {
+    const [, entity, key] = path.match(/\/entity-tag-assignments\/[^/]+\/([^/]+)\/tags(?:\/(.+))?$/) || [];
+    if (method === 'GET' && entity) {
+      return [200, { tag_assignments: Object.entries(assigned.get(entity) || {}).map(([tag_key, tag_value]) => ({ tag_key, tag_value })) }];
+    }
+    if (method === 'POST' && path.endsWith('/entity-tag-assignments')) {
+      const entityTags = assigned.get(body.entity_name) || {};
+      if (body.tag_key in entityTags) return [409, { error_code: 'RESOURCE_ALREADY_EXISTS', message: 'exists' }];
+      assigned.set(body.entity_name, { ...entityTags, [body.tag_key]: body.tag_value });
+      return [200, body];
+    }
+    if (method === 'PATCH' && key) {
+      assigned.get(entity)[key] = body.tag_value;
+      return [200, body];
+    }
+    if (method === 'DELETE' && key) {
+      delete assigned.get(entity)?.[key];
+      return [200, {}];
+    }
+  });
+  t.after(() => workspace.close());
+  return { ...workspace, assigned };
+}
+
+const planItem = (name, currentTags, changes) => ({
+  name,
+  entityType: 'tables',
+  nameParts: name.split('.'),
+  currentTags,
+  changes: { add: {}, change: {}, remove: [], ...changes },
+});
+
+const addSharePlan = (envId, items, unchangedItems = []) => addPlan({
+  environmentId: envId,
+  source: { type: 'share', shareName: 'sales', direction: 'provided', scope: 'table', pattern: null },
+  items,
+  unchangedItems,
+  summary: { withChanges: items.length },
+  createdBy: 'planner@example.com',
+});
+
+test('a plan cut off while applying is marked interrupted and can be applied again', async (t) => {
+  process.env.TAG_WRITE_METHOD = 'api';
+  // The interrupted apply had written orders completely and customers partly
+  const workspace = await startTagWorkspace(t, 'plans-resume', {
+    'sales.crm.orders': { owner: 'data-team', pii: 'true' },
+    'sales.crm.customers': { owner: 'data-team', legacy: 'yes' },
+    'sales.crm.invoices': { owner: 'finance' },
+  });
+  const plan = addSharePlan('plans-resume', [
+    planItem('sales.crm.orders', { owner: 'old-team' }, { add: { pii: 'true' }, change: { owner: { from: 'old-team', to: 'data-team' } } }),
+    planItem('sales.crm.customers', { owner: 'old-team', legacy: 'yes' }, { change: { owner: { from: 'old-team', to: 'data-team' } }, remove: ['legacy'] }),
+    planItem('sales.crm.invoices', {}, { add: { owner: 'finance' } }),
+  ]);
+  getPlanById(plan.id).status = 'applying';
+
+  markInterruptedPlans();
+  assert.equal(getPlanById(plan.id).status, 'interrupted');
+  assert.equal(getPlanById(plan.id).statusHistory.at(-1).comment, 'Cut off by a restart while applying');
+
+  const applied = await applyPlan(plan.id, 'applier@example.com');
+  assert.equal(applied.status, 'applied');
+  assert.deepEqual(workspace.assigned.get('sales.crm.customers'), { owner: 'data-team' });
+  assert.deepEqual(workspace.assigned.get('sales.crm.invoices'), { owner: 'finance' });
+
+  // The change set records the tags from before the plan, so it rolls the whole plan back
+  const changeSet = getChangeSetById(applied.changeSetId);
+  const orders = changeSet.changes.find(c => c.name === 'sales.crm.orders');
+  assert.deepEqual(orders.before, { owner: 'old-team', pii: null });
+});
+
+test('an interrupted plan is still stale when tags changed to values outside the plan', async (t) => {
+  process.env.TAG_WRITE_METHOD = 'api';
+  await startTagWorkspace(t, 'plans-drift', { 'sales.crm.orders': { owner: 'someone-else' } });
+  const plan = addSharePlan('plans-drift', [
+    planItem('sales.crm.orders', { owner: 'old-team' }, { change: { owner: { from: 'old-team', to: 'data-team' } } }),
+  ]);
+  getPlanById(plan.id).status = 'applying';
+  markInterruptedPlans();
+
+  await assert.rejects(applyPlan(plan.id), error => error.status === 409 && error.drift.length === 1);
+  assert.equal(getPlanById(plan.id).status, 'stale');
+});
+
+test('only planned and interrupted plans can be applied', async () => {
+  const plan = addSharePlan('plans-status', []);
+  getPlanById(plan.id).status = 'applied';
+  await assert.rejects(applyPlan(plan.id), error => error.status === 409);
+});
+
+test('a plan is stale when a securable it leaves unchanged drifted', async (t) => {
+  process.env.TAG_WRITE_METHOD = 'api';
+  const workspace = await startTagWorkspace(t, 'plans-unchanged', {
+    'sales.crm.orders': { owner: 'old-team' },
+    'sales.crm.customers': { owner: 'someone-else' },
+  });
+  const plan = addSharePlan(
+    'plans-unchanged',
+    [planItem('sales.crm.orders', { owner: 'old-team' }, { change: { owner: { from: 'old-team', to: 'data-team' } } })],
+    [{ name: 'sales.crm.customers', entityType: 'tables', nameParts: ['sales', 'crm', 'customers'], currentTags: { owner: 'data-team' } }],
+  );
+
+  await assert.rejects(applyPlan(plan.id), error => error.status === 409 && error.drift[0]?.name === 'sales.crm.customers');
+  assert.equal(getPlanById(plan.id).status, 'stale');
+  assert.deepEqual(workspace.assigned.get('sales.crm.orders'), { owner: 'old-team' });
+});
+
+test('an apply that throws marks the plan failed instead of leaving it applying', async (t) => {
+  process.env.TAG_WRITE_METHOD = 'api';
+  await startTagWorkspace(t, 'plans-throw', { 'sales.crm.orders': { owner: 'old-team' } });
+  // A corrupt item: its changes can't be turned into tag writes
+  const plan = addSharePlan('plans-throw', [{ ...planItem('sales.crm.orders', { owner: 'old-team' }), changes: null }]);
+
+  await assert.rejects(applyPlan(plan.id, 'applier@example.com'), TypeError);
+  const failed = getPlanById(plan.id);
+  assert.equal(failed.status, 'failed');
+  assert.ok(failed.error);
+  assert.deepEqual(failed.statusHistory.map(s => s.to), ['applying', 'failed']);
+});
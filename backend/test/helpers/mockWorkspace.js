@@ -0,0 +1,73 @@
+// Local stand-in for a Databricks workspace in tests: an HTTP server answering with a handler,
+// registered as an environment in the app config (import this before the services under test,
+// so storage and the asset cache stay out of the repo)
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import config from '../../config/databricks.js';
+
+process.env.STORAGE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dsc-test-'));
+process.env.CACHE_PERSIST = 'false';
+
+// The services log every call; keep the test output to results and errors (TEST_LOGS=true shows all)
+if (process.env.TEST_LOGS !== 'true') {
+  ['log', 'info', 'warn'].forEach(level => { console[level] = () => {}; });
+}
+
+/**
+ * Start a mock workspace for an environment
+ * @param {string} envId - Environment ID to register
+ * @param {Function} handler - ({ method, path, query, body, token }) => [status, data] (or
+ *   undefined for a 404 like a missing endpoint)
+ * @param {object} environment - Extra environment config (token defaults to 'config-pat')
+ * @returns {{ host, requests: Array, close: Function }} requests records every call made
+ */
+export async function startMockWorkspace(envId, handler, environment = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: decodeURIComponent(url.pathname),
+        query: Object.fromEntries(url.searchParams),
+        body: body ? JSON.parse(body) : null,
+        token: req.headers.authorization?.replace(/^Bearer /, '') || null,
+      };
+      requests.push(request);
+
+      let [status, data] = [404, { error_code: 'ENDPOINT_NOT_FOUND', message: `No mock for ${req.method} ${url.pathname}` }];
+      try {
+        [status, data] = (await handler(request)) || [status, data];
+      } catch (error) {
+        [status, data] = [500, { error_code: 'INTERNAL_ERROR', message: error.message }];
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data ?? {}));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const host = `http://127.0.0.1:${server.address().port}`;
+  config.environments[envId] = { enabled: true, name: envId, workspaceUrl: host, token: 'config-pat', ...environment };
+
+  return {
+    host,
+    requests,
+    close: () => {
+      delete config.environments[envId];
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+// Databricks API error body
+export const apiError = (status, errorCode, message = errorCode) => [status, { error_code: errorCode, message }];
+
+export default {
+  startMockWorkspace,
+  apiError,
+};
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureStorage, createPersistentCollection } from '../data/storage/persistentCollection.js';
+
+// In-memory backend recording every write
+const writes = [];
+const stored = new Map();
+configureStorage({
+  init: async () => {},
+  backend: () => ({
+    async load() {
+      return [...stored.values()];
+    },
+    async upsert(collection, record) {
+      writes.push(['upsert', record.id, record.version]);
+      stored.set(record.id, record);
+    },
+    async remove(collection, id) {
+      writes.push(['remove', id]);
+      stored.delete(id);
+    },
+    async removeMany(collection, ids) {
+      writes.push(['removeMany', ids]);
+      ids.forEach(id => stored.delete(id));
+    },
+  }),
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('saveLater writes only the latest version of a record once per delay', async () => {
+  writes.length = 0;
+  const collection = createPersistentCollection('deferred');
+  collection.saveLater({ id: 'a', version: 1 }, 20);
+  collection.saveLater({ id: 'a', version: 2 }, 20);
+  collection.saveLater({ id: 'b', version: 1 }, 20);
+  assert.deepEqual(writes, []);
+
+  await wait(40);
+  await collection.flush();
+  assert.deepEqual(writes, [['upsert', 'a', 2], ['upsert', 'b', 1]]);
+});
+
+test('save and flush replace a pending deferred write', async () => {
+  writes.length = 0;
+  const collection = createPersistentCollection('replaced');
+  collection.saveLater({ id: 'a', version: 1 }, 1000);
+  await collection.save({ id: 'a', version: 2 });
+  collection.saveLater({ id: 'b', version: 1 }, 1000);
+  await collection.flush();
+  await wait(10);
+  assert.deepEqual(writes, [['upsert', 'a', 2], ['upsert', 'b', 1]]);
+});
+
+test('prune drops the oldest prunable records beyond the limit, and those older than the cutoff', async () => {
+  writes.length = 0;
+  const collection = createPersistentCollection('pruned');
+  const record = (id, at, status = 'done') => ({ id, at, status });
+  const records = [
+    record('r1', '2026-01-01'),
+    record('r2', '2026-01-02', 'running'),
+    record('r3', '2026-01-03'),
+    record('r4', '2026-01-04'),
+    record('r5', '2026-01-05'),
+  ];
+
+  const dropped = collection.prune(records, { max: 3, canPrune: r => r.status === 'done', timestampOf: r => r.at });
+  await collection.flush();
+  assert.deepEqual(dropped.map(r => r.id), ['r1']);
+  assert.deepEqual(records.map(r => r.id), ['r2', 'r3', 'r4', 'r5']);
+
+  collection.prune(records, { olderThan: '2026-01-04', timestampOf: r => r.at });
+  await collection.flush();
+  assert.deepEqual(records.map(r => r.id), ['r4', 'r5']);
+  assert.deepEqual(writes, [['removeMany', ['r1']], ['removeMany', ['r3', 'r2']]]);
+
+  // Nothing to drop - nothing written
+  collection.prune(records, { max: 5, timestampOf: r => r.at });
+  await collection.flush();
+  assert.equal(writes.length, 2);
+});
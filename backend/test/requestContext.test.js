@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockWorkspace } from './helpers/mockWorkspace.js';
+import '../data/storage/index.js';
+import { initJobsStore, getJobById, addJob } from '../data/jobsStore.js';
+import { createDatabricksClient, getCachePartition } from '../services/databricksClient.js';
+import { registerJobType, enqueueJob, startJobQueue } from '../services/jobQueue.js';
+import { runWithRequestContext, runInBackground, getRequestContext } from '../services/requestContext.js';
+
+await initJobsStore();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('overlapping requests and background work each call with their own token', async (t) => {
+  const workspace = await startMockWorkspace('context-env', () => [200, {}]);
+  t.after(() => workspace.close());
+
+  // Each call names its caller, so the token it was sent with can be looked up
+  const call = async (caller) => {
+    const client = await createDatabricksClient('context-env');
+    await client.get('/api/2.0/ping', { params: { caller } });
+  };
+  const tokenOf = (caller) => workspace.requests.find(r => r.query.caller === caller)?.token;
+
+  registerJobType('context-test', {
+    listItems: async () => ['item'],
+    processItem: async () => call('job'),
+  });
+
+  // Request A starts background work, then waits until request B has made its call
+  let releaseA;
+  const bDone = new Promise(resolve => { releaseA = resolve; });
+  let jobId;
+  let background;
+
+  const requestA = runWithRequestContext({ userToken: 'token-a', userEmail: 'a@example.com' }, async () => {
+    jobId = enqueueJob('context-test', { environmentId: 'context-env' }).id;
+    background = runInBackground(() => call('background'));
+    await bDone;
+    await call('a');
+    assert.equal(getRequestContext().userEmail, 'a@example.com');
+    return getCachePartition('context-env');
+  });
+
+  const requestB = runWithRequestContext({ userToken: 'token-b', userEmail: 'b@example.com' }, async () => {
+    await wait(10);
+    await call('b');
+    releaseA();
+    assert.equal(getRequestContext().userEmail, 'b@example.com');
+    return getCachePartition('context-env');
+  });
+
+  const [partitionA, partitionB] = await Promise.all([requestA, requestB]);
+  await background;
+  while (['queued', 'running'].includes(getJobById(jobId).status)) {
+    await wait(10);
+  }
+
+  assert.equal(tokenOf('a'), 'token-a');
+  assert.equal(tokenOf('b'), 'token-b');
+  // Background work started during request A acts with the app's credentials
+  assert.equal(tokenOf('background'), 'config-pat');
+  // A job acts for the caller who queued it, even while other requests run
+  assert.equal(getJobById(jobId).status, 'completed');
+  assert.equal(getJobById(jobId).actsAs, 'caller');
+  assert.equal(tokenOf('job'), 'token-a');
+
+  assert.notEqual(partitionA, partitionB);
+  assert.equal(runInBackground(() => getCachePartition('context-env')), 'app');
+});
+
+test('a caller\'s job queued before a restart is interrupted, not run with the app\'s credentials', async (t) => {
+  const workspace = await startMockWorkspace('restart-env', () => [200, {}]);
+  t.after(() => workspace.close());
+
+  registerJobType('restart-test', {
+    listItems: async () => ['item'],
+    processItem: async () => (await createDatabricksClient('restart-env')).get('/api/2.0/ping'),
+  });
+
+  // As persisted by the previous process; the caller's credentials were only in its memory
+  const job = addJob({
+    type: 'restart-test',
+    environmentId: 'restart-env',
+    params: {},
+    status: 'queued',
+    items: [{ key: 'item', status: 'pending', error: null }],
+    progress: { total: 1, done: 0, failed: 0 },
+    createdBy: 'a@example.com',
+    actsAs: 'caller',
+  });
+
+  startJobQueue();
+  await wait(20);
+
+  assert.equal(getJobById(job.id).status, 'interrupted');
+  assert.equal(workspace.requests.length, 0);
+});
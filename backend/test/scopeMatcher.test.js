@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScope, validateScope, matchesScope, quoteScopeName, scopeFromNames } from '../services/scopeMatcher.js';
+
+const asset = (catalog, schema, name, assetType = 'table') => ({
+  catalog_name: catalog,
+  schema_name: schema,
+  name,
+  assetType,
+});
+
+test('regular expression parts match whole names', () => {
+  assert.equal(matchesScope('sales./crm_\\d/.*', asset('sales', 'crm_1', 't')), true);
+  assert.equal(matchesScope('sales./crm_\\d/.*', asset('sales', 'xcrm_1x', 't')), false);
+  assert.equal(matchesScope('sales./crm_\\d/.*', asset('sales', 'crm_12', 't')), false);
+  assert.equal(matchesScope('sales./.*crm_\\d.*/.*', asset('sales', 'xcrm_1x', 't')), true);
+  // Alternation stays inside the anchors
+  assert.equal(matchesScope('sales./crm|erp/.*', asset('sales', 'crm_eu', 't')), false);
+  assert.equal(matchesScope('sales./crm|erp/.*', asset('sales', 'erp', 't')), true);
+});
+
+test('regular expressions are case-sensitive unless flagged i', () => {
+  assert.equal(matchesScope('sales./CRM/.*', asset('sales', 'crm', 't')), false);
+  assert.equal(matchesScope('sales./CRM/i.*', asset('sales', 'crm', 't')), true);
+});
+
+test('escaped slashes stay inside a regular expression', () => {
+  const scope = 'sales./a\\/b/.*';
+  assert.deepEqual(validateScope(scope), []);
+  assert.equal(matchesScope(scope, asset('sales', 'a/b', 't')), true);
+  assert.equal(matchesScope(scope, asset('sales', 'a', 't')), false);
+  // A dot or comma inside an expression doesn't split the term
+  assert.equal(matchesScope('sales./eu\\.x,y/.*', asset('sales', 'eu.x,y', 't')), true);
+});
+
+test('unescaped slashes and unknown flags inside a regular expression are rejected', () => {
+  assert.match(validateScope('sales./a/b/.*')[0], /escape \/ inside it/);
+  assert.match(validateScope('sales./a/g.*')[0], /only the i flag/);
+  assert.match(validateScope('sales./a(/.*')[0], /invalid regular expression/);
+  assert.match(validateScope('sales./crm.*')[0], /unterminated regular expression/);
+  assert.equal(matchesScope('sales./a/b/.*', asset('sales', 'a/b', 't')), false);
+});
+
+test('backticks quote names with dots, spaces and glob characters', () => {
+  assert.equal(matchesScope('`my.catalog`.`odd name`.*', asset('my.catalog', 'odd name', 't')), true);
+  assert.equal(matchesScope('`my.catalog`.*.*', asset('my', 'catalog', 't')), false);
+  // Glob characters inside quotes are literal
+  assert.equal(matchesScope('sales.`crm_*`.*', asset('sales', 'crm_*', 't')), true);
+  assert.equal(matchesScope('sales.`crm_*`.*', asset('sales', 'crm_eu', 't')), false);
+  assert.equal(matchesScope('sales.`a?`.*', asset('sales', 'ab', 't')), false);
+  // Separators inside quotes don't split terms
+  assert.equal(parseScope('`a b,c`.*.*').include.length, 1);
+  assert.match(validateScope('`sales.*.*')[0], /unterminated quoted name/);
+});
+
+test('dots outside quotes separate at most three parts', () => {
+  assert.match(validateScope('a.b.c.d')[0], /at most three parts/);
+  assert.equal(matchesScope('sales', asset('sales', 'crm', 't')), true);
+  assert.equal(matchesScope('sales', asset('sales_eu', 'crm', 't')), false);
+  assert.equal(matchesScope('sales.crm', asset('sales', 'crm', 't')), true);
+});
+
+test('globs match whole names, case-insensitively', () => {
+  assert.equal(matchesScope('sales.crm_*.customers?', asset('SALES', 'crm_eu', 'customers1')), true);
+  assert.equal(matchesScope('sales.crm_*.customers?', asset('sales', 'crm_eu', 'customers')), false);
+  assert.equal(matchesScope('sales.crm_*.*', asset('sales', 'xcrm_eu', 't')), false);
+});
+
+test('! terms exclude matches', () => {
+  const scope = 'sales.*.* !sales.tmp.* !sales./scratch_\\d+/.*';
+  assert.equal(matchesScope(scope, asset('sales', 'crm', 't')), true);
+  assert.equal(matchesScope(scope, asset('sales', 'tmp', 't')), false);
+  assert.equal(matchesScope(scope, asset('sales', 'scratch_1', 't')), false);
+  assert.equal(matchesScope(scope, asset('sales', 'scratch_x', 't')), true);
+  // Only excludes means everything else
+  assert.equal(matchesScope('!sales.*.*', asset('finance', 'gl', 't')), true);
+  assert.equal(matchesScope('!sales.*.*', asset('sales', 'gl', 't')), false);
+});
+
+test('type prefixes restrict the asset types a term matches', () => {
+  assert.equal(matchesScope('volume:sales.*.*', asset('sales', 'raw', 'files', 'volume')), true);
+  assert.equal(matchesScope('volume:sales.*.*', asset('sales', 'raw', 'orders')), false);
+  assert.equal(matchesScope('table|model:*.*.*', asset('ml', 'models', 'churn', 'model')), true);
+  assert.equal(matchesScope('table|model:*.*.*', asset('ml', 'fns', 'f', 'function')), false);
+  assert.equal(matchesScope('all !volume:*.*.*', asset('sales', 'raw', 'files', 'volume')), false);
+  assert.equal(matchesScope('volume:/raw|landing/', asset('raw', 'x', 'y', 'volume')), true);
+  assert.match(validateScope('view:sales.*.*')[0], /unknown asset type view/);
+});
+
+test('scopeFromNames quotes names that need it', () => {
+  assert.equal(quoteScopeName('crm_eu'), 'crm_eu');
+  assert.equal(scopeFromNames({ catalog: 'my.catalog', schema: 'crm*' }), '`my.catalog`.`crm*`.*');
+  assert.equal(matchesScope(scopeFromNames({ catalog: 'my.catalog', schema: 'crm*' }), asset('my.catalog', 'crm*', 't')), true);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/mockWorkspace.js';
+import '../data/storage/index.js';
+import { initTagChangeSetsStore } from '../data/tagChangeSetsStore.js';
+import { recordChangeSet } from '../services/tagChangeSets.js';
+
+await initTagChangeSetsStore();
+
+test('a securable written twice keeps its first before and last after, without changing the snapshots passed in', () => {
+  const first = { kind: 'governed', name: 'sales.crm.orders', before: { owner: 'legacy-team' }, after: { owner: 'data-team' } };
+  const second = { kind: 'governed', name: 'sales.crm.orders', before: { owner: 'data-team', tier: null }, after: { owner: 'gold-team', tier: 'gold' } };
+
+  const changeSet = recordChangeSet({
+    environmentId: 'changes-env',
+    source: { type: 'test' },
+    description: 'Two writes',
+    changes: [first, second, null],
+  });
+
+  assert.equal(changeSet.changes.length, 1);
+  assert.deepEqual(changeSet.changes[0].before, { owner: 'legacy-team', tier: null });
+  assert.deepEqual(changeSet.changes[0].after, { owner: 'gold-team', tier: 'gold' });
+  assert.deepEqual(first, { kind: 'governed', name: 'sales.crm.orders', before: { owner: 'legacy-team' }, after: { owner: 'data-team' } });
+});
@@ -0,0 +1,245 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockWorkspace, apiError } from './helpers/mockWorkspace.js';
+import '../data/storage/index.js';
+import { deltaSharing, unityCatalog } from '../services/databricksClient.js';
+import { applyTagsToShare, applyTagChanges, onTagsWritten } from '../services/tagPropagation.js';
+import { validateAsset } from '../services/complianceValidation.js';
+
+const TAG_API = '/api/2.1/unity-catalog/entity-tag-assignments';
+
+// Workspace with governed tags, the SQL statements endpoint and the list endpoints (catalog sales,
+// schema crm, table orders - whose table properties name another owner than its tags). Securables
+// named "locked..." refuse tag writes, "missing..." don't exist; tagApi: false answers like a
+// workspace without the entity tag assignments API.
+async function startTagWorkspace(t, envId, { tagApi = true, tags = {} } = {}) {
+  const assigned = new Map(Object.entries(tags).map(([entity, entityTags]) => [entity, { ...entityTags }]));
+  const tagsOf = (entity) => {
+    if (!assigned.has(entity)) assigned.set(entity, {});
+    return assigned.get(entity);
+  };
+  const statements = [];
+
+  const workspace = await startMockWorkspace(envId, ({ method, path, body }) => {
+    if (path.startsWith(TAG_API)) {
+      if (!tagApi) return apiError(404, 'ENDPOINT_NOT_FOUND', 'Not found');
+
+      if (method === 'POST') {
+        if (body.entity_name.includes('missing')) return apiError(404, 'TABLE_DOES_NOT_EXIST', `Table ${body.entity_name} does not exist`);
+        if (body.entity_name.includes('locked')) return apiError(403, 'PERMISSION_DENIED', 'User does not have APPLY TAG');
+        if (body.tag_key in tagsOf(body.entity_name)) return apiError(409, 'RESOURCE_ALREADY_EXISTS');
+        tagsOf(body.entity_name)[body.tag_key] = body.tag_value;
+        return [200, body];
+      }
+
+      const [, entity, key] = path.match(/^[^/]*(?:\/[^/]+){4}\/[^/]+\/([^/]+)\/tags(?:\/(.+))?$/);
+      if (method === 'GET') {
+        return [200, { tag_assignments: Object.entries(tagsOf(entity)).map(([tag_key, tag_value]) => ({ tag_key, tag_value })) }];
+      }
+      if (method === 'PATCH') {
+        tagsOf(entity)[key] = body.tag_value;
+        return [200, body];
+      }
+      if (method === 'DELETE') {
+        delete tagsOf(entity)[key];
+        return [200, {}];
+      }
+    }
+
+    if (method === 'POST' && path === '/api/2.0/sql/statements') {
+      statements.push(body.statement);
+      if (body.statement.includes('locked')) {
+        return [200, { statement_id: 'st-1', status: { state: 'FAILED', error: { message: 'PERMISSION_DENIED: User does not have APPLY TAG' } } }];
+      }
+      return [200, {
+        statement_id: 'st-1',
+        status: { state: 'SUCCEEDED' },
+        manifest: { schema: { columns: [{ name: 'tag_name' }, { name: 'tag_value' }] } },
+        result: { data_array: [] },
+      }];
+    }
+
+    if (method === 'GET' && path === '/api/2.1/unity-catalog/catalogs') {
+      return [200, { catalogs: [{ name: 'sales' }] }];
+    }
+    if (method === 'GET' && path === '/api/2.1/unity-catalog/schemas') {
+      return [200, { schemas: [{ name: 'crm' }] }];
+    }
+    if (method === 'GET' && path === '/api/2.1/unity-catalog/tables') {
+      return [200, { tables: [{ name: 'orders', full_name: 'sales.crm.orders', properties: { owner: 'legacy-team' } }] }];
+    }
+    const emptyLists = { volumes: 'volumes', functions: 'functions', models: 'registered_models' };
+    const listed = path.match(/^\/api\/2\.1\/unity-catalog\/(volumes|functions|models)$/)?.[1];
+    if (method === 'GET' && listed) {
+      return [200, { [emptyLists[listed]]: [] }];
+    }
+  }, { warehouseId: 'wh-1' });
+
+  t.after(() => workspace.close());
+  return { ...workspace, assigned, statements };
+}
+
+const withTagWriteMethod = (t, method) => {
+  const previous = process.env.TAG_WRITE_METHOD;
+  process.env.TAG_WRITE_METHOD = method;
+  t.after(() => {
+    if (previous === undefined) delete process.env.TAG_WRITE_METHOD;
+    else process.env.TAG_WRITE_METHOD = previous;
+  });
+};
+
+const shareAsset = (schema, name, assetType = 'table') => ({
+  catalog_name: 'sales',
+  schema_name: schema,
+  name,
+  fullName: `sales.${schema}.${name}`,
+  assetType,
+});
+
+const tableTarget = (name) => ({ entityType: 'tables', nameParts: name.split('.'), name });
+
+test('api: tags each asset, updates assigned keys and reports failures per asset', async (t) => {
+  withTagWriteMethod(t, 'api');
+  const workspace = await startTagWorkspace(t, 'tags-api', { tags: { 'sales.crm.orders': { owner: 'old-team' } } });
+  mock.method(deltaSharing, 'getAllShareTables', async () => [
+    shareAsset('crm', 'orders'),
+    shareAsset('crm', 'locked_orders'),
+    shareAsset('ml', 'churn', 'model'),
+    { ...shareAsset('crm', 'ledger'), catalog_name: 'finance', fullName: 'finance.crm.ledger' },
+  ]);
+  t.after(() => mock.restoreAll());
+
+  const result = await applyTagsToShare('tags-api', 'sales', { owner: 'data-team', pii: 'true' }, 'provided', { scope: 'table' });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.summary, { total: 3, succeeded: 1, failed: 1, skipped: 1 });
+  assert.deepEqual(result.results.success.map(r => [r.asset, r.method]), [['sales.crm.orders', 'api']]);
+  assert.equal(result.results.failed[0].asset, 'sales.crm.locked_orders');
+  assert.deepEqual(result.results.failed[0].failedTags, ['owner', 'pii']);
+  assert.match(result.results.failed[0].error, /APPLY TAG/);
+  assert.equal(result.results.skipped[0].asset, 'sales.ml.churn');
+
+  // The assigned key was updated in place, the new one created
+  assert.deepEqual(workspace.assigned.get('sales.crm.orders'), { owner: 'data-team', pii: 'true' });
+  const update = workspace.requests.find(r => r.method === 'PATCH');
+  assert.equal(update.path, `${TAG_API}/tables/sales.crm.orders/tags/owner`);
+  assert.equal(update.query.update_mask, 'tag_value');
+  assert.equal(workspace.statements.length, 0);
+
+  // Snapshot of what changed, for rollback
+  const change = result.changes.find(c => c.name === 'sales.crm.orders');
+  assert.deepEqual(change.before, { owner: 'old-team', pii: null });
+  assert.deepEqual(change.after, { owner: 'data-team', pii: 'true' });
+});
+
+test('sql: writes all tags of a securable in one ALTER statement', async (t) => {
+  withTagWriteMethod(t, 'sql');
+  const workspace = await startTagWorkspace(t, 'tags-sql');
+
+  const written = await applyTagChanges('tags-sql', tableTarget('sales.crm.orders'), { set: { owner: "o'brien", pii: 'true' } });
+  assert.equal(written.method, 'sql');
+  assert.deepEqual(written.applied, ['owner', 'pii']);
+  assert.ok(workspace.statements.includes("ALTER TABLE `sales`.`crm`.`orders` SET TAGS ('owner' = 'o\\'brien', 'pii' = 'true')"));
+
+  const removed = await applyTagChanges('tags-sql', tableTarget('sales.crm.orders'), { remove: ['pii'] });
+  assert.deepEqual(removed.applied, ['pii']);
+  assert.ok(workspace.statements.includes("ALTER TABLE `sales`.`crm`.`orders` UNSET TAGS ('pii')"));
+
+  // A failed statement fails every tag it would have set
+  const failed = await applyTagChanges('tags-sql', tableTarget('sales.crm.locked_orders'), { set: { owner: 'x', pii: 'true' } });
+  assert.deepEqual(failed.applied, []);
+  assert.deepEqual(failed.failed.map(f => f.key), ['owner', 'pii']);
+  assert.match(failed.failed[0].error, /APPLY TAG/);
+
+  assert.equal(workspace.requests.filter(r => r.path.startsWith(TAG_API)).length, 0);
+});
+
+test('auto: falls back to SQL where the tag API is missing and remembers it', async (t) => {
+  withTagWriteMethod(t, 'auto');
+  const workspace = await startTagWorkspace(t, 'tags-auto-sql', { tagApi: false });
+
+  const first = await applyTagChanges('tags-auto-sql', tableTarget('sales.crm.orders'), { set: { owner: 'data-team' } });
+  assert.equal(first.method, 'sql');
+  assert.deepEqual(first.applied, ['owner']);
+
+  const apiCalls = workspace.requests.filter(r => r.path.startsWith(TAG_API)).length;
+  const second = await applyTagChanges('tags-auto-sql', tableTarget('sales.crm.customers'), { set: { owner: 'data-team' } });
+  assert.equal(second.method, 'sql');
+  assert.equal(workspace.requests.filter(r => r.path.startsWith(TAG_API)).length, apiCalls);
+  assert.equal(workspace.statements.filter(s => s.startsWith('ALTER TABLE')).length, 2);
+});
+
+test('auto: a missing object is a failure, not a reason to fall back', async (t) => {
+  withTagWriteMethod(t, 'auto');
+  const workspace = await startTagWorkspace(t, 'tags-auto-api');
+
+  const written = await applyTagChanges('tags-auto-api', tableTarget('sales.crm.missing_orders'), { set: { owner: 'data-team' } });
+  assert.equal(written.method, 'api');
+  assert.deepEqual(written.applied, []);
+  assert.match(written.failed[0].error, /does not exist/);
+  assert.equal(workspace.statements.filter(s => s.startsWith('ALTER')).length, 0);
+});
+
+test('tag writes refresh the cache of the written catalog and notify listeners', async (t) => {
+  withTagWriteMethod(t, 'api');
+  const workspace = await startTagWorkspace(t, 'tags-cache');
+  const notified = [];
+  t.after(onTagsWritten(event => notified.push(event)));
+  const schemaListings = (catalog) =>
+    workspace.requests.filter(r => r.path === '/api/2.1/unity-catalog/schemas' && r.query.catalog_name === catalog).length;
+
+  await unityCatalog.listSchemas('tags-cache', 'sales');
+  await unityCatalog.listSchemas('tags-cache', 'finance');
+  await unityCatalog.listSchemas('tags-cache', 'sales');
+  assert.equal(schemaListings('sales'), 1);
+
+  // Nothing written - nothing to refresh
+  await applyTagChanges('tags-cache', tableTarget('sales.crm.locked_orders'), { set: { owner: 'data-team' } });
+  assert.equal(notified.length, 0);
+
+  await applyTagChanges('tags-cache', tableTarget('sales.crm.orders'), { set: { owner: 'data-team' } });
+  assert.deepEqual(notified, [{ environmentId: 'tags-cache', catalogs: ['sales'] }]);
+
+  await unityCatalog.listSchemas('tags-cache', 'sales');
+  await unityCatalog.listSchemas('tags-cache', 'finance');
+  assert.equal(schemaListings('sales'), 2);
+  assert.equal(schemaListings('finance'), 1);
+});
+
+test('tagging a share refreshes once after all its writes', async (t) => {
+  withTagWriteMethod(t, 'api');
+  await startTagWorkspace(t, 'tags-share-cache');
+  mock.method(deltaSharing, 'getAllShareTables', async () => [shareAsset('crm', 'orders'), shareAsset('crm', 'customers')]);
+  t.after(() => mock.restoreAll());
+  const notified = [];
+  t.after(onTagsWritten(event => notified.push(event)));
+
+  const result = await applyTagsToShare('tags-share-cache', 'sales', { owner: 'data-team' }, 'provided', { scope: 'table' });
+  assert.equal(result.success, true);
+  assert.deepEqual(notified, [{ environmentId: 'tags-share-cache', catalogs: ['sales'] }]);
+});
+
+test('validation checks the governed tags that tag writes assign', async (t) => {
+  withTagWriteMethod(t, 'api');
+  await startTagWorkspace(t, 'tags-validate', { tags: { 'sales.crm.orders': { owner: 'old-team' } } });
+  const agreement = {
+    id: 'agreement-owner',
+    name: 'Owner',
+    status: 'active',
+    environments: ['tags-validate'],
+    shares: [],
+    parsedRequirements: [{ requiredTags: { owner: 'data-team' }, scope: 'all', severity: 'critical' }],
+  };
+  const validateOrders = async (assets) => validateAsset(assets.find(a => a.fullName === 'sales.crm.orders'), [agreement]);
+
+  // The table property doesn't count, the governed tag does
+  const before = await validateOrders(await deltaSharing.getAllShareTables('tags-validate'));
+  assert.equal(before.compliant, false);
+  assert.equal(before.violations[0].actualValue, 'old-team');
+
+  const result = await applyTagsToShare('tags-validate', 'sales', { owner: 'data-team' }, 'provided', { scope: 'table' });
+  assert.equal(result.success, true);
+
+  const after = await validateOrders(await deltaSharing.refreshAllShareTables('tags-validate'));
+  assert.equal(after.compliant, true);
+});
@@ -8,6 +8,10 @@ import TagManagement from './pages/TagManagement';
 import ComplianceReport from './pages/ComplianceReport';
 import AgreementsPage from './pages/AgreementsPage';
 import RemediationPage from './pages/RemediationPage';
+import EnforcementPlansPage from './pages/EnforcementPlansPage';
+import ChangeHistoryPage from './pages/ChangeHistoryPage';
+import JobsPage from './pages/JobsPage';
+import SchedulesPage from './pages/SchedulesPage';
 import AssetDetails from './pages/AssetDetails';
 import './App.css';
 
@@ -29,11 +33,15 @@ function App() {
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/shares" element={<SharesExplorer />} />
-            <Route path="/shares/:shareId" element={<AssetDetails />} />
+            <Route path="/assets/:envId/:fullName" element={<AssetDetails />} />
             <Route path="/tags" element={<TagManagement />} />
             <Route path="/compliance" element={<ComplianceReport />} />
             <Route path="/agreements" element={<AgreementsPage />} />
             <Route path="/remediation" element={<RemediationPage />} />
+            <Route path="/enforcement" element={<EnforcementPlansPage />} />
+            <Route path="/changes" element={<ChangeHistoryPage />} />
+            <Route path="/jobs" element={<JobsPage />} />
+            <Route path="/schedules" element={<SchedulesPage />} />
           </Routes>
         </Box>
       </Box>
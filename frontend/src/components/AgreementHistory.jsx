@@ -0,0 +1,406 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from '@mui/material';
+import RestoreIcon from '@mui/icons-material/Restore';
+import {
+  getAgreementRevisions,
+  getAgreementRevisionDiff,
+  restoreAgreementRevision,
+} from '../services/agreementService';
+import { describeRule, formatTagRequirement } from '../services/requirementRules';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  retentionYears: 'Retention Period (years)',
+  disseminationRules: 'Dissemination Rules',
+  effectiveDate: 'Effective Date',
+  expiryDate: 'Expiry Date',
+  renewalNoticeDate: 'Renewal Notice Date',
+  scope: 'Requirement Scope',
+};
+
+const ACTION_COLORS = {
+  create: 'success',
+  baseline: 'default',
+  update: 'primary',
+  restore: 'warning',
+  delete: 'error',
+  status: 'info',
+  expiry_notice: 'warning',
+};
+
+const REMOVED_BG = 'rgba(244, 67, 54, 0.12)';
+const ADDED_BG = 'rgba(76, 175, 80, 0.12)';
+
+// Pair up the line diff so removed lines sit next to the lines that replaced them
+const toSideBySideRows = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let i = 0; i < count; i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of lines) {
+    if (line.type === 'removed') {
+      removed.push(line);
+    } else if (line.type === 'added') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  }
+  flush();
+
+  return rows;
+};
+
+const formatScope = (scope) =>
+  typeof scope === 'string' ? scope : `${scope.fullName} (${scope.type || scope.scope || 'asset'})`;
+
+const formatColumnRequirement = (requirement) => {
+  const tags = (requirement.requiredTags || []).map(formatTagRequirement);
+  return `/${requirement.pattern}/ ${[...tags, ...(requirement.masked ? ['masked'] : [])].join(', ')}`;
+};
+
+const LIST_FORMATTERS = {
+  assetScopes: formatScope,
+  columnRequirements: formatColumnRequirement,
+  rules: describeRule,
+};
+
+const LIST_LABELS = {
+  assetScopes: 'Asset Scopes',
+  columnRequirements: 'Column Requirements',
+  rules: 'Rules',
+};
+
+const DiffCell = ({ children, background }) => (
+  <TableCell sx={{ width: '40%', verticalAlign: 'top', backgroundColor: background, whiteSpace: 'pre-wrap' }}>
+    {children}
+  </TableCell>
+);
+
+const AgreementHistory = ({ agreementId, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fromRevision, setFromRevision] = useState('');
+  const [toRevision, setToRevision] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const loadDiff = async (from, to) => {
+    setFromRevision(from);
+    setToRevision(to);
+    if (!from || !to || from === to) {
+      setDiff(null);
+      return;
+    }
+
+    setDiffLoading(true);
+    try {
+      setDiff(await getAgreementRevisionDiff(agreementId, from, to));
+    } catch (err) {
+      console.error('Failed to load revision diff:', err);
+      setError(err.response?.data?.message || 'Failed to load revision diff');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  // Load the revision log and compare the latest revision with the one before it
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRevisions = async () => {
+      try {
+        const data = await getAgreementRevisions(agreementId);
+        const latest = data[data.length - 1]?.revision || '';
+        const initialDiff = latest > 1 ? await getAgreementRevisionDiff(agreementId, latest - 1, latest) : null;
+        if (cancelled) return;
+
+        setRevisions(data);
+        setFromRevision(latest > 1 ? latest - 1 : latest);
+        setToRevision(latest);
+        setDiff(initialDiff);
+        setError(null);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load agreement revisions:', err);
+        setError(err.response?.status === 404 ? 'No history recorded for this agreement yet' : 'Failed to load agreement history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadRevisions();
+    return () => {
+      cancelled = true;
+    };
+  }, [agreementId, reloadCount]);
+
+  const handleRestore = async (revision) => {
+    const reason = window.prompt(
+      `Restore the terms from revision ${revision}? This creates a new revision.\n\nReason for restoring:`
+    );
+    if (reason === null) {
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      const result = await restoreAgreementRevision(agreementId, revision, reason || undefined);
+      setReloadCount(count => count + 1);
+      onRestored?.(result.agreement);
+    } catch (err) {
+      console.error('Failed to restore revision:', err);
+      alert(err.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress size={32} />
+      </Box>
+    );
+  }
+
+  if (error && revisions.length === 0) {
+    return <Alert severity="info" sx={{ mt: 2 }}>{error}</Alert>;
+  }
+
+  const latestRevision = revisions[revisions.length - 1]?.revision;
+  const tagChanges = diff?.diff.requiredTags;
+  const contentRows = diff?.diff.content.lines ? toSideBySideRows(diff.diff.content.lines) : [];
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {/* Revision log */}
+      <Typography variant="subtitle2" gutterBottom>
+        Revisions
+      </Typography>
+      <Paper variant="outlined" sx={{ mb: 3, maxHeight: 240, overflow: 'auto' }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>#</TableCell>
+              <TableCell>Change</TableCell>
+              <TableCell>Changed By</TableCell>
+              <TableCell>When</TableCell>
+              <TableCell>Reason</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {[...revisions].reverse().map((rev) => (
+              <TableRow key={rev.revision} hover>
+                <TableCell>{rev.revision}</TableCell>
+                <TableCell>
+                  <Chip
+                    label={rev.restoredFrom ? `restore of #${rev.restoredFrom}` : rev.action}
+                    size="small"
+                    color={ACTION_COLORS[rev.action] || 'default'}
+                    variant="outlined"
+                  />
+                </TableCell>
+                <TableCell>{rev.changedBy}</TableCell>
+                <TableCell>{new Date(rev.changedAt).toLocaleString()}</TableCell>
+                <TableCell>
+                  <Typography variant="caption" color="text.secondary">
+                    {rev.reason || '—'}
+                  </Typography>
+                </TableCell>
+                <TableCell align="right">
+                  {rev.revision !== latestRevision && rev.action !== 'delete' && (
+                    <Button
+                      size="small"
+                      startIcon={<RestoreIcon />}
+                      onClick={() => handleRestore(rev.revision)}
+                      disabled={restoring}
+                    >
+                      Restore
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {/* Revision comparison */}
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <Typography variant="subtitle2">Compare</Typography>
+        {[
+          { label: 'From', value: fromRevision, onChange: (v) => loadDiff(v, toRevision) },
+          { label: 'To', value: toRevision, onChange: (v) => loadDiff(fromRevision, v) },
+        ].map(({ label, value, onChange }) => (
+          <FormControl key={label} size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>{label}</InputLabel>
+            <Select label={label} value={value} onChange={(e) => onChange(e.target.value)}>
+              {revisions.map((rev) => (
+                <MenuItem key={rev.revision} value={rev.revision}>
+                  Revision {rev.revision}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ))}
+        {diffLoading && <CircularProgress size={20} />}
+      </Box>
+
+      {!diff && !diffLoading && (
+        <Typography variant="body2" color="text.secondary">
+          Select two different revisions to compare them.
+        </Typography>
+      )}
+
+      {diff && !diff.diff.hasChanges && (
+        <Alert severity="info">No differences between revision {diff.from.revision} and revision {diff.to.revision}.</Alert>
+      )}
+
+      {diff && diff.diff.hasChanges && (
+        <Paper variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ width: '20%' }}>Field</TableCell>
+                <TableCell sx={{ width: '40%' }}>
+                  Revision {diff.from.revision}
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {diff.from.changedBy} • {new Date(diff.from.changedAt).toLocaleString()}
+                  </Typography>
+                </TableCell>
+                <TableCell sx={{ width: '40%' }}>
+                  Revision {diff.to.revision}
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {diff.to.changedBy} • {new Date(diff.to.changedAt).toLocaleString()}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {Object.entries(diff.diff.fields).map(([field, change]) => (
+                <TableRow key={field}>
+                  <TableCell>{FIELD_LABELS[field] || field}</TableCell>
+                  <DiffCell background={REMOVED_BG}>{change.from || '—'}</DiffCell>
+                  <DiffCell background={ADDED_BG}>{change.to || '—'}</DiffCell>
+                </TableRow>
+              ))}
+
+              {tagChanges.changed.map((tag) => (
+                <TableRow key={`tag-changed-${tag.key}`}>
+                  <TableCell>Tag: {tag.key}</TableCell>
+                  <DiffCell background={REMOVED_BG}>{tag.from}</DiffCell>
+                  <DiffCell background={ADDED_BG}>{tag.to}</DiffCell>
+                </TableRow>
+              ))}
+              {tagChanges.removed.map((tag) => (
+                <TableRow key={`tag-removed-${tag.key}`}>
+                  <TableCell>Tag: {tag.key}</TableCell>
+                  <DiffCell background={REMOVED_BG}>{tag.value}</DiffCell>
+                  <DiffCell>—</DiffCell>
+                </TableRow>
+              ))}
+              {tagChanges.added.map((tag) => (
+                <TableRow key={`tag-added-${tag.key}`}>
+                  <TableCell>Tag: {tag.key}</TableCell>
+                  <DiffCell>—</DiffCell>
+                  <DiffCell background={ADDED_BG}>{tag.value}</DiffCell>
+                </TableRow>
+              ))}
+
+              {['shares', 'environments', 'assetScopes', 'columnRequirements', 'rules'].map((field) => {
+                const change = diff.diff[field];
+                if (!change || (change.added.length === 0 && change.removed.length === 0)) {
+                  return null;
+                }
+                const format = LIST_FORMATTERS[field] || ((v) => v);
+                return (
+                  <TableRow key={field}>
+                    <TableCell>
+                      {LIST_LABELS[field] || field.charAt(0).toUpperCase() + field.slice(1)}
+                    </TableCell>
+                    <DiffCell background={change.removed.length > 0 ? REMOVED_BG : undefined}>
+                      {change.removed.map(format).join('\n') || '—'}
+                    </DiffCell>
+                    <DiffCell background={change.added.length > 0 ? ADDED_BG : undefined}>
+                      {change.added.map(format).join('\n') || '—'}
+                    </DiffCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+
+          {diff.diff.content.changed && (
+            <Box sx={{ p: 2 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                Agreement Content
+              </Typography>
+              {diff.diff.content.lines ? (
+                <Paper variant="outlined" sx={{ maxHeight: 320, overflow: 'auto' }}>
+                  <Table size="small" sx={{ '& td': { fontFamily: 'monospace', fontSize: 12, py: 0.25 } }}>
+                    <TableBody>
+                      {contentRows.map((row, idx) => {
+                        const changed = row.left !== row.right;
+                        return (
+                          <TableRow key={idx}>
+                            <DiffCell background={changed && row.left ? REMOVED_BG : undefined}>
+                              {row.left?.text}
+                            </DiffCell>
+                            <DiffCell background={changed && row.right ? ADDED_BG : undefined}>
+                              {row.right?.text}
+                            </DiffCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </Paper>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  The agreement text changed but is too long to compare line by line.
+                </Typography>
+              )}
+            </Box>
+          )}
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default AgreementHistory;
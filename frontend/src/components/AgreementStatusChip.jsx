@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { Chip, Menu, MenuItem, ListItemText } from '@mui/material';
+import ArrowDropDownIcon from '@mui/icons-material/ArrowDropDown';
+
+const STATUS_DISPLAY = {
+  draft: { label: 'Draft', color: 'default' },
+  pending_review: { label: 'Pending Review', color: 'warning' },
+  approved: { label: 'Approved', color: 'info' },
+  active: { label: 'Active', color: 'success' },
+  suspended: { label: 'Suspended', color: 'secondary' },
+  expired: { label: 'Expired', color: 'error' },
+  terminated: { label: 'Terminated', color: 'error' },
+};
+
+// What moving to each status means, shown in the transition menu
+const TRANSITION_LABELS = {
+  pending_review: 'Submit for review',
+  approved: 'Approve',
+  draft: 'Return to draft',
+  active: 'Activate',
+  suspended: 'Suspend',
+  expired: 'Mark as expired',
+  terminated: 'Terminate',
+};
+
+// Status chip for an agreement; when transitions are given it opens a menu of the next states
+const AgreementStatusChip = ({ status, transitions, onTransition, size = 'small' }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const display = STATUS_DISPLAY[status] || { label: status || 'Unknown', color: 'default' };
+  const nextStatuses = transitions?.[status] || [];
+  const interactive = Boolean(onTransition) && nextStatuses.length > 0;
+
+  return (
+    <>
+      <Chip
+        label={display.label}
+        color={display.color}
+        size={size}
+        variant={status === 'active' ? 'filled' : 'outlined'}
+        onClick={interactive ? (e) => setAnchorEl(e.currentTarget) : undefined}
+        onDelete={interactive ? (e) => setAnchorEl(e.currentTarget.parentElement) : undefined}
+        deleteIcon={interactive ? <ArrowDropDownIcon /> : undefined}
+      />
+      {interactive && (
+        <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+          {nextStatuses.map((next) => (
+            <MenuItem
+              key={next}
+              onClick={() => {
+                setAnchorEl(null);
+                onTransition(next);
+              }}
+            >
+              <ListItemText
+                primary={TRANSITION_LABELS[next] || next}
+                secondary={`→ ${STATUS_DISPLAY[next]?.label || next}`}
+              />
+            </MenuItem>
+          ))}
+        </Menu>
+      )}
+    </>
+  );
+};
+
+export default AgreementStatusChip;
@@ -0,0 +1,78 @@
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  IconButton,
+  TextField,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import RemoveCircleIcon from '@mui/icons-material/RemoveCircle';
+
+// Editable list of column requirements: { pattern, tagsText ("pii=true, class=restricted"), masked }
+const ColumnRequirementsEditor = ({ rows, onChange }) => {
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="caption" color="text.secondary">
+          Columns whose name matches the pattern (a case-insensitive regular expression, e.g. <code>email|ssn</code>) must carry
+          the tags and/or be masked.
+        </Typography>
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<AddIcon />}
+          onClick={() => onChange([...rows, { pattern: '', tagsText: '', masked: false }])}
+          sx={{ flexShrink: 0, ml: 2 }}
+        >
+          Add Rule
+        </Button>
+      </Box>
+
+      {rows.map((row, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1, alignItems: 'center' }}>
+          <TextField
+            label="Column Pattern"
+            value={row.pattern}
+            onChange={(e) => updateRow(index, 'pattern', e.target.value)}
+            size="small"
+            placeholder="e.g., email|ssn"
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            label="Required Tags"
+            value={row.tagsText}
+            onChange={(e) => updateRow(index, 'tagsText', e.target.value)}
+            size="small"
+            placeholder="e.g., pii=true"
+            sx={{ flex: 1 }}
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={row.masked}
+                onChange={(e) => updateRow(index, 'masked', e.target.checked)}
+                size="small"
+              />
+            }
+            label="Masked"
+          />
+          <IconButton
+            onClick={() => onChange(rows.filter((_, i) => i !== index))}
+            color="error"
+            size="small"
+          >
+            <RemoveCircleIcon />
+          </IconButton>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default ColumnRequirementsEditor;
@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+} from '@mui/material';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+} from 'recharts';
+import { getComplianceTrends, recordComplianceSnapshot } from '../services/validationService';
+
+const RANGES = [
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last quarter' },
+  { value: '1y', label: 'Last year' },
+  { value: 'all', label: 'All time' },
+];
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+const VIEWS = [
+  { value: 'environment', label: 'Overall and per environment' },
+  { value: 'agreement', label: 'Per agreement' },
+  { value: 'catalog', label: 'Per catalog' },
+  { value: 'severity', label: 'Violations per severity' },
+];
+
+const COLORS = ['#0891b2', '#f59e0b', '#10b981', '#ef4444', '#6366f1', '#ec4899', '#84cc16', '#14b8a6'];
+
+const ANNOTATION_ACTIONS = {
+  create: 'created',
+  update: 'changed',
+  restore: 'restored',
+  delete: 'deleted',
+};
+
+// Lines to draw for a view: { key, label, value(point) }
+function seriesFor(view, points) {
+  if (view === 'severity') {
+    const severities = [...new Set(points.flatMap(p => Object.keys(p.bySeverity)))];
+    return severities.map(severity => ({ key: severity, label: severity, value: p => p.bySeverity[severity] ?? 0 }));
+  }
+
+  const field = { environment: 'byEnvironment', agreement: 'byAgreement', catalog: 'byCatalog' }[view];
+  const labels = {};
+  points.forEach(p => Object.entries(p[field]).forEach(([key, counts]) => {
+    labels[key] = counts.name || key;
+  }));
+  const series = Object.entries(labels).map(([key, label]) => ({
+    key,
+    label,
+    value: p => p[field][key]?.compliancePercentage ?? null,
+  }));
+
+  return view === 'environment'
+    ? [{ key: '_overall', label: 'Overall', value: p => p.overall.compliancePercentage }, ...series]
+    : series;
+}
+
+const formatTime = (time, granularity) =>
+  granularity === 'hour' ? new Date(time).toLocaleString() : new Date(time).toLocaleDateString();
+
+// Compliance over time from the recorded snapshots, with agreement changes marked
+const ComplianceTrends = () => {
+  const [range, setRange] = useState('90d');
+  const [granularity, setGranularity] = useState('day');
+  const [view, setView] = useState('environment');
+  const [trends, setTrends] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTrends = async () => {
+      try {
+        const data = await getComplianceTrends({ range, granularity });
+        if (!cancelled) setTrends(data);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadTrends();
+    return () => {
+      cancelled = true;
+    };
+  }, [range, granularity, reloadCount]);
+
+  const handleRecordSnapshot = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await recordComplianceSnapshot();
+      setReloadCount(count => count + 1);
+    } catch (err) {
+      setError(`Failed to record snapshot: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const points = trends?.points || [];
+  const series = seriesFor(view, points);
+  const data = points.map(p => ({
+    time: Date.parse(p.bucket),
+    ...Object.fromEntries(series.map(s => [s.key, s.value(p)])),
+  }));
+  const domain = trends ? [Date.parse(trends.from), Date.parse(trends.to)] : ['dataMin', 'dataMax'];
+  const isPercentage = view !== 'severity';
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <Typography variant="h6" fontWeight="bold">
+          Compliance Trend
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          <TextField select size="small" label="Range" value={range} onChange={(e) => setRange(e.target.value)} sx={{ minWidth: 140 }}>
+            {RANGES.map((r) => (
+              <MenuItem key={r.value} value={r.value}>{r.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" label="Per" value={granularity} onChange={(e) => setGranularity(e.target.value)} sx={{ minWidth: 100 }}>
+            {GRANULARITIES.map((g) => (
+              <MenuItem key={g} value={g}>{g}</MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" label="Show" value={view} onChange={(e) => setView(e.target.value)} sx={{ minWidth: 220 }}>
+            {VIEWS.map((v) => (
+              <MenuItem key={v.value} value={v.value}>{v.label}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {trends && points.length === 0 ? (
+        <Alert
+          severity="info"
+          action={
+            <Button size="small" onClick={handleRecordSnapshot} disabled={busy}>
+              Record Now
+            </Button>
+          }
+        >
+          No compliance snapshots in this range yet. Snapshots are recorded after every asset scan and scheduled compliance run.
+        </Alert>
+      ) : (
+        <ResponsiveContainer width="100%" height={320}>
+          <LineChart data={data} margin={{ top: 20, right: 20, bottom: 5, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={domain}
+              tickFormatter={(time) => new Date(time).toLocaleDateString()}
+            />
+            <YAxis
+              domain={isPercentage ? [0, 100] : [0, 'auto']}
+              tickFormatter={(value) => (isPercentage ? `${value}%` : value)}
+              allowDecimals={false}
+            />
+            <Tooltip
+              labelFormatter={(time) => formatTime(time, granularity)}
+              formatter={(value) => (isPercentage ? `${value}%` : value)}
+            />
+            <Legend />
+            {(trends?.annotations || []).map((annotation) => (
+              <ReferenceLine
+                key={`${annotation.agreementId}:${annotation.revision}`}
+                x={Date.parse(annotation.at)}
+                stroke="#8b5cf6"
+                strokeDasharray="4 4"
+                label={{ value: annotation.agreementName, position: 'insideTopLeft', fontSize: 10, fill: '#8b5cf6' }}
+              />
+            ))}
+            {series.map((s, i) => (
+              <Line
+                key={s.key}
+                type="monotone"
+                dataKey={s.key}
+                name={s.label}
+                stroke={COLORS[i % COLORS.length]}
+                strokeWidth={s.key === '_overall' ? 3 : 1.5}
+                dot={data.length < 40}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+
+      {trends?.annotations?.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="caption" color="text.secondary" fontWeight="bold" display="block">
+            Agreement changes (dashed lines)
+          </Typography>
+          {trends.annotations.slice(-5).reverse().map((annotation) => (
+            <Typography key={`${annotation.agreementId}:${annotation.revision}`} variant="caption" color="text.secondary" display="block">
+              {new Date(annotation.at).toLocaleString()} · {annotation.agreementName} {ANNOTATION_ACTIONS[annotation.action] || annotation.action}
+              {annotation.status ? ` (${annotation.status})` : ''} by {annotation.changedBy}
+              {annotation.reason ? ` - ${annotation.reason}` : ''}
+            </Typography>
+          ))}
+          {trends.annotations.length > 5 && (
+            <Typography variant="caption" color="text.secondary" display="block">
+              and {trends.annotations.length - 5} earlier change(s)
+            </Typography>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default ComplianceTrends;
@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import { getInventoryChanges } from '../services/shareService';
+
+const PERIODS = [
+  { value: 'last', label: 'Since last scan', hours: null },
+  { value: '24h', label: 'Last 24 hours', hours: 24 },
+  { value: '7d', label: 'Last 7 days', hours: 24 * 7 },
+];
+
+const TYPES = [
+  { value: '', label: 'All changes' },
+  { value: 'added', label: 'Added' },
+  { value: 'removed', label: 'Removed' },
+  { value: 'modified', label: 'Modified' },
+];
+
+const TYPE_COLORS = { added: 'success', removed: 'error', modified: 'warning' };
+
+const MAX_SHOWN = 50;
+
+// What a modification changed, e.g. "owner, columns, tags +pii -owner"
+function describeChange(change) {
+  if (change.type !== 'modified') return null;
+  const parts = [...(change.fields || []).filter(field => field !== 'updated_at')];
+  [['tags', change.tags], ['inherited tags', change.inheritedTags]].forEach(([label, diff]) => {
+    if (!diff) return;
+    const keys = [
+      ...Object.keys(diff.added).map(key => `+${key}`),
+      ...diff.removed.map(key => `-${key}`),
+      ...Object.keys(diff.changed).map(key => `~${key}`),
+    ];
+    parts.push(`${label} ${keys.join(' ')}`);
+  });
+  return parts.length > 0 ? parts.join(', ') : 'updated';
+}
+
+// Assets added, removed or modified since the last inventory scan (or a recent period)
+const InventoryChanges = () => {
+  const [period, setPeriod] = useState('last');
+  const [type, setType] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadChanges = async () => {
+      const hours = PERIODS.find(p => p.value === period).hours;
+      try {
+        const data = await getInventoryChanges({
+          ...(hours ? { since: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString() } : {}),
+          ...(type ? { type } : {}),
+          limit: MAX_SHOWN,
+        });
+        if (!cancelled) {
+          setResult(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadChanges();
+    return () => {
+      cancelled = true;
+    };
+  }, [period, type]);
+
+  const counts = { added: 0, removed: 0, modified: 0 };
+  (result?.scans || []).forEach(scan => {
+    Object.keys(counts).forEach(key => {
+      counts[key] += scan.counts[key] || 0;
+    });
+  });
+  const hasScans = Object.values(result?.lastScans || {}).some(Boolean);
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{ p: 3, mb: 4, borderRadius: 2, border: '1px solid', borderColor: 'divider' }}
+    >
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+          <Typography variant="h6" fontWeight="bold">
+            What Changed
+          </Typography>
+          {Object.entries(counts).map(([key, count]) => (
+            <Chip key={key} size="small" label={`${count} ${key}`} color={count > 0 ? TYPE_COLORS[key] : 'default'} variant="outlined" />
+          ))}
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          <TextField select size="small" label="Period" value={period} onChange={(e) => setPeriod(e.target.value)} sx={{ minWidth: 160 }}>
+            {PERIODS.map((p) => (
+              <MenuItem key={p.value} value={p.value}>{p.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" label="Show" value={type} onChange={(e) => setType(e.target.value)} sx={{ minWidth: 140 }}>
+            {TYPES.map((t) => (
+              <MenuItem key={t.value} value={t.value}>{t.label}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {result && result.changes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          {hasScans
+            ? 'No assets were added, removed or modified in this period.'
+            : 'Changes show up here once assets have been scanned twice.'}
+        </Typography>
+      ) : (
+        <List dense disablePadding sx={{ maxHeight: 320, overflow: 'auto' }}>
+          {(result?.changes || []).map((change) => (
+            <ListItem key={`${change.scanId}:${change.type}:${change.assetId}`} disableGutters>
+              <Chip size="small" label={change.type} color={TYPE_COLORS[change.type]} sx={{ mr: 1.5, minWidth: 80 }} />
+              <ListItemText
+                primary={change.type === 'removed' ? change.fullName : (
+                  <Link to={`/assets/${change.environmentId}/${encodeURIComponent(change.fullName)}`}>
+                    {change.fullName}
+                  </Link>
+                )}
+                secondary={[change.assetType, describeChange(change), new Date(change.scannedAt).toLocaleString()].filter(Boolean).join(' · ')}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {result && result.total > result.changes.length && (
+        <Typography variant="caption" color="text.secondary">
+          Showing {result.changes.length} of {result.total} changes
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default InventoryChanges;
@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Divider,
+  LinearProgress,
+  Paper,
+  Typography,
+} from '@mui/material';
+import CancelIcon from '@mui/icons-material/Cancel';
+import ReplayIcon from '@mui/icons-material/Replay';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import { getJobs, getJob, cancelJob, retryJob } from '../services/jobService';
+
+const STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  completed: 'success',
+  partially_failed: 'warning',
+  failed: 'error',
+  cancelled: 'default',
+  interrupted: 'warning',
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const RETRYABLE_STATUSES = ['partially_failed', 'failed', 'cancelled', 'interrupted'];
+const POLL_INTERVAL = 3000;
+
+const describeResult = (result) =>
+  Object.entries(result || {}).map(([key, value]) => `${key}: ${value}`).join(' · ');
+
+// Items of a job that didn't finish, with their errors
+const JobItems = ({ jobId, reloadCount }) => {
+  const [job, setJob] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadJob = async () => {
+      try {
+        const data = await getJob(jobId);
+        if (!cancelled) setJob(data);
+      } catch (err) {
+        console.error('Failed to load job:', err);
+      }
+    };
+
+    loadJob();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reloadCount]);
+
+  if (!job) return null;
+  const unfinished = (job.items || []).filter(i => i.status !== 'done');
+
+  return (
+    <Box sx={{ mt: 1, pl: 1 }}>
+      {job.error && (
+        <Typography variant="caption" color="error" display="block">{job.error}</Typography>
+      )}
+      {unfinished.length === 0 ? (
+        <Typography variant="caption" color="text.secondary">
+          {job.items ? `All ${job.items.length} item(s) done` : 'Items not listed yet'}
+        </Typography>
+      ) : (
+        unfinished.map((item) => (
+          <Typography key={item.key} variant="caption" display="block" color={item.status === 'failed' ? 'error' : 'text.secondary'}>
+            {item.key}: {item.status}{item.error ? ` - ${item.error}` : ''}
+          </Typography>
+        ))
+      )}
+    </Box>
+  );
+};
+
+// Background jobs with progress; refreshes itself while jobs are queued or running
+const JobsPanel = ({ reloadKey = 0 }) => {
+  const [jobs, setJobs] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const loadJobs = async () => {
+      try {
+        const data = await getJobs();
+        if (cancelled) return;
+        setJobs(data);
+        if (data.some(j => ACTIVE_STATUSES.includes(j.status))) {
+          timer = setTimeout(loadJobs, POLL_INTERVAL);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadJobs();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [reloadCount, reloadKey]);
+
+  const runAction = async (action, errorMessage) => {
+    try {
+      await action();
+      setReloadCount(count => count + 1);
+    } catch (err) {
+      setError(`${errorMessage}: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" fontWeight="bold" gutterBottom>
+        Jobs
+      </Typography>
+      <Divider sx={{ mb: 2 }} />
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {jobs.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No background jobs yet.
+        </Typography>
+      ) : (
+        jobs.map((job) => {
+          const { total, done, failed } = job.progress;
+          const percent = total > 0 ? ((done + failed) / total) * 100 : 0;
+          return (
+            <Paper key={job.id} variant="outlined" sx={{ p: 1.5, mb: 1 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="body2" fontWeight="medium">
+                      {job.description}
+                    </Typography>
+                    <Chip label={job.status.replace('_', ' ')} color={STATUS_COLORS[job.status]} size="small" />
+                    {job.cancelRequested && job.status === 'running' && (
+                      <Chip label="cancelling" size="small" variant="outlined" />
+                    )}
+                  </Box>
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {job.environmentId} · started by {job.createdBy} on {new Date(job.createdAt).toLocaleString()}
+                    {total > 0 && ` · ${done}/${total} done${failed > 0 ? `, ${failed} failed` : ''}`}
+                  </Typography>
+                  {job.result && (
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      {describeResult(job.result)}
+                    </Typography>
+                  )}
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  {ACTIVE_STATUSES.includes(job.status) && !job.cancelRequested && (
+                    <Button size="small" variant="outlined" color="error" startIcon={<CancelIcon />} onClick={() => runAction(() => cancelJob(job.id), 'Failed to cancel job')}>
+                      Cancel
+                    </Button>
+                  )}
+                  {RETRYABLE_STATUSES.includes(job.status) && (
+                    <Button size="small" variant="outlined" startIcon={<ReplayIcon />} onClick={() => runAction(() => retryJob(job.id), 'Failed to retry job')}>
+                      Retry
+                    </Button>
+                  )}
+                  <Button
+                    size="small"
+                    onClick={() => setExpandedId(expandedId === job.id ? null : job.id)}
+                    endIcon={expandedId === job.id ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                  >
+                    Details
+                  </Button>
+                </Box>
+              </Box>
+              {job.status === 'running' && (
+                <LinearProgress variant={total > 0 ? 'determinate' : 'indeterminate'} value={percent} sx={{ mt: 1 }} />
+              )}
+              {expandedId === job.id && <JobItems jobId={job.id} reloadCount={reloadCount} />}
+            </Paper>
+          );
+        })
+      )}
+    </Paper>
+  );
+};
+
+export default JobsPanel;
@@ -15,6 +15,10 @@ import LabelIcon from '@mui/icons-material/Label';
 import AssessmentIcon from '@mui/icons-material/Assessment';
 import DescriptionIcon from '@mui/icons-material/Description';
 import WarningIcon from '@mui/icons-material/Warning';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import HistoryIcon from '@mui/icons-material/History';
+import WorkHistoryIcon from '@mui/icons-material/WorkHistory';
+import ScheduleIcon from '@mui/icons-material/Schedule';
 
 const drawerWidth = 260;
 
@@ -26,6 +30,10 @@ const Sidebar = () => {
     { name: 'Compliance Report', path: '/compliance', icon: <AssessmentIcon /> },
     { name: 'Agreements', path: '/agreements', icon: <DescriptionIcon /> },
     { name: 'Remediation', path: '/remediation', icon: <WarningIcon /> },
+    { name: 'Enforcement Plans', path: '/enforcement', icon: <FactCheckIcon /> },
+    { name: 'Change History', path: '/changes', icon: <HistoryIcon /> },
+    { name: 'Background Jobs', path: '/jobs', icon: <WorkHistoryIcon /> },
+    { name: 'Schedules', path: '/schedules', icon: <ScheduleIcon /> },
   ];
 
   return (
@@ -0,0 +1,90 @@
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+} from '@mui/material';
+import CheckIcon from '@mui/icons-material/Check';
+import CloseIcon from '@mui/icons-material/Close';
+import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
+
+// Agreements waiting for review, with approve/reject for users allowed to decide
+const PendingApprovalsPanel = ({ pending, currentUser, onApprove, onReject, onView }) => {
+  if (!pending || pending.length === 0) {
+    return null;
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3, borderColor: 'warning.main' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <HourglassEmptyIcon color="warning" />
+        <Typography variant="h6">
+          Pending Approvals ({pending.length})
+        </Typography>
+      </Box>
+
+      {pending.map((agreement) => {
+        const submitted = [...(agreement.statusHistory || [])].reverse().find(h => h.to === 'pending_review');
+        return (
+          <Paper key={agreement.id} variant="outlined" sx={{ p: 1.5, mb: 1, display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+              <Typography
+                variant="body2"
+                fontWeight="medium"
+                sx={{ cursor: 'pointer', '&:hover': { textDecoration: 'underline' } }}
+                onClick={() => onView(agreement)}
+              >
+                {agreement.name}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                {submitted
+                  ? `Submitted by ${submitted.by} on ${new Date(submitted.at).toLocaleString()}${submitted.comment ? ` - ${submitted.comment}` : ''}`
+                  : 'Awaiting review'}
+              </Typography>
+              <Box sx={{ mt: 0.5, display: 'flex', gap: 0.5, flexWrap: 'wrap', alignItems: 'center' }}>
+                <Typography variant="caption" color="text.secondary">Approvers:</Typography>
+                {agreement.unrestricted ? (
+                  <Typography variant="caption" color="text.secondary">anyone signed in except the submitter (none configured)</Typography>
+                ) : (
+                  agreement.approvers.map((approver) => (
+                    <Chip key={approver} label={approver} size="small" variant="outlined" />
+                  ))
+                )}
+              </Box>
+            </Box>
+            {agreement.canApprove ? (
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  size="small"
+                  variant="contained"
+                  color="success"
+                  startIcon={<CheckIcon />}
+                  onClick={() => onApprove(agreement)}
+                >
+                  Approve
+                </Button>
+                <Button
+                  size="small"
+                  variant="outlined"
+                  color="error"
+                  startIcon={<CloseIcon />}
+                  onClick={() => onReject(agreement)}
+                >
+                  Reject
+                </Button>
+              </Box>
+            ) : (
+              <Alert severity="info" sx={{ py: 0 }}>
+                {currentUser ? 'You are not an approver' : 'Sign in to review'}
+              </Alert>
+            )}
+          </Paper>
+        );
+      })}
+    </Paper>
+  );
+};
+
+export default PendingApprovalsPanel;
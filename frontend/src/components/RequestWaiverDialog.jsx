@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { requestWaiver } from '../services/waiverService';
+
+const DEFAULT_WAIVER_DAYS = 30;
+
+const defaultExpiry = () =>
+  new Date(Date.now() + DEFAULT_WAIVER_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Request a time-boxed waiver for one violation of an asset (mount with a key per violation)
+const RequestWaiverDialog = ({ assetId, violation, onClose, onRequested }) => {
+  const [onlyThisRule, setOnlyThisRule] = useState(true);
+  const [justification, setJustification] = useState('');
+  const [approver, setApprover] = useState('');
+  const [expiresAt, setExpiresAt] = useState(defaultExpiry);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const waiver = await requestWaiver({
+        assetId,
+        agreementId: violation.agreementId,
+        rule: onlyThisRule ? violation.rule : undefined,
+        column: violation.column || undefined,
+        justification,
+        approver,
+        expiresAt,
+      });
+      onRequested(waiver);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Request Waiver</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {violation.message} ({violation.agreementName}){violation.column ? ` — column "${violation.column}"` : ''}
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        <FormControlLabel
+          control={<Checkbox checked={onlyThisRule} onChange={(e) => setOnlyThisRule(e.target.checked)} size="small" />}
+          label={`Only this rule (${violation.rule}) — otherwise every requirement of the agreement`}
+        />
+        <TextField
+          label="Justification"
+          value={justification}
+          onChange={(e) => setJustification(e.target.value)}
+          fullWidth
+          multiline
+          rows={3}
+          margin="normal"
+          placeholder="e.g., Legacy table, migration to the tagged copy planned for Q3"
+          required
+        />
+        <TextField
+          label="Approver (email)"
+          value={approver}
+          onChange={(e) => setApprover(e.target.value)}
+          fullWidth
+          margin="normal"
+          required
+        />
+        <TextField
+          label="Expires On"
+          type="date"
+          value={expiresAt}
+          onChange={(e) => setExpiresAt(e.target.value)}
+          fullWidth
+          margin="normal"
+          slotProps={{ inputLabel: { shrink: true } }}
+          helperText="The violation counts again after this date"
+          required
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={submitting || !justification.trim() || !approver.trim() || !expiresAt}
+        >
+          Request
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RequestWaiverDialog;
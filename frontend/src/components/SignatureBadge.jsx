@@ -0,0 +1,35 @@
+import { Chip, Tooltip } from '@mui/material';
+import VerifiedUserIcon from '@mui/icons-material/VerifiedUser';
+import GppMaybeIcon from '@mui/icons-material/GppMaybe';
+import GppBadIcon from '@mui/icons-material/GppBad';
+
+const SIGNATURE_DISPLAY = {
+  verified: { label: 'Verified', color: 'success', icon: <VerifiedUserIcon /> },
+  unverified: { label: 'Unverified', color: 'warning', icon: <GppMaybeIcon /> },
+  tampered: { label: 'Tampered', color: 'error', icon: <GppBadIcon /> },
+  mismatch: { label: 'Wrong Signer', color: 'error', icon: <GppBadIcon /> },
+};
+
+// Signature check result for an agreement file ingested from a provider
+const SignatureBadge = ({ verification, size = 'small' }) => {
+  if (!verification) {
+    return null;
+  }
+
+  const display = SIGNATURE_DISPLAY[verification.status] || SIGNATURE_DISPLAY.unverified;
+  const checkedAt = verification.verifiedAt ? ` (checked ${new Date(verification.verifiedAt).toLocaleString()})` : '';
+
+  return (
+    <Tooltip title={`${verification.reason || display.label}${checkedAt}`}>
+      <Chip
+        icon={display.icon}
+        label={display.label}
+        color={display.color}
+        size={size}
+        variant={verification.status === 'verified' ? 'outlined' : 'filled'}
+      />
+    </Tooltip>
+  );
+};
+
+export default SignatureBadge;
@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Divider,
+  Paper,
+  Typography,
+} from '@mui/material';
+import CheckIcon from '@mui/icons-material/Check';
+import CloseIcon from '@mui/icons-material/Close';
+import UndoIcon from '@mui/icons-material/Undo';
+import { getWaivers, approveWaiver, rejectWaiver, revokeWaiver } from '../services/waiverService';
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  approved: 'info',
+  rejected: 'default',
+  revoked: 'default',
+  expired: 'default',
+};
+
+// Pending and approved waivers; the named approver decides, requester or approver may revoke
+const WaiversPanel = ({ onChange }) => {
+  const [waivers, setWaivers] = useState([]);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadWaivers = async () => {
+      try {
+        const data = await getWaivers();
+        if (cancelled) return;
+        setWaivers(data.waivers.filter(w => w.status === 'pending' || w.status === 'approved'));
+        setCurrentUser(data.currentUser);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadWaivers();
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  const runAction = async (action, errorMessage) => {
+    try {
+      await action();
+      setReloadCount(count => count + 1);
+      onChange?.();
+    } catch (err) {
+      setError(`${errorMessage}: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const handleApprove = (waiver) => {
+    const comment = window.prompt(`Approve the waiver for ${waiver.fullName} until ${waiver.expiresAt}? Comment (optional):`);
+    if (comment === null) return;
+    runAction(() => approveWaiver(waiver.id, comment || undefined), 'Failed to approve waiver');
+  };
+
+  const handleReject = (waiver) => {
+    const comment = window.prompt(`Reject the waiver for ${waiver.fullName}? Explain why:`);
+    if (!comment) return;
+    runAction(() => rejectWaiver(waiver.id, comment), 'Failed to reject waiver');
+  };
+
+  const handleRevoke = (waiver) => {
+    const comment = window.prompt(`Revoke the waiver for ${waiver.fullName}? Its violations will count again. Comment (optional):`);
+    if (comment === null) return;
+    runAction(() => revokeWaiver(waiver.id, comment || undefined), 'Failed to revoke waiver');
+  };
+
+  const canRevoke = (waiver) => currentUser && (waiver.approver === currentUser || waiver.requestedBy?.toLowerCase() === currentUser);
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" fontWeight="bold" gutterBottom>
+        Waivers
+      </Typography>
+      <Divider sx={{ mb: 2 }} />
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {waivers.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No pending or approved waivers. Request one from an asset&apos;s violations.
+        </Typography>
+      ) : (
+        waivers.map((waiver) => (
+          <Paper key={waiver.id} variant="outlined" sx={{ p: 1.5, mb: 1, display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" fontWeight="medium">
+                  {waiver.fullName}
+                </Typography>
+                <Chip label={waiver.status} color={STATUS_COLORS[waiver.status]} size="small" />
+              </Box>
+              <Typography variant="caption" color="text.secondary" display="block">
+                {waiver.agreementName}
+                {waiver.rule ? ` — ${waiver.rule}` : ' — all requirements'}
+                {waiver.column ? ` (column ${waiver.column})` : ''}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                {waiver.justification}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Requested by {waiver.requestedBy} · approver {waiver.approver} · expires {waiver.expiresAt}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {waiver.canDecide && (
+                <>
+                  <Button size="small" variant="contained" color="success" startIcon={<CheckIcon />} onClick={() => handleApprove(waiver)}>
+                    Approve
+                  </Button>
+                  <Button size="small" variant="outlined" color="error" startIcon={<CloseIcon />} onClick={() => handleReject(waiver)}>
+                    Reject
+                  </Button>
+                </>
+              )}
+              {canRevoke(waiver) && (
+                <Button size="small" variant="outlined" startIcon={<UndoIcon />} onClick={() => handleRevoke(waiver)}>
+                  Revoke
+                </Button>
+              )}
+            </Box>
+          </Paper>
+        ))
+      )}
+    </Paper>
+  );
+};
+
+export default WaiversPanel;
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -24,6 +25,10 @@ import {
   CircularProgress,
   Collapse,
   Checkbox,
+  Tabs,
+  Tab,
+  Alert,
+  MenuItem,
   alpha,
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
@@ -37,14 +42,63 @@ import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import ExpandLessIcon from '@mui/icons-material/ExpandLess';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import IndeterminateCheckBoxIcon from '@mui/icons-material/IndeterminateCheckBox';
-import { createAgreement, updateAgreement, deleteAgreement, parseAgreement } from '../services/agreementService';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import {
+  createAgreement,
+  updateAgreement,
+  deleteAgreement,
+  parseAgreement,
+  getAgreementLifecycle,
+  getPendingApprovals,
+  approveAgreement,
+  rejectAgreement,
+  changeAgreementStatus,
+} from '../services/agreementService';
 import useAppStore from '../store/useAppStore';
+import AgreementHistory from '../components/AgreementHistory';
+import AgreementStatusChip from '../components/AgreementStatusChip';
+import PendingApprovalsPanel from '../components/PendingApprovalsPanel';
+import SignatureBadge from '../components/SignatureBadge';
+import ColumnRequirementsEditor from '../components/ColumnRequirementsEditor';
+import { planAgreementEnforcement } from '../services/enforcementPlanService';
+import {
+  TAG_OPERATORS,
+  isValuelessOperator,
+  isCompleteTag,
+  toTagRows,
+  formatTagRequirement,
+  describeRule,
+} from '../services/requirementRules';
+
+// Column requirements are edited as rows with tags typed as "key=value, key=value"
+const toColumnRequirementRows = (requirements = []) => requirements.map(r => ({
+  pattern: r.pattern,
+  tagsText: (r.requiredTags || []).map(t => `${t.key}=${t.value}`).join(', '),
+  masked: Boolean(r.masked),
+}));
+
+const fromColumnRequirementRows = (rows) => rows
+  .filter(row => row.pattern.trim())
+  .map(row => ({
+    pattern: row.pattern.trim(),
+    requiredTags: row.tagsText
+      .split(',')
+      .map(pair => pair.split('='))
+      .filter(([key, value]) => key?.trim() && value?.trim())
+      .map(([key, value]) => ({ key: key.trim(), value: value.trim() })),
+    masked: row.masked,
+  }));
 
 const AgreementsPage = () => {
   const { agreements, agreementsLoading, shares, loadAgreements, loadShares } = useAppStore();
+  const navigate = useNavigate();
   const [dialogOpen, setDialogOpen] = useState(false);
   const [viewDialogOpen, setViewDialogOpen] = useState(false);
   const [selectedAgreement, setSelectedAgreement] = useState(null);
+  const [viewTab, setViewTab] = useState(0);
+  const [changeReason, setChangeReason] = useState(''); // Recorded in the agreement's revision history
+  const [statusTransitions, setStatusTransitions] = useState({});
+  const [approvals, setApprovals] = useState({ currentUser: null, agreements: [] });
   const [newAgreement, setNewAgreement] = useState({
     shareName: '',  // The share this agreement applies to
     agreementText: '',
@@ -52,7 +106,13 @@ const AgreementsPage = () => {
     environments: ['current'], // Default to prod environment
     selectedAssets: [], // Array of selected assets with scope: { type: 'catalog|schema|table|column', fullName }
     retentionYears: '', // Retention policy applies to all assets
-    requiredTags: [{ key: '', value: '' }],
+    effectiveDate: '', // Agreement term (YYYY-MM-DD)
+    expiryDate: '',
+    renewalNoticeDate: '',
+    requiredTags: [{ key: '', operator: 'eq', value: '' }],
+    rulesText: '', // Composed / conditional rules as JSON
+    scope: '', // Scope pattern the requirements apply to (empty = all assets)
+    columnRequirements: [], // Rows for ColumnRequirementsEditor
     disseminationRules: '',
   });
   
@@ -72,10 +132,76 @@ const AgreementsPage = () => {
     if (shares.length === 0) loadShares();
   }, []);
 
+  // Refresh lifecycle info and pending approvals whenever the agreements change
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadApprovals = async () => {
+      try {
+        const [lifecycle, pending] = await Promise.all([getAgreementLifecycle(), getPendingApprovals()]);
+        if (cancelled) return;
+        setStatusTransitions(lifecycle.transitions);
+        setApprovals(pending);
+      } catch (error) {
+        console.error('Failed to load pending approvals:', error);
+      }
+    };
+
+    loadApprovals();
+    return () => {
+      cancelled = true;
+    };
+  }, [agreements]);
+
+  const runLifecycleAction = async (action, failureMessage) => {
+    try {
+      const updated = await action();
+      if (selectedAgreement?.id === updated.id) {
+        setSelectedAgreement(updated);
+      }
+      await loadAgreements();
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(error.response?.data?.message || failureMessage);
+    }
+  };
+
+  const handleStatusTransition = (agreement, status) => {
+    const comment = window.prompt(`Comment for moving "${agreement.name}" to ${status.replace('_', ' ')} (optional):`);
+    if (comment === null) return;
+    runLifecycleAction(
+      () => changeAgreementStatus(agreement.id, status, comment || undefined),
+      'Failed to change agreement status'
+    );
+  };
+
+  const handleApproveAgreement = (agreement) => {
+    const comment = window.prompt(`Approve "${agreement.name}"? Comment (optional):`);
+    if (comment === null) return;
+    runLifecycleAction(() => approveAgreement(agreement.id, comment || undefined), 'Failed to approve agreement');
+  };
+
+  // Plans the agreement's tag changes and opens the plan for review
+  const handlePlanEnforcement = async (agreement) => {
+    try {
+      const plan = await planAgreementEnforcement(agreement.id, agreement.environments?.[0] || 'current');
+      navigate(`/enforcement?plan=${plan.id}`);
+    } catch (error) {
+      console.error('Failed to plan enforcement:', error);
+      alert(error.response?.data?.message || 'Failed to plan enforcement');
+    }
+  };
+
+  const handleRejectAgreement = (agreement) => {
+    const comment = window.prompt(`Reject "${agreement.name}"? Explain what needs to change:`);
+    if (!comment) return;
+    runLifecycleAction(() => rejectAgreement(agreement.id, comment), 'Failed to reject agreement');
+  };
+
   const handleAddTag = () => {
     setNewAgreement({
       ...newAgreement,
-      requiredTags: [...newAgreement.requiredTags, { key: '', value: '' }],
+      requiredTags: [...newAgreement.requiredTags, { key: '', operator: 'eq', value: '' }],
     });
   };
   
@@ -83,7 +209,7 @@ const AgreementsPage = () => {
     const updatedTags = newAgreement.requiredTags.filter((_, i) => i !== index);
     setNewAgreement({
       ...newAgreement,
-      requiredTags: updatedTags.length > 0 ? updatedTags : [{ key: '', value: '' }],
+      requiredTags: updatedTags.length > 0 ? updatedTags : [{ key: '', operator: 'eq', value: '' }],
     });
   };
   
@@ -346,7 +472,7 @@ const AgreementsPage = () => {
     });
   };
 
-  const handleCreateAgreement = async () => {
+  const handleCreateAgreement = async (submitForReview = false) => {
     if (!newAgreement.shareName || !newAgreement.agreementText) {
       alert('Please provide a share name and agreement text');
       return;
@@ -357,6 +483,16 @@ const AgreementsPage = () => {
       return;
     }
 
+    let rules = [];
+    if (newAgreement.rulesText.trim()) {
+      try {
+        rules = JSON.parse(newAgreement.rulesText);
+      } catch (error) {
+        alert(`Advanced rules are not valid JSON: ${error.message}`);
+        return;
+      }
+    }
+
     try {
       // Transform to backend format
       const agreementData = {
@@ -365,9 +501,17 @@ const AgreementsPage = () => {
         content: newAgreement.agreementText,
         environments: newAgreement.environments,
         shares: [newAgreement.shareName],
-        requiredTags: newAgreement.requiredTags.filter(t => t.key && t.value),
+        requiredTags: newAgreement.requiredTags
+          .filter(isCompleteTag)
+          .map(t => (isValuelessOperator(t.operator) ? { key: t.key, operator: t.operator } : t)),
+        rules: Array.isArray(rules) ? rules : [rules],
+        scope: newAgreement.scope.trim() || 'all',
+        columnRequirements: fromColumnRequirementRows(newAgreement.columnRequirements),
         disseminationRules: newAgreement.disseminationRules,
         retentionYears: newAgreement.retentionYears,
+        effectiveDate: newAgreement.effectiveDate || null,
+        expiryDate: newAgreement.expiryDate || null,
+        renewalNoticeDate: newAgreement.renewalNoticeDate || null,
         assetScopes: newAgreement.selectedAssets.map(asset => ({
           type: asset.type,
           fullName: asset.fullName,
@@ -380,13 +524,14 @@ const AgreementsPage = () => {
 
       // Check if we're editing an existing agreement
       if (selectedAgreement) {
-        await updateAgreement(selectedAgreement.id, agreementData);
+        await updateAgreement(selectedAgreement.id, { ...agreementData, changeReason: changeReason || undefined });
       } else {
-        await createAgreement(agreementData);
+        await createAgreement({ ...agreementData, submitForReview });
       }
       
       setDialogOpen(false);
       setSelectedAgreement(null);
+      setChangeReason('');
       setNewAgreement({
         shareName: '',
         agreementText: '',
@@ -394,13 +539,19 @@ const AgreementsPage = () => {
         environments: ['current'],
         selectedAssets: [],
         retentionYears: '',
-        requiredTags: [{ key: '', value: '' }],
+        effectiveDate: '',
+        expiryDate: '',
+        renewalNoticeDate: '',
+        requiredTags: [{ key: '', operator: 'eq', value: '' }],
+        rulesText: '',
+        scope: '',
+        columnRequirements: [],
         disseminationRules: '',
       });
       await loadAgreements();
     } catch (error) {
       console.error('Failed to save agreement:', error);
-      alert('Failed to save agreement');
+      alert(error.response?.data?.message || 'Failed to save agreement');
     }
   };
 
@@ -414,7 +565,13 @@ const AgreementsPage = () => {
       environments: ['current'],
       selectedAssets: [],
       retentionYears: '',
-      requiredTags: [{ key: '', value: '' }],
+      effectiveDate: '',
+      expiryDate: '',
+      renewalNoticeDate: '',
+      requiredTags: [{ key: '', operator: 'eq', value: '' }],
+      rulesText: '',
+      scope: '',
+      columnRequirements: [],
       disseminationRules: '',
     });
   };
@@ -435,9 +592,15 @@ const AgreementsPage = () => {
 
   const handleViewAgreement = (agreement) => {
     setSelectedAgreement(agreement);
+    setViewTab(0);
     setViewDialogOpen(true);
   };
 
+  const handleRevisionRestored = async (agreement) => {
+    setSelectedAgreement(agreement);
+    await loadAgreements();
+  };
+
   const handleEditAgreement = (agreement) => {
     // Populate the form with existing agreement data
     // Ensure assets have the proper 'key' property for multi-select tracking
@@ -453,12 +616,19 @@ const AgreementsPage = () => {
       environments: agreement.environments || ['current'],
       selectedAssets: formattedAssets,
       retentionYears: agreement.retentionYears || '',
+      effectiveDate: agreement.effectiveDate || '',
+      expiryDate: agreement.expiryDate || '',
+      renewalNoticeDate: agreement.renewalNoticeDate || '',
       requiredTags: agreement.requiredTags && agreement.requiredTags.length > 0 
-        ? agreement.requiredTags 
-        : [{ key: '', value: '' }],
+        ? toTagRows(agreement.requiredTags) 
+        : [{ key: '', operator: 'eq', value: '' }],
+      rulesText: agreement.rules?.length > 0 ? JSON.stringify(agreement.rules, null, 2) : '',
+      scope: agreement.scope && agreement.scope !== 'all' ? agreement.scope : '',
+      columnRequirements: toColumnRequirementRows(agreement.columnRequirements),
       disseminationRules: agreement.disseminationRules || '',
     });
     setSelectedAgreement(agreement);
+    setChangeReason('');
     setDialogOpen(true);
   };
 
@@ -476,7 +646,7 @@ const AgreementsPage = () => {
           <Table>
             <TableHead>
               <TableRow>
-                {[1, 2, 3, 4, 5, 6].map((i) => (
+                {[1, 2, 3, 4, 5, 6, 7].map((i) => (
                   <TableCell key={i}><Skeleton variant="text" width={100} /></TableCell>
                 ))}
               </TableRow>
@@ -485,6 +655,7 @@ const AgreementsPage = () => {
               {[1, 2, 3].map((i) => (
                 <TableRow key={i}>
                   <TableCell><Skeleton variant="text" width="90%" /></TableCell>
+                  <TableCell><Skeleton variant="rectangular" width={70} height={24} /></TableCell>
                   <TableCell><Skeleton variant="text" width="85%" /></TableCell>
                   <TableCell><Skeleton variant="rectangular" width={80} height={24} /></TableCell>
                   <TableCell><Skeleton variant="text" width={100} /></TableCell>
@@ -520,6 +691,15 @@ const AgreementsPage = () => {
         </Button>
       </Box>
 
+      {/* Pending Approvals */}
+      <PendingApprovalsPanel
+        pending={approvals.agreements}
+        currentUser={approvals.currentUser}
+        onApprove={handleApproveAgreement}
+        onReject={handleRejectAgreement}
+        onView={handleViewAgreement}
+      />
+
       {/* Agreements List */}
       {agreements.length === 0 ? (
         <Card>
@@ -546,6 +726,7 @@ const AgreementsPage = () => {
             <TableHead>
               <TableRow>
                 <TableCell><strong>Name</strong></TableCell>
+                <TableCell><strong>Status</strong></TableCell>
                 <TableCell><strong>Description</strong></TableCell>
                 <TableCell><strong>Shares</strong></TableCell>
                 <TableCell><strong>Required Tags</strong></TableCell>
@@ -560,6 +741,23 @@ const AgreementsPage = () => {
                     <Typography variant="body2" fontWeight="medium">
                       {agreement.name}
                     </Typography>
+                    {agreement.signatureVerification && (
+                      <Box sx={{ mt: 0.5 }}>
+                        <SignatureBadge verification={agreement.signatureVerification} />
+                      </Box>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <AgreementStatusChip
+                      status={agreement.status}
+                      transitions={statusTransitions}
+                      onTransition={(status) => handleStatusTransition(agreement, status)}
+                    />
+                    {agreement.expiryNotice?.expiryDate === agreement.expiryDate && agreement.status !== 'expired' && (
+                      <Typography variant="caption" color="warning.main" display="block" sx={{ mt: 0.5 }}>
+                        Expires {agreement.expiryDate}
+                      </Typography>
+                    )}
                   </TableCell>
                   <TableCell>
                     <Typography variant="body2" color="text.secondary">
@@ -586,7 +784,7 @@ const AgreementsPage = () => {
                     {agreement.requiredTags && agreement.requiredTags.filter(t => t.key).length > 0 ? (
                       <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
                         {agreement.requiredTags.filter(t => t.key).slice(0, 3).map((tag, idx) => (
-                          <Chip key={idx} label={`${tag.key}: ${tag.value}`} size="small" color="primary" variant="outlined" />
+                          <Chip key={idx} label={formatTagRequirement(tag)} size="small" color="primary" variant="outlined" />
                         ))}
                         {agreement.requiredTags.filter(t => t.key).length > 3 && (
                           <Chip label={`+${agreement.requiredTags.filter(t => t.key).length - 3}`} size="small" />
@@ -609,6 +807,16 @@ const AgreementsPage = () => {
                     >
                       <VisibilityIcon fontSize="small" />
                     </IconButton>
+                    {agreement.status === 'active' && (
+                      <IconButton
+                        size="small"
+                        onClick={() => handlePlanEnforcement(agreement)}
+                        color="primary"
+                        title="Plan Enforcement"
+                      >
+                        <FactCheckIcon fontSize="small" />
+                      </IconButton>
+                    )}
                     <IconButton
                       size="small"
                       onClick={() => handleEditAgreement(agreement)}
@@ -758,6 +966,26 @@ const AgreementsPage = () => {
               helperText="How long should the selected assets be retained? This applies to all assets in this agreement."
             />
 
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              {[
+                { field: 'effectiveDate', label: 'Effective Date', helperText: 'Enforced from this date once approved' },
+                { field: 'expiryDate', label: 'Expiry Date', helperText: 'Agreement expires after this date' },
+                { field: 'renewalNoticeDate', label: 'Renewal Notice Date', helperText: 'Flag for renewal from this date (default: 30 days before expiry)' },
+              ].map(({ field, label, helperText }) => (
+                <TextField
+                  key={field}
+                  fullWidth
+                  label={label}
+                  type="date"
+                  value={newAgreement[field]}
+                  onChange={(e) => setNewAgreement({ ...newAgreement, [field]: e.target.value })}
+                  size="small"
+                  helperText={helperText}
+                  slotProps={{ inputLabel: { shrink: true } }}
+                />
+              ))}
+            </Box>
+
             {newAgreement.selectedAssets.length === 0 ? (
               <Typography variant="body2" color="text.secondary" textAlign="center" sx={{ py: 3 }}>
                 No assets selected. Click "Add Assets" to begin.
@@ -825,12 +1053,25 @@ const AgreementsPage = () => {
                   placeholder="e.g., classification"
                   sx={{ flex: 1 }}
                 />
+                <TextField
+                  select
+                  label="Operator"
+                  value={tag.operator || 'eq'}
+                  onChange={(e) => handleTagChange(index, 'operator', e.target.value)}
+                  size="small"
+                  sx={{ width: 160 }}
+                >
+                  {TAG_OPERATORS.map(op => (
+                    <MenuItem key={op.value} value={op.value}>{op.label}</MenuItem>
+                  ))}
+                </TextField>
                 <TextField
                   label="Tag Value"
-                  value={tag.value}
+                  value={tag.value ?? ''}
                   onChange={(e) => handleTagChange(index, 'value', e.target.value)}
                   size="small"
-                  placeholder="e.g., PII"
+                  placeholder={TAG_OPERATORS.find(op => op.value === tag.operator)?.list ? 'e.g., confidential, restricted' : 'e.g., PII'}
+                  disabled={isValuelessOperator(tag.operator)}
                   sx={{ flex: 1 }}
                 />
                 <IconButton
@@ -843,12 +1084,47 @@ const AgreementsPage = () => {
                 </IconButton>
               </Box>
             ))}
+
+            <TextField
+              fullWidth
+              label="Advanced Rules (JSON)"
+              value={newAgreement.rulesText}
+              onChange={(e) => setNewAgreement({ ...newAgreement, rulesText: e.target.value })}
+              multiline
+              minRows={2}
+              placeholder='[{ "if": { "key": "pii", "value": "true" }, "then": { "key": "encryption", "value": "required" } }]'
+              helperText="Optional list of rules combining conditions with all / any / not, or if / then"
+              size="small"
+              sx={{ mt: 2, '& textarea': { fontFamily: 'monospace' } }}
+            />
+
+            <TextField
+              fullWidth
+              label="Applies To (scope)"
+              value={newAgreement.scope}
+              onChange={(e) => setNewAgreement({ ...newAgreement, scope: e.target.value })}
+              placeholder="e.g., sales.*.* !sales.tmp.*"
+              helperText="catalog.schema.table patterns with * and ? wildcards, /regex/ parts, ! exclusions and table: / volume: / function: / model: filters. Empty means every asset in the shares."
+              size="small"
+              sx={{ mt: 2, '& input': { fontFamily: 'monospace' } }}
+            />
+          </Paper>
+
+          {/* Step 4: Column Requirements */}
+          <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              4. Column Requirements (Optional)
+            </Typography>
+            <ColumnRequirementsEditor
+              rows={newAgreement.columnRequirements}
+              onChange={(rows) => setNewAgreement({ ...newAgreement, columnRequirements: rows })}
+            />
           </Paper>
 
-          {/* Step 4: Dissemination Rules */}
+          {/* Step 5: Dissemination Rules */}
           <Paper variant="outlined" sx={{ p: 2 }}>
             <Typography variant="subtitle2" gutterBottom>
-              4. Dissemination Rules (Optional)
+              5. Dissemination Rules (Optional)
             </Typography>
             <TextField
               fullWidth
@@ -860,11 +1136,36 @@ const AgreementsPage = () => {
               size="small"
             />
           </Paper>
+
+          {['approved', 'active', 'suspended'].includes(selectedAgreement?.status) && (
+            <Alert severity="warning" sx={{ mt: 3 }}>
+              This agreement is {selectedAgreement.status}. Saving changes sends it back for review, and it will not be
+              enforced until it is approved and activated again.
+            </Alert>
+          )}
+
+          {selectedAgreement && (
+            <TextField
+              fullWidth
+              label="Reason for change"
+              value={changeReason}
+              onChange={(e) => setChangeReason(e.target.value)}
+              placeholder="e.g. Retention period renegotiated with provider"
+              helperText="Recorded in the agreement's revision history"
+              size="small"
+              sx={{ mt: 3 }}
+            />
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
-          <Button variant="contained" onClick={handleCreateAgreement}>
-            {selectedAgreement ? 'Update Agreement' : 'Create Agreement'}
+          {!selectedAgreement && (
+            <Button onClick={() => handleCreateAgreement(false)}>
+              Save as Draft
+            </Button>
+          )}
+          <Button variant="contained" onClick={() => handleCreateAgreement(!selectedAgreement)}>
+            {selectedAgreement ? 'Update Agreement' : 'Submit for Review'}
           </Button>
         </DialogActions>
       </Dialog>
@@ -1160,110 +1461,234 @@ const AgreementsPage = () => {
       </Dialog>
 
       {/* View Agreement Dialog */}
-      <Dialog open={viewDialogOpen} onClose={() => setViewDialogOpen(false)} maxWidth="md" fullWidth>
-        <DialogTitle>{selectedAgreement?.name}</DialogTitle>
+      <Dialog open={viewDialogOpen} onClose={() => setViewDialogOpen(false)} maxWidth={viewTab === 1 ? 'lg' : 'md'} fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {selectedAgreement?.name}
+          {selectedAgreement && <AgreementStatusChip status={selectedAgreement.status} />}
+          {selectedAgreement && <SignatureBadge verification={selectedAgreement.signatureVerification} />}
+        </DialogTitle>
         <DialogContent>
-          <Typography variant="subtitle2" gutterBottom sx={{ mt: 2 }}>
-            Description
-          </Typography>
-          <Typography variant="body2" color="text.secondary" paragraph>
-            {selectedAgreement?.description || 'No description'}
-          </Typography>
-
-          <Typography variant="subtitle2" gutterBottom>
-            Shares
-          </Typography>
-          <Box sx={{ mb: 2, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
-            {selectedAgreement?.shares?.length > 0 ? (
-              selectedAgreement.shares.map((share, idx) => (
-                <Chip key={idx} label={share} size="small" />
-              ))
-            ) : (
-              <Typography variant="caption" color="text.secondary">All shares</Typography>
-            )}
-          </Box>
-
-          <Typography variant="subtitle2" gutterBottom>
-            Required Tags
-          </Typography>
-          <Box sx={{ mb: 2, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
-            {selectedAgreement?.requiredTags?.filter(t => t.key).length > 0 ? (
-              selectedAgreement.requiredTags.filter(t => t.key).map((tag, idx) => (
-                <Chip key={idx} label={`${tag.key}: ${tag.value}`} size="small" color="primary" />
-              ))
-            ) : (
-              <Typography variant="caption" color="text.secondary">No required tags</Typography>
-            )}
-          </Box>
+          <Tabs value={viewTab} onChange={(e, value) => setViewTab(value)} sx={{ borderBottom: 1, borderColor: 'divider' }}>
+            <Tab label="Details" />
+            <Tab label="History" />
+          </Tabs>
 
-          {selectedAgreement?.retentionYears && (
+          {viewTab === 0 && (
             <>
-              <Typography variant="subtitle2" gutterBottom>
-                Retention Period
+              <Typography variant="subtitle2" gutterBottom sx={{ mt: 2 }}>
+                Description
               </Typography>
               <Typography variant="body2" color="text.secondary" paragraph>
-                {selectedAgreement.retentionYears} years
+                {selectedAgreement?.description || 'No description'}
               </Typography>
-            </>
-          )}
 
-          {selectedAgreement?.disseminationRules && (
-            <>
               <Typography variant="subtitle2" gutterBottom>
-                Dissemination Rules
-              </Typography>
-              <Typography variant="body2" color="text.secondary" paragraph>
-                {selectedAgreement.disseminationRules}
+                Shares
               </Typography>
-            </>
-          )}
+              <Box sx={{ mb: 2, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                {selectedAgreement?.shares?.length > 0 ? (
+                  selectedAgreement.shares.map((share, idx) => (
+                    <Chip key={idx} label={share} size="small" />
+                  ))
+                ) : (
+                  <Typography variant="caption" color="text.secondary">All shares</Typography>
+                )}
+              </Box>
 
-          {selectedAgreement?.assetScopes && selectedAgreement.assetScopes.length > 0 && (
-            <>
               <Typography variant="subtitle2" gutterBottom>
-                Asset Scopes
+                Required Tags
               </Typography>
-              <Box sx={{ mb: 2 }}>
-                {selectedAgreement.assetScopes.map((scope, idx) => (
-                  <Paper key={idx} variant="outlined" sx={{ p: 1.5, mb: 1 }}>
-                    <Typography variant="body2" fontWeight="medium">
-                      {scope.fullName}
-                    </Typography>
-                    <Typography variant="caption" color="text.secondary">
-                      Scope: {scope.scope}
-                      {scope.scope === 'column' && scope.columns?.length > 0 && (
-                        <> • Columns: {scope.columns.join(', ')}</>
-                      )}
-                    </Typography>
-                  </Paper>
-                ))}
+              <Box sx={{ mb: 2, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                {selectedAgreement?.requiredTags?.filter(t => t.key).length > 0 ? (
+                  selectedAgreement.requiredTags.filter(t => t.key).map((tag, idx) => (
+                    <Chip key={idx} label={formatTagRequirement(tag)} size="small" color="primary" />
+                  ))
+                ) : (
+                  <Typography variant="caption" color="text.secondary">No required tags</Typography>
+                )}
               </Box>
-            </>
-          )}
 
-          {selectedAgreement?.volumePaths && selectedAgreement.volumePaths.length > 0 && (
-            <>
+              {selectedAgreement?.scope && selectedAgreement.scope !== 'all' && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Requirement Scope
+                  </Typography>
+                  <Typography variant="body2" component="code" sx={{ display: 'block', mb: 2 }}>
+                    {selectedAgreement.scope}
+                  </Typography>
+                </>
+              )}
+
+              {selectedAgreement?.rules?.length > 0 && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Rules
+                  </Typography>
+                  <Box component="ul" sx={{ mt: 0, mb: 2, pl: 3 }}>
+                    {selectedAgreement.rules.map((rule, idx) => (
+                      <li key={idx}>
+                        <Typography variant="body2" component="code">{describeRule(rule)}</Typography>
+                        {rule.reason && (
+                          <Typography variant="caption" color="text.secondary"> — {rule.reason}</Typography>
+                        )}
+                      </li>
+                    ))}
+                  </Box>
+                </>
+              )}
+
+              {selectedAgreement?.retentionYears && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Retention Period
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    {selectedAgreement.retentionYears} years
+                  </Typography>
+                </>
+              )}
+
+              {(selectedAgreement?.effectiveDate || selectedAgreement?.expiryDate) && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Agreement Term
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    {selectedAgreement.effectiveDate || 'Not specified'} → {selectedAgreement.expiryDate || 'No expiry'}
+                    {selectedAgreement.renewalNoticeDate && ` (renewal notice from ${selectedAgreement.renewalNoticeDate})`}
+                  </Typography>
+                </>
+              )}
+
+              {selectedAgreement?.columnRequirements?.length > 0 && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Column Requirements
+                  </Typography>
+                  <Box sx={{ mb: 2 }}>
+                    {selectedAgreement.columnRequirements.map((requirement, idx) => (
+                      <Box key={idx} sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 0.5 }}>
+                        <Typography variant="body2" component="code">/{requirement.pattern}/</Typography>
+                        {requirement.requiredTags?.map((tag) => (
+                          <Chip key={tag.key} label={formatTagRequirement(tag)} size="small" color="primary" variant="outlined" />
+                        ))}
+                        {requirement.masked && <Chip label="Masked" size="small" color="secondary" />}
+                      </Box>
+                    ))}
+                  </Box>
+                </>
+              )}
+
+              {selectedAgreement?.signatureVerification && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Provider Signature
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    {selectedAgreement.signatureVerification.reason}
+                    {selectedAgreement.signatureVerification.keyId && ` - key ${selectedAgreement.signatureVerification.keyId}`}
+                    <br />
+                    Content hash: {selectedAgreement.signatureVerification.contentHash}
+                  </Typography>
+                </>
+              )}
+
+              {selectedAgreement?.disseminationRules && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Dissemination Rules
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    {selectedAgreement.disseminationRules}
+                  </Typography>
+                </>
+              )}
+
+              {selectedAgreement?.assetScopes && selectedAgreement.assetScopes.length > 0 && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Asset Scopes
+                  </Typography>
+                  <Box sx={{ mb: 2 }}>
+                    {selectedAgreement.assetScopes.map((scope, idx) => (
+                      <Paper key={idx} variant="outlined" sx={{ p: 1.5, mb: 1 }}>
+                        <Typography variant="body2" fontWeight="medium">
+                          {scope.fullName}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          Scope: {scope.scope}
+                          {scope.scope === 'column' && scope.columns?.length > 0 && (
+                            <> • Columns: {scope.columns.join(', ')}</>
+                          )}
+                        </Typography>
+                      </Paper>
+                    ))}
+                  </Box>
+                </>
+              )}
+
+              {selectedAgreement?.volumePaths && selectedAgreement.volumePaths.length > 0 && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Agreement Files
+                  </Typography>
+                  <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+                    {selectedAgreement.volumePaths.map((path, idx) => (
+                      <Typography key={idx} variant="caption" display="block" sx={{ fontFamily: 'monospace' }}>
+                        📄 {path.share}: {path.volumePath}
+                      </Typography>
+                    ))}
+                  </Paper>
+                </>
+              )}
+
+              {selectedAgreement?.approvals?.length > 0 && (
+                <>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Review Decisions
+                  </Typography>
+                  <Box sx={{ mb: 2 }}>
+                    {selectedAgreement.approvals.map((approval, idx) => (
+                      <Paper key={idx} variant="outlined" sx={{ p: 1.5, mb: 1 }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Chip
+                            label={approval.decision}
+                            size="small"
+                            color={approval.decision === 'approved' ? 'success' : 'error'}
+                          />
+                          <Typography variant="caption" color="text.secondary">
+                            {approval.by} • {new Date(approval.at).toLocaleString()}
+                          </Typography>
+                        </Box>
+                        {approval.comment && (
+                          <Typography variant="body2" sx={{ mt: 0.5 }}>
+                            {approval.comment}
+                          </Typography>
+                        )}
+                      </Paper>
+                    ))}
+                  </Box>
+                </>
+              )}
+
               <Typography variant="subtitle2" gutterBottom>
-                Agreement Files
+                Agreement Content
               </Typography>
-              <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
-                {selectedAgreement.volumePaths.map((path, idx) => (
-                  <Typography key={idx} variant="caption" display="block" sx={{ fontFamily: 'monospace' }}>
-                    📄 {path.share}: {path.volumePath}
-                  </Typography>
-                ))}
+              <Paper variant="outlined" sx={{ p: 2, mb: 2, maxHeight: 200, overflow: 'auto' }}>
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                  {selectedAgreement?.content}
+                </Typography>
               </Paper>
             </>
           )}
 
-          <Typography variant="subtitle2" gutterBottom>
-            Agreement Content
-          </Typography>
-          <Paper variant="outlined" sx={{ p: 2, mb: 2, maxHeight: 200, overflow: 'auto' }}>
-            <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
-              {selectedAgreement?.content}
-            </Typography>
-          </Paper>
+          {viewTab === 1 && selectedAgreement && (
+            <AgreementHistory
+              key={selectedAgreement.id}
+              agreementId={selectedAgreement.id}
+              onRestored={handleRevisionRestored}
+            />
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setViewDialogOpen(false)}>Close</Button>
@@ -16,9 +16,7 @@ import {
   TableRow,
   IconButton,
   TextField,
-  Card,
-  CardContent,
-  Divider,
+  Tooltip,
 } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import EditIcon from '@mui/icons-material/Edit';
@@ -28,44 +26,69 @@ import AddIcon from '@mui/icons-material/Add';
 import DeleteIcon from '@mui/icons-material/Delete';
 import { getTableMetadata } from '../services/shareService';
 import { validateAsset } from '../services/validationService';
-import { updateAssetTags } from '../services/tagService';
+import { getTableTags, setTableTags } from '../services/tagService';
+import RequestWaiverDialog from '../components/RequestWaiverDialog';
+
+// Human-readable text for a table- or column-level violation (the backend explains which rule failed)
+const describeViolation = (violation) => {
+  const target = violation.column && violation.type !== 'column_mask' ? `Column "${violation.column}": ` : '';
+  const reason = violation.reason ? ` — ${violation.reason}` : '';
+  return `${target}${violation.message} (${violation.agreementName})${reason}`;
+};
 
 const AssetDetails = () => {
-  const { envId, shareId, schema, table } = useParams();
+  const { envId, fullName: encodedFullName } = useParams();
+  const fullName = decodeURIComponent(encodedFullName);
   const navigate = useNavigate();
   const [metadata, setMetadata] = useState(null);
+  const [tags, setTags] = useState({});
   const [validation, setValidation] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
   const [editingTags, setEditingTags] = useState(false);
   const [newTags, setNewTags] = useState({});
+  const [waiverViolation, setWaiverViolation] = useState(null);
+  const [waiverNotice, setWaiverNotice] = useState(null);
 
   useEffect(() => {
-    loadAssetDetails();
-  }, [envId, shareId, schema, table]);
+    let cancelled = false;
 
-  const loadAssetDetails = async () => {
-    setLoading(true);
-    try {
-      const meta = await getTableMetadata(envId, shareId, schema, table);
-      setMetadata(meta);
-      setNewTags(meta.tags || {});
-      
-      const val = await validateAsset(envId, shareId, schema, table);
-      setValidation(val);
-    } catch (error) {
-      console.error('Failed to load asset details:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+    const loadAssetDetails = async () => {
+      try {
+        const [meta, tableTags, val] = await Promise.all([
+          getTableMetadata(envId, fullName),
+          getTableTags(envId, fullName).catch(() => ({})),
+          validateAsset(`${envId}:${fullName}`).catch(() => null),
+        ]);
+        if (cancelled) return;
+        setMetadata(meta);
+        setTags(tableTags);
+        setNewTags(tableTags);
+        setValidation(val);
+        setError(null);
+      } catch (err) {
+        console.error('Failed to load asset details:', err);
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadAssetDetails();
+    return () => {
+      cancelled = true;
+    };
+  }, [envId, fullName, reloadCount]);
 
   const handleSaveTags = async () => {
     try {
-      await updateAssetTags(envId, shareId, schema, table, newTags);
-      await loadAssetDetails();
+      await setTableTags(envId, fullName, newTags);
       setEditingTags(false);
-    } catch (error) {
-      console.error('Failed to update tags:', error);
+      setReloadCount(count => count + 1);
+    } catch (err) {
+      console.error('Failed to update tags:', err);
+      setError(err.response?.data?.message || err.message);
     }
   };
 
@@ -82,6 +105,24 @@ const AssetDetails = () => {
     setNewTags(updated);
   };
 
+  // Per-column compliance comes from validation when an agreement has column requirements
+  const columnResults = new Map((validation?.columns || []).map(col => [col.name, col]));
+
+  const renderColumnCompliance = (columnName) => {
+    const result = columnResults.get(columnName);
+    if (!result?.required) {
+      return <Typography variant="caption" color="text.secondary">—</Typography>;
+    }
+    if (result.compliant) {
+      return <Chip label="Compliant" color="success" size="small" variant="outlined" />;
+    }
+    return (
+      <Tooltip title={result.violations.map(describeViolation).join('; ')}>
+        <Chip label={`${result.violations.length} violation(s)`} color="error" size="small" />
+      </Tooltip>
+    );
+  };
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: 400 }}>
@@ -94,6 +135,7 @@ const AssetDetails = () => {
     return (
       <Box sx={{ textAlign: 'center', py: 8 }}>
         <Typography variant="h6" color="text.secondary">Asset not found</Typography>
+        {error && <Typography color="text.secondary">{error}</Typography>}
         <Button
           startIcon={<ArrowBackIcon />}
           onClick={() => navigate('/shares')}
@@ -119,37 +161,90 @@ const AssetDetails = () => {
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           <Box>
             <Typography variant="h4" fontWeight="bold">
-              {metadata.name}
+              {metadata.table}
             </Typography>
             <Typography variant="body1" color="text.secondary">
-              {metadata.full_name || metadata.fullName}
+              {fullName}
             </Typography>
           </Box>
-          <Chip
-            label={validation?.isCompliant ? '✓ Compliant' : '✗ Non-Compliant'}
-            color={validation?.isCompliant ? 'success' : 'error'}
-            sx={{ px: 2, py: 3 }}
-          />
+          {validation && (
+            <Chip
+              label={validation.compliant
+                ? (validation.waivedViolations?.length > 0 ? '✓ Compliant (waived)' : '✓ Compliant')
+                : '✗ Non-Compliant'}
+              color={validation.compliant ? 'success' : 'error'}
+              sx={{ px: 2, py: 3 }}
+            />
+          )}
         </Box>
       </Box>
 
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
       {/* Violations Alert */}
-      {validation && !validation.isCompliant && (
+      {validation && !validation.compliant && (
         <Alert severity="error" sx={{ mb: 3 }}>
           <AlertTitle><strong>{validation.violations.length} Compliance Violations Found</strong></AlertTitle>
           <Box component="ul" sx={{ mt: 1, mb: 0 }}>
             {validation.violations.map((violation, idx) => (
-              <li key={idx}>{violation.message}</li>
+              <li key={idx}>
+                {describeViolation(violation)}
+                <Button size="small" color="inherit" onClick={() => setWaiverViolation(violation)} sx={{ ml: 1, py: 0 }}>
+                  Request waiver
+                </Button>
+              </li>
             ))}
           </Box>
         </Alert>
       )}
 
+      {waiverNotice && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setWaiverNotice(null)}>
+          {waiverNotice}
+        </Alert>
+      )}
+
+      {/* Waived Violations */}
+      {validation?.waivedViolations?.length > 0 && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          <AlertTitle><strong>{validation.waivedViolations.length} Waived Violation(s)</strong></AlertTitle>
+          <Box component="ul" sx={{ mt: 1, mb: 0 }}>
+            {validation.waivedViolations.map((violation, idx) => (
+              <li key={idx}>
+                {describeViolation(violation)} — waived until {violation.waiver.expiresAt} by {violation.waiver.approver}
+              </li>
+            ))}
+          </Box>
+        </Alert>
+      )}
+
+      {waiverViolation && (
+        <RequestWaiverDialog
+          key={`${waiverViolation.agreementId}:${waiverViolation.rule}:${waiverViolation.column || ''}`}
+          assetId={`${envId}:${fullName}`}
+          violation={waiverViolation}
+          onClose={() => setWaiverViolation(null)}
+          onRequested={(waiver) => {
+            setWaiverViolation(null);
+            setWaiverNotice(`Waiver requested - ${waiver.approver} must approve it before the violation is waived`);
+          }}
+        />
+      )}
+
       {/* Schema */}
       <Paper sx={{ p: 3, mb: 3 }}>
         <Typography variant="h6" fontWeight="bold" gutterBottom>
           Schema
         </Typography>
+        {!metadata.columnTagsAvailable && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Column tags could not be read (a SQL warehouse is required), so column tag requirements are not checked.
+          </Alert>
+        )}
         <TableContainer>
           <Table size="small">
             <TableHead>
@@ -157,6 +252,9 @@ const AssetDetails = () => {
                 <TableCell><strong>Column</strong></TableCell>
                 <TableCell><strong>Type</strong></TableCell>
                 <TableCell><strong>Nullable</strong></TableCell>
+                <TableCell><strong>Tags</strong></TableCell>
+                <TableCell><strong>Masked</strong></TableCell>
+                <TableCell><strong>Compliance</strong></TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
@@ -165,6 +263,15 @@ const AssetDetails = () => {
                   <TableCell>{col.name}</TableCell>
                   <TableCell><code>{col.type}</code></TableCell>
                   <TableCell>{col.nullable ? 'Yes' : 'No'}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {Object.entries(col.tags || {}).map(([key, value]) => (
+                        <Chip key={key} label={value ? `${key}: ${value}` : key} size="small" />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>{col.masked ? 'Yes' : 'No'}</TableCell>
+                  <TableCell>{renderColumnCompliance(col.name)}</TableCell>
                 </TableRow>
               ))}
             </TableBody>
@@ -173,7 +280,7 @@ const AssetDetails = () => {
       </Paper>
 
       {/* Tags */}
-      <Paper sx={{ p: 3, mb: 3 }}>
+      <Paper sx={{ p: 3 }}>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
           <Typography variant="h6" fontWeight="bold">
             Tags
@@ -192,7 +299,7 @@ const AssetDetails = () => {
                 startIcon={<CancelIcon />}
                 onClick={() => {
                   setEditingTags(false);
-                  setNewTags(metadata.tags || {});
+                  setNewTags(tags);
                 }}
               >
                 Cancel
@@ -240,32 +347,16 @@ const AssetDetails = () => {
           </Box>
         ) : (
           <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-            {Object.entries(metadata.tags || {}).length === 0 ? (
+            {Object.entries(tags).length === 0 ? (
               <Typography color="text.secondary">No tags applied</Typography>
             ) : (
-              Object.entries(metadata.tags || {}).map(([key, value]) => (
+              Object.entries(tags).map(([key, value]) => (
                 <Chip key={key} label={`${key}: ${value}`} />
               ))
             )}
           </Box>
         )}
       </Paper>
-
-      {/* Required Tags */}
-      <Paper sx={{ p: 3 }}>
-        <Typography variant="h6" fontWeight="bold" gutterBottom>
-          Required Tags
-        </Typography>
-        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-          {Object.entries(metadata.requiredTags || {}).length === 0 ? (
-            <Typography color="text.secondary">No required tags defined</Typography>
-          ) : (
-            Object.entries(metadata.requiredTags || {}).map(([key, value]) => (
-              <Chip key={key} label={`${key}: ${value}`} color="warning" />
-            ))
-          )}
-        </Box>
-      </Paper>
     </Box>
   );
 };
@@ -0,0 +1,309 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Alert,
+  AlertTitle,
+  Divider,
+} from '@mui/material';
+import UndoIcon from '@mui/icons-material/Undo';
+import { getChangeSets, getChangeSet, rollbackChangeSet } from '../services/changeSetService';
+
+const STATUS_COLORS = {
+  applied: 'success',
+  partially_rolled_back: 'warning',
+  rolled_back: 'default',
+};
+
+const SOURCE_LABELS = {
+  remediation: 'Remediation',
+  manual: 'Tag edit',
+  share_tags: 'Share tags',
+  enforcement: 'Enforcement',
+  plan: 'Enforcement plan',
+  rollback: 'Rollback',
+};
+
+const RESULT_COLORS = {
+  rolled_back: 'success',
+  conflict: 'warning',
+  not_restorable: 'error',
+  failed: 'error',
+};
+
+const formatValue = (value) => (value === null ? '(not set)' : value);
+
+// before → after per tag key
+const TagChanges = ({ change }) => (
+  <Box sx={{ fontFamily: 'monospace', fontSize: 13 }}>
+    {Object.entries(change.after).map(([key, value]) => (
+      <Box key={key}>
+        {key}: {change.before ? formatValue(change.before[key]) : '?'} → {formatValue(value)}
+      </Box>
+    ))}
+  </Box>
+);
+
+const ChangeHistoryPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = searchParams.get('changeSet');
+  const [changeSets, setChangeSets] = useState([]);
+  const [selectedChangeSet, setSelectedChangeSet] = useState(null);
+  const [rollbackResults, setRollbackResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadChangeSets = async () => {
+      try {
+        const data = await getChangeSets();
+        if (!cancelled) setChangeSets(data);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadChangeSets();
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadChangeSet = async () => {
+      try {
+        const changeSet = selectedId ? await getChangeSet(selectedId) : null;
+        if (!cancelled) setSelectedChangeSet(changeSet);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadChangeSet();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId, reloadCount]);
+
+  const selectChangeSet = (id) => {
+    setRollbackResults(null);
+    setSearchParams({ changeSet: id });
+  };
+
+  const handleRollback = async (changeIds, force = false) => {
+    const what = changeIds ? `${changeIds.length} securable(s)` : 'every securable in this change set';
+    const warning = force ? ' Tags changed since will be overwritten.' : '';
+    if (!window.confirm(`Roll back ${what} to the previous tag values?${warning}`)) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await rollbackChangeSet(selectedChangeSet.id, { changeIds, force });
+      setRollbackResults(data.results);
+    } catch (err) {
+      setError(`Failed to roll back: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setBusy(false);
+      setReloadCount(count => count + 1);
+    }
+  };
+
+  const conflicts = rollbackResults?.filter(r => r.status === 'conflict') || [];
+
+  return (
+    <Box>
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h4" fontWeight="bold" gutterBottom>
+          Change History
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Tag changes made by remediation, tag propagation and enforcement, with their previous values
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Selected change set */}
+      {selectedChangeSet && (
+        <Paper sx={{ p: 3, mb: 4 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Box>
+              <Typography variant="h6" fontWeight="bold">
+                {selectedChangeSet.description}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {SOURCE_LABELS[selectedChangeSet.source?.type] || selectedChangeSet.source?.type} by {selectedChangeSet.createdBy} on {new Date(selectedChangeSet.createdAt).toLocaleString()} · environment {selectedChangeSet.environmentId}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <Chip label={selectedChangeSet.status.replace(/_/g, ' ')} color={STATUS_COLORS[selectedChangeSet.status]} />
+              {selectedChangeSet.status !== 'rolled_back' && (
+                <Button variant="contained" startIcon={<UndoIcon />} onClick={() => handleRollback()} disabled={busy}>
+                  Roll Back All
+                </Button>
+              )}
+            </Box>
+          </Box>
+
+          {rollbackResults && (
+            <Alert severity={conflicts.length > 0 || rollbackResults.some(r => r.status !== 'rolled_back') ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              <AlertTitle>
+                Rolled back {rollbackResults.filter(r => r.status === 'rolled_back').length} of {rollbackResults.length} securable(s)
+              </AlertTitle>
+              {rollbackResults.filter(r => r.status !== 'rolled_back').map((r) => (
+                <Typography key={r.id} variant="body2">
+                  {r.name}: {r.error}
+                  {r.liveValues && r.status === 'conflict' && ` (now ${Object.entries(r.liveValues).map(([key, value]) => `${key}=${formatValue(value)}`).join(', ')})`}
+                </Typography>
+              ))}
+              {conflicts.length > 0 && (
+                <Button
+                  size="small"
+                  color="warning"
+                  variant="outlined"
+                  sx={{ mt: 1 }}
+                  onClick={() => handleRollback(conflicts.map(r => r.id), true)}
+                  disabled={busy}
+                >
+                  Overwrite and roll back {conflicts.length} conflicting securable(s)
+                </Button>
+              )}
+            </Alert>
+          )}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Securable</strong></TableCell>
+                  <TableCell><strong>Before → After</strong></TableCell>
+                  <TableCell><strong>Status</strong></TableCell>
+                  <TableCell align="right"><strong>Actions</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {selectedChangeSet.changes.map((change) => {
+                  const result = rollbackResults?.find(r => r.id === change.id);
+                  return (
+                    <TableRow key={change.id}>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="medium">{change.name}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {change.kind === 'table_properties' ? 'table properties' : change.entityType.slice(0, -1)}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <TagChanges change={change} />
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={change.status.replace(/_/g, ' ')} color={STATUS_COLORS[change.status]} size="small" />
+                        {result && result.status !== change.status && (
+                          <Chip label={result.status.replace(/_/g, ' ')} color={RESULT_COLORS[result.status]} size="small" sx={{ ml: 1 }} />
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        {change.status === 'applied' && (
+                          <Button
+                            size="small"
+                            startIcon={<UndoIcon />}
+                            onClick={() => handleRollback([change.id])}
+                            disabled={busy || !change.before}
+                            title={change.before ? '' : 'The previous tags were not recorded'}
+                          >
+                            Roll Back
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {selectedChangeSet.rollbacks?.length > 0 && (
+            <Box sx={{ mt: 2 }}>
+              {selectedChangeSet.rollbacks.map((rollback) => (
+                <Typography key={rollback.at} variant="caption" color="text.secondary" display="block">
+                  Rolled back {rollback.rolledBack} securable(s) by {rollback.by} on {new Date(rollback.at).toLocaleString()}
+                  {rollback.force ? ' (forced)' : ''}
+                  {rollback.conflicts > 0 ? ` · ${rollback.conflicts} conflict(s)` : ''}
+                  {rollback.failed > 0 ? ` · ${rollback.failed} failed` : ''}
+                </Typography>
+              ))}
+            </Box>
+          )}
+        </Paper>
+      )}
+
+      {/* Change sets */}
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          Change Sets
+        </Typography>
+        <Divider sx={{ mb: 2 }} />
+        {changeSets.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No tag changes recorded yet.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Date</strong></TableCell>
+                  <TableCell><strong>Source</strong></TableCell>
+                  <TableCell><strong>Description</strong></TableCell>
+                  <TableCell><strong>Securables</strong></TableCell>
+                  <TableCell><strong>Status</strong></TableCell>
+                  <TableCell><strong>By</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {changeSets.map((changeSet) => (
+                  <TableRow
+                    key={changeSet.id}
+                    hover
+                    selected={changeSet.id === selectedId}
+                    onClick={() => selectChangeSet(changeSet.id)}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell>{new Date(changeSet.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{SOURCE_LABELS[changeSet.source?.type] || changeSet.source?.type}</TableCell>
+                    <TableCell>{changeSet.description}</TableCell>
+                    <TableCell>{changeSet.changes.length}</TableCell>
+                    <TableCell>
+                      <Chip label={changeSet.status.replace(/_/g, ' ')} color={STATUS_COLORS[changeSet.status]} size="small" />
+                    </TableCell>
+                    <TableCell>{changeSet.createdBy}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default ChangeHistoryPage;
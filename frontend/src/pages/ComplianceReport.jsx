@@ -22,18 +22,21 @@ import ErrorIcon from '@mui/icons-material/Error';
 import WarningIcon from '@mui/icons-material/Warning';
 import AssessmentIcon from '@mui/icons-material/Assessment';
 import useAppStore from '../store/useAppStore';
+import WaiversPanel from '../components/WaiversPanel';
 
 const ComplianceReport = () => {
   const { 
     complianceOverview, 
     violations,
+    waivedViolations,
     violationsLoading,
     agreements,
     agreementsLoading,
     complianceLoading,
     loadCompliance,
     loadViolations,
-    loadAgreements 
+    loadAgreements,
+    refreshCompliance,
   } = useAppStore();
 
   useEffect(() => {
@@ -104,6 +107,8 @@ const ComplianceReport = () => {
               </Typography>
               <Typography variant="body2" sx={{ opacity: 0.9, mt: 1 }}>
                 {complianceOverview?.overall?.compliantAssets} of {complianceOverview?.overall?.totalAssets} assets compliant
+                {complianceOverview?.overall?.waivedAssets > 0 &&
+                  ` (${complianceOverview.overall.waivedAssets} with waived violations not counted)`}
               </Typography>
             </Box>
             <AssessmentIcon sx={{ fontSize: 100, opacity: 0.3 }} />
@@ -159,6 +164,8 @@ const ComplianceReport = () => {
               </Typography>
               <Typography variant="body2" color="text.secondary">
                 Require attention
+                {complianceOverview?.overall?.waivedAssets > 0 &&
+                  ` · ${complianceOverview.overall.waivedAssets} waived`}
               </Typography>
             </CardContent>
           </Card>
@@ -281,6 +288,61 @@ const ComplianceReport = () => {
           </TableContainer>
         )}
       </Paper>
+
+      {/* Waived Violations */}
+      {waivedViolations.length > 0 && (
+        <Paper sx={{ p: 3, mt: 4 }}>
+          <Typography variant="h6" fontWeight="bold" gutterBottom>
+            Waived Violations
+          </Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Accepted until the waiver expires - not counted in the compliance score
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Asset Name</strong></TableCell>
+                  <TableCell><strong>Environment</strong></TableCell>
+                  <TableCell><strong>Waived Violations</strong></TableCell>
+                  <TableCell><strong>Expires</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {waivedViolations.map((result) => (
+                  <TableRow key={result.assetId} hover>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight="medium">
+                        {result.assetName}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={result.environmentId} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      {result.waivedViolations.map((v, i) => (
+                        <Typography key={i} variant="caption" display="block" color="text.secondary">
+                          • {v.message} ({v.agreementName})
+                        </Typography>
+                      ))}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {result.waivedViolations.map(v => v.waiver.expiresAt).sort()[0]}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      <Box sx={{ mt: 4 }}>
+        <WaiversPanel onChange={refreshCompliance} />
+      </Box>
     </Box>
   );
 };
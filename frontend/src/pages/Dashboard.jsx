@@ -21,6 +21,7 @@ import DescriptionIcon from '@mui/icons-material/Description';
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
 import useAppStore from '../store/useAppStore';
 import SetupModal from '../components/SetupModal';
+import ComplianceTrends from '../components/ComplianceTrends';
 import api from '../services/api';
 
 const Dashboard = () => {
@@ -111,6 +112,10 @@ const Dashboard = () => {
     ? Math.round((complianceOverview.overall.compliantAssets / complianceOverview.overall.totalAssets) * 100)
     : 0;
 
+  // Catalogs the asset crawls couldn't read, with the reason
+  const skippedCatalogs = (complianceOverview?.byEnvironment || []).flatMap(env =>
+    (env.coverage?.skipped || []).map(catalog => ({ ...catalog, environmentId: env.environmentId })));
+
   const currentStatus = loadingStatus['current'];
   const totalAssetsText = currentStatus?.isLoading 
     ? `${currentStatus.currentAssetCount || 0}+ (loading...)`
@@ -171,6 +176,16 @@ const Dashboard = () => {
             {complianceOverview.overall.note}
           </Alert>
         )}
+        {skippedCatalogs.length > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            <AlertTitle>Catalogs Not Crawled ({skippedCatalogs.length})</AlertTitle>
+            {skippedCatalogs.map(catalog => (
+              <Typography key={`${catalog.environmentId}:${catalog.name}`} variant="body2">
+                {catalog.name} ({catalog.environmentId}) - {catalog.reason}
+              </Typography>
+            ))}
+          </Alert>
+        )}
       </Box>
 
       {/* Stats Cards */}
@@ -223,6 +238,29 @@ const Dashboard = () => {
         })}
       </Grid>
 
+      {/* Compliance over time */}
+      <ComplianceTrends />
+
+      {/* Shares still shared under expired agreements */}
+      {complianceOverview?.expiredAgreementViolations?.length > 0 && (
+        <Alert
+          severity="error"
+          sx={{ mb: 4 }}
+          action={
+            <Button component={Link} to="/agreements" size="small">
+              Review →
+            </Button>
+          }
+        >
+          <AlertTitle>Shared Under Expired Agreements ({complianceOverview.expiredAgreementViolations.length})</AlertTitle>
+          {complianceOverview.expiredAgreementViolations.map((violation, idx) => (
+            <Typography key={idx} variant="body2">
+              {violation.share} ({violation.environmentId}) - {violation.agreementName} expired on {violation.expiryDate}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
       {/* Recent Violations */}
       <Paper sx={{ p: 3 }}>
         <Typography variant="h6" fontWeight="bold" gutterBottom>
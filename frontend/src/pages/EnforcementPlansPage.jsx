@@ -0,0 +1,338 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Alert,
+  AlertTitle,
+  Divider,
+  Link,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import {
+  getEnforcementPlans,
+  getEnforcementPlan,
+  applyEnforcementPlan,
+  discardEnforcementPlan,
+} from '../services/enforcementPlanService';
+
+const STATUS_COLORS = {
+  planned: 'info',
+  applying: 'warning',
+  interrupted: 'warning',
+  applied: 'success',
+  partially_applied: 'warning',
+  failed: 'error',
+  stale: 'default',
+  discarded: 'default',
+};
+
+const formatTags = (tags = {}) => {
+  const entries = Object.entries(tags);
+  return entries.length > 0 ? entries.map(([key, value]) => `${key}=${value}`).join(', ') : '—';
+};
+
+const describeSource = (plan) =>
+  plan.source?.type === 'agreement' ? plan.source.agreementName : `Share ${plan.source?.shareName}`;
+
+// Adds, changes and removals of one securable, terraform style
+const PlannedChanges = ({ changes }) => (
+  <Box sx={{ fontFamily: 'monospace', fontSize: 13 }}>
+    {Object.entries(changes.add).map(([key, value]) => (
+      <Box key={`add-${key}`} sx={{ color: 'success.main' }}>+ {key} = {value}</Box>
+    ))}
+    {Object.entries(changes.change).map(([key, { from, to }]) => (
+      <Box key={`change-${key}`} sx={{ color: 'warning.dark' }}>~ {key}: {from} → {to}</Box>
+    ))}
+    {changes.remove.map((key) => (
+      <Box key={`remove-${key}`} sx={{ color: 'error.main' }}>- {key}</Box>
+    ))}
+  </Box>
+);
+
+const EnforcementPlansPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = searchParams.get('plan');
+  const [plans, setPlans] = useState([]);
+  const [selectedPlan, setSelectedPlan] = useState(null);
+  const [error, setError] = useState(null);
+  const [drift, setDrift] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPlans = async () => {
+      try {
+        const data = await getEnforcementPlans();
+        if (!cancelled) setPlans(data);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadPlans();
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPlan = async () => {
+      try {
+        const plan = selectedId ? await getEnforcementPlan(selectedId) : null;
+        if (!cancelled) setSelectedPlan(plan);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadPlan();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId, reloadCount]);
+
+  const runAction = async (action, errorMessage) => {
+    setBusy(true);
+    setError(null);
+    setDrift(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(`${errorMessage}: ${err.response?.data?.message || err.message}`);
+      setDrift(err.response?.data?.drift || null);
+    } finally {
+      setBusy(false);
+      setReloadCount(count => count + 1);
+    }
+  };
+
+  const handleApply = () => {
+    if (!window.confirm(`Apply ${selectedPlan.summary.withChanges} planned change(s) to Unity Catalog?`)) return;
+    runAction(() => applyEnforcementPlan(selectedPlan.id), 'Failed to apply plan');
+  };
+
+  const handleDiscard = () => {
+    const comment = window.prompt('Discard this plan? Comment (optional):');
+    if (comment === null) return;
+    runAction(() => discardEnforcementPlan(selectedPlan.id, comment || undefined), 'Failed to discard plan');
+  };
+
+  const planDrift = drift || selectedPlan?.drift;
+
+  return (
+    <Box>
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h4" fontWeight="bold" gutterBottom>
+          Enforcement Plans
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Review the tag changes enforcement would make, then apply exactly that plan
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Selected plan */}
+      {selectedPlan && (
+        <Paper sx={{ p: 3, mb: 4 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Box>
+              <Typography variant="h6" fontWeight="bold">
+                {describeSource(selectedPlan)}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Planned by {selectedPlan.createdBy} on {new Date(selectedPlan.createdAt).toLocaleString()} · environment {selectedPlan.environmentId}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <Chip label={selectedPlan.status.replace('_', ' ')} color={STATUS_COLORS[selectedPlan.status]} />
+              {['planned', 'interrupted'].includes(selectedPlan.status) && (
+                <Button
+                  variant="contained"
+                  startIcon={<PlayArrowIcon />}
+                  onClick={handleApply}
+                  disabled={busy || selectedPlan.items.length === 0}
+                >
+                  Apply
+                </Button>
+              )}
+              {['planned', 'stale', 'interrupted'].includes(selectedPlan.status) && (
+                <Button variant="outlined" color="error" startIcon={<DeleteOutlineIcon />} onClick={handleDiscard} disabled={busy}>
+                  Discard
+                </Button>
+              )}
+            </Box>
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', my: 2 }}>
+            <Chip label={`${selectedPlan.summary.withChanges} to change`} size="small" color="primary" variant="outlined" />
+            <Chip label={`+${selectedPlan.summary.adds} ~${selectedPlan.summary.changes} -${selectedPlan.summary.removals}`} size="small" variant="outlined" />
+            <Chip label={`${selectedPlan.summary.unchanged} unchanged`} size="small" variant="outlined" />
+            {selectedPlan.summary.unreadable > 0 && (
+              <Chip label={`${selectedPlan.summary.unreadable} unreadable`} size="small" color="warning" variant="outlined" />
+            )}
+            {selectedPlan.summary.skipped > 0 && (
+              <Chip label={`${selectedPlan.summary.skipped} skipped`} size="small" variant="outlined" />
+            )}
+          </Box>
+
+          {selectedPlan.changeSetId && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              The previous tag values were recorded -{' '}
+              <Link component={RouterLink} to={`/changes?changeSet=${selectedPlan.changeSetId}`}>
+                roll back from Change History
+              </Link>
+            </Alert>
+          )}
+
+          {planDrift?.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              <AlertTitle>Tags changed since this plan was made - create a new plan</AlertTitle>
+              <Box component="ul" sx={{ mt: 1, mb: 0 }}>
+                {planDrift.map((d) => (
+                  <li key={d.name}>
+                    {d.name}: {d.error ? d.error : `planned ${formatTags(d.plannedTags)}, now ${formatTags(d.liveTags)}`}
+                  </li>
+                ))}
+              </Box>
+            </Alert>
+          )}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Securable</strong></TableCell>
+                  <TableCell><strong>Current Tags</strong></TableCell>
+                  <TableCell><strong>Changes</strong></TableCell>
+                  {selectedPlan.applyResults && <TableCell><strong>Result</strong></TableCell>}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {selectedPlan.items.map((item) => {
+                  const result = selectedPlan.applyResults?.find(r => r.name === item.name);
+                  return (
+                    <TableRow key={item.name}>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="medium">{item.name}</Typography>
+                        <Typography variant="caption" color="text.secondary">{item.entityType.slice(0, -1)}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color="text.secondary">{formatTags(item.currentTags)}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <PlannedChanges changes={item.changes} />
+                      </TableCell>
+                      {selectedPlan.applyResults && (
+                        <TableCell>
+                          {result && (
+                            <Chip
+                              label={result.status}
+                              color={result.status === 'applied' ? 'success' : 'error'}
+                              size="small"
+                              title={result.failed.map(f => `${f.key}: ${f.error}`).join('; ')}
+                            />
+                          )}
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  );
+                })}
+                {selectedPlan.items.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={4}>
+                      <Typography variant="body2" color="text.secondary">No changes - everything in scope already has the desired tags</Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {selectedPlan.unreadable?.length > 0 && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              <AlertTitle>Tags could not be read - these securables are not part of the plan</AlertTitle>
+              {selectedPlan.unreadable.map((u) => (
+                <Typography key={u.name} variant="body2">{u.name}: {u.error}</Typography>
+              ))}
+            </Alert>
+          )}
+          {selectedPlan.skipped?.length > 0 && (
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2 }}>
+              Skipped: {selectedPlan.skipped.map(s => `${s.asset} (${s.reason})`).join(', ')}
+            </Typography>
+          )}
+        </Paper>
+      )}
+
+      {/* Plans */}
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          Plans
+        </Typography>
+        <Divider sx={{ mb: 2 }} />
+        {plans.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No plans yet. Plan an active agreement&apos;s enforcement from the Agreements page.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Created</strong></TableCell>
+                  <TableCell><strong>Source</strong></TableCell>
+                  <TableCell><strong>Changes</strong></TableCell>
+                  <TableCell><strong>Status</strong></TableCell>
+                  <TableCell><strong>Planned By</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {plans.map((plan) => (
+                  <TableRow
+                    key={plan.id}
+                    hover
+                    selected={plan.id === selectedId}
+                    onClick={() => setSearchParams({ plan: plan.id })}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell>{new Date(plan.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{describeSource(plan)}</TableCell>
+                    <TableCell>
+                      {plan.summary.withChanges} securable(s): +{plan.summary.adds} ~{plan.summary.changes} -{plan.summary.removals}
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={plan.status.replace('_', ' ')} color={STATUS_COLORS[plan.status]} size="small" />
+                    </TableCell>
+                    <TableCell>{plan.createdBy}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default EnforcementPlansPage;
@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Alert,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import JobsPanel from '../components/JobsPanel';
+import { getJobTypes, startJob } from '../services/jobService';
+
+const JobsPage = () => {
+  const [jobTypes, setJobTypes] = useState([]);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadJobTypes = async () => {
+      try {
+        const data = await getJobTypes();
+        if (!cancelled) setJobTypes(data);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadJobTypes();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleStart = async (jobType) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const job = await startJob(jobType.type);
+      setMessage(`Started: ${job.description}`);
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setError(`Failed to start job: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h4" fontWeight="bold" gutterBottom>
+          Background Jobs
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Long-running enforcement, agreement ingestion and asset scans, with their progress
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3, mb: 4 }}>
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          Start a Job
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Jobs run against the current environment; jobs in the same environment queue behind each other.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          {jobTypes.map((jobType) => (
+            <Button
+              key={jobType.type}
+              variant="outlined"
+              startIcon={<PlayArrowIcon />}
+              onClick={() => handleStart(jobType)}
+              disabled={busy}
+            >
+              {jobType.label}
+            </Button>
+          ))}
+        </Box>
+      </Paper>
+
+      <JobsPanel reloadKey={reloadKey} />
+    </Box>
+  );
+};
+
+export default JobsPage;
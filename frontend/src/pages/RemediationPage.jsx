@@ -46,10 +46,9 @@ const RemediationPage = () => {
     setSelectedViolation(violation);
     const initialTags = {};
     violation.violations.forEach(v => {
-      if (v.type === 'missing') {
-        initialTags[v.tag] = v.requiredValue;
-      } else if (v.type === 'incorrect') {
-        initialTags[v.tag] = v.requiredValue;
+      // Only "equals" rules name the value to apply; for other operators start from the current value
+      if (v.tagKey && !v.column) {
+        initialTags[v.tagKey] = v.operator === 'eq' ? v.expectedValue : (v.actualValue ?? '');
       }
     });
     setTagValues(initialTags);
@@ -84,7 +83,7 @@ const RemediationPage = () => {
       setTagValues({});
       await loadViolations();
       
-      alert('Tags successfully applied!');
+      alert('Tags successfully applied! The previous values are kept in Change History if the fix needs to be rolled back.');
     } catch (error) {
       console.error('Failed to apply fix:', error);
       alert('Failed to apply fix: ' + error.message);
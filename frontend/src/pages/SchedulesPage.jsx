@@ -0,0 +1,514 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  IconButton,
+  Alert,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  Tooltip,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import HistoryIcon from '@mui/icons-material/History';
+import {
+  getSchedules,
+  getScheduleRuns,
+  previewCron,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+} from '../services/scheduleService';
+import { getAllEnvironments } from '../services/environmentService';
+import { getAllAgreements } from '../services/agreementService';
+
+const STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  completed: 'success',
+  partially_failed: 'warning',
+  failed: 'error',
+  cancelled: 'default',
+  interrupted: 'warning',
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const POLL_INTERVAL = 3000;
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  cron: '0 6 * * *',
+  environmentId: '',
+  agreementId: '',
+  rescan: true,
+  autoEnforce: false,
+  enabled: true,
+};
+
+const complianceColor = (percentage) => {
+  if (percentage >= 90) return 'success';
+  if (percentage >= 70) return 'warning';
+  return 'error';
+};
+
+const SchedulesPage = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [environments, setEnvironments] = useState([]);
+  const [agreements, setAgreements] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_SCHEDULE);
+  const [cronPreview, setCronPreview] = useState({ nextRuns: [], error: null });
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadOptions = async () => {
+      try {
+        const [envs, allAgreements] = await Promise.all([getAllEnvironments(), getAllAgreements()]);
+        if (cancelled) return;
+        setEnvironments(envs);
+        setAgreements(allAgreements);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadOptions();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSchedules = async () => {
+      try {
+        const data = await getSchedules();
+        if (!cancelled) setSchedules(data);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadSchedules();
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  // Run history of the selected schedule; refreshes itself while a run is in progress
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+    let polling = false;
+
+    const loadRuns = async () => {
+      try {
+        const data = selectedId ? await getScheduleRuns(selectedId) : [];
+        if (cancelled) return;
+        setRuns(data);
+        if (data.some(r => ACTIVE_STATUSES.includes(r.status))) {
+          polling = true;
+          timer = setTimeout(loadRuns, POLL_INTERVAL);
+        } else if (polling) {
+          // A run finished - show its results in the schedule list too
+          polling = false;
+          const fresh = await getSchedules();
+          if (!cancelled) setSchedules(fresh);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    loadRuns();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedId, reloadCount]);
+
+  // Preview the next run times while a cron expression is typed
+  useEffect(() => {
+    if (!dialogOpen) return undefined;
+    let cancelled = false;
+
+    const loadPreview = async () => {
+      try {
+        const data = await previewCron(form.cron);
+        if (!cancelled) setCronPreview({ nextRuns: data.nextRuns, error: null });
+      } catch (err) {
+        if (!cancelled) setCronPreview({ nextRuns: [], error: err.response?.data?.message || err.message });
+      }
+    };
+
+    const timer = setTimeout(loadPreview, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [form.cron, dialogOpen]);
+
+  const openDialog = (schedule = null) => {
+    setEditingId(schedule?.id || null);
+    setForm(schedule
+      ? {
+        name: schedule.name,
+        cron: schedule.cron,
+        environmentId: schedule.environmentId,
+        agreementId: schedule.agreementId || '',
+        rescan: schedule.rescan,
+        autoEnforce: schedule.autoEnforce,
+        enabled: schedule.enabled,
+      }
+      : { ...EMPTY_SCHEDULE, environmentId: environments[0]?.id || '' });
+    setDialogOpen(true);
+  };
+
+  const runAction = async (action, successMessage, errorMessage) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      if (successMessage) setMessage(successMessage);
+      setReloadCount(count => count + 1);
+      return true;
+    } catch (err) {
+      setError(`${errorMessage}: ${err.response?.data?.message || err.message}`);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const settings = { ...form, agreementId: form.agreementId || null };
+    const saved = await runAction(
+      () => (editingId ? updateSchedule(editingId, settings) : createSchedule(settings)),
+      editingId ? 'Schedule updated' : 'Schedule created',
+      'Failed to save schedule'
+    );
+    if (saved) setDialogOpen(false);
+  };
+
+  const handleDelete = (schedule) => {
+    if (!window.confirm(`Delete the schedule "${schedule.name}"? Its past runs stay in Background Jobs.`)) return;
+    if (selectedId === schedule.id) setSelectedId(null);
+    runAction(() => deleteSchedule(schedule.id), 'Schedule deleted', 'Failed to delete schedule');
+  };
+
+  const handleRun = (schedule) => {
+    setSelectedId(schedule.id);
+    runAction(() => runSchedule(schedule.id), `Started a run of ${schedule.name}`, 'Failed to run schedule');
+  };
+
+  const agreementName = (agreementId) =>
+    agreementId ? agreements.find(a => a.id === agreementId)?.name || agreementId : 'All active agreements';
+
+  const selectedSchedule = schedules.find(s => s.id === selectedId);
+
+  return (
+    <Box>
+      <Box sx={{ mb: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box>
+          <Typography variant="h4" fontWeight="bold" gutterBottom>
+            Compliance Schedules
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Rescan, revalidate and optionally enforce on a schedule, per environment and agreement
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          New Schedule
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      {/* Schedules */}
+      <Paper sx={{ p: 3, mb: 4 }}>
+        {schedules.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No schedules yet. Compliance is only evaluated when someone opens the Dashboard.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Name</strong></TableCell>
+                  <TableCell><strong>Schedule (UTC)</strong></TableCell>
+                  <TableCell><strong>Environment</strong></TableCell>
+                  <TableCell><strong>Agreements</strong></TableCell>
+                  <TableCell><strong>Last Run</strong></TableCell>
+                  <TableCell><strong>Enabled</strong></TableCell>
+                  <TableCell align="right"><strong>Actions</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {schedules.map((schedule) => (
+                  <TableRow key={schedule.id} selected={schedule.id === selectedId}>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight="medium">{schedule.name}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {[schedule.rescan && 'rescan', 'validate', schedule.autoEnforce && 'auto-enforce'].filter(Boolean).join(' → ')}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{schedule.cron}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {schedule.nextRunAt ? `next ${new Date(schedule.nextRunAt).toLocaleString()}` : 'not scheduled'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{schedule.environmentId}</TableCell>
+                    <TableCell>{agreementName(schedule.agreementId)}</TableCell>
+                    <TableCell>
+                      {schedule.lastRun ? (
+                        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                          <Chip label={schedule.lastRun.status.replace('_', ' ')} color={STATUS_COLORS[schedule.lastRun.status]} size="small" />
+                          {schedule.lastRun.result && (
+                            <Chip
+                              label={`${schedule.lastRun.result.compliancePercentage}%`}
+                              color={complianceColor(schedule.lastRun.result.compliancePercentage)}
+                              size="small"
+                              variant="outlined"
+                            />
+                          )}
+                        </Box>
+                      ) : (
+                        <Typography variant="caption" color="text.secondary">never</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Switch
+                        size="small"
+                        checked={schedule.enabled}
+                        disabled={busy}
+                        onChange={(e) => runAction(() => updateSchedule(schedule.id, { enabled: e.target.checked }), null, 'Failed to update schedule')}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Run now">
+                        <IconButton size="small" onClick={() => handleRun(schedule)} disabled={busy}>
+                          <PlayArrowIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Run history">
+                        <IconButton size="small" onClick={() => setSelectedId(schedule.id)}>
+                          <HistoryIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => openDialog(schedule)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" onClick={() => handleDelete(schedule)} disabled={busy}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Run history of the selected schedule */}
+      {selectedSchedule && (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" fontWeight="bold" gutterBottom>
+            Run History: {selectedSchedule.name}
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          {runs.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              This schedule hasn't run yet.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell><strong>Started</strong></TableCell>
+                    <TableCell><strong>Trigger</strong></TableCell>
+                    <TableCell><strong>Status</strong></TableCell>
+                    <TableCell><strong>Compliance</strong></TableCell>
+                    <TableCell><strong>Non-compliant Assets</strong></TableCell>
+                    <TableCell><strong>Violations</strong></TableCell>
+                    <TableCell><strong>Enforcement</strong></TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {runs.map((run) => {
+                    const failedSteps = (run.items || []).filter(i => i.status === 'failed');
+                    return (
+                      <TableRow key={run.id}>
+                        <TableCell>{new Date(run.createdAt).toLocaleString()}</TableCell>
+                        <TableCell>{run.params.trigger === 'manual' ? `manual (${run.createdBy})` : 'schedule'}</TableCell>
+                        <TableCell>
+                          <Chip label={run.status.replace('_', ' ')} color={STATUS_COLORS[run.status]} size="small" />
+                          {failedSteps.map((step) => (
+                            <Typography key={step.key} variant="caption" color="error" display="block">
+                              {step.key}: {step.error}
+                            </Typography>
+                          ))}
+                        </TableCell>
+                        <TableCell>
+                          {run.result ? (
+                            <Chip
+                              label={`${run.result.compliancePercentage}%`}
+                              color={complianceColor(run.result.compliancePercentage)}
+                              size="small"
+                            />
+                          ) : '-'}
+                        </TableCell>
+                        <TableCell>
+                          {run.result ? `${run.result.nonCompliantAssets} of ${run.result.totalAssets}` : '-'}
+                        </TableCell>
+                        <TableCell>
+                          {run.result ? `${run.result.violations} (${run.result.criticalViolations} critical)` : '-'}
+                        </TableCell>
+                        <TableCell>
+                          {run.result?.enforcedAgreements !== undefined
+                            ? `${run.result.enforcedAgreements} agreement(s), ${run.result.successfullyTagged} tagged${run.result.enforcementErrors > 0 ? `, ${run.result.enforcementErrors} error(s)` : ''}`
+                            : '-'}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Paper>
+      )}
+
+      {/* Create / edit schedule */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingId ? 'Edit Schedule' : 'New Schedule'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            margin="normal"
+            size="small"
+            required
+          />
+          <TextField
+            fullWidth
+            label="Cron expression (UTC)"
+            value={form.cron}
+            onChange={(e) => setForm({ ...form, cron: e.target.value })}
+            margin="normal"
+            size="small"
+            required
+            error={!!cronPreview.error}
+            helperText={cronPreview.error || (cronPreview.nextRuns.length > 0
+              ? `Next: ${cronPreview.nextRuns.map(run => new Date(run).toLocaleString()).join(', ')}`
+              : 'minute hour day-of-month month day-of-week, or @hourly, @daily, @weekly, @monthly')}
+          />
+          <TextField
+            select
+            fullWidth
+            label="Environment"
+            value={form.environmentId}
+            onChange={(e) => setForm({ ...form, environmentId: e.target.value })}
+            margin="normal"
+            size="small"
+            required
+          >
+            {environments.map((env) => (
+              <MenuItem key={env.id} value={env.id}>{env.name}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            fullWidth
+            label="Agreement"
+            value={form.agreementId}
+            onChange={(e) => setForm({ ...form, agreementId: e.target.value })}
+            margin="normal"
+            size="small"
+            slotProps={{ inputLabel: { shrink: true } }}
+          >
+            <MenuItem value="">All active agreements</MenuItem>
+            {agreements.map((agreement) => (
+              <MenuItem key={agreement.id} value={agreement.id}>
+                {agreement.name}{agreement.status !== 'active' ? ` (${agreement.status})` : ''}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Box sx={{ display: 'flex', flexDirection: 'column', mt: 1 }}>
+            <FormControlLabel
+              control={<Switch checked={form.rescan} onChange={(e) => setForm({ ...form, rescan: e.target.checked })} />}
+              label="Rescan assets before validating"
+            />
+            <FormControlLabel
+              control={<Switch checked={form.autoEnforce} onChange={(e) => setForm({ ...form, autoEnforce: e.target.checked })} />}
+              label="Enforce agreements with violations"
+            />
+            <FormControlLabel
+              control={<Switch checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />}
+              label="Enabled"
+            />
+          </Box>
+          {form.autoEnforce && (
+            <Alert severity="warning" sx={{ mt: 1 }}>
+              Runs will write tags without review. Changes are recorded in Change History and can be rolled back.
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={busy || !form.name.trim() || !form.environmentId || !!cronPreview.error}>
+            {editingId ? 'Save' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default SchedulesPage;
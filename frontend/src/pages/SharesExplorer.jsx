@@ -9,6 +9,7 @@ import {
   InputAdornment,
   Chip,
   IconButton,
+  Button,
   Collapse,
   List,
   ListItem,
@@ -41,6 +42,7 @@ import FunctionsIcon from '@mui/icons-material/Functions';
 import ModelTrainingIcon from '@mui/icons-material/ModelTraining';
 import { getTablesInShare, getTableMetadata } from '../services/shareService';
 import useAppStore from '../store/useAppStore';
+import InventoryChanges from '../components/InventoryChanges';
 
 const SharesExplorer = () => {
   const { shares, sharesLoading, loadShares, loadingStatus } = useAppStore();
@@ -293,6 +295,9 @@ const SharesExplorer = () => {
         )}
       </Box>
 
+      {/* Assets added, removed or modified by recent scans */}
+      <InventoryChanges />
+
       {/* Search and Filters */}
       <Paper 
         elevation={0}
@@ -669,9 +674,22 @@ const SharesExplorer = () => {
                                             </Typography>
                                           </Box>
                                         </Box>
-                                        <IconButton size="small" color="primary">
-                                          {isTableExpanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
-                                        </IconButton>
+                                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                          {asset.assetType === 'table' && (
+                                            <Button
+                                              size="small"
+                                              component={Link}
+                                              to={`/assets/${share.environmentId}/${encodeURIComponent(asset.fullName)}`}
+                                              onClick={(e) => e.stopPropagation()}
+                                              endIcon={<ArrowForwardIcon fontSize="small" />}
+                                            >
+                                              Compliance
+                                            </Button>
+                                          )}
+                                          <IconButton size="small" color="primary">
+                                            {isTableExpanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                                          </IconButton>
+                                        </Box>
                                       </Paper>
                                       
                                       {/* Metadata Collapse (for all asset types) */}
@@ -34,3 +34,48 @@ export const deleteAgreement = async (id) => {
   const response = await api.delete(`/agreements/${id}`);
   return response.data;
 };
+
+export const getAgreementRevisions = async (id) => {
+  const response = await api.get(`/agreements/${id}/revisions`);
+  return response.data;
+};
+
+export const getAgreementRevisionDiff = async (id, from, to) => {
+  const response = await api.get(`/agreements/${id}/revisions/diff`, { params: { from, to } });
+  return response.data;
+};
+
+export const restoreAgreementRevision = async (id, revision, changeReason) => {
+  const response = await api.post(`/agreements/${id}/revisions/${revision}/restore`, { changeReason });
+  return response.data;
+};
+
+export const getAgreementLifecycle = async () => {
+  const response = await api.get('/agreements/lifecycle');
+  return response.data;
+};
+
+export const getPendingApprovals = async () => {
+  const response = await api.get('/agreements/approvals/pending');
+  return response.data;
+};
+
+export const submitAgreementForReview = async (id, comment) => {
+  const response = await api.post(`/agreements/${id}/submit`, { comment });
+  return response.data;
+};
+
+export const approveAgreement = async (id, comment) => {
+  const response = await api.post(`/agreements/${id}/approve`, { comment });
+  return response.data;
+};
+
+export const rejectAgreement = async (id, comment) => {
+  const response = await api.post(`/agreements/${id}/reject`, { comment });
+  return response.data;
+};
+
+export const changeAgreementStatus = async (id, status, comment) => {
+  const response = await api.post(`/agreements/${id}/status`, { status, comment });
+  return response.data;
+};
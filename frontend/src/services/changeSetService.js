@@ -0,0 +1,18 @@
+import api from './api';
+
+// params: { status, sourceType, environmentId }
+export const getChangeSets = async (params = {}) => {
+  const response = await api.get('/change-sets', { params });
+  return response.data;
+};
+
+export const getChangeSet = async (id) => {
+  const response = await api.get(`/change-sets/${id}`);
+  return response.data;
+};
+
+// changeIds: roll back only these securables; force: overwrite tags changed again since
+export const rollbackChangeSet = async (id, { changeIds, force = false } = {}) => {
+  const response = await api.post(`/change-sets/${id}/rollback`, { changeIds, force });
+  return response.data;
+};
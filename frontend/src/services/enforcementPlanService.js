@@ -0,0 +1,27 @@
+import api from './api';
+
+// params: { status, agreementId }
+export const getEnforcementPlans = async (params = {}) => {
+  const response = await api.get('/enforcement-plans', { params });
+  return response.data;
+};
+
+export const getEnforcementPlan = async (id) => {
+  const response = await api.get(`/enforcement-plans/${id}`);
+  return response.data;
+};
+
+export const planAgreementEnforcement = async (agreementId, envId = 'current') => {
+  const response = await api.post('/enforcement-plans', { agreementId, envId });
+  return response.data;
+};
+
+export const applyEnforcementPlan = async (id) => {
+  const response = await api.post(`/enforcement-plans/${id}/apply`);
+  return response.data;
+};
+
+export const discardEnforcementPlan = async (id, comment) => {
+  const response = await api.post(`/enforcement-plans/${id}/discard`, { comment });
+  return response.data;
+};
@@ -0,0 +1,32 @@
+import api from './api';
+
+// params: { status, type, environmentId }
+export const getJobs = async (params = {}) => {
+  const response = await api.get('/jobs', { params });
+  return response.data;
+};
+
+export const getJobTypes = async () => {
+  const response = await api.get('/jobs/types');
+  return response.data;
+};
+
+export const getJob = async (id) => {
+  const response = await api.get(`/jobs/${id}`);
+  return response.data;
+};
+
+export const startJob = async (type, envId = 'current') => {
+  const response = await api.post('/jobs', { type, envId });
+  return response.data;
+};
+
+export const cancelJob = async (id) => {
+  const response = await api.post(`/jobs/${id}/cancel`);
+  return response.data;
+};
+
+export const retryJob = async (id) => {
+  const response = await api.post(`/jobs/${id}/retry`);
+  return response.data;
+};
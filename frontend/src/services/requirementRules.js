@@ -0,0 +1,52 @@
+// Requirement operators and rule formatting (mirrors backend/services/requirementRules.js)
+
+export const TAG_OPERATORS = [
+  { value: 'eq', label: 'equals', symbol: '=' },
+  { value: 'neq', label: 'does not equal', symbol: '!=' },
+  { value: 'in', label: 'is one of', symbol: 'in', list: true },
+  { value: 'not_in', label: 'is not one of', symbol: 'not in', list: true },
+  { value: 'regex', label: 'matches regex', symbol: 'matches' },
+  { value: 'gt', label: '>', symbol: '>' },
+  { value: 'gte', label: '>=', symbol: '>=' },
+  { value: 'lt', label: '<', symbol: '<' },
+  { value: 'lte', label: '<=', symbol: '<=' },
+  { value: 'exists', label: 'is set', symbol: 'is set', valueless: true },
+  { value: 'not_exists', label: 'is absent', symbol: 'is absent', valueless: true },
+];
+
+const getOperator = (value = 'eq') => TAG_OPERATORS.find(op => op.value === value) || TAG_OPERATORS[0];
+
+export const isValuelessOperator = (operator) => Boolean(getOperator(operator).valueless);
+
+// A tag row is complete when it has a key and, unless the operator needs none, a value
+export const isCompleteTag = (tag) =>
+  Boolean(tag.key) && (isValuelessOperator(tag.operator) || String(tag.value ?? '').trim() !== '');
+
+// Tag rows for the editor: list values are edited as "a, b"
+export const toTagRows = (tags = []) => tags.map(tag => ({
+  key: tag.key,
+  operator: tag.operator || 'eq',
+  value: Array.isArray(tag.value) ? tag.value.join(', ') : tag.value ?? '',
+}));
+
+const formatValue = (tag) => {
+  const operator = getOperator(tag.operator);
+  if (operator.valueless) return '';
+  if (Array.isArray(tag.value)) return `[${tag.value.join(', ')}]`;
+  return operator.list ? `[${tag.value}]` : String(tag.value ?? '');
+};
+
+// "classification: confidential" for equals, "retention_years >= 7" otherwise
+export const formatTagRequirement = (tag) => {
+  if (!tag.operator || tag.operator === 'eq') return `${tag.key}: ${tag.value}`;
+  return [tag.key, getOperator(tag.operator).symbol, formatValue(tag)].filter(Boolean).join(' ');
+};
+
+export const describeRule = (rule) => {
+  if (!rule || typeof rule !== 'object') return String(rule);
+  if (rule.all) return `(${rule.all.map(describeRule).join(' and ')})`;
+  if (rule.any) return `(${rule.any.map(describeRule).join(' or ')})`;
+  if (rule.not) return `not ${describeRule(rule.not)}`;
+  if (rule.if) return `if ${describeRule(rule.if)} then ${describeRule(rule.then)}`;
+  return [rule.key, getOperator(rule.operator).symbol, formatValue(rule)].filter(Boolean).join(' ');
+};
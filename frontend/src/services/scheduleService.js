@@ -0,0 +1,37 @@
+import api from './api';
+
+// params: { environmentId, agreementId }
+export const getSchedules = async (params = {}) => {
+  const response = await api.get('/schedules', { params });
+  return response.data;
+};
+
+export const getScheduleRuns = async (id) => {
+  const response = await api.get(`/schedules/${id}/runs`);
+  return response.data;
+};
+
+export const previewCron = async (cron) => {
+  const response = await api.get('/schedules/preview', { params: { cron, count: 3 } });
+  return response.data;
+};
+
+export const createSchedule = async (schedule) => {
+  const response = await api.post('/schedules', schedule);
+  return response.data;
+};
+
+export const updateSchedule = async (id, updates) => {
+  const response = await api.put(`/schedules/${id}`, updates);
+  return response.data;
+};
+
+export const deleteSchedule = async (id) => {
+  const response = await api.delete(`/schedules/${id}`);
+  return response.data;
+};
+
+export const runSchedule = async (id) => {
+  const response = await api.post(`/schedules/${id}/run`);
+  return response.data;
+};
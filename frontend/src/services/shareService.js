@@ -65,3 +65,10 @@ export const deleteTableTag = async (tableId, tagKey) => {
   const response = await api.delete(`/delta-sharing/tables/${tableId}/tags/${tagKey}`);
   return response.data;
 };
+
+// Assets added, removed or modified by recent inventory scans
+// params: { environmentId, type, since, limit } - without since, the latest scan per environment
+export const getInventoryChanges = async (params = {}) => {
+  const response = await api.get('/delta-sharing/changes', { params });
+  return response.data;
+};
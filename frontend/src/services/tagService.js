@@ -70,3 +70,13 @@ export const setTags = async (tableId, tags) => {
   const response = await api.put(`/delta-sharing/tables/${tableId}/tags`, { tags });
   return response.data;
 };
+
+export const getTableTags = async (envId, fullName) => {
+  const response = await api.get(`/unity-catalog/${envId}/tags/${encodeURIComponent(fullName)}`);
+  return response.data.tags || {};
+};
+
+export const setTableTags = async (envId, fullName, tags) => {
+  const response = await api.put(`/unity-catalog/${envId}/tags/${encodeURIComponent(fullName)}`, { tags });
+  return response.data.tags || {};
+};
@@ -24,3 +24,14 @@ export const clearCache = async () => {
   const response = await api.post('/validation/clear-cache');
   return response.data;
 };
+
+// params: { range, granularity, environmentId, from, to }
+export const getComplianceTrends = async (params = {}) => {
+  const response = await api.get('/validation/trends', { params });
+  return response.data;
+};
+
+export const recordComplianceSnapshot = async (envId) => {
+  const response = await api.post('/validation/snapshots', envId ? { envId } : {});
+  return response.data;
+};
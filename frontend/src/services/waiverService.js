@@ -0,0 +1,28 @@
+import api from './api';
+
+// params: { status, assetId, agreementId }
+export const getWaivers = async (params = {}) => {
+  const response = await api.get('/waivers', { params });
+  return response.data;
+};
+
+// waiver: { assetId, agreementId, rule?, column?, justification, approver, expiresAt }
+export const requestWaiver = async (waiver) => {
+  const response = await api.post('/waivers', waiver);
+  return response.data;
+};
+
+export const approveWaiver = async (id, comment) => {
+  const response = await api.post(`/waivers/${id}/approve`, { comment });
+  return response.data;
+};
+
+export const rejectWaiver = async (id, comment) => {
+  const response = await api.post(`/waivers/${id}/reject`, { comment });
+  return response.data;
+};
+
+export const revokeWaiver = async (id, comment) => {
+  const response = await api.post(`/waivers/${id}/revoke`, { comment });
+  return response.data;
+};
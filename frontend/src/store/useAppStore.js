@@ -26,6 +26,7 @@ const useAppStore = create((set, get) => ({
   
   // Violations state
   violations: [],
+  waivedViolations: [],
   violationsLoading: false,
   violationsLastUpdated: null,
   
@@ -166,6 +167,7 @@ const useAppStore = create((set, get) => ({
       const data = await getViolations();
       set({ 
         violations: data.violations || [], 
+        waivedViolations: data.waivedViolations || [],
         violationsLoading: false,
         violationsLastUpdated: new Date().toISOString(),
       });